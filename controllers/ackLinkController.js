@@ -0,0 +1,183 @@
+/**
+ * Acknowledgment link controller for the emergency alert system
+ * Serves the pages recipients reach from the "I acknowledge" link in email and SMS alerts
+ */
+const { alertDB } = require('../services/databaseService');
+const acknowledgmentService = require('../services/acknowledgmentService');
+const { verifyAckToken } = require('../utils/ackTokens');
+
+/**
+ * Escape text for inclusion in HTML
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Send a minimal standalone page
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {Object} page - { title, message, alert, form } where form is the action URL of the acknowledge button
+ */
+const renderPage = (res, status, { title, message, alert = null, form = null }) => {
+  const alertDetails = alert
+    ? `<div class="alert">
+        <p class="severity">${escapeHtml(alert.severity).toUpperCase()}</p>
+        <h2>${escapeHtml(alert.title)}</h2>
+        <p>${escapeHtml(alert.message)}</p>
+      </div>`
+    : '';
+  const button = form
+    ? `<form method="POST" action="${escapeHtml(form)}"><button type="submit">I acknowledge</button></form>`
+    : '';
+  
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} - Emergency Alert System</title>
+  <style>
+    body { font-family: Arial, sans-serif; background: #f5f5f5; margin: 0; padding: 24px; color: #333; }
+    main { max-width: 480px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 24px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+    .alert { border-left: 4px solid #cc0000; padding: 8px 16px; margin: 16px 0; background: #fafafa; }
+    .severity { font-size: 12px; font-weight: bold; color: #cc0000; margin: 0; }
+    button { width: 100%; padding: 14px; font-size: 18px; color: #fff; background: #cc0000; border: none; border-radius: 6px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    ${alertDetails}
+    ${button}
+  </main>
+</body>
+</html>`);
+};
+
+/**
+ * Render the page for an invalid or expired token
+ * @param {Object} res - Express response object
+ * @param {string} reason - 'invalid' or 'expired'
+ */
+const renderInvalidToken = (res, reason) => {
+  if (reason === 'expired') {
+    return renderPage(res, 410, {
+      title: 'Link expired',
+      message: 'This acknowledgment link has expired. Please acknowledge the alert in the app or website instead.'
+    });
+  }
+  
+  renderPage(res, 400, {
+    title: 'Invalid link',
+    message: 'This acknowledgment link is not valid. Please check that you opened the full link from your alert.'
+  });
+};
+
+/**
+ * Show the alert with a button to acknowledge it.
+ * Opening the link does not acknowledge on its own, because email security
+ * scanners follow links in messages before the recipient ever sees them.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const showAcknowledgePage = async (req, res) => {
+  const token = verifyAckToken(req.params.token);
+  
+  if (!token.valid) {
+    return renderInvalidToken(res, token.reason);
+  }
+  
+  try {
+    const alert = await alertDB.findById(token.alertId);
+    
+    if (!alert) {
+      return renderPage(res, 404, {
+        title: 'Alert not found',
+        message: 'This alert no longer exists.'
+      });
+    }
+    
+    if (await alertDB.hasUserAcknowledged(alert.id, token.userId)) {
+      return renderPage(res, 200, {
+        title: 'Already acknowledged',
+        message: 'You have already acknowledged this alert. Thank you.',
+        alert
+      });
+    }
+    
+    renderPage(res, 200, {
+      title: 'Acknowledge alert',
+      message: 'Please confirm that you have received this alert.',
+      alert,
+      form: req.originalUrl
+    });
+  } catch (error) {
+    console.error('Error showing acknowledgment page:', error);
+    renderPage(res, 500, {
+      title: 'Something went wrong',
+      message: 'We could not load this alert. Please try again in a moment.'
+    });
+  }
+};
+
+/**
+ * Record the acknowledgment for a token. Repeating it is harmless.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const acknowledge = async (req, res) => {
+  const token = verifyAckToken(req.params.token);
+  
+  if (!token.valid) {
+    return renderInvalidToken(res, token.reason);
+  }
+  
+  try {
+    const result = await acknowledgmentService.recordAcknowledgment(token.alertId, token.userId, {
+      notes: 'Acknowledged by link',
+      io: req.io
+    });
+    
+    if (result.success || result.reason === 'already_acknowledged') {
+      return renderPage(res, 200, {
+        title: 'Thank you',
+        message: 'Your acknowledgment has been recorded.',
+        alert: result.alert
+      });
+    }
+    
+    if (result.reason === 'not_found') {
+      return renderPage(res, 404, {
+        title: 'Alert not found',
+        message: 'This alert no longer exists.'
+      });
+    }
+    
+    renderPage(res, 409, {
+      title: 'Alert no longer active',
+      message: 'This alert can no longer be acknowledged.',
+      alert: result.alert
+    });
+  } catch (error) {
+    console.error('Error recording link acknowledgment:', error);
+    renderPage(res, 500, {
+      title: 'Something went wrong',
+      message: 'We could not record your acknowledgment. Please try again in a moment.'
+    });
+  }
+};
+
+module.exports = {
+  showAcknowledgePage,
+  acknowledge
+};
@@ -1,21 +1,34 @@
 /**
  * Alert controller for the emergency alert system
  */
-const { alertDB, userDB, subscriptionDB } = require('../services/databaseService');
-const { validateAlertData } = require('../utils/validators');
-const notificationService = require('../services/notificationService');
+const { alertDB, alertDeliveryDB, alertEscalationDB, alertUpdateDB, subscriptionDB } = require('../services/databaseService');
+const { validateAlertData, validateAlertUpdateData, validateScheduledFor, validateExpiresAt, validateEscalationPolicy, validateTargetArea } = require('../utils/validators');
+const deliveryQueue = require('../services/deliveryQueue');
+const escalationService = require('../services/escalationService');
+const expirationService = require('../services/expirationService');
+const approvalService = require('../services/approvalService');
+const duplicateService = require('../services/duplicateService');
+const acknowledgmentService = require('../services/acknowledgmentService');
 const templateService = require('../services/templateService');
+const { identifyRecipients } = require('../services/recipientService');
+const { normalizeCategory } = require('../utils/categories');
 const { db } = require('../db');
 const { alerts, users } = require('../shared/schema');
 const { eq } = require('drizzle-orm');
 
+// Sent with an all-clear when the operator does not write their own message
+const DEFAULT_ALL_CLEAR_MESSAGE = 'The emergency is over. It is safe to resume normal activity.';
+
+// Changing any of these on a scheduled alert checks again whether it needs approval
+const APPROVAL_FIELDS = ['title', 'message', 'severity', 'category', 'channels', 'targeting'];
+
 /**
  * Create a new alert
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const createAlert = async (req, res) => {
-  const alertData = req.body;
+  const { allowDuplicate, ...alertData } = req.body;
   
   // Add creator ID
   alertData.createdBy = req.user.id;
@@ -23,6 +36,11 @@ const createAlert = async (req, res) => {
   // Check if alert is from a template
   const fromTemplate = req.templateId ? true : false;
   
+  // Giving a send time without a status schedules the alert
+  if (alertData.scheduledFor && !alertData.status) {
+    alertData.status = 'scheduled';
+  }
+  
   // Validate alert data
   const validation = validateAlertData(alertData);
   
@@ -35,137 +53,893 @@ const createAlert = async (req, res) => {
     });
   }
   
+  alertData.category = normalizeCategory(alertData.category);
+  
   try {
+    // If using a template, add a reference to the template
+    if (fromTemplate) {
+      alertData.templateId = req.templateId;
+      alertData.fromTemplate = {
+        id: req.templateId,
+        usedAt: new Date().toISOString()
+      };
+    }
+    
+    // Stop an alert that repeats one sent or scheduled around the same time to the same audience,
+    // unless the sender confirms it
+    if (allowDuplicate !== true) {
+      const duplicates = await duplicateService.findDuplicates(alertData);
+      
+      if (duplicates.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'A similar alert to the same audience was just sent or is scheduled around the same time. Resend with allowDuplicate set to true to send this one anyway.',
+          data: {
+            duplicates: duplicates.map(duplicate => ({
+              id: duplicate.id,
+              title: duplicate.title,
+              severity: duplicate.severity,
+              status: duplicate.status,
+              createdBy: duplicate.createdBy,
+              sentAt: duplicate.sentAt,
+              scheduledFor: duplicate.scheduledFor,
+              createdAt: duplicate.createdAt
+            }))
+          }
+        });
+      }
+    }
+    
+    // Identify recipients based on targeting
+    const recipients = await identifyRecipients(alertData.targeting, alertData.category);
+    
+    // Severe or wide-reaching alerts wait until a second admin or operator approves them
+    const approvalReason = approvalService.getApprovalReason(alertData, recipients.length);
+    
+    if (approvalReason) {
+      const pendingAlert = await alertDB.create({
+        ...alertData,
+        status: 'pending_approval',
+        approvalReason,
+        scheduledFor: alertData.scheduledFor ? new Date(alertData.scheduledFor) : null,
+        expiresAt: alertData.expiresAt ? new Date(alertData.expiresAt) : null
+      });
+      
+      req.io.to('admin').to('operator').emit('alertApprovalRequested', {
+        alert: pendingAlert,
+        recipientCount: recipients.length
+      });
+      
+      return res.status(201).json({
+        success: true,
+        message: `Alert submitted for approval: ${approvalReason}. It will be sent once another admin or operator approves it.`,
+        data: {
+          alert: pendingAlert,
+          fromTemplate: fromTemplate ? { id: req.templateId } : undefined
+        }
+      });
+    }
+    
     // Add sentAt if sending immediately
     if (alertData.status === 'sent' || !alertData.status) {
       alertData.sentAt = new Date();
       alertData.status = 'sent';
     }
     
-    // If using a template, add a reference to the template
-    if (fromTemplate) {
-      alertData.fromTemplate = {
-        id: req.templateId,
-        usedAt: new Date().toISOString()
-      };
+    // Sent alerts always expire, by default after a time that depends on their severity
+    alertData.expiresAt = alertData.status === 'sent'
+      ? expirationService.resolveExpiresAt(alertData, alertData.sentAt)
+      : (alertData.expiresAt ? new Date(alertData.expiresAt) : null);
+    
+    // Scheduled alerts are stored now and sent by the dispatcher when they are due
+    if (alertData.status === 'scheduled') {
+      alertData.scheduledFor = new Date(alertData.scheduledFor);
+      
+      const scheduledAlert = await alertDB.create(alertData);
+      
+      req.io.to('admin').to('operator').emit('alertScheduled', {
+        alert: scheduledAlert
+      });
+      
+      return res.status(201).json({
+        success: true,
+        message: `Alert scheduled for ${scheduledAlert.scheduledFor.toISOString()}.`,
+        data: {
+          alert: scheduledAlert,
+          fromTemplate: fromTemplate ? { id: req.templateId } : undefined
+        }
+      });
+    }
+    
+    alertData.scheduledFor = null;
+    
+    // Create the alert and queue its notifications for the delivery worker in one
+    // transaction, so a failure partway through never leaves a sent alert with nothing queued
+    const newAlert = await db.transaction(async (tx) => {
+      const alert = await alertDB.create(alertData, tx);
+      
+      await deliveryQueue.createAlertDeliveryJobs(alert, recipients, {}, tx);
+      
+      return alert;
+    });
+    
+    // Stats start out as pending
+    const stats = await deliveryQueue.refreshDeliveryStats(newAlert.id);
+    
+    // Follow up on non-responders if the alert has an escalation policy
+    await escalationService.scheduleEscalations(newAlert);
+    
+    // Notify connected clients via Socket.io
+    req.io.emit('newAlert', {
+      alert: newAlert
+    });
+    
+    // Send targeted notifications to specific users
+    recipients.forEach(user => {
+      req.io.to(`user-${user.id}`).emit('personalAlert', {
+        alert: newAlert
+      });
+    });
+    
+    // Return success with alert data
+    res.status(201).json({
+      success: true,
+      message: fromTemplate ? 'Alert created from template and queued for delivery.' : 'Alert created and queued for delivery.',
+      data: {
+        alert: newAlert,
+        stats,
+        fromTemplate: fromTemplate ? { id: req.templateId } : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Error creating alert:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create and send alert.',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Count the users an alert's targeting would reach, so the sender can check
+ * the audience before sending
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const previewRecipients = async (req, res) => {
+  const targeting = req.body.targeting;
+  
+  if (!targeting || typeof targeting !== 'object') {
+    return res.status(400).json({
+      success: false,
+      message: 'Targeting is required.'
+    });
+  }
+  
+  if (targeting.area) {
+    const areaError = validateTargetArea(targeting.area);
+    
+    if (areaError) {
+      return res.status(400).json({
+        success: false,
+        message: areaError
+      });
+    }
+  }
+  
+  try {
+    const recipients = await identifyRecipients(targeting, normalizeCategory(req.body.category));
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        recipientCount: recipients.length
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing alert recipients:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview alert recipients.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get all alerts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllAlerts = async (req, res) => {
+  try {
+    // Get query parameters
+    const { status, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    
+    // Get all alerts - filtering will be done in the database when possible
+    let alerts;
+    
+    if (status) {
+      alerts = await alertDB.getAllByStatus(status);
+    } else {
+      alerts = await alertDB.getAll();
+    }
+    
+    // Sort alerts - database handles this, but we still process here for flexibility
+    alerts.sort((a, b) => {
+      const aValue = a[sortBy];
+      const bValue = b[sortBy];
+      
+      if (sortOrder === 'asc') {
+        return aValue > bValue ? 1 : -1;
+      } else {
+        return aValue < bValue ? 1 : -1;
+      }
+    });
+    
+    // Limit results
+    alerts = alerts.slice(0, parseInt(limit));
+    
+    // Return success with alerts
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        total: alerts.length
+      }
+    });
+  } catch (error) {
+    console.error('Error getting alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve alerts.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the alerts that are currently in effect (sent and not yet expired)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getActiveAlerts = async (req, res) => {
+  try {
+    const alerts = await alertDB.getActive();
+    
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        total: alerts.length
+      }
+    });
+  } catch (error) {
+    console.error('Error getting active alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve active alerts.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get an alert by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAlertById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Find alert
+    const alert = await alertDB.findById(parseInt(id));
+    
+    // If alert not found, return not found
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: `Alert with ID ${id} not found.`
+      });
+    }
+    
+    // Get acknowledgments and follow-up updates for this alert
+    const acknowledgments = await alertDB.getAcknowledgments(parseInt(id));
+    const updates = await alertUpdateDB.getAllByAlert(alert.id);
+    
+    // Return success with alert, acknowledgments and updates
+    res.json({
+      success: true,
+      data: {
+        alert,
+        acknowledgments,
+        updates
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve alert.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get per-recipient delivery records for an alert
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAlertDeliveries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, channel, userId, search, limit = 100, offset = 0 } = req.query;
+    
+    // Find alert
+    const alert = await alertDB.findById(parseInt(id));
+    
+    // If alert not found, return not found
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: `Alert with ID ${id} not found.`
+      });
+    }
+    
+    const filters = {
+      status,
+      channel,
+      userId: userId ? parseInt(userId) : undefined,
+      search
+    };
+    
+    const pagination = {
+      limit: Math.min(parseInt(limit) || 100, 500),
+      offset: parseInt(offset) || 0
+    };
+    
+    const deliveries = await alertDeliveryDB.getAllByAlert(alert.id, filters, pagination);
+    const total = await alertDeliveryDB.countByAlert(alert.id, filters);
+    const statusCounts = await alertDeliveryDB.getStatusCounts(alert.id);
+    
+    // Return success with the matching deliveries
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        total,
+        limit: pagination.limit,
+        offset: pagination.offset,
+        statusCounts
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving alert deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve alert deliveries.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the escalation steps scheduled for an alert
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAlertEscalations = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Find alert
+    const alert = await alertDB.findById(parseInt(id));
+    
+    // If alert not found, return not found
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: `Alert with ID ${id} not found.`
+      });
+    }
+    
+    const escalations = await alertEscalationDB.getAllByAlert(alert.id);
+    const nonResponders = await alertDB.getNonResponders(alert.id);
+    
+    // Return success with the policy, its steps and who is still outstanding
+    res.json({
+      success: true,
+      data: {
+        escalationPolicy: alert.escalationPolicy,
+        escalations,
+        nonResponders: nonResponders.map(user => ({
+          id: user.id,
+          username: user.username,
+          role: user.role
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving alert escalations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve alert escalations.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Stop the remaining escalation steps of an alert
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const stopAlertEscalations = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Find alert
+    const alert = await alertDB.findById(parseInt(id));
+    
+    // If alert not found, return not found
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: `Alert with ID ${id} not found.`
+      });
+    }
+    
+    const stopped = await escalationService.stopEscalations(alert.id, `Stopped by ${req.user.username}`);
+    
+    // Return success with the number of steps that will no longer run
+    res.json({
+      success: true,
+      message: stopped > 0 ? `Stopped ${stopped} escalation step(s).` : 'No escalation steps were pending.',
+      data: {
+        stopped
+      }
+    });
+  } catch (error) {
+    console.error('Error stopping alert escalations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stop alert escalations.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the alerts waiting for approval
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPendingApprovalAlerts = async (req, res) => {
+  try {
+    const alerts = await alertDB.getAllPendingApproval();
+    
+    res.json({
+      success: true,
+      data: {
+        alerts
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving alerts pending approval:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve alerts waiting for approval.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Check that the current user may approve or reject an alert
+ * @param {Object} alert - Alert being reviewed
+ * @param {Object} user - Reviewing user
+ * @returns {Object|null} { status, message } to respond with, or null if the review can go ahead
+ */
+const checkReview = (alert, user) => {
+  if (alert.status !== 'pending_approval') {
+    return { status: 400, message: `The alert is not waiting for approval (it is ${alert.status}).` };
+  }
+  
+  // The point of approval is a second pair of eyes
+  if (alert.createdBy === user.id) {
+    return { status: 403, message: 'You cannot review an alert you created; another admin or operator must approve it.' };
+  }
+  
+  return null;
+};
+
+/**
+ * Approve an alert that is waiting for approval, sending it (or scheduling it)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveAlert = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    
+    // Find alert
+    const alert = await alertDB.findById(parseInt(id));
+    
+    // If alert not found, return not found
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: `Alert with ID ${id} not found.`
+      });
+    }
+    
+    const reviewError = checkReview(alert, req.user);
+    
+    if (reviewError) {
+      return res.status(reviewError.status).json({
+        success: false,
+        message: reviewError.message
+      });
+    }
+    
+    const result = await approvalService.approveAlert(alert.id, req.user.id, reason ? String(reason).trim() : null);
+    
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'The alert was approved, rejected or cancelled by someone else.'
+      });
+    }
+    
+    const { alert: approvedAlert, recipients } = result;
+    
+    // Let other reviewers know the alert has been dealt with
+    req.io.to('admin').to('operator').emit('alertApproved', {
+      alertId: approvedAlert.id,
+      alert: approvedAlert
+    });
+    
+    if (approvedAlert.status === 'scheduled') {
+      req.io.to('admin').to('operator').emit('alertScheduled', {
+        alert: approvedAlert
+      });
+      
+      return res.json({
+        success: true,
+        message: `Alert approved; it will be sent at ${approvedAlert.scheduledFor.toISOString()}.`,
+        data: {
+          alert: approvedAlert
+        }
+      });
+    }
+    
+    const stats = await deliveryQueue.refreshDeliveryStats(approvedAlert.id);
+    await escalationService.scheduleEscalations(approvedAlert);
+    
+    // Notify connected clients via Socket.io
+    req.io.emit('newAlert', {
+      alert: approvedAlert
+    });
+    
+    recipients.forEach(user => {
+      req.io.to(`user-${user.id}`).emit('personalAlert', {
+        alert: approvedAlert
+      });
+    });
+    
+    res.json({
+      success: true,
+      message: 'Alert approved and queued for delivery.',
+      data: {
+        alert: approvedAlert,
+        stats
+      }
+    });
+  } catch (error) {
+    console.error('Error approving alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve alert.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Reject an alert that is waiting for approval
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectAlert = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    
+    if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject an alert.',
+        errors: { reason: 'Reason is required' }
+      });
+    }
+    
+    // Find alert
+    const alert = await alertDB.findById(parseInt(id));
+    
+    // If alert not found, return not found
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: `Alert with ID ${id} not found.`
+      });
+    }
+    
+    const reviewError = checkReview(alert, req.user);
+    
+    if (reviewError) {
+      return res.status(reviewError.status).json({
+        success: false,
+        message: reviewError.message
+      });
+    }
+    
+    const rejectedAlert = await approvalService.rejectAlert(alert.id, req.user.id, reason.trim());
+    
+    if (!rejectedAlert) {
+      return res.status(409).json({
+        success: false,
+        message: 'The alert was approved, rejected or cancelled by someone else.'
+      });
+    }
+    
+    req.io.to('admin').to('operator').emit('alertRejected', {
+      alertId: rejectedAlert.id,
+      alert: rejectedAlert
+    });
+    
+    res.json({
+      success: true,
+      message: 'Alert rejected; it will not be sent.',
+      data: {
+        alert: rejectedAlert
+      }
+    });
+  } catch (error) {
+    console.error('Error rejecting alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject alert.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Send a follow-up update to the recipients of a sent alert
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const postAlertUpdate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate update data
+    const validation = validateAlertUpdateData(req.body);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid update data.',
+        errors: validation.errors
+      });
+    }
+    
+    // Find alert
+    const alert = await alertDB.findById(parseInt(id));
+    
+    // If alert not found, return not found
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: `Alert with ID ${id} not found.`
+      });
+    }
+    
+    // Only alerts that are out and still active can be followed up
+    if (alert.status !== 'sent') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot post an update to an alert that is ${alert.status}.`
+      });
+    }
+    
+    const created = await alertUpdateDB.create(alert.id, {
+      message: req.body.message.trim(),
+      severity: req.body.severity,
+      createdBy: req.user.id
+    });
+    
+    // The alert was resolved, cancelled or expired while the update was being posted
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        message: 'The alert is no longer active; the update was not sent.'
+      });
+    }
+    
+    // Send the update to everyone who received the original alert
+    const recipients = await alertDB.getRecipients(alert.id);
+    const notifiedCount = await deliveryQueue.enqueueUpdateNotifications(created.alert, created.update, recipients);
+    const update = await alertUpdateDB.update(created.update.id, { notifiedCount });
+    
+    const updatedAlert = await alertDB.findById(alert.id);
+    
+    // Notify connected clients via Socket.io
+    req.io.emit('alertUpdated', {
+      alertId: alert.id,
+      update: { ...update, creatorName: req.user.username },
+      alert: updatedAlert
+    });
+    
+    // Return success with the update and the alert as it now stands
+    res.status(201).json({
+      success: true,
+      message: `Update sent to ${recipients.length} recipient(s).`,
+      data: {
+        update,
+        alert: updatedAlert
+      }
+    });
+  } catch (error) {
+    console.error('Error posting alert update:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to post alert update.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Send the all-clear for an alert: a linked message to the same recipients on
+ * the same channels, after which the alert is resolved
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const sendAllClear = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { message } = req.body;
+    
+    if (message !== undefined && (typeof message !== 'string' || message.trim() === '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid all-clear data.',
+        errors: { message: 'Message must be a non-empty string' }
+      });
+    }
+    
+    // Find alert
+    const alert = await alertDB.findById(parseInt(id));
+    
+    // If alert not found, return not found
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: `Alert with ID ${id} not found.`
+      });
     }
     
-    // Create alert
-    const newAlert = await alertDB.create(alertData);
+    // An alert that has expired may still need to be called off
+    const resolvableStatuses = ['sent', 'expired'];
     
-    // Identify recipients based on targeting
-    const recipients = await identifyRecipients(alertData.targeting);
+    if (!resolvableStatuses.includes(alert.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot send the all-clear for an alert that is ${alert.status}.`
+      });
+    }
     
-    // Send notifications
-    const notificationResults = await notificationService.sendAlertNotifications(
-      newAlert,
-      recipients
-    );
+    const created = await alertUpdateDB.create(alert.id, {
+      message: message ? message.trim() : DEFAULT_ALL_CLEAR_MESSAGE,
+      kind: 'all_clear',
+      createdBy: req.user.id
+    }, resolvableStatuses);
     
-    // Update alert with delivery statistics
-    const stats = {
-      total: recipients.length,
-      sent: notificationResults.filter(r => r.success).length,
-      failed: notificationResults.filter(r => !r.success).length,
-      pending: 0
-    };
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        message: 'The alert was resolved or cancelled by someone else.'
+      });
+    }
     
-    // Update alert with delivery stats
-    await alertDB.update(newAlert.id, { 
-      deliveryStats: stats
-    });
+    // Reminders about the alert are pointless once the all-clear goes out
+    await deliveryQueue.cancelPendingDeliveries(alert.id);
+    await escalationService.stopEscalations(alert.id, 'All clear sent');
     
-    // Notify connected clients via Socket.io
-    req.io.emit('newAlert', {
-      alert: newAlert
-    });
+    const recipients = await alertDB.getRecipients(alert.id);
+    const notifiedCount = await deliveryQueue.enqueueUpdateNotifications(created.alert, created.update, recipients);
+    const update = await alertUpdateDB.update(created.update.id, { notifiedCount });
     
-    // Send targeted notifications to specific users
-    recipients.forEach(user => {
-      req.io.to(`user-${user.id}`).emit('personalAlert', {
-        alert: newAlert
-      });
+    const resolvedAlert = await alertDB.findById(alert.id);
+    
+    // Notify connected clients via Socket.io so they stop showing the alert as active
+    req.io.emit('alertResolved', {
+      alertId: alert.id,
+      update: { ...update, creatorName: req.user.username },
+      alert: resolvedAlert
     });
     
-    // Return success with alert data
+    // Return success with the all-clear and the resolved alert
     res.status(201).json({
       success: true,
-      message: fromTemplate ? 'Alert created from template and sent successfully.' : 'Alert created and sent successfully.',
+      message: `All clear sent to ${recipients.length} recipient(s); the alert is resolved.`,
       data: {
-        alert: newAlert,
-        stats,
-        fromTemplate: fromTemplate ? { id: req.templateId } : undefined
+        update,
+        alert: resolvedAlert
       }
     });
   } catch (error) {
-    console.error('Error creating alert:', error);
-    
+    console.error('Error sending all clear:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create and send alert.',
-      error: error.message
+      message: 'Failed to send the all-clear.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 /**
- * Get all alerts
+ * Get the follow-up updates posted to an alert
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const getAllAlerts = async (req, res) => {
+const getAlertUpdates = async (req, res) => {
   try {
-    // Get query parameters
-    const { status, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const { id } = req.params;
     
-    // Get all alerts - filtering will be done in the database when possible
-    let alerts;
+    // Find alert
+    const alert = await alertDB.findById(parseInt(id));
     
-    if (status) {
-      alerts = await alertDB.getAllByStatus(status);
-    } else {
-      alerts = await alertDB.getAll();
+    // If alert not found, return not found
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: `Alert with ID ${id} not found.`
+      });
     }
     
-    // Sort alerts - database handles this, but we still process here for flexibility
-    alerts.sort((a, b) => {
-      const aValue = a[sortBy];
-      const bValue = b[sortBy];
-      
-      if (sortOrder === 'asc') {
-        return aValue > bValue ? 1 : -1;
-      } else {
-        return aValue < bValue ? 1 : -1;
-      }
-    });
-    
-    // Limit results
-    alerts = alerts.slice(0, parseInt(limit));
+    const updates = await alertUpdateDB.getAllByAlert(alert.id);
     
-    // Return success with alerts
     res.json({
       success: true,
       data: {
-        alerts,
-        total: alerts.length
+        updates
       }
     });
   } catch (error) {
-    console.error('Error getting alerts:', error);
+    console.error('Error retrieving alert updates:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve alerts.',
+      message: 'Failed to retrieve alert updates.',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 /**
- * Get an alert by ID
+ * Get the version history of an alert: the original alert as version 1,
+ * followed by each update
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const getAlertById = async (req, res) => {
+const getAlertVersions = async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -180,22 +954,43 @@ const getAlertById = async (req, res) => {
       });
     }
     
-    // Get acknowledgments for this alert
-    const acknowledgments = await alertDB.getAcknowledgments(parseInt(id));
+    const updates = await alertUpdateDB.getAllByAlert(alert.id);
+    
+    // The alert's own severity is the latest one, so the original comes from the first update
+    const original = {
+      version: 1,
+      title: alert.title,
+      message: alert.message,
+      severity: updates.length > 0 ? updates[0].previousSeverity : alert.severity,
+      createdBy: alert.createdBy,
+      createdAt: alert.sentAt || alert.createdAt
+    };
+    
+    const versions = [original, ...updates.map(update => ({
+      version: update.version,
+      updateId: update.id,
+      kind: update.kind,
+      title: deliveryQueue.getUpdateTitle(alert, update),
+      message: update.message,
+      severity: update.severity,
+      previousSeverity: update.previousSeverity,
+      createdBy: update.createdBy,
+      creatorName: update.creatorName,
+      createdAt: update.createdAt
+    }))];
     
-    // Return success with alert and acknowledgments
     res.json({
       success: true,
       data: {
-        alert,
-        acknowledgments
+        currentVersion: versions[versions.length - 1].version,
+        versions
       }
     });
   } catch (error) {
-    console.error('Error retrieving alert:', error);
+    console.error('Error retrieving alert versions:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve alert.',
+      message: 'Failed to retrieve alert versions.',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -223,20 +1018,122 @@ const updateAlert = async (req, res) => {
     }
     
     // If alert is already sent, prevent certain updates
-    if (alert.status === 'sent' && (updates.title || updates.message || updates.severity || updates.channels)) {
+    if (alert.status === 'sent' && (updates.title || updates.message || updates.severity || updates.category !== undefined || updates.channels || updates.escalationPolicy !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot modify core details of an alert that has already been sent. Post an update to it instead.'
+      });
+    }
+    
+    // What a reviewer approves must be what gets sent
+    if (alert.status === 'pending_approval' || alert.status === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot edit an alert that is ${alert.status === 'rejected' ? 'rejected' : 'waiting for approval'}; cancel it and create a new one.`
+      });
+    }
+    
+    if (updates.status === 'pending_approval' || updates.status === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: 'Alerts are submitted for approval when they are created; use the approve and reject endpoints to decide them.'
+      });
+    }
+    
+    // Scheduled alerts are sent by the dispatcher, so their status and send time have their own endpoints
+    if (updates.scheduledFor !== undefined || (updates.status !== undefined && (alert.status === 'scheduled' || updates.status === 'scheduled'))) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot modify core details of an alert that has already been sent.'
+        message: 'Use the schedule and cancel endpoints to change when or whether an alert is sent.'
+      });
+    }
+    
+    if (updates.expiresAt !== undefined) {
+      if (alert.status === 'expired' || alert.status === 'cancelled' || alert.status === 'resolved') {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change when an alert expires once it is ${alert.status}.`
+        });
+      }
+      
+      const expiresAtError = validateExpiresAt(updates.expiresAt, alert.status === 'scheduled' ? alert.scheduledFor : alert.sentAt);
+      
+      if (expiresAtError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid expiry time.',
+          errors: { expiresAt: expiresAtError }
+        });
+      }
+      
+      updates.expiresAt = new Date(updates.expiresAt);
+    }
+    
+    if (updates.category !== undefined) {
+      if (updates.category !== null && (typeof updates.category !== 'string' || updates.category.length > 50)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid alert data.',
+          errors: { category: 'Category must be a name of at most 50 characters' }
+        });
+      }
+      
+      updates.category = normalizeCategory(updates.category);
+    }
+    
+    if (updates.escalationPolicy) {
+      const policyValidation = validateEscalationPolicy(updates.escalationPolicy, updates.severity || alert.severity);
+      
+      if (!policyValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid escalation policy.',
+          errors: policyValidation.errors
+        });
+      }
+    }
+    
+    // Edits can make a scheduled alert need approval, even one that was approved before
+    if (alert.status === 'scheduled' && APPROVAL_FIELDS.some(field => updates[field] !== undefined)) {
+      const editedAlert = { ...alert, ...updates };
+      const recipients = await identifyRecipients(editedAlert.targeting, editedAlert.category);
+      const approvalReason = approvalService.getApprovalReason(editedAlert, recipients.length);
+      
+      if (approvalReason) {
+        Object.assign(updates, {
+          status: 'pending_approval',
+          approvalReason,
+          reviewedBy: null,
+          reviewedAt: null,
+          reviewNote: null
+        });
+      }
+    }
+    
+    // Update alert, unless a scheduled alert was sent while the request was in flight
+    const updatedAlert = alert.status === 'scheduled'
+      ? await alertDB.updateScheduled(alert.id, updates)
+      : await alertDB.update(alert.id, updates);
+    
+    if (!updatedAlert) {
+      return res.status(409).json({
+        success: false,
+        message: 'The alert was sent or cancelled before it could be updated.'
       });
     }
     
-    // Update alert
-    const updatedAlert = await alertDB.update(parseInt(id), updates);
+    if (updatedAlert.status === 'pending_approval') {
+      req.io.to('admin').to('operator').emit('alertApprovalRequested', {
+        alert: updatedAlert
+      });
+    }
     
     // Return success with updated alert
     res.json({
       success: true,
-      message: 'Alert updated successfully.',
+      message: updatedAlert.status === 'pending_approval'
+        ? `Alert updated and submitted for approval: ${updatedAlert.approvalReason}.`
+        : 'Alert updated successfully.',
       data: {
         alert: updatedAlert
       }
@@ -251,6 +1148,86 @@ const updateAlert = async (req, res) => {
   }
 };
 
+/**
+ * Change when a scheduled alert is sent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rescheduleAlert = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scheduledFor } = req.body;
+    
+    // Find alert
+    const alert = await alertDB.findById(parseInt(id));
+    
+    // If alert not found, return not found
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: `Alert with ID ${id} not found.`
+      });
+    }
+    
+    if (alert.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: `Only scheduled alerts can be rescheduled; this alert is ${alert.status}.`
+      });
+    }
+    
+    const scheduledForError = validateScheduledFor(scheduledFor);
+    
+    if (scheduledForError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid schedule.',
+        errors: { scheduledFor: scheduledForError }
+      });
+    }
+    
+    if (alert.expiresAt && new Date(scheduledFor) >= new Date(alert.expiresAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid schedule.',
+        errors: { scheduledFor: 'scheduledFor must be before the alert expires' }
+      });
+    }
+    
+    // Only applies if the dispatcher has not sent the alert in the meantime
+    const updatedAlert = await alertDB.updateScheduled(alert.id, {
+      scheduledFor: new Date(scheduledFor)
+    });
+    
+    if (!updatedAlert) {
+      return res.status(409).json({
+        success: false,
+        message: 'The alert was sent or cancelled before it could be rescheduled.'
+      });
+    }
+    
+    req.io.to('admin').to('operator').emit('alertScheduled', {
+      alert: updatedAlert
+    });
+    
+    // Return success with updated alert
+    res.json({
+      success: true,
+      message: `Alert rescheduled for ${updatedAlert.scheduledFor.toISOString()}.`,
+      data: {
+        alert: updatedAlert
+      }
+    });
+  } catch (error) {
+    console.error('Error rescheduling alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule alert.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Delete an alert
  * @param {Object} req - Express request object
@@ -316,6 +1293,20 @@ const cancelAlert = async (req, res) => {
       });
     }
     
+    if (alert.status === 'expired') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot cancel an alert that has already expired.'
+      });
+    }
+    
+    if (alert.status === 'resolved' || alert.status === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel an alert that has already been ${alert.status}.`
+      });
+    }
+    
     // If alert is already sent and it's been more than 5 minutes, prevent cancellation
     if (alert.status === 'sent' && alert.sentAt) {
       const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
@@ -334,6 +1325,10 @@ const cancelAlert = async (req, res) => {
       cancelledAt: new Date()
     });
     
+    // Stop any notifications that are still waiting in the queue
+    await deliveryQueue.cancelPendingDeliveries(alert.id);
+    await escalationService.stopEscalations(alert.id, 'Alert cancelled');
+    
     // Notify connected clients via Socket.io
     req.io.emit('alertCancelled', {
       alertId: alert.id
@@ -342,7 +1337,7 @@ const cancelAlert = async (req, res) => {
     // Return success with updated alert
     res.json({
       success: true,
-      message: 'Alert cancelled successfully.',
+      message: alert.status === 'scheduled' ? 'Scheduled alert cancelled before it was sent.' : 'Alert cancelled successfully.',
       data: {
         alert: updatedAlert
       }
@@ -376,6 +1371,10 @@ const getAlertAnalytics = async (req, res) => {
     const cancelledAlerts = alerts.filter(alert => alert.status === 'cancelled').length;
     const failedAlerts = alerts.filter(alert => alert.status === 'failed').length;
     const pendingAlerts = alerts.filter(alert => alert.status === 'pending').length;
+    const expiredAlerts = alerts.filter(alert => alert.status === 'expired').length;
+    const resolvedAlerts = alerts.filter(alert => alert.status === 'resolved').length;
+    const pendingApprovalAlerts = alerts.filter(alert => alert.status === 'pending_approval').length;
+    const rejectedAlerts = alerts.filter(alert => alert.status === 'rejected').length;
     
     // Calculate delivery statistics
     const deliveryStats = alerts.reduce(
@@ -383,16 +1382,20 @@ const getAlertAnalytics = async (req, res) => {
         if (alert.deliveryStats) {
           stats.totalRecipients += alert.deliveryStats.total || 0;
           stats.sentNotifications += alert.deliveryStats.sent || 0;
+          stats.deliveredNotifications += alert.deliveryStats.delivered || 0;
           stats.failedNotifications += alert.deliveryStats.failed || 0;
           stats.pendingNotifications += alert.deliveryStats.pending || 0;
+          stats.smsSegments += alert.deliveryStats.smsSegments || 0;
         }
         return stats;
       },
       {
         totalRecipients: 0,
         sentNotifications: 0,
+        deliveredNotifications: 0,
         failedNotifications: 0,
-        pendingNotifications: 0
+        pendingNotifications: 0,
+        smsSegments: 0
       }
     );
     
@@ -431,7 +1434,11 @@ const getAlertAnalytics = async (req, res) => {
           sent: sentAlerts,
           cancelled: cancelledAlerts,
           failed: failedAlerts,
-          pending: pendingAlerts
+          pending: pendingAlerts,
+          expired: expiredAlerts,
+          resolved: resolvedAlerts,
+          pendingApproval: pendingApprovalAlerts,
+          rejected: rejectedAlerts
         },
         deliveryStats: {
           ...deliveryStats,
@@ -451,48 +1458,6 @@ const getAlertAnalytics = async (req, res) => {
   }
 };
 
-/**
- * Identify recipients based on targeting criteria
- * @param {Object} targeting - Targeting criteria
- * @returns {Array} Array of recipient users
- */
-const identifyRecipients = async (targeting) => {
-  const recipients = new Set();
-  
-  // Get all users
-  const allUsers = await userDB.getAll();
-  
-  // If targeting specific users, add them to recipients
-  if ((targeting.specific && Array.isArray(targeting.specific)) || 
-      (targeting.userIds && Array.isArray(targeting.userIds))) {
-    
-    // Support both 'specific' and 'userIds' for backward compatibility
-    const userIdList = targeting.userIds || targeting.specific;
-    
-    // Process user IDs in parallel
-    const userPromises = userIdList.map(async (userId) => {
-      const user = await userDB.findById(parseInt(userId));
-      if (user) {
-        recipients.add(user);
-      }
-    });
-    
-    await Promise.all(userPromises);
-  }
-  
-  // If targeting roles, add users with those roles to recipients
-  if (targeting.roles && Array.isArray(targeting.roles)) {
-    // Process each role separately for efficiency
-    for (const role of targeting.roles) {
-      const roleUsers = await userDB.getAllByRole(role);
-      roleUsers.forEach(user => recipients.add(user));
-    }
-  }
-  
-  // Convert Set to Array
-  return Array.from(recipients);
-};
-
 /**
  * Acknowledge an alert
  * @param {Object} req - Express request object
@@ -503,11 +1468,13 @@ const acknowledgeAlert = async (req, res) => {
   const userId = req.user.id;
   
   try {
-    // Get alert by ID
-    const alert = await alertDB.findById(parseInt(id));
+    const result = await acknowledgmentService.recordAcknowledgment(parseInt(id), userId, {
+      notes: req.body.notes || 'Acknowledged via API',
+      io: req.io
+    });
     
     // If alert not found, return not found
-    if (!alert) {
+    if (result.reason === 'not_found') {
       return res.status(404).json({
         success: false,
         message: 'Alert not found.'
@@ -515,39 +1482,26 @@ const acknowledgeAlert = async (req, res) => {
     }
     
     // Check if the alert is in a state that can be acknowledged
-    if (alert.status !== 'sent') {
+    if (result.reason === 'invalid_status') {
       return res.status(400).json({
         success: false,
-        message: `Alert cannot be acknowledged in '${alert.status}' status.`
+        message: `Alert cannot be acknowledged in '${result.alert.status}' status.`
       });
     }
     
-    // Check if already acknowledged
-    const existingAck = await alertDB.hasUserAcknowledged(parseInt(id), userId);
-    
     // If already acknowledged, return conflict
-    if (existingAck) {
+    if (result.reason === 'already_acknowledged') {
       return res.status(409).json({
         success: false,
         message: 'You have already acknowledged this alert.'
       });
     }
     
-    // Add acknowledgment to the alert
-    const acknowledgedAt = new Date();
-    const notes = req.body.notes || 'Acknowledged via API';
-    await alertDB.addAcknowledgment(parseInt(id), userId, notes);
+    const { acknowledgedAt } = result;
     
     // Get updated acknowledgment stats
     const acknowledgments = await alertDB.getAcknowledgments(parseInt(id));
     
-    // Notify connected clients via Socket.io
-    req.io.emit('alertAcknowledged', {
-      alertId: parseInt(id),
-      userId: userId,
-      timestamp: acknowledgedAt
-    });
-    
     // Return success with acknowledgment details
     res.json({
       success: true,
@@ -590,14 +1544,18 @@ const createPanicAlert = async (req, res) => {
       });
     }
     
-    // Set up panic alert data with pre-defined severity and channels
+    const sentAt = new Date();
+    
+    // Set up panic alert data with pre-defined severity and channels; panic alerts
+    // are sent straight away and never wait for approval
     const panicAlertData = {
       title: 'URGENT: Panic Alert',
       message: `Emergency panic alert triggered by ${user.username}. Immediate assistance required.`,
       severity: 'critical',
       status: 'sent',
       createdBy: userId,
-      sentAt: new Date(),
+      sentAt,
+      expiresAt: expirationService.getDefaultExpiresAt('critical', sentAt),
       channels: ['sms', 'push', 'email'],
       targeting: {
         roles: ['admin', 'operator'],
@@ -614,34 +1572,29 @@ const createPanicAlert = async (req, res) => {
     
     console.log('Creating panic alert:', panicAlertData);
     
-    // Create the alert directly in the database
-    const [newAlert] = await db.insert(alerts)
-      .values(panicAlertData)
-      .returning();
-    
     // Identify recipients based on targeting criteria
     const recipients = await identifyRecipients(panicAlertData.targeting);
     
-    // Send notifications with high priority
+    // Queue notifications with high priority
     const notificationOptions = {
       priority: 'high',
       ttl: 60 * 60, // 1 hour in seconds
-      sound: 'default'
+      sound: 'default',
+      ignoreQuietHours: true
     };
     
-    const notificationResults = await notificationService.sendAlertNotifications(
-      newAlert,
-      recipients,
-      notificationOptions
-    );
+    // Create the alert and queue its notifications in one transaction
+    const newAlert = await db.transaction(async (tx) => {
+      const [alert] = await tx.insert(alerts)
+        .values(panicAlertData)
+        .returning();
+      
+      await deliveryQueue.createAlertDeliveryJobs(alert, recipients, notificationOptions, tx);
+      
+      return alert;
+    });
     
-    // Update alert with delivery statistics
-    const stats = {
-      total: recipients.length,
-      sent: notificationResults.filter(r => r.success).length,
-      failed: notificationResults.filter(r => !r.success).length,
-      pending: 0
-    };
+    const stats = await deliveryQueue.refreshDeliveryStats(newAlert.id);
     
     // Broadcast to all connected clients
     req.io.emit('panicAlert', {
@@ -663,7 +1616,7 @@ const createPanicAlert = async (req, res) => {
     // Return success response
     return res.status(201).json({
       success: true,
-      message: 'Panic alert sent successfully.',
+      message: 'Panic alert queued for delivery.',
       data: {
         alert: newAlert,
         stats
@@ -683,9 +1636,22 @@ const createPanicAlert = async (req, res) => {
 
 module.exports = {
   createAlert,
+  previewRecipients,
   getAllAlerts,
+  getActiveAlerts,
+  getPendingApprovalAlerts,
+  approveAlert,
+  rejectAlert,
   getAlertById,
+  getAlertDeliveries,
+  getAlertEscalations,
+  stopAlertEscalations,
+  postAlertUpdate,
+  sendAllClear,
+  getAlertUpdates,
+  getAlertVersions,
   updateAlert,
+  rescheduleAlert,
   deleteAlert,
   cancelAlert,
   getAlertAnalytics,
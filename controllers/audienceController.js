@@ -0,0 +1,328 @@
+/**
+ * Audience controller for the emergency alert system
+ * Lets admins and operators save audiences defined by rules over user fields
+ * (such as every operator at site North with SMS enabled), which alerts can
+ * target and which are evaluated again each time an alert is sent
+ */
+const { audienceDB } = require('../services/databaseService');
+const audienceService = require('../services/audienceService');
+const { PRESENCE_OPERATORS } = require('../utils/audienceRules');
+const { validateAudienceData } = require('../utils/validators');
+
+/**
+ * Keep only the parts of each rule that are used
+ * @param {Array} rules - Validated rules
+ * @returns {Array} Rules to store
+ */
+const cleanRules = (rules) => {
+  return rules.map(({ field, operator, value }) =>
+    PRESENCE_OPERATORS.includes(operator) ? { field, operator } : { field, operator, value }
+  );
+};
+
+/**
+ * Describe an audience member without their credentials or settings
+ * @param {Object} user - User
+ * @returns {Object} Member details
+ */
+const toMember = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  site: user.site
+});
+
+/**
+ * Create a saved audience
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createAudience = async (req, res) => {
+  try {
+    const { name, description, rules } = req.body;
+    
+    const validation = validateAudienceData(req.body);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid audience data.',
+        errors: validation.errors
+      });
+    }
+    
+    const audience = await audienceDB.create({
+      name: name.trim(),
+      description: description || null,
+      rules: cleanRules(rules),
+      createdBy: req.user.id
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Audience created successfully.',
+      data: {
+        audience
+      }
+    });
+  } catch (error) {
+    console.error('Error creating audience:', error);
+    
+    // Audience names are unique
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: `An audience named "${req.body.name}" already exists.`
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create audience.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get all saved audiences
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllAudiences = async (req, res) => {
+  try {
+    const audiences = await audienceDB.getAll();
+    
+    res.json({
+      success: true,
+      data: {
+        audiences,
+        total: audiences.length
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving audiences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve audiences.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a saved audience
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAudienceById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const audience = await audienceDB.findById(parseInt(id));
+    
+    if (!audience) {
+      return res.status(404).json({
+        success: false,
+        message: `Audience with ID ${id} not found.`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        audience
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving audience:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve audience.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the users in a saved audience right now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAudienceMembers = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const audience = await audienceDB.findById(parseInt(id));
+    
+    if (!audience) {
+      return res.status(404).json({
+        success: false,
+        message: `Audience with ID ${id} not found.`
+      });
+    }
+    
+    const members = await audienceService.getRuleMembers(audience.rules);
+    
+    res.json({
+      success: true,
+      data: {
+        members: members.map(toMember),
+        total: members.length
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving audience members:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve audience members.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the users that rules would select, before saving them as an audience
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const previewAudience = async (req, res) => {
+  try {
+    const validation = validateAudienceData(req.body, true);
+    
+    if (!validation.isValid || req.body.rules === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid audience rules.',
+        errors: validation.isValid ? { rules: 'At least one rule is required' } : validation.errors
+      });
+    }
+    
+    const members = await audienceService.getRuleMembers(req.body.rules);
+    
+    res.json({
+      success: true,
+      data: {
+        members: members.map(toMember),
+        total: members.length
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing audience:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview audience.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a saved audience's name, description or rules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateAudience = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, rules } = req.body;
+    
+    const audience = await audienceDB.findById(parseInt(id));
+    
+    if (!audience) {
+      return res.status(404).json({
+        success: false,
+        message: `Audience with ID ${id} not found.`
+      });
+    }
+    
+    const validation = validateAudienceData(req.body, true);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid audience data.',
+        errors: validation.errors
+      });
+    }
+    
+    const updates = {};
+    
+    if (name !== undefined) {
+      updates.name = name.trim();
+    }
+    
+    if (description !== undefined) {
+      updates.description = description || null;
+    }
+    
+    if (rules !== undefined) {
+      updates.rules = cleanRules(rules);
+    }
+    
+    const updatedAudience = await audienceDB.update(audience.id, updates);
+    
+    res.json({
+      success: true,
+      message: 'Audience updated successfully.',
+      data: {
+        audience: updatedAudience
+      }
+    });
+  } catch (error) {
+    console.error('Error updating audience:', error);
+    
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: `An audience named "${req.body.name}" already exists.`
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update audience.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a saved audience; scheduled alerts that target it no longer reach its members
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteAudience = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await audienceDB.delete(parseInt(id));
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `Audience with ID ${id} not found.`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Audience deleted successfully.'
+    });
+  } catch (error) {
+    console.error('Error deleting audience:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete audience.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createAudience,
+  getAllAudiences,
+  getAudienceById,
+  getAudienceMembers,
+  previewAudience,
+  updateAudience,
+  deleteAudience
+};
@@ -7,6 +7,7 @@ const { eq } = require('drizzle-orm');
 const bcrypt = require('bcryptjs');
 const { generateToken } = require('../middleware/auth');
 const { isValidEmail, isValidPassword, validateUserData } = require('../utils/validators');
+const { getDefaultChannelPreferences } = require('../services/channels');
 
 /**
  * User login
@@ -147,6 +148,9 @@ const register = async (req, res) => {
     // By default, new users are subscribers
     userData.role = userData.role || 'subscriber';
     
+    // Start with the channels each provider enables by default
+    userData.channels = { ...getDefaultChannelPreferences(), ...userData.channels };
+    
     // Hash the password
     const hashedPassword = await bcrypt.hash(userData.password, 10);
     
@@ -0,0 +1,22 @@
+/**
+ * Channel controller for the emergency alert system
+ */
+const { listChannels } = require('../services/channels');
+
+/**
+ * Get the notification channels alerts can be sent over
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getChannels = (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      channels: listChannels()
+    }
+  });
+};
+
+module.exports = {
+  getChannels
+};
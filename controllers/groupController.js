@@ -0,0 +1,409 @@
+/**
+ * Group controller for the emergency alert system
+ * Lets admins organize users into groups (response teams, building wardens
+ * and so on) that alerts can target, and lets group owners manage members
+ */
+const { groupDB, groupMemberDB, userDB } = require('../services/databaseService');
+const groupService = require('../services/groupService');
+const { validateGroupData } = require('../utils/validators');
+
+const MEMBER_ROLES = ['member', 'owner'];
+
+/**
+ * Create a group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createGroup = async (req, res) => {
+  try {
+    const { name, description, parentId } = req.body;
+    
+    const validation = validateGroupData(req.body);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group data.',
+        errors: validation.errors
+      });
+    }
+    
+    if (parentId && !(await groupDB.findById(parentId))) {
+      return res.status(400).json({
+        success: false,
+        message: `Parent group with ID ${parentId} not found.`
+      });
+    }
+    
+    const group = await groupDB.create({
+      name: name.trim(),
+      description: description || null,
+      parentId: parentId || null,
+      createdBy: req.user.id
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully.',
+      data: {
+        group
+      }
+    });
+  } catch (error) {
+    console.error('Error creating group:', error);
+    
+    // Group names are unique
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: `A group named "${req.body.name}" already exists.`
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create group.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get all groups, or with userId the groups a user belongs to directly and their role in each
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllGroups = async (req, res) => {
+  try {
+    const groups = await groupDB.getAll();
+    
+    if (req.query.userId) {
+      const memberships = await groupMemberDB.getByUserId(parseInt(req.query.userId));
+      const roles = new Map(memberships.map(membership => [membership.groupId, membership.role]));
+      const userGroups = groups
+        .filter(group => roles.has(group.id))
+        .map(group => ({ ...group, memberRole: roles.get(group.id) }));
+      
+      return res.json({
+        success: true,
+        data: {
+          groups: userGroups,
+          total: userGroups.length
+        }
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        groups,
+        total: groups.length
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving groups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve groups.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a group with its members and subgroups
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getGroupById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const group = await groupDB.findById(parseInt(id));
+    
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: `Group with ID ${id} not found.`
+      });
+    }
+    
+    // Admins and operators can see every group; owners can see the groups they manage
+    if (req.user.role !== 'operator' && !(await groupService.canManageGroup(req.user, group.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view the groups you own.'
+      });
+    }
+    
+    const groups = await groupDB.getAll();
+    const members = await groupMemberDB.getByGroupId(group.id);
+    
+    res.json({
+      success: true,
+      data: {
+        group,
+        members,
+        subgroups: groups.filter(subgroup => subgroup.parentId === group.id),
+        // Everyone an alert to this group reaches, including the members of its subgroups
+        recipientCount: (await groupService.getMemberUserIds([group.id])).length
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve group.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a group's name, description or parent (moving it is for admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, parentId } = req.body;
+    
+    const group = await groupDB.findById(parseInt(id));
+    
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: `Group with ID ${id} not found.`
+      });
+    }
+    
+    if (!(await groupService.canManageGroup(req.user, group.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update the groups you own.'
+      });
+    }
+    
+    const validation = validateGroupData(req.body, true);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group data.',
+        errors: validation.errors
+      });
+    }
+    
+    const updates = {};
+    
+    if (name !== undefined) {
+      updates.name = name.trim();
+    }
+    
+    if (description !== undefined) {
+      updates.description = description || null;
+    }
+    
+    if (parentId !== undefined && parentId !== group.parentId) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins can move a group under another group.'
+        });
+      }
+      
+      const groups = await groupDB.getAll();
+      
+      if (parentId !== null && !groups.some(parent => parent.id === parentId)) {
+        return res.status(400).json({
+          success: false,
+          message: `Parent group with ID ${parentId} not found.`
+        });
+      }
+      
+      if (groupService.wouldCreateCycle(groups, group.id, parentId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A group cannot be nested inside itself or one of its subgroups.'
+        });
+      }
+      
+      updates.parentId = parentId;
+    }
+    
+    const updatedGroup = await groupDB.update(group.id, updates);
+    
+    res.json({
+      success: true,
+      message: 'Group updated successfully.',
+      data: {
+        group: updatedGroup
+      }
+    });
+  } catch (error) {
+    console.error('Error updating group:', error);
+    
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: `A group named "${req.body.name}" already exists.`
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update group.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a group; its subgroups move up to its parent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await groupDB.delete(parseInt(id));
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `Group with ID ${id} not found.`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Group deleted successfully.'
+    });
+  } catch (error) {
+    console.error('Error deleting group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete group.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Add a user to a group, or change their role in it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setGroupMember = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { role = 'member' } = req.body;
+    
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${MEMBER_ROLES.join(', ')}`
+      });
+    }
+    
+    const group = await groupDB.findById(parseInt(id));
+    
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: `Group with ID ${id} not found.`
+      });
+    }
+    
+    if (!(await groupService.canManageGroup(req.user, group.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage the members of the groups you own.'
+      });
+    }
+    
+    const member = await userDB.findById(parseInt(userId));
+    
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: `User with ID ${userId} not found.`
+      });
+    }
+    
+    const membership = await groupMemberDB.upsert(group.id, member.id, role, req.user.id);
+    
+    res.json({
+      success: true,
+      message: `${member.username} is now ${role === 'owner' ? 'an owner' : 'a member'} of ${group.name}.`,
+      data: {
+        membership
+      }
+    });
+  } catch (error) {
+    console.error('Error updating group member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update group member.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove a user from a group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removeGroupMember = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    
+    const group = await groupDB.findById(parseInt(id));
+    
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: `Group with ID ${id} not found.`
+      });
+    }
+    
+    if (!(await groupService.canManageGroup(req.user, group.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage the members of the groups you own.'
+      });
+    }
+    
+    const removed = await groupMemberDB.delete(group.id, parseInt(userId));
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: `User with ID ${userId} is not a member of this group.`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Member removed from the group.'
+    });
+  } catch (error) {
+    console.error('Error removing group member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove group member.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createGroup,
+  getAllGroups,
+  getGroupById,
+  updateGroup,
+  deleteGroup,
+  setGroupMember,
+  removeGroupMember
+};
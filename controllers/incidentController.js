@@ -1,8 +1,9 @@
 /**
  * Incident controller for the emergency alert system
  */
-const { incidentDB, alertDB, userDB } = require('../utils/database');
+const { incidentDB, alertDB } = require('../utils/database');
 const notificationService = require('../services/notificationService');
+const { identifyRecipients } = require('../services/recipientService');
 
 /**
  * Create a new incident
@@ -464,40 +465,6 @@ const deleteIncident = (req, res) => {
   }
 };
 
-/**
- * Identify recipients based on targeting criteria
- * @param {Object} targeting - Targeting criteria
- * @returns {Array} Array of recipient users
- */
-const identifyRecipients = async (targeting) => {
-  let recipients = [];
-  
-  // Target by roles
-  if (targeting.roles && Array.isArray(targeting.roles) && targeting.roles.length > 0) {
-    targeting.roles.forEach(role => {
-      const users = userDB.getAllByRole(role);
-      recipients = [...recipients, ...users];
-    });
-  }
-  
-  // Target specific users
-  if (targeting.specific && Array.isArray(targeting.specific) && targeting.specific.length > 0) {
-    targeting.specific.forEach(userId => {
-      const user = userDB.findById(parseInt(userId));
-      if (user && !recipients.find(r => r.id === user.id)) {
-        recipients.push(user.getSafeUser());
-      }
-    });
-  }
-  
-  // Remove duplicates
-  recipients = recipients.filter((recipient, index, self) => 
-    index === self.findIndex(r => r.id === recipient.id)
-  );
-  
-  return recipients;
-};
-
 module.exports = {
   createIncident,
   getAllIncidents,
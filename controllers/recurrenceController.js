@@ -0,0 +1,421 @@
+/**
+ * Recurrence controller for the emergency alert system
+ * Manages alerts that are sent from a template on a repeating schedule,
+ * such as the monthly siren test
+ */
+const { alertRecurrenceDB } = require('../services/databaseService');
+const recurrenceService = require('../services/recurrenceService');
+const templateService = require('../services/templateService');
+const { validateRecurrenceData } = require('../utils/validators');
+const { isOccurrence } = require('../utils/recurrence');
+
+// Fields of a recurrence that can be set through the API
+const EDITABLE_FIELDS = ['name', 'templateId', 'rrule', 'timezone', 'startsAt', 'endsAt', 'variables', 'targeting', 'isTest'];
+
+const MAX_LISTED_OCCURRENCES = 50;
+
+/**
+ * Check that a recurrence can send from a template
+ * @param {number} templateId - Template ID
+ * @param {Object} variables - Template variables the recurrence fills in
+ * @returns {Promise<string|null>} Error message, or null if the template can be used
+ */
+const checkTemplate = async (templateId, variables) => {
+  const template = await templateService.findTemplateById(parseInt(templateId));
+  
+  if (!template) {
+    return `Template with ID ${templateId} not found.`;
+  }
+  
+  if (!template.isActive) {
+    return 'The template is inactive.';
+  }
+  
+  const { missingVariables } = templateService.validateTemplate(template, variables || {});
+  
+  if (missingVariables.length > 0) {
+    return `Missing template variables: ${missingVariables.join(', ')}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Work out the next run time and status after a recurrence changes
+ * @param {Object} recurrence - Recurrence with its changes applied
+ * @returns {Object} { nextRunAt, status }
+ */
+const getSchedule = (recurrence) => {
+  const nextRunAt = recurrenceService.getNextRunAt(recurrence);
+  
+  if (recurrence.status === 'paused') {
+    return { nextRunAt, status: 'paused' };
+  }
+  
+  return { nextRunAt, status: nextRunAt ? 'active' : 'ended' };
+};
+
+/**
+ * Create a recurring alert
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createRecurrence = async (req, res) => {
+  try {
+    // Validate recurrence data
+    const validation = validateRecurrenceData(req.body);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recurrence data.',
+        errors: validation.errors
+      });
+    }
+    
+    const templateError = await checkTemplate(req.body.templateId, req.body.variables);
+    
+    if (templateError) {
+      return res.status(400).json({
+        success: false,
+        message: templateError
+      });
+    }
+    
+    const recurrenceData = {
+      name: req.body.name.trim(),
+      templateId: parseInt(req.body.templateId),
+      rrule: req.body.rrule.trim(),
+      timezone: req.body.timezone || 'UTC',
+      startsAt: new Date(req.body.startsAt),
+      endsAt: req.body.endsAt ? new Date(req.body.endsAt) : null,
+      variables: req.body.variables || {},
+      targeting: req.body.targeting || { roles: ['subscriber'], specific: [] },
+      isTest: req.body.isTest || false,
+      skippedOccurrences: [],
+      createdBy: req.user.id
+    };
+    
+    const schedule = getSchedule(recurrenceData);
+    
+    if (!schedule.nextRunAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'The recurrence has no upcoming occurrences.'
+      });
+    }
+    
+    const recurrence = await alertRecurrenceDB.create({ ...recurrenceData, ...schedule });
+    
+    // Return success with the recurrence and when it will next send
+    res.status(201).json({
+      success: true,
+      message: `Recurring alert created; it next sends at ${recurrence.nextRunAt.toISOString()}.`,
+      data: {
+        recurrence,
+        occurrences: recurrenceService.getUpcomingOccurrences(recurrence)
+      }
+    });
+  } catch (error) {
+    console.error('Error creating recurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create recurring alert.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get all recurring alerts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllRecurrences = async (req, res) => {
+  try {
+    const recurrences = await alertRecurrenceDB.getAll();
+    
+    res.json({
+      success: true,
+      data: {
+        recurrences
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving recurrences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve recurring alerts.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a recurring alert with its upcoming occurrences
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRecurrenceById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const count = Math.min(parseInt(req.query.count) || 10, MAX_LISTED_OCCURRENCES);
+    
+    const recurrence = await alertRecurrenceDB.findById(parseInt(id));
+    
+    if (!recurrence) {
+      return res.status(404).json({
+        success: false,
+        message: `Recurring alert with ID ${id} not found.`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        recurrence,
+        occurrences: recurrenceService.getUpcomingOccurrences(recurrence, count)
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving recurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve recurring alert.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a recurring alert
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateRecurrence = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const recurrence = await alertRecurrenceDB.findById(parseInt(id));
+    
+    if (!recurrence) {
+      return res.status(404).json({
+        success: false,
+        message: `Recurring alert with ID ${id} not found.`
+      });
+    }
+    
+    const updates = {};
+    
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    
+    // Validate the changes against the fields they are combined with
+    const validation = validateRecurrenceData({
+      ...updates,
+      startsAt: updates.startsAt !== undefined ? updates.startsAt : recurrence.startsAt,
+      endsAt: updates.endsAt !== undefined ? updates.endsAt : recurrence.endsAt
+    }, true);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recurrence data.',
+        errors: validation.errors
+      });
+    }
+    
+    if (updates.templateId !== undefined || updates.variables !== undefined) {
+      const templateError = await checkTemplate(
+        updates.templateId !== undefined ? updates.templateId : recurrence.templateId,
+        updates.variables !== undefined ? updates.variables : recurrence.variables
+      );
+      
+      if (templateError) {
+        return res.status(400).json({
+          success: false,
+          message: templateError
+        });
+      }
+    }
+    
+    if (updates.startsAt !== undefined) updates.startsAt = new Date(updates.startsAt);
+    if (updates.endsAt !== undefined) updates.endsAt = updates.endsAt ? new Date(updates.endsAt) : null;
+    if (updates.templateId !== undefined) updates.templateId = parseInt(updates.templateId);
+    
+    const updated = { ...recurrence, ...updates };
+    const updatedRecurrence = await alertRecurrenceDB.update(recurrence.id, {
+      ...updates,
+      ...getSchedule(updated),
+      skippedOccurrences: recurrenceService.pruneSkipped(recurrence.skippedOccurrences)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Recurring alert updated successfully.',
+      data: {
+        recurrence: updatedRecurrence,
+        occurrences: recurrenceService.getUpcomingOccurrences(updatedRecurrence)
+      }
+    });
+  } catch (error) {
+    console.error('Error updating recurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update recurring alert.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Pause or resume a recurring alert
+ * @param {boolean} paused - True to pause, false to resume
+ * @returns {Function} Express handler
+ */
+const setPaused = (paused) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const recurrence = await alertRecurrenceDB.findById(parseInt(id));
+    
+    if (!recurrence) {
+      return res.status(404).json({
+        success: false,
+        message: `Recurring alert with ID ${id} not found.`
+      });
+    }
+    
+    if (recurrence.status === 'ended') {
+      return res.status(400).json({
+        success: false,
+        message: 'The recurring alert has no occurrences left.'
+      });
+    }
+    
+    // Resuming picks up from the next occurrence; ones that fell due while paused are not sent
+    const updatedRecurrence = await alertRecurrenceDB.update(recurrence.id, getSchedule({
+      ...recurrence,
+      status: paused ? 'paused' : 'active'
+    }));
+    
+    res.json({
+      success: true,
+      message: paused ? 'Recurring alert paused.' : 'Recurring alert resumed.',
+      data: {
+        recurrence: updatedRecurrence
+      }
+    });
+  } catch (error) {
+    console.error(`Error ${paused ? 'pausing' : 'resuming'} recurrence:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${paused ? 'pause' : 'resume'} recurring alert.`,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Skip or restore one occurrence of a recurring alert
+ * @param {boolean} skip - True to skip the occurrence, false to restore it
+ * @returns {Function} Express handler
+ */
+const setOccurrenceSkipped = (skip) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { occursAt } = req.body;
+    
+    const recurrence = await alertRecurrenceDB.findById(parseInt(id));
+    
+    if (!recurrence) {
+      return res.status(404).json({
+        success: false,
+        message: `Recurring alert with ID ${id} not found.`
+      });
+    }
+    
+    if (!isOccurrence(recurrence, occursAt) || new Date(occursAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'occursAt must be the time of an upcoming occurrence.'
+      });
+    }
+    
+    const occurrence = new Date(occursAt).toISOString();
+    const skippedOccurrences = recurrenceService.pruneSkipped(recurrence.skippedOccurrences)
+      .filter(skipped => skipped !== occurrence);
+    
+    if (skip) {
+      skippedOccurrences.push(occurrence);
+    }
+    
+    const updatedRecurrence = await alertRecurrenceDB.update(recurrence.id, {
+      skippedOccurrences,
+      ...getSchedule({ ...recurrence, skippedOccurrences })
+    });
+    
+    res.json({
+      success: true,
+      message: skip ? `Occurrence at ${occurrence} will be skipped.` : `Occurrence at ${occurrence} will be sent.`,
+      data: {
+        recurrence: updatedRecurrence,
+        occurrences: recurrenceService.getUpcomingOccurrences(updatedRecurrence)
+      }
+    });
+  } catch (error) {
+    console.error('Error updating skipped occurrences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update the occurrence.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a recurring alert; alerts it already sent are kept
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteRecurrence = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const deleted = await alertRecurrenceDB.delete(parseInt(id));
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `Recurring alert with ID ${id} not found.`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Recurring alert deleted successfully.'
+    });
+  } catch (error) {
+    console.error('Error deleting recurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete recurring alert.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createRecurrence,
+  getAllRecurrences,
+  getRecurrenceById,
+  updateRecurrence,
+  pauseRecurrence: setPaused(true),
+  resumeRecurrence: setPaused(false),
+  skipOccurrence: setOccurrenceSkipped(true),
+  restoreOccurrence: setOccurrenceSkipped(false),
+  deleteRecurrence
+};
@@ -0,0 +1,123 @@
+/**
+ * SMS controller for the emergency alert system
+ * Handles replies recipients send to SMS alerts (Twilio inbound message webhook)
+ */
+const { MessagingResponse } = require('twilio').twiml;
+const { userDB, alertDeliveryDB } = require('../services/databaseService');
+const acknowledgmentService = require('../services/acknowledgmentService');
+
+// Reply keywords (first word of the message) and the action each one triggers
+const KEYWORD_ACTIONS = {
+  ACK: 'acknowledge',
+  OK: 'acknowledge',
+  YES: 'acknowledge',
+  SAFE: 'safe',
+  HELP: 'help',
+  INFO: 'help',
+  STOP: 'stop',
+  STOPALL: 'stop',
+  UNSUBSCRIBE: 'stop',
+  CANCEL: 'stop',
+  END: 'stop',
+  QUIT: 'stop'
+};
+
+const HELP_MESSAGE = 'Emergency alerts: reply ACK to acknowledge the latest alert, SAFE to report that you are safe, or STOP to stop SMS alerts. If you are in danger, contact your local emergency services.';
+
+/**
+ * Work out which action a reply asks for
+ * @param {string} body - Text of the reply
+ * @returns {Object} { keyword, action } where action is null for unrecognised replies
+ */
+const parseKeyword = (body) => {
+  const keyword = (body || '').trim().split(/\s+/)[0].replace(/[^a-z]/gi, '').toUpperCase();
+  
+  return { keyword, action: KEYWORD_ACTIONS[keyword] || null };
+};
+
+/**
+ * Acknowledge the latest alert the user was texted about
+ * @param {Object} user - Replying user
+ * @param {string} keyword - Keyword the user replied with
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<string>} Reply text
+ */
+const acknowledgeLatestAlert = async (user, keyword, io) => {
+  const alert = await alertDeliveryDB.findLatestUnacknowledgedAlert(user.id, 'sms');
+  
+  if (!alert) {
+    return 'You have no alerts waiting to be acknowledged.';
+  }
+  
+  const reportedSafe = KEYWORD_ACTIONS[keyword] === 'safe';
+  const result = await acknowledgmentService.recordAcknowledgment(alert.id, user.id, {
+    notes: reportedSafe ? 'Reported safe by SMS reply' : `Acknowledged by SMS reply (${keyword})`,
+    io
+  });
+  
+  console.log(`[SMS] User ${user.id} replied ${keyword} to alert ${alert.id}: ${result.success ? 'acknowledged' : result.reason}`);
+  
+  if (!result.success && result.reason !== 'already_acknowledged') {
+    return `Alert "${alert.title}" can no longer be acknowledged.`;
+  }
+  
+  return reportedSafe
+    ? `Thank you. We have recorded that you are safe (alert "${alert.title}").`
+    : `Thank you. Your acknowledgment of alert "${alert.title}" has been recorded.`;
+};
+
+/**
+ * Turn off SMS alerts for the user
+ * @param {Object} user - Replying user
+ * @returns {Promise<string>} Reply text
+ */
+const unsubscribeFromSms = async (user) => {
+  await userDB.update(user.id, {
+    channels: { ...(user.channels || {}), sms: false }
+  });
+  
+  console.log(`[SMS] User ${user.id} opted out of SMS alerts`);
+  
+  return 'You will no longer receive emergency alerts by SMS. You can turn them back on in your notification settings.';
+};
+
+/**
+ * Handle an SMS reply from a recipient
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleInbound = async (req, res) => {
+  const { From, Body } = req.body;
+  const { keyword, action } = parseKeyword(Body);
+  
+  let reply;
+  
+  try {
+    const user = From ? await userDB.findByPhoneNumber(From) : null;
+    
+    if (!user) {
+      console.warn(`[SMS] Reply from unknown number ${From}`);
+      reply = 'This number is not registered to receive emergency alerts.';
+    } else if (action === 'acknowledge' || action === 'safe') {
+      reply = await acknowledgeLatestAlert(user, keyword, req.io);
+    } else if (action === 'stop') {
+      reply = await unsubscribeFromSms(user);
+    } else {
+      console.log(`[SMS] User ${user.id} replied ${keyword || '(empty)'}`);
+      reply = HELP_MESSAGE;
+    }
+  } catch (error) {
+    console.error('[SMS] Error handling SMS reply:', error);
+    reply = 'Sorry, we could not process your reply. Please try again.';
+  }
+  
+  // Twilio sends the TwiML <Message> back to the recipient as the reply
+  const response = new MessagingResponse();
+  response.message(reply);
+  
+  res.type('text/xml').send(response.toString());
+};
+
+module.exports = {
+  handleInbound
+};
@@ -0,0 +1,59 @@
+/**
+ * Status callback controller for the emergency alert system
+ * Receives delivery reports from Twilio and SendGrid after they accept a message
+ */
+const deliveryStatusService = require('../services/deliveryStatusService');
+
+/**
+ * Apply a status callback for a channel and acknowledge it to the provider
+ * @param {string} channel - Channel the callback reports on
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleChannelStatus = async (channel, req, res) => {
+  try {
+    const summary = await deliveryStatusService.handleStatusCallback(channel, req.body, req.io);
+    
+    if (summary.unmatched > 0) {
+      console.warn(`[STATUS] ${summary.unmatched} ${channel} status update(s) did not match a delivery`);
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    console.error(`[STATUS] Error handling ${channel} status callback:`, error);
+    
+    // A 5xx makes SendGrid retry the batch later
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process status callback.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Handle a Twilio message status callback
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleSmsStatus = (req, res) => handleChannelStatus('sms', req, res);
+
+/**
+ * Handle a Twilio call status callback
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleVoiceStatus = (req, res) => handleChannelStatus('voice', req, res);
+
+/**
+ * Handle a batch of SendGrid event webhook events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleEmailEvents = (req, res) => handleChannelStatus('email', req, res);
+
+module.exports = {
+  handleSmsStatus,
+  handleVoiceStatus,
+  handleEmailEvents
+};
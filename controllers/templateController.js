@@ -5,6 +5,7 @@
 const { db } = require('../db');
 const { notificationTemplates, users } = require('../shared/schema');
 const { eq, and, ilike, desc } = require('drizzle-orm');
+const { validateEscalationPolicy } = require('../utils/validators');
 
 /**
  * Create a new notification template
@@ -21,6 +22,17 @@ exports.createTemplate = async (req, res) => {
       createdBy: userId
     };
     
+    if (templateData.escalationPolicy) {
+      const policyValidation = validateEscalationPolicy(templateData.escalationPolicy, templateData.severity || 'medium');
+      
+      if (!policyValidation.isValid) {
+        return res.status(400).json({
+          message: 'Invalid escalation policy',
+          errors: policyValidation.errors
+        });
+      }
+    }
+    
     // Insert the template into the database
     const [template] = await db.insert(notificationTemplates)
       .values(templateData)
@@ -104,6 +116,7 @@ exports.getAllTemplates = async (req, res) => {
       translations: notificationTemplates.translations,
       channels: notificationTemplates.channels,
       severity: notificationTemplates.severity,
+      escalationPolicy: notificationTemplates.escalationPolicy,
       createdBy: notificationTemplates.createdBy,
       createdAt: notificationTemplates.createdAt,
       updatedAt: notificationTemplates.updatedAt,
@@ -163,6 +176,7 @@ exports.getTemplateById = async (req, res) => {
       translations: notificationTemplates.translations,
       channels: notificationTemplates.channels,
       severity: notificationTemplates.severity,
+      escalationPolicy: notificationTemplates.escalationPolicy,
       createdBy: notificationTemplates.createdBy,
       createdAt: notificationTemplates.createdAt,
       updatedAt: notificationTemplates.updatedAt,
@@ -206,6 +220,17 @@ exports.updateTemplate = async (req, res) => {
       return res.status(404).json({ message: 'Template not found' });
     }
     
+    if (updates.escalationPolicy) {
+      const policyValidation = validateEscalationPolicy(updates.escalationPolicy, updates.severity || existingTemplate.severity);
+      
+      if (!policyValidation.isValid) {
+        return res.status(400).json({
+          message: 'Invalid escalation policy',
+          errors: policyValidation.errors
+        });
+      }
+    }
+    
     // Update the template
     const [updatedTemplate] = await db.update(notificationTemplates)
       .set({
@@ -283,7 +308,7 @@ exports.deleteTemplate = async (req, res) => {
 exports.applyTemplate = async (req, res) => {
   try {
     const { id } = req.params;
-    const { variables, targeting } = req.body;
+    const { variables, targeting, category, escalationPolicy, scheduledFor, expiresAt, allowDuplicate } = req.body;
     
     // Get the template
     const [template] = await db.select()
@@ -312,10 +337,17 @@ exports.applyTemplate = async (req, res) => {
       title,
       message,
       severity: template.severity,
+      // Only subscribers to the template's category receive the alert unless the request picks another
+      category: category !== undefined ? category : template.category,
       createdBy: req.user.id,
       channels: template.channels,
-      status: 'draft',
-      targeting: targeting || { all: true }
+      status: scheduledFor ? 'scheduled' : 'draft',
+      scheduledFor,
+      expiresAt,
+      targeting: targeting || { all: true },
+      // The template's escalation policy applies unless the request replaces (or clears) it
+      escalationPolicy: escalationPolicy !== undefined ? escalationPolicy : template.escalationPolicy,
+      allowDuplicate
     };
     
     // Save a reference to the response object to pass to the alert controller
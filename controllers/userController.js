@@ -2,7 +2,9 @@
  * User controller for the emergency alert system
  */
 const { userDB, subscriptionDB } = require('../utils/database');
-const { validateUserData } = require('../utils/validators');
+const databaseService = require('../services/databaseService');
+const { validateUserData, validateChannelPreferences, validateChannelPriority, validateQuietHours, validateLocation, validateUserAttributes } = require('../utils/validators');
+const { MANDATORY_CATEGORIES, withMandatoryCategories } = require('../utils/categories');
 
 /**
  * Get all users
@@ -227,137 +229,327 @@ const deleteUser = (req, res) => {
 };
 
 /**
- * Update user notification preferences
+ * Update user notification preferences: the channels alerts are sent on, the
+ * order they are tried in and the quiet hours during which low and medium
+ * alerts are held back. These are stored with the user record the delivery queue reads.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const updateNotificationPreferences = (req, res) => {
+const updateNotificationPreferences = async (req, res) => {
   const { id } = req.params;
-  const { channels } = req.body;
+  const { channels, channelPriority, quietHours } = req.body;
   
-  // Find user
-  const user = userDB.findById(parseInt(id));
-  
-  // If user not found, return not found
-  if (!user) {
-    return res.status(404).json({
+  if (channels === undefined && channelPriority === undefined && quietHours === undefined) {
+    return res.status(400).json({
       success: false,
-      message: `User with ID ${id} not found.`
+      message: 'Provide at least one of channels, channelPriority and quietHours.'
     });
   }
   
-  // Validate channels
-  if (!channels || typeof channels !== 'object') {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid channels data. Expected an object.'
-    });
+  // Validate channels against the registered channel providers
+  if (channels !== undefined) {
+    const validation = validateChannelPreferences(channels);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.errors.channels,
+        errors: validation.errors
+      });
+    }
   }
   
-  // Update user's notification channels
-  const updatedUser = userDB.update(parseInt(id), { channels });
+  // Channel priority lists channel names, most preferred first, or null for the default order
+  if (channelPriority !== undefined) {
+    const channelPriorityError = validateChannelPriority(channelPriority);
+    
+    if (channelPriorityError) {
+      return res.status(400).json({
+        success: false,
+        message: channelPriorityError,
+        errors: { channelPriority: channelPriorityError }
+      });
+    }
+  }
   
-  // Return success with updated user
-  res.json({
-    success: true,
-    message: 'Notification preferences updated successfully.',
-    data: {
-      user: updatedUser.getSafeUser()
+  // Quiet hours are { start, end, timezone }, or null to turn them off
+  if (quietHours !== undefined) {
+    const quietHoursError = validateQuietHours(quietHours);
+    
+    if (quietHoursError) {
+      return res.status(400).json({
+        success: false,
+        message: quietHoursError,
+        errors: { quietHours: quietHoursError }
+      });
     }
-  });
+  }
+  
+  try {
+    // Find user
+    const user = await databaseService.userDB.findById(parseInt(id));
+    
+    // If user not found, return not found
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User with ID ${id} not found.`
+      });
+    }
+    
+    const updates = {};
+    
+    if (channels !== undefined) {
+      updates.channels = channels;
+    }
+    
+    if (channelPriority !== undefined) {
+      updates.channelPriority = channelPriority;
+    }
+    
+    if (quietHours !== undefined) {
+      updates.quietHours = quietHours && {
+        start: quietHours.start,
+        end: quietHours.end,
+        timezone: quietHours.timezone
+      };
+    }
+    
+    const updatedUser = await databaseService.userDB.update(user.id, updates);
+    const { password: _, ...safeUser } = updatedUser;
+    
+    // Return success with updated user
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully.',
+      data: {
+        user: safeUser
+      }
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while updating notification preferences.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
 };
 
 /**
- * Get user subscription
+ * Get the site and custom attributes saved audiences filter a user on
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const getUserSubscription = (req, res) => {
+const getUserAttributes = async (req, res) => {
   const { id } = req.params;
   
-  // Find user
-  const user = userDB.findById(parseInt(id));
+  try {
+    const user = await databaseService.userDB.findById(parseInt(id));
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User with ID ${id} not found.`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        site: user.site,
+        attributes: user.attributes
+      }
+    });
+  } catch (error) {
+    console.error('Error getting user attributes:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user attributes.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a user's site and custom attributes; attributes replace the existing ones
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateUserAttributes = async (req, res) => {
+  const { id } = req.params;
+  const { site, attributes } = req.body;
   
-  // If user not found, return not found
-  if (!user) {
-    return res.status(404).json({
+  if (site === undefined && attributes === undefined) {
+    return res.status(400).json({
       success: false,
-      message: `User with ID ${id} not found.`
+      message: 'Provide at least one of site and attributes.'
     });
   }
   
-  // Get user's subscription
-  const subscription = subscriptionDB.findByUserId(parseInt(id));
+  const attributesError = validateUserAttributes(req.body);
   
-  // If subscription not found, return not found
-  if (!subscription) {
-    return res.status(404).json({
+  if (attributesError) {
+    return res.status(400).json({
       success: false,
-      message: `Subscription for user with ID ${id} not found.`
+      message: attributesError
     });
   }
   
-  // Return success with subscription
-  res.json({
-    success: true,
-    data: {
-      subscription
+  try {
+    const updates = {};
+    
+    if (site !== undefined) {
+      updates.site = site ? site.trim() : null;
     }
-  });
+    
+    if (attributes !== undefined) {
+      updates.attributes = attributes;
+    }
+    
+    const user = await databaseService.userDB.update(parseInt(id), updates);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User with ID ${id} not found.`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Attributes updated successfully.',
+      data: {
+        site: user.site,
+        attributes: user.attributes
+      }
+    });
+  } catch (error) {
+    console.error('Error updating user attributes:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user attributes.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
 };
 
 /**
- * Update user subscription
+ * Get user subscription
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const updateUserSubscription = (req, res) => {
+const getUserSubscription = async (req, res) => {
   const { id } = req.params;
-  const { categories, active } = req.body;
   
-  // Find user
-  const user = userDB.findById(parseInt(id));
-  
-  // If user not found, return not found
-  if (!user) {
-    return res.status(404).json({
+  try {
+    const user = await databaseService.userDB.findById(parseInt(id));
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User with ID ${id} not found.`
+      });
+    }
+    
+    // Users without a subscription receive every category
+    const subscription = await databaseService.subscriptionDB.findByUserId(user.id);
+    
+    res.json({
+      success: true,
+      data: {
+        subscription,
+        mandatoryCategories: MANDATORY_CATEGORIES
+      }
+    });
+  } catch (error) {
+    console.error('Error getting user subscription:', error);
+    
+    res.status(500).json({
       success: false,
-      message: `User with ID ${id} not found.`
+      message: 'Failed to get user subscription.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
+};
+
+/**
+ * Update the alert categories a user subscribes to; mandatory categories are always kept
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateUserSubscription = async (req, res) => {
+  const { id } = req.params;
+  const { categories, active } = req.body;
   
-  // Get user's subscription
-  let subscription = subscriptionDB.findByUserId(parseInt(id));
+  if (categories !== undefined &&
+      (!Array.isArray(categories) || !categories.every(category => typeof category === 'string' && category.trim() !== '' && category.length <= 50))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Categories must be a list of category names of at most 50 characters.'
+    });
+  }
   
-  // If subscription not found, create it
-  if (!subscription) {
-    subscription = subscriptionDB.create({
-      userId: parseInt(id),
-      categories: categories || []
+  if (active !== undefined && typeof active !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'Active must be true or false.'
     });
-  } else {
-    // Update subscription
-    const updates = {};
+  }
+  
+  try {
+    const user = await databaseService.userDB.findById(parseInt(id));
     
-    if (categories !== undefined) {
-      updates.categories = categories;
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User with ID ${id} not found.`
+      });
     }
     
-    if (active !== undefined) {
-      updates.active = active;
+    let subscription = await databaseService.subscriptionDB.findByUserId(user.id);
+    
+    // If subscription not found, create it
+    if (!subscription) {
+      subscription = await databaseService.subscriptionDB.create({
+        userId: user.id,
+        categories: withMandatoryCategories(categories || []),
+        active: active !== undefined ? active : true
+      });
+    } else {
+      const updates = {};
+      
+      if (categories !== undefined) {
+        updates.categories = withMandatoryCategories(categories);
+      }
+      
+      if (active !== undefined) {
+        updates.active = active;
+      }
+      
+      subscription = await databaseService.subscriptionDB.update(subscription.id, updates);
     }
     
-    subscription = subscriptionDB.update(subscription.id, updates);
+    res.json({
+      success: true,
+      message: 'Subscription updated successfully.',
+      data: {
+        subscription,
+        mandatoryCategories: MANDATORY_CATEGORIES
+      }
+    });
+  } catch (error) {
+    console.error('Error updating user subscription:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user subscription.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
-  
-  // Return success with updated subscription
-  res.json({
-    success: true,
-    message: 'Subscription updated successfully.',
-    data: {
-      subscription
-    }
-  });
 };
 
 /**
@@ -447,6 +639,159 @@ const registerPushToken = async (req, res) => {
   }
 };
 
+/**
+ * Get a user's registered home and work locations and last reported device location
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUserLocations = async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const user = await databaseService.userDB.findById(parseInt(id));
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User with ID ${id} not found.`
+      });
+    }
+    
+    const locations = await databaseService.userLocationDB.getByUserId(user.id);
+    
+    res.json({
+      success: true,
+      data: {
+        locations
+      }
+    });
+  } catch (error) {
+    console.error('Error getting user locations:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user locations.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Register a user's home and work locations, used to target alerts at an area
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateUserLocations = async (req, res) => {
+  const { id } = req.params;
+  
+  // Each of home and work is { latitude, longitude, label }, null to remove it, or left out to keep it
+  const changes = ['home', 'work'].filter(kind => req.body[kind] !== undefined);
+  
+  if (changes.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide at least one of home and work.'
+    });
+  }
+  
+  for (const kind of changes) {
+    const locationError = req.body[kind] === null ? null : validateLocation(req.body[kind]);
+    
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError,
+        errors: { [kind]: locationError }
+      });
+    }
+  }
+  
+  try {
+    const user = await databaseService.userDB.findById(parseInt(id));
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User with ID ${id} not found.`
+      });
+    }
+    
+    for (const kind of changes) {
+      if (req.body[kind] === null) {
+        await databaseService.userLocationDB.delete(user.id, kind);
+      } else {
+        await databaseService.userLocationDB.upsert(user.id, kind, req.body[kind]);
+      }
+    }
+    
+    const locations = await databaseService.userLocationDB.getByUserId(user.id);
+    
+    res.json({
+      success: true,
+      message: 'Locations updated successfully.',
+      data: {
+        locations
+      }
+    });
+  } catch (error) {
+    console.error('Error updating user locations:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user locations.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record the last known location of a user's mobile device
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reportDeviceLocation = async (req, res) => {
+  const { id } = req.params;
+  const { latitude, longitude, accuracy } = req.body;
+  
+  const locationError = validateLocation({ latitude, longitude, accuracy });
+  
+  if (locationError) {
+    return res.status(400).json({
+      success: false,
+      message: locationError
+    });
+  }
+  
+  try {
+    const user = await databaseService.userDB.findById(parseInt(id));
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User with ID ${id} not found.`
+      });
+    }
+    
+    const location = await databaseService.userLocationDB.upsert(user.id, 'device', { latitude, longitude, accuracy });
+    
+    res.json({
+      success: true,
+      message: 'Device location recorded.',
+      data: {
+        location
+      }
+    });
+  } catch (error) {
+    console.error('Error recording device location:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record device location.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getAllUsers,
   getUserById,
@@ -454,6 +799,11 @@ module.exports = {
   updateUser,
   deleteUser,
   updateNotificationPreferences,
+  getUserLocations,
+  updateUserLocations,
+  reportDeviceLocation,
+  getUserAttributes,
+  updateUserAttributes,
   getUserSubscription,
   updateUserSubscription,
   registerPushToken
@@ -0,0 +1,44 @@
+/**
+ * Voice controller for the emergency alert system
+ * Handles Twilio callbacks from alert phone calls
+ */
+const voiceChannel = require('../services/channels/voiceChannel');
+const acknowledgmentService = require('../services/acknowledgmentService');
+
+/**
+ * Handle the keypress collected during an alert call
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleGather = async (req, res) => {
+  const alertId = parseInt(req.query.alertId);
+  const userId = parseInt(req.query.userId);
+  const { Digits } = req.body;
+  
+  let acknowledged = false;
+  
+  try {
+    if (Digits === voiceChannel.ACKNOWLEDGE_DIGIT && alertId && userId) {
+      const result = await acknowledgmentService.recordAcknowledgment(alertId, userId, {
+        notes: 'Acknowledged by phone keypress',
+        io: req.io
+      });
+      
+      // Pressing 1 again on a later call still counts as acknowledged
+      acknowledged = result.success || result.reason === 'already_acknowledged';
+      
+      console.log(`[VOICE] User ${userId} pressed ${Digits} for alert ${alertId}: ${result.success ? 'acknowledged' : result.reason}`);
+    } else {
+      console.log(`[VOICE] User ${userId} pressed ${Digits || 'nothing'} for alert ${alertId}`);
+    }
+  } catch (error) {
+    console.error('[VOICE] Error recording phone acknowledgment:', error);
+  }
+  
+  // Twilio expects TwiML back, even when something went wrong
+  res.type('text/xml').send(voiceChannel.buildGatherResponseTwiml(acknowledged));
+};
+
+module.exports = {
+  handleGather
+};
@@ -0,0 +1,318 @@
+/**
+ * Webhook controller for the emergency alert system
+ * Lets admins manage the endpoints that receive alerts over the webhook channel
+ */
+const { webhookEndpointDB, webhookDeliveryDB } = require('../services/databaseService');
+const webhookChannel = require('../services/channels/webhookChannel');
+const { validateWebhookEndpointData } = require('../utils/validators');
+
+/**
+ * Remove the signing secret from an endpoint before returning it
+ * @param {Object} endpoint - Webhook endpoint
+ * @returns {Object} Endpoint without its secret
+ */
+const getSafeEndpoint = (endpoint) => {
+  const { secret, ...safeEndpoint } = endpoint;
+  return safeEndpoint;
+};
+
+/**
+ * Register a new webhook endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createEndpoint = async (req, res) => {
+  try {
+    const { name, url, description, secret, active } = req.body;
+    
+    // Validate endpoint data
+    const validation = validateWebhookEndpointData(req.body);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook endpoint data.',
+        errors: validation.errors
+      });
+    }
+    
+    const endpoint = await webhookEndpointDB.create({
+      name: name.trim(),
+      url,
+      description,
+      // Generate a secret unless the receiving system needs a specific one
+      secret: secret || webhookChannel.generateSecret(),
+      active: active !== undefined ? active : true,
+      createdBy: req.user.id
+    });
+    
+    // The secret is only returned when it is created or rotated
+    res.status(201).json({
+      success: true,
+      message: 'Webhook endpoint created successfully. Store the secret now; it will not be shown again.',
+      data: {
+        endpoint: getSafeEndpoint(endpoint),
+        secret: endpoint.secret
+      }
+    });
+  } catch (error) {
+    console.error('Error creating webhook endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create webhook endpoint.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get all webhook endpoints
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllEndpoints = async (req, res) => {
+  try {
+    const endpoints = await webhookEndpointDB.getAll();
+    
+    res.json({
+      success: true,
+      data: {
+        endpoints: endpoints.map(getSafeEndpoint),
+        total: endpoints.length
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving webhook endpoints:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve webhook endpoints.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a webhook endpoint by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getEndpointById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const endpoint = await webhookEndpointDB.findById(parseInt(id));
+    
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: `Webhook endpoint with ID ${id} not found.`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        endpoint: getSafeEndpoint(endpoint)
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving webhook endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve webhook endpoint.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a webhook endpoint, optionally rotating its secret
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateEndpoint = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, url, description, secret, active, rotateSecret } = req.body;
+    
+    const endpoint = await webhookEndpointDB.findById(parseInt(id));
+    
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: `Webhook endpoint with ID ${id} not found.`
+      });
+    }
+    
+    const validation = validateWebhookEndpointData(req.body, true);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook endpoint data.',
+        errors: validation.errors
+      });
+    }
+    
+    const updates = {};
+    
+    if (name !== undefined) updates.name = name.trim();
+    if (url !== undefined) updates.url = url;
+    if (description !== undefined) updates.description = description;
+    if (active !== undefined) updates.active = active;
+    
+    if (secret !== undefined) {
+      updates.secret = secret;
+    } else if (rotateSecret) {
+      updates.secret = webhookChannel.generateSecret();
+    }
+    
+    const updatedEndpoint = await webhookEndpointDB.update(endpoint.id, updates);
+    
+    res.json({
+      success: true,
+      message: 'Webhook endpoint updated successfully.',
+      data: {
+        endpoint: getSafeEndpoint(updatedEndpoint),
+        // Only included when the secret changed
+        secret: updates.secret
+      }
+    });
+  } catch (error) {
+    console.error('Error updating webhook endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update webhook endpoint.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a webhook endpoint and its delivery history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteEndpoint = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const endpoint = await webhookEndpointDB.findById(parseInt(id));
+    
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: `Webhook endpoint with ID ${id} not found.`
+      });
+    }
+    
+    await webhookEndpointDB.delete(endpoint.id);
+    
+    res.json({
+      success: true,
+      message: 'Webhook endpoint deleted successfully.'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete webhook endpoint.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the delivery history of a webhook endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getEndpointDeliveries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+    
+    const endpoint = await webhookEndpointDB.findById(parseInt(id));
+    
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: `Webhook endpoint with ID ${id} not found.`
+      });
+    }
+    
+    const pagination = {
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    };
+    
+    const deliveries = await webhookDeliveryDB.getAllByEndpoint(endpoint.id, pagination);
+    const total = await webhookDeliveryDB.countByEndpoint(endpoint.id);
+    
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        total,
+        limit: pagination.limit,
+        offset: pagination.offset
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve webhook deliveries.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Send a signed test event to a webhook endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const testEndpoint = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const endpoint = await webhookEndpointDB.findById(parseInt(id));
+    
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: `Webhook endpoint with ID ${id} not found.`
+      });
+    }
+    
+    const event = 'webhook.test';
+    const result = await webhookChannel.postToEndpoint(endpoint, event, {
+      event,
+      sentAt: new Date().toISOString(),
+      message: 'This is a test event from the Emergency Alert System.'
+    });
+    
+    res.json({
+      success: result.success,
+      message: result.success ? 'Test event delivered.' : `Test event failed: ${result.error}`,
+      data: {
+        result
+      }
+    });
+  } catch (error) {
+    console.error('Error testing webhook endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to test webhook endpoint.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createEndpoint,
+  getAllEndpoints,
+  getEndpointById,
+  updateEndpoint,
+  deleteEndpoint,
+  getEndpointDeliveries,
+  testEndpoint
+};
@@ -0,0 +1,74 @@
+/**
+ * SendGrid event webhook signature middleware for the emergency alert system
+ */
+const crypto = require('crypto');
+
+// Reject events signed too long ago so captured requests cannot be replayed
+const MAX_TIMESTAMP_AGE_SECONDS = 10 * 60;
+
+let verificationKey = null;
+
+/**
+ * Load the public key SendGrid gives for verifying signed event webhooks
+ * @returns {KeyObject|null} Public key, or null if SENDGRID_WEBHOOK_VERIFICATION_KEY is not set
+ */
+const getVerificationKey = () => {
+  if (!verificationKey && process.env.SENDGRID_WEBHOOK_VERIFICATION_KEY) {
+    verificationKey = crypto.createPublicKey({
+      key: Buffer.from(process.env.SENDGRID_WEBHOOK_VERIFICATION_KEY, 'base64'),
+      format: 'der',
+      type: 'spki'
+    });
+  }
+  
+  return verificationKey;
+};
+
+/**
+ * Reject event webhook requests that were not signed by SendGrid.
+ * SendGrid signs the timestamp followed by the raw request body with ECDSA.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateSendGridSignature = (req, res, next) => {
+  const key = getVerificationKey();
+  
+  if (!key) {
+    // Without a key there is nothing to verify against, so only accept events when explicitly allowed for local testing
+    if (process.env.ALLOW_UNSIGNED_WEBHOOKS !== 'true') {
+      return res.status(403).json({
+        success: false,
+        message: 'SendGrid event webhooks are not configured.'
+      });
+    }
+    
+    console.warn('[EMAIL] SENDGRID_WEBHOOK_VERIFICATION_KEY not set; accepting unsigned event webhook (ALLOW_UNSIGNED_WEBHOOKS=true)');
+    return next();
+  }
+  
+  const signature = req.get('X-Twilio-Email-Event-Webhook-Signature');
+  const timestamp = req.get('X-Twilio-Email-Event-Webhook-Timestamp');
+  
+  const isRecent = timestamp && Math.abs(Date.now() / 1000 - parseInt(timestamp)) <= MAX_TIMESTAMP_AGE_SECONDS;
+  const isValid = signature && req.rawBody && crypto.verify(
+    'sha256',
+    Buffer.concat([Buffer.from(timestamp || ''), req.rawBody]),
+    key,
+    Buffer.from(signature, 'base64')
+  );
+  
+  if (!isRecent || !isValid) {
+    console.warn('[EMAIL] Rejected event webhook with invalid or expired signature');
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid SendGrid signature.'
+    });
+  }
+  
+  next();
+};
+
+module.exports = {
+  validateSendGridSignature
+};
@@ -0,0 +1,48 @@
+/**
+ * Twilio webhook signature middleware for the emergency alert system
+ */
+const twilio = require('twilio');
+
+/**
+ * Reject webhook requests that were not signed by Twilio with our auth token.
+ * Twilio signs the full public URL, so PUBLIC_BASE_URL must match the URL
+ * Twilio was given.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateTwilioSignature = (req, res, next) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  
+  if (!authToken) {
+    // Forged gather and status requests could stop a user's SMS or fake deliveries,
+    // so unsigned requests are only accepted when explicitly allowed for local testing
+    if (process.env.ALLOW_UNSIGNED_WEBHOOKS !== 'true') {
+      return res.status(403).json({
+        success: false,
+        message: 'Twilio webhooks are not configured.'
+      });
+    }
+    
+    console.warn('[TWILIO] TWILIO_AUTH_TOKEN not set; accepting unsigned webhook request (ALLOW_UNSIGNED_WEBHOOKS=true)');
+    return next();
+  }
+  
+  const baseUrl = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  const url = `${baseUrl}${req.originalUrl}`;
+  const signature = req.get('X-Twilio-Signature');
+  
+  if (!signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    console.warn(`[TWILIO] Rejected webhook with invalid signature for ${url}`);
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid Twilio signature.'
+    });
+  }
+  
+  next();
+};
+
+module.exports = {
+  validateTwilioSignature
+};
@@ -1,10 +1,12 @@
 import React, { createContext, useContext, useEffect, useState, ReactNode } from 'react';
+import { AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { authApi, userApi } from '../services/api';
 import { AUTH_CONFIG } from '../config';
 import { AuthState, LoginCredentials, User } from '../types';
 import { disconnectSocket, initializeSocket } from '../services/socket';
 import { registerForPushNotifications, registerPushTokenWithServer } from '../services/notificationService';
+import { reportDeviceLocation } from '../services/locationService';
 
 // Default auth state
 const initialAuthState: AuthState = {
@@ -75,6 +77,27 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
     };
   }, []);
 
+  // Report the device location while signed in, and again whenever the app returns to the foreground
+  useEffect(() => {
+    const userId = authState.user?.id;
+    
+    if (!userId) {
+      return;
+    }
+    
+    reportDeviceLocation(userId);
+    
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        reportDeviceLocation(userId);
+      }
+    });
+    
+    return () => {
+      subscription.remove();
+    };
+  }, [authState.user?.id]);
+
   // Login user
   const login = async (credentials: LoginCredentials): Promise<boolean> => {
     try {
@@ -14,8 +14,9 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { COLORS } from '../config';
-import { Alert, User } from '../types';
+import { Alert, AlertUpdate, User } from '../types';
 import { alertsApi } from '../services/api';
+import { onAlertUpdated, offAlertUpdated, onAlertResolved, offAlertResolved } from '../services/socket';
 
 const AlertDetailScreen = () => {
   const navigation = useNavigation();
@@ -24,6 +25,7 @@ const AlertDetailScreen = () => {
   
   const [user, setUser] = useState<User | null>(null);
   const [alert, setAlert] = useState<Alert | null>(null);
+  const [updates, setUpdates] = useState<AlertUpdate[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   
@@ -54,6 +56,12 @@ const AlertDetailScreen = () => {
       } else {
         setError(response.error || 'Failed to fetch alert details');
       }
+      
+      const updatesResponse = await alertsApi.getAlertUpdates(alertId);
+      
+      if (updatesResponse.success && updatesResponse.data) {
+        setUpdates(updatesResponse.data);
+      }
     } catch (error) {
       console.error('Error fetching alert details:', error);
       setError('Network error. Please try again.');
@@ -67,6 +75,32 @@ const AlertDetailScreen = () => {
     fetchAlertDetails();
   }, [alertId]);
   
+  // Add follow-up updates and the all-clear to the thread as they are posted
+  useEffect(() => {
+    const handleUpdated = (event: { alertId: number; update: AlertUpdate; alert: Alert }) => {
+      if (String(event.alertId) !== String(alertId)) return;
+      
+      setUpdates(prevUpdates =>
+        prevUpdates.some(update => update.id === event.update.id)
+          ? prevUpdates
+          : [...prevUpdates, event.update]
+      );
+      setAlert(prevAlert => prevAlert ? {
+        ...prevAlert,
+        severity: event.update.severity,
+        status: event.alert.status,
+        resolvedAt: event.alert.resolvedAt
+      } : prevAlert);
+    };
+    
+    onAlertUpdated(handleUpdated);
+    onAlertResolved(handleUpdated);
+    return () => {
+      offAlertUpdated(handleUpdated);
+      offAlertResolved(handleUpdated);
+    };
+  }, [alertId]);
+  
   // Helper to get color based on severity
   const getSeverityColor = (severity: string) => {
     switch (severity) {
@@ -141,7 +175,9 @@ const AlertDetailScreen = () => {
     if (!alert) return;
     
     try {
-      const message = `Emergency Alert: ${alert.title}\n\n${alert.message}\n\nSeverity: ${getSeverityText(alert.severity)}\nStatus: ${alert.status}\nIssued: ${new Date(alert.createdAt).toLocaleString()}`;
+      const lastUpdate = updates[updates.length - 1];
+      const latestUpdate = lastUpdate ? `\n\n${lastUpdate.kind === 'all_clear' ? 'ALL CLEAR' : 'UPDATE'}: ${lastUpdate.message}` : '';
+      const message = `Emergency Alert: ${alert.title}\n\n${alert.message}${latestUpdate}\n\nSeverity: ${getSeverityText(alert.severity)}\nStatus: ${alert.status}\nIssued: ${new Date(alert.createdAt).toLocaleString()}`;
       
       await Share.share({
         message
@@ -200,6 +236,28 @@ const AlertDetailScreen = () => {
           <Text style={styles.alertMessage}>{alert.message}</Text>
         </View>
         
+        {/* Follow-up updates, oldest first */}
+        {updates.length > 0 && (
+          <View style={styles.sectionContainer}>
+            <Text style={styles.sectionTitle}>Updates</Text>
+            {updates.map(update => (
+              <View key={update.id} style={[styles.updateItem, update.kind === 'all_clear' && styles.allClearItem]}>
+                <View style={styles.updateHeader}>
+                  <Text style={styles.updateDate}>
+                    {update.kind === 'all_clear' ? 'ALL CLEAR • ' : ''}{new Date(update.createdAt).toLocaleString()}
+                  </Text>
+                  {update.severity !== update.previousSeverity && (
+                    <View style={[styles.updateSeverityBadge, { backgroundColor: getSeverityColor(update.severity) }]}>
+                      <Text style={styles.severityText}>Now {getSeverityText(update.severity)}</Text>
+                    </View>
+                  )}
+                </View>
+                <Text style={styles.updateMessage}>{update.message}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+        
         {/* Delivery Info */}
         <View style={styles.sectionContainer}>
           <Text style={styles.sectionTitle}>Delivery</Text>
@@ -380,6 +438,37 @@ const styles = StyleSheet.create({
   sectionContainer: {
     marginBottom: 24,
   },
+  updateItem: {
+    backgroundColor: COLORS.white,
+    borderLeftWidth: 3,
+    borderLeftColor: COLORS.info,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  allClearItem: {
+    borderLeftColor: COLORS.success,
+  },
+  updateHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  updateDate: {
+    fontSize: 12,
+    color: '#666',
+  },
+  updateSeverityBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 12,
+  },
+  updateMessage: {
+    fontSize: 15,
+    color: '#333',
+    lineHeight: 22,
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: 'bold',
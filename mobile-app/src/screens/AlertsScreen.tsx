@@ -14,8 +14,14 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { useNavigation } from '@react-navigation/native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { COLORS } from '../config';
-import { Alert, User } from '../types';
+import { Alert, AlertUpdate, User } from '../types';
 import { alertsApi } from '../services/api';
+import { onAlertExpired, offAlertExpired, onAlertUpdated, offAlertUpdated, onAlertResolved, offAlertResolved } from '../services/socket';
+
+// An alert is active until it expires, even if the expiry sweeper has not caught up yet
+const isAlertActive = (alert: Alert) =>
+  (alert.status === 'active' || alert.status === 'sent') &&
+  (!alert.expiresAt || new Date(alert.expiresAt).getTime() > Date.now());
 
 const AlertsScreen = () => {
   const navigation = useNavigation();
@@ -73,6 +79,50 @@ const AlertsScreen = () => {
     fetchAlerts();
   }, []);
   
+  // Mark alerts expired as soon as the server expires them
+  useEffect(() => {
+    const handleExpired = (event: { alertId: number }) => {
+      setAlerts(prevAlerts =>
+        prevAlerts.map(alert =>
+          String(alert.id) === String(event.alertId) ? { ...alert, status: 'expired' } : alert
+        )
+      );
+    };
+    
+    onAlertExpired(handleExpired);
+    return () => offAlertExpired(handleExpired);
+  }, []);
+  
+  // Follow-up updates can change an alert's severity
+  useEffect(() => {
+    const handleUpdated = (event: { alertId: number; update: AlertUpdate }) => {
+      setAlerts(prevAlerts =>
+        prevAlerts.map(alert =>
+          String(alert.id) === String(event.alertId) ? { ...alert, severity: event.update.severity } : alert
+        )
+      );
+    };
+    
+    onAlertUpdated(handleUpdated);
+    return () => offAlertUpdated(handleUpdated);
+  }, []);
+  
+  // An all-clear resolves the alert
+  useEffect(() => {
+    const handleResolved = (event: { alertId: number; alert: Alert }) => {
+      setAlerts(prevAlerts =>
+        prevAlerts.map(alert =>
+          String(alert.id) === String(event.alertId)
+            ? { ...alert, status: 'resolved', resolvedAt: event.alert.resolvedAt }
+            : alert
+        )
+      );
+    };
+    
+    onAlertResolved(handleResolved);
+    return () => offAlertResolved(handleResolved);
+  }, []);
+  
   // Handle pull-to-refresh
   const onRefresh = async () => {
     setRefreshing(true);
@@ -82,6 +132,8 @@ const AlertsScreen = () => {
   // Filtered alerts based on active filter
   const filteredAlerts = React.useMemo(() => {
     if (!activeFilter) return alerts;
+    if (activeFilter === 'active') return alerts.filter(isAlertActive);
+    if (activeFilter === 'expired') return alerts.filter(alert => alert.status === 'expired' || (alert.status === 'sent' && !isAlertActive(alert)));
     return alerts.filter(alert => alert.status === activeFilter);
   }, [alerts, activeFilter]);
   
@@ -91,7 +143,8 @@ const AlertsScreen = () => {
       { id: null, label: 'All' },
       { id: 'active', label: 'Active' },
       { id: 'resolved', label: 'Resolved' },
-      { id: 'cancelled', label: 'Cancelled' }
+      { id: 'cancelled', label: 'Cancelled' },
+      { id: 'expired', label: 'Expired' }
     ];
     
     return (
@@ -130,6 +183,8 @@ const AlertsScreen = () => {
     const hasUserAcknowledged = item.acknowledgments?.some(
       ack => user && ack.userId === user.id
     );
+    const isActive = isAlertActive(item);
+    const status = item.status === 'sent' && !isActive ? 'expired' : item.status;
     
     return (
       <TouchableOpacity
@@ -142,9 +197,9 @@ const AlertsScreen = () => {
         <View style={styles.alertHeader}>
           <View style={[styles.severityIndicator, { backgroundColor: getSeverityColor(item.severity) }]} />
           <Text style={styles.alertTitle}>{item.title}</Text>
-          {item.status !== 'active' && (
-            <View style={[styles.statusBadge, { backgroundColor: getStatusColor(item.status) }]}>
-              <Text style={styles.statusText}>{item.status}</Text>
+          {!isActive && (
+            <View style={[styles.statusBadge, { backgroundColor: getStatusColor(status) }]}>
+              <Text style={styles.statusText}>{status}</Text>
             </View>
           )}
         </View>
@@ -158,7 +213,7 @@ const AlertsScreen = () => {
             {new Date(item.createdAt).toLocaleString()}
           </Text>
           
-          {item.status === 'active' && (
+          {isActive && (
             hasUserAcknowledged ? (
               <View style={styles.acknowledgedBadge}>
                 <Ionicons name="checkmark-circle" size={16} color={COLORS.success} />
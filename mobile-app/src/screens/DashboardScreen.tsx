@@ -16,6 +16,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { COLORS } from '../config';
 import { Alert, User } from '../types';
 import { alertsApi } from '../services/api';
+import { onAlertResolved, offAlertResolved, onAlertExpired, offAlertExpired } from '../services/socket';
 
 const DashboardScreen = () => {
   const navigation = useNavigation();
@@ -47,12 +48,11 @@ const DashboardScreen = () => {
   const fetchActiveAlerts = async () => {
     try {
       setError(null);
-      const response = await alertsApi.getAlerts();
+      const response = await alertsApi.getActiveAlerts();
       
       if (response.success && response.data) {
-        // Filter for active alerts and sort by createdAt (most recent first)
+        // Sort active alerts by createdAt (most recent first)
         const active = response.data
-          .filter(alert => alert.status === 'active')
           .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
         
         setActiveAlerts(active);
@@ -73,6 +73,22 @@ const DashboardScreen = () => {
     fetchActiveAlerts();
   }, []);
   
+  // Take alerts off the dashboard as soon as the all-clear is sent or they expire
+  useEffect(() => {
+    const removeAlert = (event: { alertId: number }) => {
+      setActiveAlerts(prevAlerts =>
+        prevAlerts.filter(alert => String(alert.id) !== String(event.alertId))
+      );
+    };
+    
+    onAlertResolved(removeAlert);
+    onAlertExpired(removeAlert);
+    return () => {
+      offAlertResolved(removeAlert);
+      offAlertExpired(removeAlert);
+    };
+  }, []);
+  
   // Handle pull-to-refresh
   const onRefresh = async () => {
     setRefreshing(true);
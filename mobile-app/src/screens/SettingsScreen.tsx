@@ -14,7 +14,20 @@ import { Ionicons } from '@expo/vector-icons';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { COLORS } from '../config';
-import { User } from '../types';
+import { User, NotificationChannel, QuietHours } from '../types';
+import { channelsApi, userApi } from '../services/api';
+
+// Icons for the built-in channels; channels added later fall back to a generic icon
+const CHANNEL_ICONS: Record<string, string> = {
+  email: 'mail-outline',
+  sms: 'chatbubble-outline',
+  push: 'notifications-outline',
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Quiet hours are kept in the device's time zone
+const DEVICE_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
 const SettingsScreen = () => {
   const [user, setUser] = useState<User | null>(null);
@@ -29,14 +42,50 @@ const SettingsScreen = () => {
   const [serverUrl, setServerUrl] = useState('');
   const [isSaving, setIsSaving] = useState(false);
   
+  // Alert delivery channels, as offered by the server
+  const [channels, setChannels] = useState<NotificationChannel[]>([]);
+  const [channelPreferences, setChannelPreferences] = useState<Record<string, boolean>>({});
+  
+  // Quiet hours, during which low and medium alerts wait until morning
+  const [quietHoursEnabled, setQuietHoursEnabled] = useState(false);
+  const [quietHoursStart, setQuietHoursStart] = useState('22:00');
+  const [quietHoursEnd, setQuietHoursEnd] = useState('07:00');
+  
   // Load user and settings from storage
   useEffect(() => {
     const loadUserAndSettings = async () => {
       try {
         // Load user info
         const userString = await AsyncStorage.getItem('emergencyAlertUser');
-        if (userString) {
-          setUser(JSON.parse(userString));
+        const storedUser: User | null = userString ? JSON.parse(userString) : null;
+        if (storedUser) {
+          setUser(storedUser);
+          
+          if (storedUser.quietHours) {
+            setQuietHoursEnabled(true);
+            setQuietHoursStart(storedUser.quietHours.start);
+            setQuietHoursEnd(storedUser.quietHours.end);
+          }
+        }
+        
+        // Load the channels the server supports and the user's choices for each
+        const channelsResponse = await channelsApi.getChannels();
+        if (channelsResponse.success && channelsResponse.data) {
+          // Integration channels such as webhooks are not something users opt into
+          const userChannels = channelsResponse.data.filter(channel => channel.audience === 'users');
+          
+          // Show channels in the order the user ranked them; unranked ones keep the server's order
+          const priority = storedUser?.channelPriority || [];
+          const rank = (name: string) => priority.includes(name)
+            ? priority.indexOf(name)
+            : priority.length + userChannels.findIndex(channel => channel.name === name);
+          setChannels([...userChannels].sort((a, b) => rank(a.name) - rank(b.name)));
+          
+          const preferences: Record<string, boolean> = {};
+          userChannels.forEach(channel => {
+            preferences[channel.name] = storedUser?.channels?.[channel.name] ?? channel.defaultEnabled;
+          });
+          setChannelPreferences(preferences);
         }
         
         // Load app settings
@@ -82,6 +131,16 @@ const SettingsScreen = () => {
     loadUserAndSettings();
   }, []);
   
+  // Move a channel up or down the order alerts try channels in
+  const moveChannel = (index: number, offset: number) => {
+    setChannels(prev => {
+      const reordered = [...prev];
+      const [channel] = reordered.splice(index, 1);
+      reordered.splice(index + offset, 0, channel);
+      return reordered;
+    });
+  };
+  
   // Save all settings
   const saveSettings = async () => {
     try {
@@ -94,6 +153,20 @@ const SettingsScreen = () => {
         return;
       }
       
+      if (quietHoursEnabled) {
+        if (!TIME_PATTERN.test(quietHoursStart) || !TIME_PATTERN.test(quietHoursEnd)) {
+          Alert.alert('Error', 'Quiet hours must be 24-hour times such as 22:00');
+          setIsSaving(false);
+          return;
+        }
+        
+        if (quietHoursStart === quietHoursEnd) {
+          Alert.alert('Error', 'Quiet hours must end at a different time than they start');
+          setIsSaving(false);
+          return;
+        }
+      }
+      
       // Save all settings to AsyncStorage
       await AsyncStorage.setItem('setting_backgroundSync', JSON.stringify(enableBackgroundSync));
       await AsyncStorage.setItem('setting_pushNotifications', JSON.stringify(enablePushNotifications));
@@ -102,6 +175,27 @@ const SettingsScreen = () => {
       await AsyncStorage.setItem('setting_darkMode', JSON.stringify(darkModeEnabled));
       await AsyncStorage.setItem('setting_serverUrl', serverUrl);
       
+      // Save channel preferences and quiet hours to the server
+      if (user) {
+        const quietHours: QuietHours | null = quietHoursEnabled
+          ? { start: quietHoursStart, end: quietHoursEnd, timezone: DEVICE_TIME_ZONE }
+          : null;
+        const preferences = channels.length > 0
+          ? { channels: channelPreferences, channelPriority: channels.map(channel => channel.name), quietHours }
+          : { quietHours };
+        
+        const response = await userApi.updateNotificationPreferences(user.id, preferences);
+        
+        if (!response.success) {
+          Alert.alert('Error', response.error || 'Failed to update notification preferences');
+          return;
+        }
+        
+        const updatedUser = { ...user, ...preferences };
+        setUser(updatedUser);
+        await AsyncStorage.setItem('emergencyAlertUser', JSON.stringify(updatedUser));
+      }
+      
       Alert.alert('Success', 'Settings saved successfully');
     } catch (error) {
       console.error('Error saving settings:', error);
@@ -275,6 +369,105 @@ const SettingsScreen = () => {
           </View>
         </View>
         
+        {channels.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Alert Channels</Text>
+            <Text style={styles.sectionHint}>
+              Alerts try your channels from the top down, moving on if one fails or you don't acknowledge in time. High and critical alerts use all of them at once.
+            </Text>
+            
+            {channels.map((channel, index) => (
+              <View key={channel.name} style={styles.settingItem}>
+                <View style={styles.settingRow}>
+                  <Ionicons
+                    name={(CHANNEL_ICONS[channel.name] || 'megaphone-outline') as any}
+                    size={22}
+                    color={COLORS.primary}
+                  />
+                  <Text style={styles.settingLabel}>{channel.label}</Text>
+                  <TouchableOpacity
+                    style={styles.orderButton}
+                    onPress={() => moveChannel(index, -1)}
+                    disabled={index === 0}
+                  >
+                    <Ionicons name="chevron-up" size={20} color={index === 0 ? '#ccc' : COLORS.primary} />
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.orderButton}
+                    onPress={() => moveChannel(index, 1)}
+                    disabled={index === channels.length - 1}
+                  >
+                    <Ionicons name="chevron-down" size={20} color={index === channels.length - 1 ? '#ccc' : COLORS.primary} />
+                  </TouchableOpacity>
+                  <Switch
+                    value={!!channelPreferences[channel.name]}
+                    onValueChange={(enabled) => setChannelPreferences(prev => ({ ...prev, [channel.name]: enabled }))}
+                    trackColor={{ false: '#ddd', true: COLORS.primary }}
+                    thumbColor="#fff"
+                  />
+                </View>
+                <Text style={styles.settingDescription}>
+                  {channel.description}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+        
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Quiet Hours</Text>
+          
+          <View style={styles.settingItem}>
+            <View style={styles.settingRow}>
+              <Ionicons name="bed-outline" size={22} color={COLORS.primary} />
+              <Text style={styles.settingLabel}>Do Not Disturb</Text>
+              <Switch
+                value={quietHoursEnabled}
+                onValueChange={setQuietHoursEnabled}
+                trackColor={{ false: '#ddd', true: COLORS.primary }}
+                thumbColor="#fff"
+              />
+            </View>
+            <Text style={styles.settingDescription}>
+              Hold low and medium alerts until quiet hours end. High, critical and panic alerts always come through.
+            </Text>
+          </View>
+          
+          {quietHoursEnabled && (
+            <>
+              <View style={styles.timeRow}>
+                <View style={[styles.formField, styles.timeField]}>
+                  <Text style={styles.label}>From</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={quietHoursStart}
+                    onChangeText={setQuietHoursStart}
+                    placeholder="22:00"
+                    placeholderTextColor="#999"
+                    keyboardType="numbers-and-punctuation"
+                    maxLength={5}
+                  />
+                </View>
+                <View style={[styles.formField, styles.timeField]}>
+                  <Text style={styles.label}>Until</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={quietHoursEnd}
+                    onChangeText={setQuietHoursEnd}
+                    placeholder="07:00"
+                    placeholderTextColor="#999"
+                    keyboardType="numbers-and-punctuation"
+                    maxLength={5}
+                  />
+                </View>
+              </View>
+              <Text style={styles.inputHint}>
+                24-hour times in your time zone ({DEVICE_TIME_ZONE})
+              </Text>
+            </>
+          )}
+        </View>
+        
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Server Configuration</Text>
           
@@ -405,6 +598,15 @@ const styles = StyleSheet.create({
     marginLeft: 12,
     flex: 1,
   },
+  orderButton: {
+    padding: 4,
+    marginRight: 4,
+  },
+  sectionHint: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 12,
+  },
   settingDescription: {
     fontSize: 12,
     color: '#666',
@@ -432,6 +634,15 @@ const styles = StyleSheet.create({
     color: '#888',
     marginTop: 4,
   },
+  timeRow: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  timeField: {
+    flex: 1,
+    marginRight: 12,
+    marginBottom: 0,
+  },
   testConnectionButton: {
     flexDirection: 'row',
     alignItems: 'center',
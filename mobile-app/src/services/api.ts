@@ -1,7 +1,7 @@
 import axios, { AxiosInstance, AxiosRequestConfig, AxiosResponse } from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { API_CONFIG, AUTH_CONFIG } from '../config';
-import { ApiResponse, LoginCredentials, User, Alert, Incident } from '../types';
+import { ApiResponse, LoginCredentials, User, QuietHours, Alert, AlertUpdate, Incident, NotificationChannel, UserLocation } from '../types';
 
 // Function to get the current auth token from storage
 export const getAuthToken = async (): Promise<string | null> => {
@@ -123,10 +123,13 @@ export const userApi = {
     }
   },
   
-  // Update notification preferences
-  updateNotificationPreferences: async (userId: number, channels: Record<string, boolean>): Promise<ApiResponse<User>> => {
+  // Update notification channels, their priority and quiet hours (null turns quiet hours off)
+  updateNotificationPreferences: async (
+    userId: number,
+    preferences: { channels?: Record<string, boolean>; channelPriority?: string[] | null; quietHours?: QuietHours | null }
+  ): Promise<ApiResponse<User>> => {
     try {
-      const response: AxiosResponse = await api.put(`/api/users/${userId}/notifications`, { channels });
+      const response: AxiosResponse = await api.put(`/api/users/${userId}/notifications`, preferences);
       return { success: true, data: response.data.data.user };
     } catch (error: any) {
       return {
@@ -135,6 +138,38 @@ export const userApi = {
       };
     }
   },
+  
+  // Report where the device is, so the user gets alerts targeted at the area they are in
+  reportDeviceLocation: async (
+    userId: number,
+    location: { latitude: number; longitude: number; accuracy?: number | null }
+  ): Promise<ApiResponse<UserLocation>> => {
+    try {
+      const response: AxiosResponse = await api.put(`/api/users/${userId}/locations/device`, location);
+      return { success: true, data: response.data.data.location };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Failed to report device location.'
+      };
+    }
+  },
+};
+
+// Notification channel API calls
+export const channelsApi = {
+  // Get the notification channels the server can send over
+  getChannels: async (): Promise<ApiResponse<NotificationChannel[]>> => {
+    try {
+      const response: AxiosResponse = await api.get('/api/channels');
+      return { success: true, data: response.data.data.channels };
+    } catch (error: any) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to load notification channels.'
+      };
+    }
+  },
 };
 
 // Alerts API calls
@@ -152,6 +187,19 @@ export const alertsApi = {
     }
   },
 
+  // Get the alerts currently in effect (sent and not yet expired)
+  getActiveAlerts: async (): Promise<ApiResponse<Alert[]>> => {
+    try {
+      const response: AxiosResponse = await api.get('/api/alerts/active');
+      return { success: true, data: response.data.data.alerts };
+    } catch (error: any) {
+      return { 
+        success: false, 
+        error: error.response?.data?.message || 'Failed to fetch active alerts.' 
+      };
+    }
+  },
+
   // Get a single alert by ID
   getAlertById: async (alertId: string): Promise<ApiResponse<Alert>> => {
     try {
@@ -165,6 +213,19 @@ export const alertsApi = {
     }
   },
 
+  // Get the follow-up updates posted to an alert, oldest first
+  getAlertUpdates: async (alertId: string): Promise<ApiResponse<AlertUpdate[]>> => {
+    try {
+      const response: AxiosResponse = await api.get(`/api/alerts/${alertId}/updates`);
+      return { success: true, data: response.data.data.updates };
+    } catch (error: any) {
+      return { 
+        success: false, 
+        error: error.response?.data?.message || 'Failed to fetch alert updates.' 
+      };
+    }
+  },
+
   // Acknowledge an alert
   acknowledgeAlert: async (alertId: string): Promise<ApiResponse<Alert>> => {
     try {
@@ -0,0 +1,39 @@
+import * as Location from 'expo-location';
+import { userApi } from './api';
+
+/**
+ * Report the device's current location to the server, so the user receives
+ * alerts targeted at the area they are in. Asks for foreground location
+ * permission the first time; does nothing if it is refused.
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} True if the location was reported
+ */
+export async function reportDeviceLocation(userId: number): Promise<boolean> {
+  try {
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    
+    if (status !== 'granted') {
+      console.log('Location permission not granted; area alerts will use registered locations only');
+      return false;
+    }
+    
+    const position = await Location.getCurrentPositionAsync({
+      accuracy: Location.Accuracy.Balanced,
+    });
+    
+    const response = await userApi.reportDeviceLocation(userId, {
+      latitude: position.coords.latitude,
+      longitude: position.coords.longitude,
+      accuracy: position.coords.accuracy,
+    });
+    
+    if (!response.success) {
+      console.error('Failed to report device location:', response.error);
+    }
+    
+    return response.success;
+  } catch (error) {
+    console.error('Error reporting device location:', error);
+    return false;
+  }
+}
@@ -1,6 +1,6 @@
 import { io, Socket } from 'socket.io-client';
 import { SOCKET_CONFIG } from '../config';
-import { Alert } from '../types';
+import { Alert, AlertUpdate } from '../types';
 import { getAuthToken } from './api';
 
 // Socket.io client instance
@@ -8,6 +8,9 @@ let socket: Socket | null = null;
 
 // Event callback types
 type AlertCallback = (alert: Alert) => void;
+type AlertExpiredCallback = (event: { alertId: number; expiresAt: string }) => void;
+type AlertUpdatedCallback = (event: { alertId: number; update: AlertUpdate; alert: Alert }) => void;
+type AlertResolvedCallback = (event: { alertId: number; update: AlertUpdate; alert: Alert }) => void;
 type ErrorCallback = (error: any) => void;
 type ConnectCallback = () => void;
 type DisconnectCallback = () => void;
@@ -17,6 +20,9 @@ const listeners = {
   newAlert: [] as AlertCallback[],
   alertUpdate: [] as AlertCallback[],
   alertAcknowledged: [] as AlertCallback[],
+  alertExpired: [] as AlertExpiredCallback[],
+  alertUpdated: [] as AlertUpdatedCallback[],
+  alertResolved: [] as AlertResolvedCallback[],
   error: [] as ErrorCallback[],
   connect: [] as ConnectCallback[],
   disconnect: [] as DisconnectCallback[],
@@ -101,6 +107,21 @@ export const initializeSocket = async (): Promise<Socket | null> => {
       listeners.alertAcknowledged.forEach(callback => callback(alert));
     });
     
+    socket.on('alertExpired', (event: { alertId: number; expiresAt: string }) => {
+      console.log('Alert expired:', event);
+      listeners.alertExpired.forEach(callback => callback(event));
+    });
+    
+    socket.on('alertUpdated', (event: { alertId: number; update: AlertUpdate; alert: Alert }) => {
+      console.log('Alert follow-up update received:', event);
+      listeners.alertUpdated.forEach(callback => callback(event));
+    });
+    
+    socket.on('alertResolved', (event: { alertId: number; update: AlertUpdate; alert: Alert }) => {
+      console.log('Alert all clear received:', event);
+      listeners.alertResolved.forEach(callback => callback(event));
+    });
+    
     // Connect to the server with timeout
     console.log('Attempting to connect to Socket.io server...');
     socket.connect();
@@ -134,6 +155,18 @@ export const onAlertAcknowledged = (callback: AlertCallback): void => {
   listeners.alertAcknowledged.push(callback);
 };
 
+export const onAlertExpired = (callback: AlertExpiredCallback): void => {
+  listeners.alertExpired.push(callback);
+};
+
+export const onAlertUpdated = (callback: AlertUpdatedCallback): void => {
+  listeners.alertUpdated.push(callback);
+};
+
+export const onAlertResolved = (callback: AlertResolvedCallback): void => {
+  listeners.alertResolved.push(callback);
+};
+
 export const onSocketError = (callback: ErrorCallback): void => {
   listeners.error.push(callback);
 };
@@ -162,6 +195,21 @@ export const offAlertAcknowledged = (callback: AlertCallback): void => {
   if (index !== -1) listeners.alertAcknowledged.splice(index, 1);
 };
 
+export const offAlertExpired = (callback: AlertExpiredCallback): void => {
+  const index = listeners.alertExpired.indexOf(callback);
+  if (index !== -1) listeners.alertExpired.splice(index, 1);
+};
+
+export const offAlertUpdated = (callback: AlertUpdatedCallback): void => {
+  const index = listeners.alertUpdated.indexOf(callback);
+  if (index !== -1) listeners.alertUpdated.splice(index, 1);
+};
+
+export const offAlertResolved = (callback: AlertResolvedCallback): void => {
+  const index = listeners.alertResolved.indexOf(callback);
+  if (index !== -1) listeners.alertResolved.splice(index, 1);
+};
+
 export const offSocketError = (callback: ErrorCallback): void => {
   const index = listeners.error.indexOf(callback);
   if (index !== -1) listeners.error.splice(index, 1);
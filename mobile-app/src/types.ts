@@ -19,14 +19,45 @@ export interface User {
   username: string;
   email: string;
   role: 'admin' | 'operator' | 'subscriber';
-  channels: {
-    email: boolean;
-    sms: boolean;
-    push: boolean;
-  };
+  channels: Record<string, boolean>; // Keyed by NotificationChannel name
+  channelPriority?: string[] | null; // Channel names in the order alerts try them
+  quietHours?: QuietHours | null;
   phoneNumber?: string;
 }
 
+// Hours during which low and medium alerts are held until the window ends
+export interface QuietHours {
+  start: string; // 24-hour HH:MM
+  end: string;
+  timezone: string; // IANA time zone
+}
+
+// Location used to target alerts at an area: registered home and work locations, or the last one reported by the device
+export interface UserLocation {
+  kind: 'home' | 'work' | 'device';
+  latitude: number;
+  longitude: number;
+  accuracy?: number | null; // Meters
+  label?: string | null;
+  updatedAt: string;
+}
+
+// Notification channel offered by the server (GET /api/channels)
+export interface NotificationChannel {
+  name: string;
+  label: string;
+  description: string;
+  audience: 'users' | 'endpoints';
+  recipientField: string | null;
+  defaultEnabled: boolean;
+  severities: string[] | null; // Alert severities the channel is used for, or null for all
+  configured: boolean;
+  capabilities: {
+    batch: boolean;
+    statusCallback: boolean;
+  };
+}
+
 export interface LoginCredentials {
   username: string;
   password: string;
@@ -47,7 +78,9 @@ export interface Alert {
   message: string;
   severity: 'critical' | 'high' | 'medium' | 'low';
   createdAt: string;
-  status: 'pending' | 'active' | 'resolved' | 'cancelled';
+  status: 'pending' | 'active' | 'sent' | 'resolved' | 'cancelled' | 'expired';
+  expiresAt?: string | null;
+  resolvedAt?: string | null;
   createdBy: {
     id: number;
     username: string;
@@ -57,6 +90,19 @@ export interface Alert {
   acknowledgedAt?: string;
 }
 
+// A follow-up update posted to a sent alert
+export interface AlertUpdate {
+  id: number;
+  alertId: number;
+  version: number;
+  kind: 'update' | 'all_clear';
+  message: string;
+  severity: 'critical' | 'high' | 'medium' | 'low';
+  previousSeverity: 'critical' | 'high' | 'medium' | 'low';
+  createdAt: string;
+  creatorName?: string | null;
+}
+
 export interface AlertsState {
   alerts: Alert[];
   isLoading: boolean;
@@ -37,6 +37,7 @@ export interface Alert {
   title: string;
   message: string;
   severity: "critical" | "high" | "medium" | "low";
+  category?: string | null; // Only subscribers to the category receive the alert
   status: "active" | "cancelled" | "resolved" | "expired";
   createdBy: number; // User ID
   createdAt: string;
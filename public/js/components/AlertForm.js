@@ -7,18 +7,77 @@ const AlertForm = ({ user, onAlertCreated }) => {
     title: '',
     message: '',
     severity: 'medium',
+    category: '',
     channels: ['email'],
     targeting: {
       roles: ['subscriber'],
-      specific: []
-    }
+      specific: [],
+      groups: [],
+      audiences: []
+    },
+    scheduledFor: '',
+    expiresAt: ''
   });
   
   const [users, setUsers] = React.useState([]);
+  const [groups, setGroups] = React.useState([]);
+  const [audiences, setAudiences] = React.useState([]);
+  const [channelOptions, setChannelOptions] = React.useState([]);
   const [loading, setLoading] = React.useState(false);
   const [sending, setSending] = React.useState(false);
   const [error, setError] = React.useState(null);
   const [success, setSuccess] = React.useState(null);
+  const [duplicates, setDuplicates] = React.useState(null);
+  const [limitToArea, setLimitToArea] = React.useState(false);
+  const [recipientCount, setRecipientCount] = React.useState(null);
+  
+  // Fetch the notification channels the server can send over
+  React.useEffect(() => {
+    api.getChannels()
+      .then(response => {
+        if (response.success) {
+          setChannelOptions(response.data.channels);
+        } else {
+          setError('Failed to fetch notification channels: ' + response.message);
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching channels:', err);
+        setError('An error occurred while fetching notification channels');
+      });
+  }, []);
+  
+  // Fetch the groups alerts can be targeted at
+  React.useEffect(() => {
+    api.getGroups()
+      .then(response => {
+        if (response.success) {
+          setGroups(response.data.groups);
+        } else {
+          setError('Failed to fetch groups: ' + response.message);
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching groups:', err);
+        setError('An error occurred while fetching groups');
+      });
+  }, []);
+  
+  // Fetch the saved audiences alerts can be targeted at
+  React.useEffect(() => {
+    api.getAudiences()
+      .then(response => {
+        if (response.success) {
+          setAudiences(response.data.audiences);
+        } else {
+          setError('Failed to fetch audiences: ' + response.message);
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching audiences:', err);
+        setError('An error occurred while fetching audiences');
+      });
+  }, []);
   
   // Fetch users for targeting
   React.useEffect(() => {
@@ -43,13 +102,59 @@ const AlertForm = ({ user, onAlertCreated }) => {
     }
   }, [user.role]);
   
+  // Count the recipients the current targeting reaches, once the sender stops changing it
+  React.useEffect(() => {
+    setRecipientCount(null);
+    
+    // Nothing to count until an area has been drawn
+    if (limitToArea && !formData.targeting.area) {
+      return;
+    }
+    
+    let cancelled = false;
+    
+    const timer = setTimeout(() => {
+      api.previewRecipients(formData.targeting, formData.category || null)
+        .then(response => {
+          if (!cancelled && response.success) {
+            setRecipientCount(response.data.recipientCount);
+          }
+        })
+        .catch(err => {
+          console.error('Error previewing recipients:', err);
+        });
+    }, 500);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.targeting, formData.category, limitToArea]);
+  
+  // Check whether a channel may be used at a severity (voice calls are reserved for critical alerts)
+  const isChannelAvailable = (channel, severity) => {
+    return !channel.severities || channel.severities.includes(severity);
+  };
+  
   // Handle form input changes
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: value
-    }));
+    setFormData(prev => {
+      const updated = {
+        ...prev,
+        [name]: value
+      };
+      
+      // Drop channels that are not allowed at the new severity
+      if (name === 'severity') {
+        updated.channels = prev.channels.filter(channelName => {
+          const channel = channelOptions.find(option => option.name === channelName);
+          return !channel || isChannelAvailable(channel, value);
+        });
+      }
+      
+      return updated;
+    });
   };
   
   // Handle channel checkbox changes
@@ -95,6 +200,46 @@ const AlertForm = ({ user, onAlertCreated }) => {
     });
   };
   
+  // Handle group checkbox changes for targeting
+  const handleGroupChange = (e) => {
+    const { value, checked } = e.target;
+    const groupId = parseInt(value);
+    
+    setFormData(prev => {
+      let updatedGroups;
+      
+      if (checked) {
+        updatedGroups = [...prev.targeting.groups, groupId];
+      } else {
+        updatedGroups = prev.targeting.groups.filter(id => id !== groupId);
+      }
+      
+      return {
+        ...prev,
+        targeting: {
+          ...prev.targeting,
+          groups: updatedGroups
+        }
+      };
+    });
+  };
+  
+  // Handle saved audience checkbox changes for targeting
+  const handleAudienceChange = (e) => {
+    const { value, checked } = e.target;
+    const audienceId = parseInt(value);
+    
+    setFormData(prev => ({
+      ...prev,
+      targeting: {
+        ...prev.targeting,
+        audiences: checked
+          ? [...prev.targeting.audiences, audienceId]
+          : prev.targeting.audiences.filter(id => id !== audienceId)
+      }
+    }));
+  };
+  
   // Handle specific user selection for targeting
   const handleUserSelection = (e) => {
     const { value, checked } = e.target;
@@ -119,6 +264,29 @@ const AlertForm = ({ user, onAlertCreated }) => {
     });
   };
   
+  // Turn targeting by area on or off
+  const handleLimitToAreaChange = (e) => {
+    const { checked } = e.target;
+    
+    setLimitToArea(checked);
+    
+    if (!checked) {
+      handleAreaChange(null);
+    }
+  };
+  
+  // Handle the area drawn on the map
+  const handleAreaChange = React.useCallback((area) => {
+    setFormData(prev => {
+      const { area: _, ...targeting } = prev.targeting;
+      
+      return {
+        ...prev,
+        targeting: area ? { ...targeting, area } : targeting
+      };
+    });
+  }, []);
+  
   // Handle form submission
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -139,33 +307,82 @@ const AlertForm = ({ user, onAlertCreated }) => {
       return;
     }
     
+    if (limitToArea && !formData.targeting.area) {
+      setError('Draw the area to send the alert to, or stop limiting it to an area');
+      return;
+    }
+    
+    if (formData.scheduledFor && new Date(formData.scheduledFor) <= new Date()) {
+      setError('The scheduled send time must be in the future');
+      return;
+    }
+    
+    if (formData.expiresAt && new Date(formData.expiresAt) <= new Date(formData.scheduledFor || Date.now())) {
+      setError('The alert must expire after it is sent');
+      return;
+    }
+    
+    // The datetime inputs are in local time; send the server absolute times
+    const { scheduledFor, expiresAt, category, ...alertData } = formData;
+    
+    alertData.category = category || null;
+    
+    if (scheduledFor) {
+      alertData.scheduledFor = new Date(scheduledFor).toISOString();
+    }
+    
+    if (expiresAt) {
+      alertData.expiresAt = new Date(expiresAt).toISOString();
+    }
+    
+    sendAlert(alertData);
+  };
+  
+  // Send the alert; allowDuplicate is set when the sender confirms a near-duplicate
+  const sendAlert = (alertData) => {
     // Hide previous errors/success
     setError(null);
     setSuccess(null);
+    setDuplicates(null);
     setSending(true);
     
     // Send alert
-    api.createAlert(formData)
+    api.createAlert(alertData)
       .then(response => {
         if (response.success) {
-          setSuccess('Alert created and sent successfully!');
+          if (response.data.alert.status === 'pending_approval') {
+            setSuccess(response.message);
+          } else {
+            setSuccess(alertData.scheduledFor
+              ? `Alert scheduled for ${new Date(alertData.scheduledFor).toLocaleString()}.`
+              : 'Alert created and sent successfully!');
+          }
           
           // Reset form
           setFormData({
             title: '',
             message: '',
             severity: 'medium',
+            category: '',
             channels: ['email'],
             targeting: {
               roles: ['subscriber'],
-              specific: []
-            }
+              specific: [],
+              groups: [],
+              audiences: []
+            },
+            scheduledFor: '',
+            expiresAt: ''
           });
+          setLimitToArea(false);
           
           // Notify parent component
           if (onAlertCreated) {
             onAlertCreated(response.data.alert);
           }
+        } else if (response.data && response.data.duplicates) {
+          // A similar alert was just sent; let the sender decide whether to send this one too
+          setDuplicates({ alertData, alerts: response.data.duplicates });
         } else {
           setError(response.message || 'Failed to create alert');
         }
@@ -196,6 +413,49 @@ const AlertForm = ({ user, onAlertCreated }) => {
         </div>
       )}
       
+      {duplicates && (
+        <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-6">
+          <div className="flex">
+            <div className="flex-shrink-0">
+              <i className="fas fa-clone text-yellow-400"></i>
+            </div>
+            <div className="ml-3">
+              <p className="text-sm text-yellow-700">
+                A similar alert to the same audience was just sent or is scheduled around the same time:
+              </p>
+              <ul className="mt-2 text-sm text-yellow-700 list-disc list-inside">
+                {duplicates.alerts.map(duplicate => (
+                  <li key={duplicate.id}>
+                    {duplicate.title} ({duplicate.severity}, {duplicate.status === 'pending_approval'
+                      ? 'waiting for approval'
+                      : duplicate.status === 'scheduled'
+                        ? `scheduled for ${new Date(duplicate.scheduledFor).toLocaleString()}`
+                        : `sent ${new Date(duplicate.sentAt).toLocaleTimeString()}`})
+                  </li>
+                ))}
+              </ul>
+              <div className="mt-3 flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => sendAlert({ ...duplicates.alertData, allowDuplicate: true })}
+                  disabled={sending}
+                  className="px-3 py-1 text-sm font-medium text-white bg-yellow-600 rounded-md hover:bg-yellow-700 disabled:opacity-50"
+                >
+                  Send anyway
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setDuplicates(null)}
+                  className="px-3 py-1 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                >
+                  Don't send
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+      
       {success && (
         <div className="bg-green-50 border-l-4 border-green-400 p-4 mb-6">
           <div className="flex">
@@ -295,46 +555,85 @@ const AlertForm = ({ user, onAlertCreated }) => {
           </div>
         </div>
         
+        <div className="mb-4">
+          <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-1">
+            Category
+          </label>
+          <select
+            id="category"
+            name="category"
+            value={formData.category}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+          >
+            <option value="">None</option>
+            <option value="life-safety">Life safety</option>
+            <option value="weather">Weather</option>
+            <option value="security">Security</option>
+            <option value="health">Health</option>
+            <option value="transportation">Transportation</option>
+          </select>
+          <p className="mt-1 text-xs text-gray-500">Only users subscribed to the category receive the alert; everyone receives life safety alerts.</p>
+        </div>
+        
+        <div className="mb-4">
+          <label htmlFor="scheduledFor" className="block text-sm font-medium text-gray-700 mb-1">
+            Send At
+          </label>
+          <input
+            type="datetime-local"
+            id="scheduledFor"
+            name="scheduledFor"
+            value={formData.scheduledFor}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+          />
+          <p className="mt-1 text-xs text-gray-500">Leave empty to send immediately.</p>
+        </div>
+        
+        <div className="mb-4">
+          <label htmlFor="expiresAt" className="block text-sm font-medium text-gray-700 mb-1">
+            Expires At
+          </label>
+          <input
+            type="datetime-local"
+            id="expiresAt"
+            name="expiresAt"
+            value={formData.expiresAt}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+          />
+          <p className="mt-1 text-xs text-gray-500">Leave empty to use the default for the alert's severity.</p>
+        </div>
+        
         <div className="mb-4">
           <label className="block text-sm font-medium text-gray-700 mb-1">
             Notification Channels *
           </label>
           <div className="flex flex-wrap gap-4">
-            <label className="inline-flex items-center">
-              <input
-                type="checkbox"
-                name="channels"
-                value="email"
-                checked={formData.channels.includes('email')}
-                onChange={handleChannelChange}
-                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-              />
-              <span className="ml-2 text-sm text-gray-700">Email</span>
-            </label>
-            
-            <label className="inline-flex items-center">
-              <input
-                type="checkbox"
-                name="channels"
-                value="sms"
-                checked={formData.channels.includes('sms')}
-                onChange={handleChannelChange}
-                className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
-              />
-              <span className="ml-2 text-sm text-gray-700">SMS</span>
-            </label>
-            
-            <label className="inline-flex items-center">
-              <input
-                type="checkbox"
-                name="channels"
-                value="push"
-                checked={formData.channels.includes('push')}
-                onChange={handleChannelChange}
-                className="h-4 w-4 text-green-600 focus:ring-green-500 border-gray-300 rounded"
-              />
-              <span className="ml-2 text-sm text-gray-700">Push Notification</span>
-            </label>
+            {channelOptions.map(channel => (
+              <label
+                key={channel.name}
+                className={`inline-flex items-center ${isChannelAvailable(channel, formData.severity) ? '' : 'opacity-50'}`}
+                title={isChannelAvailable(channel, formData.severity)
+                  ? channel.description
+                  : `Only available for ${channel.severities.join(', ')} alerts`}
+              >
+                <input
+                  type="checkbox"
+                  name="channels"
+                  value={channel.name}
+                  checked={formData.channels.includes(channel.name)}
+                  onChange={handleChannelChange}
+                  disabled={!isChannelAvailable(channel, formData.severity)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-sm text-gray-700">
+                  {channel.label}
+                  {!channel.configured && <span className="text-gray-400"> (simulated)</span>}
+                </span>
+              </label>
+            ))}
           </div>
         </div>
         
@@ -381,6 +680,70 @@ const AlertForm = ({ user, onAlertCreated }) => {
             </div>
           </div>
           
+          {groups.length > 0 && (
+            <div className="bg-gray-50 p-4 rounded-md mb-2">
+              <h3 className="text-sm font-medium text-gray-700 mb-2">By Group</h3>
+              <p className="mb-2 text-xs text-gray-500">Members of subgroups are included.</p>
+              <div className="flex flex-wrap gap-4">
+                {groups.map(group => (
+                  <label key={group.id} className="inline-flex items-center" title={group.description || ''}>
+                    <input
+                      type="checkbox"
+                      value={group.id}
+                      checked={formData.targeting.groups.includes(group.id)}
+                      onChange={handleGroupChange}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">
+                      {group.name}
+                      <span className="ml-1 text-xs text-gray-500">({group.memberCount})</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+          
+          {audiences.length > 0 && (
+            <div className="bg-gray-50 p-4 rounded-md mb-2">
+              <h3 className="text-sm font-medium text-gray-700 mb-2">By Saved Audience</h3>
+              <p className="mb-2 text-xs text-gray-500">Members are worked out from each audience's rules when the alert is sent.</p>
+              <div className="flex flex-wrap gap-4">
+                {audiences.map(audience => (
+                  <label key={audience.id} className="inline-flex items-center" title={audience.description || ''}>
+                    <input
+                      type="checkbox"
+                      value={audience.id}
+                      checked={formData.targeting.audiences.includes(audience.id)}
+                      onChange={handleAudienceChange}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">{audience.name}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+          
+          <div className="bg-gray-50 p-4 rounded-md mb-2">
+            <label className="inline-flex items-center">
+              <input
+                type="checkbox"
+                checked={limitToArea}
+                onChange={handleLimitToAreaChange}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <span className="ml-2 text-sm font-medium text-gray-700">Only users in an area</span>
+            </label>
+            <p className="mt-1 mb-2 text-xs text-gray-500">
+              Reaches the users in the roles, groups and audiences above whose home, work or phone location is inside the area. Specific users are always included.
+            </p>
+            
+            {limitToArea && (
+              <AreaPicker area={formData.targeting.area || null} onChange={handleAreaChange} />
+            )}
+          </div>
+          
           {user.role === 'admin' && (
             <div className="bg-gray-50 p-4 rounded-md">
               <h3 className="text-sm font-medium text-gray-700 mb-2">Specific Users</h3>
@@ -416,6 +779,15 @@ const AlertForm = ({ user, onAlertCreated }) => {
               )}
             </div>
           )}
+          
+          <p className="mt-2 text-sm text-gray-600">
+            <i className="fas fa-users mr-1"></i>
+            {limitToArea && !formData.targeting.area
+              ? 'Draw an area on the map to see how many recipients it reaches.'
+              : recipientCount === null
+                ? 'Counting recipients...'
+                : `This alert will reach ${recipientCount} recipient${recipientCount === 1 ? '' : 's'}.`}
+          </p>
         </div>
         
         <div className="flex justify-end space-x-4">
@@ -439,8 +811,8 @@ const AlertForm = ({ user, onAlertCreated }) => {
               </>
             ) : (
               <>
-                <i className="fas fa-paper-plane mr-2"></i>
-                Send Alert
+                <i className={`fas ${formData.scheduledFor ? 'fa-clock' : 'fa-paper-plane'} mr-2`}></i>
+                {formData.scheduledFor ? 'Schedule Alert' : 'Send Alert'}
               </>
             )}
           </button>
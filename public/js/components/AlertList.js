@@ -12,6 +12,10 @@ const AlertList = ({ user }) => {
     severity: ''
   });
   const [newAlertIds, setNewAlertIds] = React.useState(new Set());
+  const [alertUpdates, setAlertUpdates] = React.useState({});
+  const [openThreads, setOpenThreads] = React.useState(new Set());
+  const [updateDraft, setUpdateDraft] = React.useState({ alertId: null, message: '', severity: '' });
+  const [postingUpdate, setPostingUpdate] = React.useState(false);
   
   // Fetch alerts on component mount
   React.useEffect(() => {
@@ -29,7 +33,8 @@ const AlertList = ({ user }) => {
           return [data.alert, ...prevAlerts];
         }
         
-        return prevAlerts;
+        // A scheduled alert we already list has just been sent
+        return prevAlerts.map(alert => alert.id === data.alert.id ? { ...alert, ...data.alert } : alert);
       });
     });
     
@@ -67,13 +72,123 @@ const AlertList = ({ user }) => {
       }
     });
     
+    // Listen for alerts that have passed their expiry time
+    socketService.onAlertExpired((data) => {
+      setAlerts(prevAlerts => 
+        prevAlerts.map(alert => 
+          alert.id === data.alertId 
+            ? { ...alert, status: 'expired' } 
+            : alert
+        )
+      );
+    });
+    
+    // Listen for follow-up updates, which may also change an alert's severity
+    socketService.onAlertUpdated((data) => {
+      setAlerts(prevAlerts => 
+        prevAlerts.map(alert => 
+          alert.id === data.alertId 
+            ? { ...alert, ...data.alert } 
+            : alert
+        )
+      );
+      
+      setAlertUpdates(prev => {
+        const updates = prev[data.alertId] || [];
+        
+        if (updates.some(update => update.id === data.update.id)) {
+          return prev;
+        }
+        
+        return { ...prev, [data.alertId]: [...updates, data.update] };
+      });
+    });
+    
+    // Listen for all-clears, which resolve the alert and end its thread
+    socketService.onAlertResolved((data) => {
+      setAlerts(prevAlerts => 
+        prevAlerts.map(alert => 
+          alert.id === data.alertId 
+            ? { ...alert, ...data.alert } 
+            : alert
+        )
+      );
+      
+      setAlertUpdates(prev => {
+        const updates = prev[data.alertId];
+        
+        // Threads that have not been opened load the all-clear with the rest
+        if (!updates || updates.some(update => update.id === data.update.id)) {
+          return prev;
+        }
+        
+        return { ...prev, [data.alertId]: [...updates, data.update] };
+      });
+    });
+    
+    // Listen for alerts waiting for approval and for the decisions on them
+    const mergeAlert = (changedAlert) => {
+      setAlerts(prevAlerts => {
+        if (!prevAlerts.some(alert => alert.id === changedAlert.id)) {
+          return [changedAlert, ...prevAlerts];
+        }
+        
+        return prevAlerts.map(alert => alert.id === changedAlert.id ? { ...alert, ...changedAlert } : alert);
+      });
+    };
+    
+    socketService.onAlertApprovalRequested((data) => {
+      mergeAlert(data.alert);
+      
+      // Let reviewers know there is something to approve
+      if (data.alert.createdBy !== user.id) {
+        setNewAlertIds(prev => new Set(prev).add(data.alert.id));
+        
+        const approvalToast = document.createElement('div');
+        approvalToast.className = 'fixed bottom-4 right-4 bg-purple-100 border-l-4 border-purple-500 text-purple-700 p-4 rounded shadow-md toast-notification';
+        approvalToast.innerHTML = `
+          <div class="flex items-center">
+            <i class="fas fa-user-check mr-2"></i>
+            <p>An alert is waiting for your approval</p>
+          </div>
+        `;
+        document.body.appendChild(approvalToast);
+        
+        // Remove toast after 3 seconds
+        setTimeout(() => {
+          approvalToast.remove();
+        }, 3000);
+      }
+    });
+    
+    socketService.onAlertApproved((data) => mergeAlert(data.alert));
+    socketService.onAlertRejected((data) => mergeAlert(data.alert));
+    
+    // Listen for delivery reports from the SMS and email providers
+    socketService.onDeliveryStatsUpdated((data) => {
+      setAlerts(prevAlerts => 
+        prevAlerts.map(alert => 
+          alert.id === data.alertId 
+            ? { ...alert, deliveryStats: data.deliveryStats } 
+            : alert
+        )
+      );
+    });
+    
     // Clean up listeners on unmount
     return () => {
       socketService.offNewAlert();
       socketService.offAlertCancelled();
       socketService.offAlertAcknowledged();
+      socketService.offDeliveryStatsUpdated();
+      socketService.offAlertExpired();
+      socketService.offAlertUpdated();
+      socketService.offAlertResolved();
+      socketService.offAlertApprovalRequested();
+      socketService.offAlertApproved();
+      socketService.offAlertRejected();
     };
-  }, [user.role]);
+  }, [user.role, user.id]);
   
   // Clear highlight effect after 2 seconds
   React.useEffect(() => {
@@ -143,6 +258,147 @@ const AlertList = ({ user }) => {
     }
   };
   
+  // Show or hide an alert's updates, loading them the first time
+  const toggleThread = (alertId) => {
+    if (openThreads.has(alertId)) {
+      setOpenThreads(prev => {
+        const next = new Set(prev);
+        next.delete(alertId);
+        return next;
+      });
+      return;
+    }
+    
+    setOpenThreads(prev => new Set(prev).add(alertId));
+    
+    if (!alertUpdates[alertId]) {
+      api.getAlertUpdates(alertId)
+        .then(response => {
+          if (response.success) {
+            setAlertUpdates(prev => ({ ...prev, [alertId]: response.data.updates }));
+          }
+        })
+        .catch(err => {
+          console.error('Error fetching alert updates:', err);
+        });
+    }
+  };
+  
+  // Handle posting a follow-up update to a sent alert
+  const handlePostUpdate = (e, alertId) => {
+    e.preventDefault();
+    
+    if (!updateDraft.message.trim()) {
+      return;
+    }
+    
+    setPostingUpdate(true);
+    
+    api.postAlertUpdate(alertId, {
+      message: updateDraft.message,
+      severity: updateDraft.severity || undefined
+    })
+      .then(response => {
+        if (response.success) {
+          // The alertUpdated socket event adds the update to the thread
+          setUpdateDraft({ alertId: null, message: '', severity: '' });
+        } else {
+          alert(response.message || 'Failed to post update');
+        }
+      })
+      .catch(err => {
+        console.error('Error posting alert update:', err);
+        alert('An error occurred while posting the update');
+      })
+      .finally(() => {
+        setPostingUpdate(false);
+      });
+  };
+  
+  // Handle approving an alert that is waiting for approval
+  const handleApproveAlert = (alertId) => {
+    const reason = window.prompt('Approve and send this alert? Reason (optional):', '');
+    
+    // Cancelled at the prompt
+    if (reason === null) {
+      return;
+    }
+    
+    api.approveAlert(alertId, reason.trim())
+      .then(response => {
+        if (response.success) {
+          setAlerts(prevAlerts => 
+            prevAlerts.map(alert => 
+              alert.id === alertId 
+                ? { ...alert, ...response.data.alert } 
+                : alert
+            )
+          );
+        } else {
+          alert(response.message || 'Failed to approve alert');
+        }
+      })
+      .catch(err => {
+        console.error('Error approving alert:', err);
+        alert('An error occurred while approving the alert');
+      });
+  };
+  
+  // Handle rejecting an alert that is waiting for approval
+  const handleRejectAlert = (alertId) => {
+    const reason = window.prompt('Why is this alert being rejected?', '');
+    
+    if (reason === null) {
+      return;
+    }
+    
+    if (!reason.trim()) {
+      alert('A reason is required to reject an alert');
+      return;
+    }
+    
+    api.rejectAlert(alertId, reason.trim())
+      .then(response => {
+        if (response.success) {
+          setAlerts(prevAlerts => 
+            prevAlerts.map(alert => 
+              alert.id === alertId 
+                ? { ...alert, ...response.data.alert } 
+                : alert
+            )
+          );
+        } else {
+          alert(response.message || 'Failed to reject alert');
+        }
+      })
+      .catch(err => {
+        console.error('Error rejecting alert:', err);
+        alert('An error occurred while rejecting the alert');
+      });
+  };
+  
+  // Handle sending the all-clear for an alert
+  const handleAllClear = (alertId) => {
+    const message = window.prompt('Send the all-clear to everyone who received this alert. Message (leave blank for the default):', '');
+    
+    // Cancelled at the prompt
+    if (message === null) {
+      return;
+    }
+    
+    api.sendAllClear(alertId, message.trim())
+      .then(response => {
+        if (!response.success) {
+          alert(response.message || 'Failed to send the all-clear');
+        }
+        // The alertResolved socket event marks the alert resolved
+      })
+      .catch(err => {
+        console.error('Error sending all clear:', err);
+        alert('An error occurred while sending the all-clear');
+      });
+  };
+  
   // Handle alert acknowledgment
   const handleAcknowledgeAlert = (alertId) => {
     if (acknowledgedAlerts.has(alertId)) {
@@ -295,8 +551,13 @@ const AlertList = ({ user }) => {
           >
             <option value="">All Statuses</option>
             <option value="pending">Pending</option>
+            <option value="pending_approval">Awaiting Approval</option>
+            <option value="rejected">Rejected</option>
+            <option value="scheduled">Scheduled</option>
             <option value="sent">Sent</option>
             <option value="cancelled">Cancelled</option>
+            <option value="expired">Expired</option>
+            <option value="resolved">Resolved</option>
             <option value="failed">Failed</option>
           </select>
         </div>
@@ -345,9 +606,16 @@ const AlertList = ({ user }) => {
                 
                 <div className="flex flex-wrap gap-2 alert-card-actions">
                   <span className={`badge badge-${alert.status}`}>
-                    {alert.status}
+                    {alert.status.replace('_', ' ')}
                   </span>
                   
+                  {alert.isTest && (
+                    <span className="badge badge-test">
+                      <i className="fas fa-flask mr-1"></i>
+                      Test
+                    </span>
+                  )}
+                  
                   <span className={`badge severity-${alert.severity}`} style={{backgroundColor: 'var(--severity-color)', color: 'white'}}>
                     {alert.severity}
                   </span>
@@ -366,6 +634,41 @@ const AlertList = ({ user }) => {
                   <i className="fas fa-user mr-1"></i>
                   {alert.createdBy}
                 </div>
+                
+                {alert.status === 'scheduled' && alert.scheduledFor && (
+                  <div className="ml-4 flex items-center text-blue-600">
+                    <i className="fas fa-clock mr-1"></i>
+                    Sends {new Date(alert.scheduledFor).toLocaleString()}
+                  </div>
+                )}
+                
+                {alert.status === 'sent' && alert.expiresAt && (
+                  <div className="ml-4 flex items-center">
+                    <i className="fas fa-hourglass-half mr-1"></i>
+                    Expires {new Date(alert.expiresAt).toLocaleString()}
+                  </div>
+                )}
+                
+                {alert.status === 'pending_approval' && alert.approvalReason && (
+                  <div className="ml-4 flex items-center text-purple-700">
+                    <i className="fas fa-user-shield mr-1"></i>
+                    Awaiting approval: {alert.approvalReason}
+                  </div>
+                )}
+                
+                {alert.status === 'rejected' && (
+                  <div className="ml-4 flex items-center text-red-700">
+                    <i className="fas fa-times-circle mr-1"></i>
+                    Rejected{alert.reviewNote ? `: ${alert.reviewNote}` : ''}
+                  </div>
+                )}
+                
+                {alert.status === 'resolved' && alert.resolvedAt && (
+                  <div className="ml-4 flex items-center text-green-700">
+                    <i className="fas fa-check-double mr-1"></i>
+                    All clear {new Date(alert.resolvedAt).toLocaleString()}
+                  </div>
+                )}
               </div>
               
               <div className="flex flex-wrap gap-2 mb-3">
@@ -383,6 +686,7 @@ const AlertList = ({ user }) => {
                       <i className="fas fa-chart-pie mr-1"></i>
                       <span>
                         {alert.deliveryStats.sent}/{alert.deliveryStats.total} sent 
+                        {alert.deliveryStats.delivered > 0 && `, ${alert.deliveryStats.delivered} delivered`}
                         {alert.deliveryStats.failed > 0 && ` (${alert.deliveryStats.failed} failed)`}
                       </span>
                     </div>
@@ -390,7 +694,26 @@ const AlertList = ({ user }) => {
                 )}
                 
                 <div className="flex gap-2">
-                  {alert.status === 'pending' && (user.role === 'admin' || user.role === 'operator') && (
+                  {alert.status === 'pending_approval' && (user.role === 'admin' || user.role === 'operator') && alert.createdBy !== user.id && (
+                    <>
+                      <button
+                        onClick={() => handleApproveAlert(alert.id)}
+                        className="px-3 py-1 text-sm text-green-700 hover:text-green-900 border border-green-200 rounded-md hover:bg-green-50"
+                      >
+                        <i className="fas fa-check mr-1"></i>
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => handleRejectAlert(alert.id)}
+                        className="px-3 py-1 text-sm text-red-600 hover:text-red-800 border border-red-200 rounded-md hover:bg-red-50"
+                      >
+                        <i className="fas fa-times mr-1"></i>
+                        Reject
+                      </button>
+                    </>
+                  )}
+                  
+                  {(alert.status === 'pending' || alert.status === 'scheduled' || alert.status === 'pending_approval') && (user.role === 'admin' || user.role === 'operator') && (
                     <button
                       onClick={() => handleCancelAlert(alert.id)}
                       className="px-3 py-1 text-sm text-red-600 hover:text-red-800 border border-red-200 rounded-md hover:bg-red-50"
@@ -400,6 +723,27 @@ const AlertList = ({ user }) => {
                     </button>
                   )}
                   
+                  {(alert.status === 'sent' || alert.status === 'expired') && (user.role === 'admin' || user.role === 'operator') && (
+                    <button
+                      onClick={() => handleAllClear(alert.id)}
+                      className="px-3 py-1 text-sm text-green-700 hover:text-green-900 border border-green-200 rounded-md hover:bg-green-50"
+                    >
+                      <i className="fas fa-check-double mr-1"></i>
+                      All clear
+                    </button>
+                  )}
+                  
+                  {(alert.status === 'sent' || alert.status === 'expired' || alert.status === 'resolved') && (
+                    <button
+                      onClick={() => toggleThread(alert.id)}
+                      className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800 border border-gray-200 rounded-md hover:bg-gray-50"
+                    >
+                      <i className="fas fa-comments mr-1"></i>
+                      {openThreads.has(alert.id) ? 'Hide updates' : 'Updates'}
+                      {alertUpdates[alert.id] && alertUpdates[alert.id].length > 0 && ` (${alertUpdates[alert.id].length})`}
+                    </button>
+                  )}
+                  
                   {alert.status === 'sent' && (
                     <>
                       {user.role === 'admin' || user.role === 'operator' ? (
@@ -426,6 +770,79 @@ const AlertList = ({ user }) => {
                 </div>
               </div>
               
+              {/* Follow-up updates, oldest first, below the original alert */}
+              {openThreads.has(alert.id) && (
+                <div className="mt-3 pt-2 border-t border-gray-100">
+                  <h4 className="text-sm font-medium text-gray-700 mb-1">Updates:</h4>
+                  
+                  {!alertUpdates[alert.id] ? (
+                    <p className="text-sm text-gray-500">Loading updates...</p>
+                  ) : alertUpdates[alert.id].length === 0 ? (
+                    <p className="text-sm text-gray-500">No updates have been posted.</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {alertUpdates[alert.id].map(update => (
+                        <div key={update.id} className={`alert-update pl-3 text-sm ${update.kind === 'all_clear' ? 'alert-update-all-clear' : ''}`}>
+                          <div className="flex items-center gap-2 text-gray-500 mb-1">
+                            <span className="font-medium text-gray-700">v{update.version}</span>
+                            {update.kind === 'all_clear' && (
+                              <span className="badge badge-resolved">All clear</span>
+                            )}
+                            <span>{new Date(update.createdAt).toLocaleString()}</span>
+                            {update.creatorName && <span>• {update.creatorName}</span>}
+                            {update.severity !== update.previousSeverity && (
+                              <span className={`badge severity-${update.severity}`} style={{backgroundColor: 'var(--severity-color)', color: 'white'}}>
+                                {update.previousSeverity} → {update.severity}
+                              </span>
+                            )}
+                          </div>
+                          <p className="text-gray-700">{update.message}</p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  
+                  {alert.status === 'sent' && (user.role === 'admin' || user.role === 'operator') && (
+                    <form onSubmit={(e) => handlePostUpdate(e, alert.id)} className="mt-3 flex flex-wrap gap-2">
+                      <input
+                        type="text"
+                        value={updateDraft.alertId === alert.id ? updateDraft.message : ''}
+                        onChange={(e) => setUpdateDraft({
+                          alertId: alert.id,
+                          message: e.target.value,
+                          severity: updateDraft.alertId === alert.id ? updateDraft.severity : ''
+                        })}
+                        placeholder="e.g. Road reopened"
+                        className="flex-1 px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-red-500 focus:border-red-500"
+                      />
+                      <select
+                        value={updateDraft.alertId === alert.id ? updateDraft.severity : ''}
+                        onChange={(e) => setUpdateDraft({
+                          alertId: alert.id,
+                          message: updateDraft.alertId === alert.id ? updateDraft.message : '',
+                          severity: e.target.value
+                        })}
+                        className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+                      >
+                        <option value="">Keep severity</option>
+                        <option value="low">Low</option>
+                        <option value="medium">Medium</option>
+                        <option value="high">High</option>
+                        <option value="critical">Critical</option>
+                      </select>
+                      <button
+                        type="submit"
+                        disabled={postingUpdate || updateDraft.alertId !== alert.id || !updateDraft.message.trim()}
+                        className="px-3 py-1 text-sm text-white bg-red-600 rounded-md hover:bg-red-700 disabled:opacity-50"
+                      >
+                        <i className="fas fa-paper-plane mr-1"></i>
+                        Send update
+                      </button>
+                    </form>
+                  )}
+                </div>
+              )}
+              
               {/* Show acknowledgments for admin and operator */}
               {(user.role === 'admin' || user.role === 'operator') && 
                alert.acknowledgments && 
@@ -0,0 +1,163 @@
+/**
+ * AreaPicker component
+ * Map for drawing the area an alert is targeted at, either a circle
+ * (click to place its center) or a polygon (click to add its corners)
+ */
+const AreaPicker = ({ area, onChange }) => {
+  const mapElementRef = React.useRef(null);
+  const mapRef = React.useRef(null);
+  const layerRef = React.useRef(null);
+  
+  const [mode, setMode] = React.useState(area && area.type === 'Polygon' ? 'polygon' : 'circle');
+  const [radius, setRadius] = React.useState(area && area.type === 'circle' ? area.radius : 1000);
+  
+  // Polygon corners as GeoJSON [longitude, latitude] positions, without the closing position
+  const [vertices, setVertices] = React.useState(area && area.type === 'Polygon' ? area.coordinates[0].slice(0, -1) : []);
+  
+  // Create the map once
+  React.useEffect(() => {
+    const map = L.map(mapElementRef.current).setView([39.8283, -98.5795], 4);
+    
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      maxZoom: 19,
+      attribution: '&copy; OpenStreetMap contributors'
+    }).addTo(map);
+    
+    mapRef.current = map;
+    layerRef.current = L.layerGroup().addTo(map);
+    
+    return () => {
+      map.remove();
+      mapRef.current = null;
+    };
+  }, []);
+  
+  // Place the circle or add a polygon corner where the map is clicked
+  React.useEffect(() => {
+    const map = mapRef.current;
+    
+    const handleClick = (e) => {
+      const { lat, lng } = e.latlng;
+      
+      if (mode === 'circle') {
+        onChange({ type: 'circle', latitude: lat, longitude: lng, radius });
+        return;
+      }
+      
+      const updatedVertices = [...vertices, [lng, lat]];
+      setVertices(updatedVertices);
+      onChange(updatedVertices.length >= 3
+        ? { type: 'Polygon', coordinates: [[...updatedVertices, updatedVertices[0]]] }
+        : null);
+    };
+    
+    map.on('click', handleClick);
+    
+    return () => {
+      map.off('click', handleClick);
+    };
+  }, [mode, radius, vertices, onChange]);
+  
+  // Redraw the area whenever it changes
+  React.useEffect(() => {
+    const layer = layerRef.current;
+    layer.clearLayers();
+    
+    if (mode === 'circle' && area && area.type === 'circle') {
+      L.circle([area.latitude, area.longitude], { radius: area.radius, color: '#dc2626' }).addTo(layer);
+    }
+    
+    if (mode === 'polygon' && vertices.length > 0) {
+      const latLngs = vertices.map(([lng, lat]) => [lat, lng]);
+      
+      if (latLngs.length >= 3) {
+        L.polygon(latLngs, { color: '#dc2626' }).addTo(layer);
+      } else {
+        L.polyline(latLngs, { color: '#dc2626', dashArray: '4' }).addTo(layer);
+      }
+      
+      latLngs.forEach(latLng => L.circleMarker(latLng, { radius: 4, color: '#dc2626' }).addTo(layer));
+    }
+  }, [area, mode, vertices]);
+  
+  // Switch between drawing a circle and a polygon, starting the area over
+  const handleModeChange = (newMode) => {
+    setMode(newMode);
+    setVertices([]);
+    onChange(null);
+  };
+  
+  // Resize the circle already placed
+  const handleRadiusChange = (e) => {
+    const value = parseInt(e.target.value) || 0;
+    setRadius(value);
+    
+    if (area && area.type === 'circle') {
+      onChange(value > 0 ? { ...area, radius: value } : null);
+    }
+  };
+  
+  const handleClear = () => {
+    setVertices([]);
+    onChange(null);
+  };
+  
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-2">
+        <label className="inline-flex items-center">
+          <input
+            type="radio"
+            name="areaMode"
+            checked={mode === 'circle'}
+            onChange={() => handleModeChange('circle')}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+          />
+          <span className="ml-2 text-sm text-gray-700">Circle</span>
+        </label>
+        
+        <label className="inline-flex items-center">
+          <input
+            type="radio"
+            name="areaMode"
+            checked={mode === 'polygon'}
+            onChange={() => handleModeChange('polygon')}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+          />
+          <span className="ml-2 text-sm text-gray-700">Polygon</span>
+        </label>
+        
+        {mode === 'circle' && (
+          <label className="inline-flex items-center text-sm text-gray-700">
+            Radius
+            <input
+              type="number"
+              min="1"
+              step="100"
+              value={radius}
+              onChange={handleRadiusChange}
+              className="ml-2 w-28 px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+            />
+            <span className="ml-1">m</span>
+          </label>
+        )}
+        
+        <button
+          type="button"
+          onClick={handleClear}
+          className="px-2 py-1 text-sm text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          Clear
+        </button>
+      </div>
+      
+      <div ref={mapElementRef} className="h-64 w-full rounded-md border border-gray-300"></div>
+      
+      <p className="mt-1 text-xs text-gray-500">
+        {mode === 'circle'
+          ? 'Click the map to place the center of the circle.'
+          : 'Click the map to add the corners of the polygon; at least three are needed.'}
+      </p>
+    </div>
+  );
+};
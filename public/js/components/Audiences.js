@@ -0,0 +1,457 @@
+/**
+ * Audiences component
+ * Lets admins and operators save audiences defined by rules over user fields,
+ * such as every operator at site North with SMS enabled, and see who is in
+ * each one right now
+ */
+const AUDIENCE_RULE_FIELDS = [
+  { value: 'role', label: 'Role' },
+  { value: 'site', label: 'Site' },
+  { value: 'phoneNumber', label: 'Phone number' },
+  { value: 'channels.email', label: 'Email enabled' },
+  { value: 'channels.sms', label: 'SMS enabled' },
+  { value: 'channels.push', label: 'Push enabled' },
+  { value: 'attributes', label: 'Custom attribute' }
+];
+
+const AUDIENCE_RULE_OPERATORS = [
+  { value: 'equals', label: 'is' },
+  { value: 'notEquals', label: 'is not' },
+  { value: 'in', label: 'is one of' },
+  { value: 'notIn', label: 'is none of' },
+  { value: 'exists', label: 'is set' },
+  { value: 'notExists', label: 'is not set' }
+];
+
+const EMPTY_AUDIENCE_RULE = { field: 'role', attribute: '', operator: 'equals', value: '' };
+
+const Audiences = ({ user }) => {
+  const [audiences, setAudiences] = React.useState([]);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const [expandedId, setExpandedId] = React.useState(null);
+  const [members, setMembers] = React.useState([]);
+  const [showAddForm, setShowAddForm] = React.useState(false);
+  const [formData, setFormData] = React.useState({
+    name: '',
+    description: '',
+    rules: [{ ...EMPTY_AUDIENCE_RULE }]
+  });
+  const [previewCount, setPreviewCount] = React.useState(null);
+  const [submitLoading, setSubmitLoading] = React.useState(false);
+  const [submitError, setSubmitError] = React.useState(null);
+  
+  // Fetch audiences on mount
+  React.useEffect(() => {
+    fetchAudiences();
+  }, []);
+  
+  // Fetch audiences from the API
+  const fetchAudiences = () => {
+    setLoading(true);
+    setError(null);
+    
+    api.getAudiences()
+      .then(response => {
+        if (response.success) {
+          setAudiences(response.data.audiences);
+        } else {
+          setError(response.message || 'Failed to fetch audiences');
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching audiences:', err);
+        setError('An error occurred while fetching audiences');
+      })
+      .finally(() => {
+        setLoading(false);
+      });
+  };
+  
+  // Turn the rows of the rule builder into the rules the API expects
+  const buildRules = () => {
+    return formData.rules.map(row => {
+      const field = row.field === 'attributes' ? `attributes.${row.attribute.trim()}` : row.field;
+      
+      if (row.operator === 'exists' || row.operator === 'notExists') {
+        return { field, operator: row.operator };
+      }
+      
+      if (row.operator === 'in' || row.operator === 'notIn') {
+        return { field, operator: row.operator, value: row.value.split(',').map(value => value.trim()).filter(Boolean) };
+      }
+      
+      return { field, operator: row.operator, value: row.field.startsWith('channels.') ? row.value !== 'false' : row.value.trim() };
+    });
+  };
+  
+  // Describe a saved rule in words
+  const describeRule = (rule) => {
+    const field = AUDIENCE_RULE_FIELDS.find(option => option.value === rule.field);
+    const operator = AUDIENCE_RULE_OPERATORS.find(option => option.value === rule.operator);
+    const value = Array.isArray(rule.value) ? rule.value.join(', ') : rule.value;
+    
+    return `${field ? field.label : rule.field} ${operator ? operator.label : rule.operator}${value !== undefined ? ` ${value}` : ''}`;
+  };
+  
+  // Show or hide who is in an audience right now
+  const toggleMembers = (id) => {
+    if (expandedId === id) {
+      setExpandedId(null);
+      return;
+    }
+    
+    setExpandedId(id);
+    setMembers([]);
+    
+    api.getAudienceMembers(id)
+      .then(response => {
+        if (response.success) {
+          setMembers(response.data.members);
+        } else {
+          setError(response.message || 'Failed to fetch audience members');
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching audience members:', err);
+        setError('An error occurred while fetching audience members');
+      });
+  };
+  
+  // Delete an audience
+  const handleDelete = (audience) => {
+    if (!window.confirm(`Delete the audience "${audience.name}"? Scheduled alerts targeting it will no longer reach its members.`)) {
+      return;
+    }
+    
+    api.deleteAudience(audience.id)
+      .then(response => {
+        if (response.success) {
+          setAudiences(prev => prev.filter(item => item.id !== audience.id));
+        } else {
+          setError(response.message || 'Failed to delete audience');
+        }
+      })
+      .catch(err => {
+        console.error('Error deleting audience:', err);
+        setError('An error occurred while deleting the audience');
+      });
+  };
+  
+  // Handle name and description changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+  
+  // Change one field of a rule row; the count shown is for the old rules until previewed again
+  const handleRuleChange = (index, name, value) => {
+    setPreviewCount(null);
+    setFormData(prev => ({
+      ...prev,
+      rules: prev.rules.map((rule, i) => {
+        if (i !== index) {
+          return rule;
+        }
+        
+        // Channel rules compare with true or false rather than text
+        if (name === 'field' && value.startsWith('channels.')) {
+          return { ...rule, field: value, value: 'true' };
+        }
+        
+        return { ...rule, [name]: value };
+      })
+    }));
+  };
+  
+  const handleAddRule = () => {
+    setPreviewCount(null);
+    setFormData(prev => ({ ...prev, rules: [...prev.rules, { ...EMPTY_AUDIENCE_RULE }] }));
+  };
+  
+  const handleRemoveRule = (index) => {
+    setPreviewCount(null);
+    setFormData(prev => ({ ...prev, rules: prev.rules.filter((rule, i) => i !== index) }));
+  };
+  
+  // Count who the rules select before saving them
+  const handlePreview = () => {
+    setSubmitError(null);
+    
+    api.previewAudience(buildRules())
+      .then(response => {
+        if (response.success) {
+          setPreviewCount(response.data.total);
+        } else {
+          const details = response.errors ? Object.values(response.errors).join('. ') : '';
+          setSubmitError(details || response.message || 'Failed to preview audience');
+        }
+      })
+      .catch(err => {
+        console.error('Error previewing audience:', err);
+        setSubmitError('An error occurred while previewing the audience');
+      });
+  };
+  
+  // Handle form submission
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    
+    if (!formData.name.trim()) {
+      setSubmitError('Name is required');
+      return;
+    }
+    
+    setSubmitLoading(true);
+    setSubmitError(null);
+    
+    api.createAudience({
+      name: formData.name.trim(),
+      description: formData.description.trim() || null,
+      rules: buildRules()
+    })
+      .then(response => {
+        if (response.success) {
+          fetchAudiences();
+          setShowAddForm(false);
+          setPreviewCount(null);
+          setFormData({ name: '', description: '', rules: [{ ...EMPTY_AUDIENCE_RULE }] });
+        } else {
+          const details = response.errors ? Object.values(response.errors).join('. ') : '';
+          setSubmitError(details || response.message || 'Failed to save audience');
+        }
+      })
+      .catch(err => {
+        console.error('Error saving audience:', err);
+        setSubmitError('An error occurred while saving the audience');
+      })
+      .finally(() => {
+        setSubmitLoading(false);
+      });
+  };
+  
+  if (loading) {
+    return (
+      <div className="text-center py-8">
+        <div className="spinner mx-auto mb-4"></div>
+        <p className="text-gray-600">Loading audiences...</p>
+      </div>
+    );
+  }
+  
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">Saved Audiences</h2>
+        
+        <button
+          className="bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded"
+          onClick={() => setShowAddForm(!showAddForm)}
+        >
+          <i className={`fas fa-${showAddForm ? 'times' : 'plus'} mr-2`}></i>
+          {showAddForm ? 'Close' : 'New Audience'}
+        </button>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      
+      {showAddForm && (
+        <form onSubmit={handleSubmit} className="bg-gray-50 border rounded-lg p-4 mb-6">
+          {submitError && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+              {submitError}
+            </div>
+          )}
+          
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="name">Name</label>
+              <input
+                id="name"
+                name="name"
+                type="text"
+                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="North site operators on SMS"
+              />
+            </div>
+            
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="description">Description</label>
+              <input
+                id="description"
+                name="description"
+                type="text"
+                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700"
+                value={formData.description}
+                onChange={handleChange}
+              />
+            </div>
+          </div>
+          
+          <label className="block text-gray-700 text-sm font-bold mb-2">Users who match all of these rules</label>
+          
+          <div className="space-y-2 mb-2">
+            {formData.rules.map((rule, index) => (
+              <div key={index} className="flex flex-wrap gap-2 items-center">
+                <select
+                  className="shadow border rounded py-2 px-3 text-gray-700"
+                  value={rule.field}
+                  onChange={(e) => handleRuleChange(index, 'field', e.target.value)}
+                >
+                  {AUDIENCE_RULE_FIELDS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                
+                {rule.field === 'attributes' && (
+                  <input
+                    type="text"
+                    className="shadow appearance-none border rounded w-36 py-2 px-3 text-gray-700"
+                    value={rule.attribute}
+                    onChange={(e) => handleRuleChange(index, 'attribute', e.target.value)}
+                    placeholder="Attribute name"
+                  />
+                )}
+                
+                <select
+                  className="shadow border rounded py-2 px-3 text-gray-700"
+                  value={rule.operator}
+                  onChange={(e) => handleRuleChange(index, 'operator', e.target.value)}
+                >
+                  {AUDIENCE_RULE_OPERATORS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                
+                {rule.operator !== 'exists' && rule.operator !== 'notExists' && (
+                  rule.field.startsWith('channels.') && (rule.operator === 'equals' || rule.operator === 'notEquals') ? (
+                    <select
+                      className="shadow border rounded py-2 px-3 text-gray-700"
+                      value={rule.value}
+                      onChange={(e) => handleRuleChange(index, 'value', e.target.value)}
+                    >
+                      <option value="true">true</option>
+                      <option value="false">false</option>
+                    </select>
+                  ) : (
+                    <input
+                      type="text"
+                      className="shadow appearance-none border rounded flex-1 py-2 px-3 text-gray-700"
+                      value={rule.value}
+                      onChange={(e) => handleRuleChange(index, 'value', e.target.value)}
+                      placeholder={rule.operator === 'in' || rule.operator === 'notIn' ? 'Values, separated by commas' : 'Value'}
+                    />
+                  )
+                )}
+                
+                {formData.rules.length > 1 && (
+                  <button
+                    type="button"
+                    className="text-red-600 hover:text-red-800 text-sm"
+                    onClick={() => handleRemoveRule(index)}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+          
+          <button
+            type="button"
+            className="text-blue-600 hover:text-blue-800 text-sm"
+            onClick={handleAddRule}
+          >
+            <i className="fas fa-plus mr-1"></i>
+            Add Rule
+          </button>
+          
+          <div className="mt-4 flex justify-end items-center gap-4">
+            {previewCount !== null && (
+              <span className="text-sm text-gray-600">{previewCount} {previewCount === 1 ? 'user matches' : 'users match'} right now</span>
+            )}
+            
+            <button
+              type="button"
+              className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-medium py-2 px-4 rounded"
+              onClick={handlePreview}
+            >
+              Preview
+            </button>
+            
+            <button
+              type="submit"
+              className="bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded"
+              disabled={submitLoading}
+            >
+              {submitLoading ? 'Saving...' : 'Save Audience'}
+            </button>
+          </div>
+        </form>
+      )}
+      
+      {audiences.length === 0 ? (
+        <p className="text-gray-600 text-center py-8">No audiences have been saved.</p>
+      ) : (
+        <div className="space-y-4">
+          {audiences.map(audience => (
+            <div key={audience.id} className="bg-white border rounded-lg p-4">
+              <div className="flex justify-between items-start">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900">{audience.name}</h3>
+                  {audience.description && (
+                    <p className="text-sm text-gray-500">{audience.description}</p>
+                  )}
+                  <p className="text-sm text-gray-500 mt-1">
+                    {audience.rules.map(describeRule).join(' and ')}
+                  </p>
+                </div>
+                
+                <div className="flex flex-wrap gap-2 items-center">
+                  <button
+                    className="text-blue-600 hover:text-blue-800 text-sm"
+                    onClick={() => toggleMembers(audience.id)}
+                  >
+                    {expandedId === audience.id ? 'Hide Members' : 'Members'}
+                  </button>
+                  
+                  <button
+                    className="text-red-600 hover:text-red-800 text-sm"
+                    onClick={() => handleDelete(audience)}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+              
+              {expandedId === audience.id && (
+                <ul className="mt-3 pt-3 border-t border-gray-100 divide-y divide-gray-100">
+                  {members.length === 0 && (
+                    <li className="py-2 text-sm text-gray-500">Nobody matches this audience right now.</li>
+                  )}
+                  {members.map(member => (
+                    <li key={member.id} className="py-2 flex justify-between items-center text-sm">
+                      <span className="text-gray-700">{member.username} ({member.email})</span>
+                      <span className="text-gray-500">
+                        {member.role}{member.site ? ` · ${member.site}` : ''}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
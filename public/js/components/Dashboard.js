@@ -43,10 +43,42 @@ const Dashboard = ({ user }) => {
       }
     });
     
+    // Listen for delivery reports from the SMS and email providers
+    socketService.onDeliveryStatsUpdated(() => {
+      if (user.role === 'admin') {
+        fetchAlertStats();
+      }
+    });
+    
+    // Expired alerts change the sent and expired counts
+    socketService.onAlertExpired(() => {
+      if (user.role === 'admin') {
+        fetchAlertStats();
+      }
+    });
+    
+    // So do alerts resolved by an all-clear
+    socketService.onAlertResolved(() => {
+      if (user.role === 'admin') {
+        fetchAlertStats();
+      }
+    });
+    
+    // Alerts waiting for approval are counted separately
+    socketService.onAlertApprovalRequested(() => {
+      if (user.role === 'admin') {
+        fetchAlertStats();
+      }
+    });
+    
     // Cleanup listeners on unmount
     return () => {
       socketService.offNewAlert();
       socketService.offAlertAcknowledged();
+      socketService.offDeliveryStatsUpdated();
+      socketService.offAlertExpired();
+      socketService.offAlertResolved();
+      socketService.offAlertApprovalRequested();
     };
   }, [user.role, user.id]);
   
@@ -164,6 +196,9 @@ const Dashboard = ({ user }) => {
           <div className="mt-1 flex space-x-2">
             <span className="badge badge-sent">{alertStats.alertCounts.sent} Sent</span>
             <span className="badge badge-pending">{alertStats.alertCounts.pending} Pending</span>
+            <span className="badge badge-expired">{alertStats.alertCounts.expired} Expired</span>
+            <span className="badge badge-resolved">{alertStats.alertCounts.resolved} Resolved</span>
+            <span className="badge badge-pending_approval">{alertStats.alertCounts.pendingApproval} Awaiting Approval</span>
           </div>
         </div>
         
@@ -367,6 +402,10 @@ const Dashboard = ({ user }) => {
         return <AlertForm user={user} onAlertCreated={() => setActiveTab('alerts')} />;
       case 'users':
         return <UserManagement user={user} />;
+      case 'recurring':
+        return <RecurringAlerts user={user} />;
+      case 'audiences':
+        return <Audiences user={user} />;
       case 'incidents':
         return (
           <div id="incident-management-container" ref={incidentContainerRef}>
@@ -553,6 +592,36 @@ const Dashboard = ({ user }) => {
           </button>
         )}
         
+        {/* Only admin and operator can manage recurring alerts */}
+        {(user.role === 'admin' || user.role === 'operator') && (
+          <button
+            onClick={() => setActiveTab('recurring')}
+            className={`py-4 px-6 text-center border-b-2 font-medium text-sm ${
+              activeTab === 'recurring'
+                ? 'border-red-500 text-red-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <i className="fas fa-redo mr-2"></i>
+            Recurring
+          </button>
+        )}
+        
+        {/* Only admin and operator can manage saved audiences */}
+        {(user.role === 'admin' || user.role === 'operator') && (
+          <button
+            onClick={() => setActiveTab('audiences')}
+            className={`py-4 px-6 text-center border-b-2 font-medium text-sm ${
+              activeTab === 'audiences'
+                ? 'border-red-500 text-red-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <i className="fas fa-filter mr-2"></i>
+            Audiences
+          </button>
+        )}
+        
         {/* Only admin can see analytics */}
         {user.role === 'admin' && (
           <button
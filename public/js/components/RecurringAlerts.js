@@ -0,0 +1,411 @@
+/**
+ * RecurringAlerts component
+ * Lists alerts sent from a template on a repeating schedule, with their
+ * upcoming occurrences, and lets admins and operators skip or pause them
+ */
+const RecurringAlerts = ({ user }) => {
+  const [recurrences, setRecurrences] = React.useState([]);
+  const [templates, setTemplates] = React.useState([]);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const [expandedId, setExpandedId] = React.useState(null);
+  const [occurrences, setOccurrences] = React.useState([]);
+  const [showAddForm, setShowAddForm] = React.useState(false);
+  const [formData, setFormData] = React.useState({
+    name: '',
+    templateId: '',
+    rrule: 'FREQ=MONTHLY;BYDAY=1WE;BYHOUR=12;BYMINUTE=0',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    startsAt: '',
+    isTest: true
+  });
+  const [submitLoading, setSubmitLoading] = React.useState(false);
+  const [submitError, setSubmitError] = React.useState(null);
+  
+  // Fetch recurrences and the templates they can use on mount
+  React.useEffect(() => {
+    fetchRecurrences();
+    
+    api.getTemplates({ isActive: true, limit: 100 })
+      .then(response => {
+        if (response.templates) {
+          setTemplates(response.templates);
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching templates:', err);
+      });
+  }, []);
+  
+  // Fetch recurrences from the API
+  const fetchRecurrences = () => {
+    setLoading(true);
+    setError(null);
+    
+    api.getRecurrences()
+      .then(response => {
+        if (response.success) {
+          setRecurrences(response.data.recurrences);
+        } else {
+          setError(response.message || 'Failed to fetch recurring alerts');
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching recurring alerts:', err);
+        setError('An error occurred while fetching recurring alerts');
+      })
+      .finally(() => {
+        setLoading(false);
+      });
+  };
+  
+  // Replace a recurrence in the list with its updated version
+  const replaceRecurrence = (updated) => {
+    setRecurrences(prev =>
+      prev.map(recurrence =>
+        recurrence.id === updated.id ? { ...recurrence, ...updated } : recurrence
+      )
+    );
+  };
+  
+  // Show or hide the upcoming occurrences of a recurrence
+  const toggleOccurrences = (id) => {
+    if (expandedId === id) {
+      setExpandedId(null);
+      return;
+    }
+    
+    setExpandedId(id);
+    setOccurrences([]);
+    
+    api.getRecurrence(id)
+      .then(response => {
+        if (response.success) {
+          setOccurrences(response.data.occurrences);
+        } else {
+          setError(response.message || 'Failed to fetch upcoming occurrences');
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching occurrences:', err);
+        setError('An error occurred while fetching upcoming occurrences');
+      });
+  };
+  
+  // Pause or resume a recurrence
+  const handlePause = (recurrence) => {
+    api.setRecurrencePaused(recurrence.id, recurrence.status !== 'paused')
+      .then(response => {
+        if (response.success) {
+          replaceRecurrence(response.data.recurrence);
+        } else {
+          setError(response.message || 'Failed to update recurring alert');
+        }
+      })
+      .catch(err => {
+        console.error('Error pausing recurring alert:', err);
+        setError('An error occurred while updating the recurring alert');
+      });
+  };
+  
+  // Skip or restore one occurrence
+  const handleSkip = (recurrenceId, occurrence) => {
+    api.setOccurrenceSkipped(recurrenceId, occurrence.occursAt, !occurrence.skipped)
+      .then(response => {
+        if (response.success) {
+          replaceRecurrence(response.data.recurrence);
+          setOccurrences(response.data.occurrences);
+        } else {
+          setError(response.message || 'Failed to update the occurrence');
+        }
+      })
+      .catch(err => {
+        console.error('Error skipping occurrence:', err);
+        setError('An error occurred while updating the occurrence');
+      });
+  };
+  
+  // Delete a recurrence
+  const handleDelete = (recurrence) => {
+    if (!window.confirm(`Delete the recurring alert "${recurrence.name}"? Alerts it already sent are kept.`)) {
+      return;
+    }
+    
+    api.deleteRecurrence(recurrence.id)
+      .then(response => {
+        if (response.success) {
+          setRecurrences(prev => prev.filter(item => item.id !== recurrence.id));
+        } else {
+          setError(response.message || 'Failed to delete recurring alert');
+        }
+      })
+      .catch(err => {
+        console.error('Error deleting recurring alert:', err);
+        setError('An error occurred while deleting the recurring alert');
+      });
+  };
+  
+  // Handle form input changes
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+  
+  // Handle form submission
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    
+    if (!formData.name.trim() || !formData.templateId || !formData.startsAt) {
+      setSubmitError('Name, template and start date are required');
+      return;
+    }
+    
+    setSubmitLoading(true);
+    setSubmitError(null);
+    
+    api.createRecurrence({
+      ...formData,
+      templateId: parseInt(formData.templateId),
+      startsAt: new Date(formData.startsAt).toISOString()
+    })
+      .then(response => {
+        if (response.success) {
+          fetchRecurrences();
+          setShowAddForm(false);
+          setFormData(prev => ({ ...prev, name: '', templateId: '', startsAt: '' }));
+        } else {
+          const details = response.errors ? Object.values(response.errors).join('. ') : '';
+          setSubmitError(details || response.message || 'Failed to create recurring alert');
+        }
+      })
+      .catch(err => {
+        console.error('Error creating recurring alert:', err);
+        setSubmitError('An error occurred while creating the recurring alert');
+      })
+      .finally(() => {
+        setSubmitLoading(false);
+      });
+  };
+  
+  if (loading) {
+    return (
+      <div className="text-center py-8">
+        <div className="spinner mx-auto mb-4"></div>
+        <p className="text-gray-600">Loading recurring alerts...</p>
+      </div>
+    );
+  }
+  
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">Recurring Alerts</h2>
+        
+        <button
+          className="bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded"
+          onClick={() => setShowAddForm(!showAddForm)}
+        >
+          <i className={`fas fa-${showAddForm ? 'times' : 'plus'} mr-2`}></i>
+          {showAddForm ? 'Close' : 'New Recurring Alert'}
+        </button>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      
+      {showAddForm && (
+        <form onSubmit={handleSubmit} className="bg-gray-50 border rounded-lg p-4 mb-6">
+          {submitError && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+              {submitError}
+            </div>
+          )}
+          
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="name">Name</label>
+              <input
+                id="name"
+                name="name"
+                type="text"
+                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="Monthly siren test"
+              />
+            </div>
+            
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="templateId">Template</label>
+              <select
+                id="templateId"
+                name="templateId"
+                className="shadow border rounded w-full py-2 px-3 text-gray-700"
+                value={formData.templateId}
+                onChange={handleChange}
+              >
+                <option value="">Select a template</option>
+                {templates.map(template => (
+                  <option key={template.id} value={template.id}>{template.name}</option>
+                ))}
+              </select>
+            </div>
+            
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="rrule">Recurrence Rule</label>
+              <input
+                id="rrule"
+                name="rrule"
+                type="text"
+                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 font-mono"
+                value={formData.rrule}
+                onChange={handleChange}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                For example FREQ=MONTHLY;BYDAY=1WE;BYHOUR=12;BYMINUTE=0 for noon on the first Wednesday
+              </p>
+            </div>
+            
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="timezone">Time Zone</label>
+              <input
+                id="timezone"
+                name="timezone"
+                type="text"
+                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700"
+                value={formData.timezone}
+                onChange={handleChange}
+              />
+            </div>
+            
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="startsAt">Starts</label>
+              <input
+                id="startsAt"
+                name="startsAt"
+                type="datetime-local"
+                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700"
+                value={formData.startsAt}
+                onChange={handleChange}
+              />
+            </div>
+            
+            <div className="flex items-center mt-6">
+              <input
+                id="isTest"
+                name="isTest"
+                type="checkbox"
+                className="mr-2"
+                checked={formData.isTest}
+                onChange={handleChange}
+              />
+              <label htmlFor="isTest" className="text-gray-700">Test drill (mark every alert "THIS IS A TEST")</label>
+            </div>
+          </div>
+          
+          <div className="mt-4 text-right">
+            <button
+              type="submit"
+              className="bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded"
+              disabled={submitLoading}
+            >
+              {submitLoading ? 'Creating...' : 'Create Recurring Alert'}
+            </button>
+          </div>
+        </form>
+      )}
+      
+      {recurrences.length === 0 ? (
+        <p className="text-gray-600 text-center py-8">No recurring alerts have been set up.</p>
+      ) : (
+        <div className="space-y-4">
+          {recurrences.map(recurrence => (
+            <div key={recurrence.id} className="bg-white border rounded-lg p-4">
+              <div className="flex justify-between items-start">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900">
+                    {recurrence.name}
+                    {recurrence.isTest && (
+                      <span className="badge badge-test ml-2">Test</span>
+                    )}
+                  </h3>
+                  <p className="text-sm text-gray-500">
+                    {recurrence.templateName || `Template ${recurrence.templateId}`}
+                    {' · '}
+                    <span className="font-mono">{recurrence.rrule}</span>
+                    {' · '}
+                    {recurrence.timezone}
+                  </p>
+                  <p className="text-sm text-gray-500 mt-1">
+                    <i className="fas fa-clock mr-1"></i>
+                    {recurrence.nextRunAt
+                      ? `Next: ${new Date(recurrence.nextRunAt).toLocaleString()}`
+                      : 'No occurrences left'}
+                  </p>
+                </div>
+                
+                <div className="flex flex-wrap gap-2 items-center">
+                  <span className={`badge badge-${recurrence.status}`}>
+                    {recurrence.status}
+                  </span>
+                  
+                  <button
+                    className="text-blue-600 hover:text-blue-800 text-sm"
+                    onClick={() => toggleOccurrences(recurrence.id)}
+                  >
+                    {expandedId === recurrence.id ? 'Hide Upcoming' : 'Upcoming'}
+                  </button>
+                  
+                  {recurrence.status !== 'ended' && (
+                    <button
+                      className="text-yellow-600 hover:text-yellow-800 text-sm"
+                      onClick={() => handlePause(recurrence)}
+                    >
+                      {recurrence.status === 'paused' ? 'Resume' : 'Pause'}
+                    </button>
+                  )}
+                  
+                  {user.role === 'admin' && (
+                    <button
+                      className="text-red-600 hover:text-red-800 text-sm"
+                      onClick={() => handleDelete(recurrence)}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+              
+              {expandedId === recurrence.id && (
+                <ul className="mt-3 pt-3 border-t border-gray-100 divide-y divide-gray-100">
+                  {occurrences.length === 0 && (
+                    <li className="py-2 text-sm text-gray-500">No upcoming occurrences.</li>
+                  )}
+                  {occurrences.map(occurrence => (
+                    <li key={occurrence.occursAt} className="py-2 flex justify-between items-center text-sm">
+                      <span className={occurrence.skipped ? 'line-through text-gray-400' : 'text-gray-700'}>
+                        {new Date(occurrence.occursAt).toLocaleString()}
+                      </span>
+                      <button
+                        className="text-blue-600 hover:text-blue-800"
+                        onClick={() => handleSkip(recurrence.id, occurrence)}
+                      >
+                        {occurrence.skipped ? 'Restore' : 'Skip'}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
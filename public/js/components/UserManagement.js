@@ -1,6 +1,6 @@
 /**
  * UserManagement component
- * Admin interface for managing users and their roles
+ * Admin interface for managing users, their roles and the groups they belong to
  */
 const UserManagement = ({ user }) => {
   const [users, setUsers] = React.useState([]);
@@ -24,12 +24,86 @@ const UserManagement = ({ user }) => {
   const [submitLoading, setSubmitLoading] = React.useState(false);
   const [submitError, setSubmitError] = React.useState(null);
   const [submitSuccess, setSubmitSuccess] = React.useState(null);
+  const [groups, setGroups] = React.useState([]);
+  const [memberRoles, setMemberRoles] = React.useState({});
+  const [newGroup, setNewGroup] = React.useState({ name: '', parentId: '' });
+  const [groupError, setGroupError] = React.useState(null);
+  const [mandatoryCategories, setMandatoryCategories] = React.useState([]);
+  const [attributeData, setAttributeData] = React.useState({ site: '', attributes: '' });
   
-  // Fetch users on component mount
+  // Fetch users and groups on component mount
   React.useEffect(() => {
     fetchUsers();
+    fetchGroups();
   }, []);
   
+  // Load the groups the user being edited belongs to, keyed by group ID
+  React.useEffect(() => {
+    setMemberRoles({});
+    
+    if (!editingUser) {
+      return;
+    }
+    
+    api.getGroups(editingUser.id)
+      .then(response => {
+        if (response.success) {
+          setMemberRoles(Object.fromEntries(response.data.groups.map(group => [group.id, group.memberRole])));
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching user groups:', err);
+      });
+  }, [editingUser]);
+  
+  // Load the alert categories the user being edited subscribes to
+  React.useEffect(() => {
+    if (!editingUser) {
+      return;
+    }
+    
+    api.getUserSubscription(editingUser.id)
+      .then(response => {
+        if (response.success) {
+          setMandatoryCategories(response.data.mandatoryCategories);
+          
+          if (response.data.subscription) {
+            setFormData(prev => ({
+              ...prev,
+              categories: response.data.subscription.categories
+            }));
+          }
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching user subscription:', err);
+      });
+  }, [editingUser]);
+  
+  // Load the site and custom attributes of the user being edited, with one name=value per line
+  React.useEffect(() => {
+    setAttributeData({ site: '', attributes: '' });
+    
+    if (!editingUser) {
+      return;
+    }
+    
+    api.getUserAttributes(editingUser.id)
+      .then(response => {
+        if (response.success) {
+          setAttributeData({
+            site: response.data.site || '',
+            attributes: Object.entries(response.data.attributes || {})
+              .map(([name, value]) => `${name}=${value}`)
+              .join('\n')
+          });
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching user attributes:', err);
+      });
+  }, [editingUser]);
+  
   // Reset form when changing between add/edit modes
   React.useEffect(() => {
     if (editingUser) {
@@ -86,6 +160,95 @@ const UserManagement = ({ user }) => {
       });
   };
   
+  // Fetch groups from the API
+  const fetchGroups = () => {
+    api.getGroups()
+      .then(response => {
+        if (response.success) {
+          setGroups(response.data.groups);
+        } else {
+          setGroupError(response.message || 'Failed to fetch groups');
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching groups:', err);
+        setGroupError('An error occurred while fetching groups');
+      });
+  };
+  
+  // Add the user being edited to a group, change their role in it, or remove them (role null)
+  const handleMembershipChange = (groupId, role) => {
+    const request = role
+      ? api.setGroupMember(groupId, editingUser.id, role)
+      : api.removeGroupMember(groupId, editingUser.id);
+    
+    setSubmitError(null);
+    
+    request
+      .then(response => {
+        if (response.success) {
+          setMemberRoles(prev => {
+            const { [groupId]: _, ...rest } = prev;
+            return role ? { ...rest, [groupId]: role } : rest;
+          });
+          fetchGroups();
+        } else {
+          setSubmitError(response.message || 'Failed to update group membership');
+        }
+      })
+      .catch(err => {
+        console.error('Error updating group membership:', err);
+        setSubmitError('An error occurred while updating group membership');
+      });
+  };
+  
+  // Create a group from the new group form
+  const handleCreateGroup = (e) => {
+    e.preventDefault();
+    
+    if (!newGroup.name.trim()) {
+      setGroupError('Group name is required');
+      return;
+    }
+    
+    setGroupError(null);
+    
+    api.createGroup({
+      name: newGroup.name.trim(),
+      parentId: newGroup.parentId ? parseInt(newGroup.parentId) : null
+    })
+      .then(response => {
+        if (response.success) {
+          setNewGroup({ name: '', parentId: '' });
+          fetchGroups();
+        } else {
+          setGroupError(response.message || 'Failed to create group');
+        }
+      })
+      .catch(err => {
+        console.error('Error creating group:', err);
+        setGroupError('An error occurred while creating the group');
+      });
+  };
+  
+  // Handle group deletion; its subgroups move up to its parent
+  const handleDeleteGroup = (group) => {
+    if (window.confirm(`Delete the group "${group.name}"? Its members stay as users, and its subgroups move up a level.`)) {
+      api.deleteGroup(group.id)
+        .then(response => {
+          if (response.success) {
+            fetchGroups();
+          } else {
+            setGroupError(response.message || 'Failed to delete group');
+          }
+        })
+        .catch(err => {
+          console.error('Error deleting group:', err);
+          setGroupError('An error occurred while deleting the group');
+        });
+    }
+  };
+  
   // Handle form input changes
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -108,6 +271,28 @@ const UserManagement = ({ user }) => {
     }));
   };
   
+  // Handle site and attribute changes
+  const handleAttributeChange = (e) => {
+    const { name, value } = e.target;
+    setAttributeData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+  
+  // Turn the attribute lines into an object; true and false are saved as true/false values
+  const parseAttributes = (text) => {
+    return Object.fromEntries(
+      text.split('\n')
+        .map(line => line.split('='))
+        .filter(([name, ...rest]) => name.trim() && rest.length > 0)
+        .map(([name, ...rest]) => {
+          const value = rest.join('=').trim();
+          return [name.trim(), value === 'true' ? true : value === 'false' ? false : value];
+        })
+    );
+  };
+  
   // Handle category checkbox changes
   const handleCategoryChange = (e) => {
     const { value, checked } = e.target;
@@ -163,6 +348,27 @@ const UserManagement = ({ user }) => {
       }
       
       api.updateUser(editingUser.id, updateData)
+        .then(response => {
+          if (!response.success) {
+            return response;
+          }
+          
+          // Categories decide which alerts the user receives, so save them to their subscription too
+          return api.updateUserSubscription(editingUser.id, { categories: formData.categories })
+            .then(subscriptionResponse => subscriptionResponse.success ? response : subscriptionResponse);
+        })
+        .then(response => {
+          if (!response.success) {
+            return response;
+          }
+          
+          // Saved audiences filter on the site and attributes
+          return api.updateUserAttributes(editingUser.id, {
+            site: attributeData.site.trim() || null,
+            attributes: parseAttributes(attributeData.attributes)
+          })
+            .then(attributesResponse => attributesResponse.success ? response : attributesResponse);
+        })
         .then(response => {
           if (response.success) {
             setSubmitSuccess('User updated successfully');
@@ -430,9 +636,56 @@ const UserManagement = ({ user }) => {
             </div>
           </div>
           
+          {editingUser && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label htmlFor="site" className="block text-sm font-medium text-gray-700 mb-1">
+                  Site
+                </label>
+                <input
+                  type="text"
+                  id="site"
+                  name="site"
+                  value={attributeData.site}
+                  onChange={handleAttributeChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+                  placeholder="North"
+                />
+              </div>
+              
+              <div>
+                <label htmlFor="attributes" className="block text-sm font-medium text-gray-700 mb-1">
+                  Custom Attributes
+                </label>
+                <textarea
+                  id="attributes"
+                  name="attributes"
+                  rows="3"
+                  value={attributeData.attributes}
+                  onChange={handleAttributeChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono text-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+                  placeholder="department=facilities"
+                ></textarea>
+                <p className="mt-1 text-xs text-gray-500">One name=value per line. Saved audiences can filter on these.</p>
+              </div>
+            </div>
+          )}
+          
           <div className="mb-6">
             <h4 className="text-sm font-medium text-gray-700 mb-2">Alert Categories</h4>
             <div className="flex flex-wrap gap-4">
+              {editingUser && mandatoryCategories.map(category => (
+                <label key={category} className="inline-flex items-center" title="Everyone receives these alerts">
+                  <input
+                    type="checkbox"
+                    checked
+                    disabled
+                    className="h-4 w-4 text-gray-400 border-gray-300 rounded"
+                  />
+                  <span className="ml-2 text-sm text-gray-500">{category} (always on)</span>
+                </label>
+              ))}
+              
               <label className="inline-flex items-center">
                 <input
                   type="checkbox"
@@ -479,6 +732,39 @@ const UserManagement = ({ user }) => {
             </div>
           </div>
           
+          {editingUser && groups.length > 0 && (
+            <div className="mb-6">
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Groups</h4>
+              <p className="mb-2 text-xs text-gray-500">Changes to group membership are saved straight away. Owners can manage the group's members.</p>
+              <div className="max-h-48 overflow-y-auto">
+                {groups.map(group => (
+                  <div key={group.id} className="flex items-center py-1">
+                    <input
+                      type="checkbox"
+                      id={`group-${group.id}`}
+                      checked={Boolean(memberRoles[group.id])}
+                      onChange={(e) => handleMembershipChange(group.id, e.target.checked ? 'member' : null)}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <label htmlFor={`group-${group.id}`} className="ml-2 text-sm text-gray-700">
+                      {group.name}
+                    </label>
+                    {memberRoles[group.id] && (
+                      <select
+                        value={memberRoles[group.id]}
+                        onChange={(e) => handleMembershipChange(group.id, e.target.value)}
+                        className="ml-3 px-2 py-0.5 text-xs border border-gray-300 rounded-md"
+                      >
+                        <option value="member">Member</option>
+                        <option value="owner">Owner</option>
+                      </select>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          
           <div className="flex justify-end space-x-4">
             <button
               type="button"
@@ -625,6 +911,82 @@ const UserManagement = ({ user }) => {
           <p className="text-gray-500">No users found. Add a new user to get started.</p>
         </div>
       )}
+      
+      <div className="mt-8">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Groups</h2>
+        
+        {groupError && (
+          <div className="bg-red-50 border-l-4 border-red-400 p-4 mb-4">
+            <p className="text-sm text-red-700">{groupError}</p>
+          </div>
+        )}
+        
+        <form onSubmit={handleCreateGroup} className="flex flex-wrap items-end gap-4 mb-4">
+          <div>
+            <label htmlFor="groupName" className="block text-sm font-medium text-gray-700 mb-1">
+              Name
+            </label>
+            <input
+              type="text"
+              id="groupName"
+              value={newGroup.name}
+              onChange={(e) => setNewGroup(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g. Building A Wardens"
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+            />
+          </div>
+          
+          <div>
+            <label htmlFor="groupParent" className="block text-sm font-medium text-gray-700 mb-1">
+              Part of
+            </label>
+            <select
+              id="groupParent"
+              value={newGroup.parentId}
+              onChange={(e) => setNewGroup(prev => ({ ...prev, parentId: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+            >
+              <option value="">No parent group</option>
+              {groups.map(group => (
+                <option key={group.id} value={group.id}>{group.name}</option>
+              ))}
+            </select>
+          </div>
+          
+          <button
+            type="submit"
+            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 flex items-center"
+          >
+            <i className="fas fa-users mr-2"></i>
+            Add Group
+          </button>
+        </form>
+        
+        {groups.length > 0 ? (
+          <div className="bg-white shadow-sm rounded-lg divide-y divide-gray-200">
+            {groups.map(group => (
+              <div key={group.id} className="px-6 py-3 flex items-center justify-between">
+                <div>
+                  <div className="text-sm font-medium text-gray-900">{group.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {group.memberCount} member{group.memberCount === 1 ? '' : 's'}
+                    {group.parentId && ` · part of ${(groups.find(parent => parent.id === group.parentId) || {}).name}`}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleDeleteGroup(group)}
+                  className="text-sm text-red-600 hover:text-red-900"
+                >
+                  <i className="fas fa-trash-alt mr-1"></i>
+                  Delete
+                </button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No groups yet. Add one to target alerts at a team.</p>
+        )}
+      </div>
     </div>
   );
 };
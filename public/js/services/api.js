@@ -41,7 +41,8 @@ const api = (() => {
         return {
           success: false,
           message: data.message || `Error: ${response.status} ${response.statusText}`,
-          errors: data.errors
+          errors: data.errors,
+          data: data.data
         };
       }
       
@@ -117,6 +118,14 @@ const api = (() => {
     return sendRequest(`/alerts${queryString}`);
   };
   
+  /**
+   * Get the alerts currently in effect (sent and not yet expired)
+   * @returns {Promise<Object>} Response with alerts data
+   */
+  const getActiveAlerts = () => {
+    return sendRequest('/alerts/active');
+  };
+  
   /**
    * Get a specific alert by ID
    * @param {number} id - Alert ID
@@ -138,6 +147,19 @@ const api = (() => {
     });
   };
   
+  /**
+   * Count the users an alert's targeting would reach
+   * @param {Object} targeting - Alert targeting, including any target area
+   * @param {string|null} category - Alert category; only its subscribers are counted
+   * @returns {Promise<Object>} Response with the recipient count
+   */
+  const previewRecipients = (targeting, category = null) => {
+    return sendRequest('/alerts/recipients/preview', {
+      method: 'POST',
+      body: JSON.stringify({ targeting, category })
+    });
+  };
+  
   /**
    * Update an alert
    * @param {number} id - Alert ID
@@ -162,6 +184,84 @@ const api = (() => {
     });
   };
   
+  /**
+   * Get the alerts waiting for approval
+   * @returns {Promise<Object>} Response with the alerts
+   */
+  const getPendingApprovalAlerts = () => {
+    return sendRequest('/alerts/pending-approval');
+  };
+  
+  /**
+   * Approve an alert waiting for approval
+   * @param {number} id - Alert ID
+   * @param {string} reason - Optional reason for the approval
+   * @returns {Promise<Object>} Response with the approved alert
+   */
+  const approveAlert = (id, reason) => {
+    return sendRequest(`/alerts/${id}/approve`, {
+      method: 'POST',
+      body: JSON.stringify(reason ? { reason } : {})
+    });
+  };
+  
+  /**
+   * Reject an alert waiting for approval
+   * @param {number} id - Alert ID
+   * @param {string} reason - Why the alert is rejected
+   * @returns {Promise<Object>} Response with the rejected alert
+   */
+  const rejectAlert = (id, reason) => {
+    return sendRequest(`/alerts/${id}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    });
+  };
+  
+  /**
+   * Send a follow-up update to a sent alert's recipients
+   * @param {number} id - Alert ID
+   * @param {Object} updateData - { message, severity } where severity is optional
+   * @returns {Promise<Object>} Response with the update and the alert
+   */
+  const postAlertUpdate = (id, updateData) => {
+    return sendRequest(`/alerts/${id}/updates`, {
+      method: 'POST',
+      body: JSON.stringify(updateData)
+    });
+  };
+  
+  /**
+   * Send the all-clear for an alert, resolving it
+   * @param {number} id - Alert ID
+   * @param {string} message - All-clear message (optional; the server has a default)
+   * @returns {Promise<Object>} Response with the all-clear and the resolved alert
+   */
+  const sendAllClear = (id, message) => {
+    return sendRequest(`/alerts/${id}/all-clear`, {
+      method: 'POST',
+      body: JSON.stringify(message ? { message } : {})
+    });
+  };
+  
+  /**
+   * Get the follow-up updates posted to an alert
+   * @param {number} id - Alert ID
+   * @returns {Promise<Object>} Response with the alert's updates
+   */
+  const getAlertUpdates = (id) => {
+    return sendRequest(`/alerts/${id}/updates`);
+  };
+  
+  /**
+   * Get an alert's version history
+   * @param {number} id - Alert ID
+   * @returns {Promise<Object>} Response with the alert's versions, starting with the original
+   */
+  const getAlertVersions = (id) => {
+    return sendRequest(`/alerts/${id}/versions`);
+  };
+  
   /**
    * Acknowledge an alert
    * @param {number} id - Alert ID
@@ -192,6 +292,14 @@ const api = (() => {
     return sendRequest('/alerts/analytics');
   };
   
+  /**
+   * Get the available notification channels
+   * @returns {Promise<Object>} Response with channels data
+   */
+  const getChannels = () => {
+    return sendRequest('/channels');
+  };
+  
   /**
    * Get all users
    * @param {Object} params - Query parameters
@@ -270,6 +378,28 @@ const api = (() => {
     });
   };
   
+  /**
+   * Get the site and custom attributes saved audiences filter a user on
+   * @param {number} id - User ID
+   * @returns {Promise<Object>} Response with site and attributes
+   */
+  const getUserAttributes = (id) => {
+    return sendRequest(`/users/${id}/attributes`);
+  };
+  
+  /**
+   * Update a user's site and custom attributes
+   * @param {number} id - User ID
+   * @param {Object} attributeData - { site, attributes }
+   * @returns {Promise<Object>} Response with the updated site and attributes
+   */
+  const updateUserAttributes = (id, attributeData) => {
+    return sendRequest(`/users/${id}/attributes`, {
+      method: 'PUT',
+      body: JSON.stringify(attributeData)
+    });
+  };
+  
   /**
    * Get user subscription
    * @param {number} id - User ID
@@ -390,6 +520,194 @@ const api = (() => {
     });
   };
   
+  /**
+   * Get all groups, or the groups a user belongs to
+   * @param {number} userId - Optional user ID
+   * @returns {Promise<Object>} Response with groups data
+   */
+  const getGroups = (userId) => {
+    return sendRequest(`/groups${userId ? `?userId=${userId}` : ''}`);
+  };
+  
+  /**
+   * Create a group
+   * @param {Object} groupData - Group name, description and parentId
+   * @returns {Promise<Object>} Response with created group data
+   */
+  const createGroup = (groupData) => {
+    return sendRequest('/groups', {
+      method: 'POST',
+      body: JSON.stringify(groupData)
+    });
+  };
+  
+  /**
+   * Delete a group
+   * @param {number} id - Group ID
+   * @returns {Promise<Object>} Response with success message
+   */
+  const deleteGroup = (id) => {
+    return sendRequest(`/groups/${id}`, {
+      method: 'DELETE'
+    });
+  };
+  
+  /**
+   * Add a user to a group or change their role in it
+   * @param {number} groupId - Group ID
+   * @param {number} userId - User ID
+   * @param {string} role - 'member' or 'owner'
+   * @returns {Promise<Object>} Response with membership data
+   */
+  const setGroupMember = (groupId, userId, role = 'member') => {
+    return sendRequest(`/groups/${groupId}/members/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ role })
+    });
+  };
+  
+  /**
+   * Remove a user from a group
+   * @param {number} groupId - Group ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Response with success message
+   */
+  const removeGroupMember = (groupId, userId) => {
+    return sendRequest(`/groups/${groupId}/members/${userId}`, {
+      method: 'DELETE'
+    });
+  };
+  
+  /**
+   * Get all saved audiences
+   * @returns {Promise<Object>} Response with audiences data
+   */
+  const getAudiences = () => {
+    return sendRequest('/audiences');
+  };
+  
+  /**
+   * Save an audience
+   * @param {Object} audienceData - Audience name, description and rules
+   * @returns {Promise<Object>} Response with created audience data
+   */
+  const createAudience = (audienceData) => {
+    return sendRequest('/audiences', {
+      method: 'POST',
+      body: JSON.stringify(audienceData)
+    });
+  };
+  
+  /**
+   * Delete a saved audience
+   * @param {number} id - Audience ID
+   * @returns {Promise<Object>} Response with success message
+   */
+  const deleteAudience = (id) => {
+    return sendRequest(`/audiences/${id}`, {
+      method: 'DELETE'
+    });
+  };
+  
+  /**
+   * Get the users currently in a saved audience
+   * @param {number} id - Audience ID
+   * @returns {Promise<Object>} Response with members data
+   */
+  const getAudienceMembers = (id) => {
+    return sendRequest(`/audiences/${id}/members`);
+  };
+  
+  /**
+   * Get the users audience rules would select, without saving them
+   * @param {Array} rules - Audience rules
+   * @returns {Promise<Object>} Response with members data
+   */
+  const previewAudience = (rules) => {
+    return sendRequest('/audiences/preview', {
+      method: 'POST',
+      body: JSON.stringify({ rules })
+    });
+  };
+  
+  /**
+   * Get notification templates
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Response with templates data
+   */
+  const getTemplates = (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    
+    return sendRequest(`/templates${queryString ? `?${queryString}` : ''}`);
+  };
+  
+  /**
+   * Get all recurring alerts
+   * @returns {Promise<Object>} Response with recurrences data
+   */
+  const getRecurrences = () => {
+    return sendRequest('/recurrences');
+  };
+  
+  /**
+   * Get a recurring alert with its upcoming occurrences
+   * @param {number} id - Recurrence ID
+   * @param {number} count - Number of upcoming occurrences to list
+   * @returns {Promise<Object>} Response with recurrence and occurrences data
+   */
+  const getRecurrence = (id, count = 10) => {
+    return sendRequest(`/recurrences/${id}?count=${count}`);
+  };
+  
+  /**
+   * Create a recurring alert
+   * @param {Object} recurrenceData - Recurrence data
+   * @returns {Promise<Object>} Response with created recurrence data
+   */
+  const createRecurrence = (recurrenceData) => {
+    return sendRequest('/recurrences', {
+      method: 'POST',
+      body: JSON.stringify(recurrenceData)
+    });
+  };
+  
+  /**
+   * Pause or resume a recurring alert
+   * @param {number} id - Recurrence ID
+   * @param {boolean} paused - True to pause, false to resume
+   * @returns {Promise<Object>} Response with updated recurrence data
+   */
+  const setRecurrencePaused = (id, paused) => {
+    return sendRequest(`/recurrences/${id}/${paused ? 'pause' : 'resume'}`, {
+      method: 'POST'
+    });
+  };
+  
+  /**
+   * Skip or restore one occurrence of a recurring alert
+   * @param {number} id - Recurrence ID
+   * @param {string} occursAt - Time of the occurrence
+   * @param {boolean} skip - True to skip the occurrence, false to restore it
+   * @returns {Promise<Object>} Response with updated recurrence and occurrences data
+   */
+  const setOccurrenceSkipped = (id, occursAt, skip) => {
+    return sendRequest(`/recurrences/${id}/${skip ? 'skip' : 'unskip'}`, {
+      method: 'POST',
+      body: JSON.stringify({ occursAt })
+    });
+  };
+  
+  /**
+   * Delete a recurring alert
+   * @param {number} id - Recurrence ID
+   * @returns {Promise<Object>} Response with success message
+   */
+  const deleteRecurrence = (id) => {
+    return sendRequest(`/recurrences/${id}`, {
+      method: 'DELETE'
+    });
+  };
+  
   // Return public methods
   return {
     login,
@@ -397,19 +715,31 @@ const api = (() => {
     getProfile,
     updateProfile,
     getAlerts,
+    getActiveAlerts,
     getAlert,
     createAlert,
+    previewRecipients,
     updateAlert,
     cancelAlert,
+    getPendingApprovalAlerts,
+    approveAlert,
+    rejectAlert,
+    postAlertUpdate,
+    sendAllClear,
+    getAlertUpdates,
+    getAlertVersions,
     acknowledgeAlert,
     deleteAlert,
     getAlertAnalytics,
+    getChannels,
     getUsers,
     getUser,
     createUser,
     updateUser,
     deleteUser,
     updateNotificationPreferences,
+    getUserAttributes,
+    updateUserAttributes,
     getUserSubscription,
     updateUserSubscription,
     getIncidents,
@@ -419,6 +749,23 @@ const api = (() => {
     updateIncidentStatus,
     addIncidentResponse,
     createAlertFromIncident,
-    deleteIncident
+    deleteIncident,
+    getGroups,
+    createGroup,
+    deleteGroup,
+    setGroupMember,
+    removeGroupMember,
+    getAudiences,
+    createAudience,
+    deleteAudience,
+    getAudienceMembers,
+    previewAudience,
+    getTemplates,
+    getRecurrences,
+    getRecurrence,
+    createRecurrence,
+    setRecurrencePaused,
+    setOccurrenceSkipped,
+    deleteRecurrence
   };
 })();
@@ -218,6 +218,139 @@ const socketService = (() => {
     }
   };
   
+  /**
+   * Register event handler for delivery statistics updates
+   * @param {Function} callback - Event handler function
+   */
+  const onDeliveryStatsUpdated = (callback) => {
+    if (socket) {
+      socket.on('deliveryStatsUpdated', callback);
+    }
+  };
+  
+  /**
+   * Remove event handler for delivery statistics updates
+   */
+  const offDeliveryStatsUpdated = () => {
+    if (socket) {
+      socket.off('deliveryStatsUpdated');
+    }
+  };
+  
+  /**
+   * Register event handler for expired alerts
+   * @param {Function} callback - Event handler function
+   */
+  const onAlertExpired = (callback) => {
+    if (socket) {
+      socket.on('alertExpired', callback);
+    }
+  };
+  
+  /**
+   * Remove event handler for expired alerts
+   */
+  const offAlertExpired = () => {
+    if (socket) {
+      socket.off('alertExpired');
+    }
+  };
+  
+  /**
+   * Register event handler for follow-up updates to alerts
+   * @param {Function} callback - Event handler function
+   */
+  const onAlertUpdated = (callback) => {
+    if (socket) {
+      socket.on('alertUpdated', callback);
+    }
+  };
+  
+  /**
+   * Remove event handler for follow-up updates to alerts
+   */
+  const offAlertUpdated = () => {
+    if (socket) {
+      socket.off('alertUpdated');
+    }
+  };
+  
+  /**
+   * Register event handler for alerts resolved by an all-clear
+   * @param {Function} callback - Event handler function
+   */
+  const onAlertResolved = (callback) => {
+    if (socket) {
+      socket.on('alertResolved', callback);
+    }
+  };
+  
+  /**
+   * Remove event handler for alerts resolved by an all-clear
+   */
+  const offAlertResolved = () => {
+    if (socket) {
+      socket.off('alertResolved');
+    }
+  };
+  
+  /**
+   * Register event handler for alerts submitted for approval
+   * @param {Function} callback - Event handler function
+   */
+  const onAlertApprovalRequested = (callback) => {
+    if (socket) {
+      socket.on('alertApprovalRequested', callback);
+    }
+  };
+  
+  /**
+   * Remove event handler for alerts submitted for approval
+   */
+  const offAlertApprovalRequested = () => {
+    if (socket) {
+      socket.off('alertApprovalRequested');
+    }
+  };
+  
+  /**
+   * Register event handler for approved alerts
+   * @param {Function} callback - Event handler function
+   */
+  const onAlertApproved = (callback) => {
+    if (socket) {
+      socket.on('alertApproved', callback);
+    }
+  };
+  
+  /**
+   * Remove event handler for approved alerts
+   */
+  const offAlertApproved = () => {
+    if (socket) {
+      socket.off('alertApproved');
+    }
+  };
+  
+  /**
+   * Register event handler for rejected alerts
+   * @param {Function} callback - Event handler function
+   */
+  const onAlertRejected = (callback) => {
+    if (socket) {
+      socket.on('alertRejected', callback);
+    }
+  };
+  
+  /**
+   * Remove event handler for rejected alerts
+   */
+  const offAlertRejected = () => {
+    if (socket) {
+      socket.off('alertRejected');
+    }
+  };
+  
   // Return public methods
   return {
     connect,
@@ -231,6 +364,20 @@ const socketService = (() => {
     acknowledgeAlert,
     onAlertAcknowledged,
     offAlertAcknowledged,
+    onDeliveryStatsUpdated,
+    offDeliveryStatsUpdated,
+    onAlertExpired,
+    offAlertExpired,
+    onAlertUpdated,
+    offAlertUpdated,
+    onAlertResolved,
+    offAlertResolved,
+    onAlertApprovalRequested,
+    offAlertApprovalRequested,
+    onAlertApproved,
+    offAlertApproved,
+    onAlertRejected,
+    offAlertRejected,
     onNewIncident,
     offNewIncident,
     onIncidentStatusUpdated,
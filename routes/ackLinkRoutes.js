@@ -0,0 +1,22 @@
+/**
+ * Acknowledgment link routes for the emergency alert system
+ */
+const express = require('express');
+const router = express.Router();
+const ackLinkController = require('../controllers/ackLinkController');
+
+/**
+ * @route GET /ack/:token
+ * @desc Show an alert with a button to acknowledge it
+ * @access Public (signed token)
+ */
+router.get('/:token', ackLinkController.showAcknowledgePage);
+
+/**
+ * @route POST /ack/:token
+ * @desc Acknowledge an alert from a link in an email or SMS
+ * @access Public (signed token)
+ */
+router.post('/:token', ackLinkController.acknowledge);
+
+module.exports = router;
@@ -4,9 +4,22 @@
 const express = require('express');
 const {
   createAlert,
+  previewRecipients,
   getAllAlerts,
+  getActiveAlerts,
+  getPendingApprovalAlerts,
+  approveAlert,
+  rejectAlert,
   getAlertById,
+  getAlertDeliveries,
+  getAlertEscalations,
+  stopAlertEscalations,
+  postAlertUpdate,
+  sendAllClear,
+  getAlertUpdates,
+  getAlertVersions,
   updateAlert,
+  rescheduleAlert,
   deleteAlert,
   cancelAlert,
   getAlertAnalytics,
@@ -29,6 +42,18 @@ router.post(
   createAlert
 );
 
+/**
+ * @route POST /api/alerts/recipients/preview
+ * @desc Count the users an alert's targeting would reach
+ * @access Private (admin, operator)
+ */
+router.post(
+  '/recipients/preview',
+  authenticate,
+  authorize(['admin', 'operator']),
+  previewRecipients
+);
+
 /**
  * @route GET /api/alerts
  * @desc Get all alerts
@@ -40,6 +65,29 @@ router.get(
   getAllAlerts
 );
 
+/**
+ * @route GET /api/alerts/active
+ * @desc Get the alerts currently in effect (sent and not yet expired)
+ * @access Private
+ */
+router.get(
+  '/active',
+  authenticate,
+  getActiveAlerts
+);
+
+/**
+ * @route GET /api/alerts/pending-approval
+ * @desc Get the alerts waiting for a second admin or operator to approve them
+ * @access Private (admin, operator)
+ */
+router.get(
+  '/pending-approval',
+  authenticate,
+  authorize(['admin', 'operator']),
+  getPendingApprovalAlerts
+);
+
 /**
  * @route GET /api/alerts/analytics
  * @desc Get alert analytics
@@ -63,6 +111,112 @@ router.get(
   getAlertById
 );
 
+/**
+ * @route GET /api/alerts/:id/deliveries
+ * @desc Get per-recipient delivery records for an alert (filter by status, channel, userId, search)
+ * @access Private (admin, operator)
+ */
+router.get(
+  '/:id/deliveries',
+  authenticate,
+  authorize(['admin', 'operator']),
+  getAlertDeliveries
+);
+
+/**
+ * @route GET /api/alerts/:id/escalations
+ * @desc Get an alert's escalation policy, the state of each step and the recipients who have not acknowledged
+ * @access Private (admin, operator)
+ */
+router.get(
+  '/:id/escalations',
+  authenticate,
+  authorize(['admin', 'operator']),
+  getAlertEscalations
+);
+
+/**
+ * @route POST /api/alerts/:id/escalations/stop
+ * @desc Stop an alert's remaining escalation steps
+ * @access Private (admin, operator)
+ */
+router.post(
+  '/:id/escalations/stop',
+  authenticate,
+  authorize(['admin', 'operator']),
+  stopAlertEscalations
+);
+
+/**
+ * @route POST /api/alerts/:id/approve
+ * @desc Approve an alert waiting for approval, sending it or scheduling it; not allowed for its author
+ * @access Private (admin, operator)
+ */
+router.post(
+  '/:id/approve',
+  authenticate,
+  authorize(['admin', 'operator']),
+  approveAlert
+);
+
+/**
+ * @route POST /api/alerts/:id/reject
+ * @desc Reject an alert waiting for approval, giving a reason; not allowed for its author
+ * @access Private (admin, operator)
+ */
+router.post(
+  '/:id/reject',
+  authenticate,
+  authorize(['admin', 'operator']),
+  rejectAlert
+);
+
+/**
+ * @route POST /api/alerts/:id/updates
+ * @desc Send a follow-up update, optionally changing the severity, to a sent alert's recipients
+ * @access Private (admin, operator)
+ */
+router.post(
+  '/:id/updates',
+  authenticate,
+  authorize(['admin', 'operator']),
+  postAlertUpdate
+);
+
+/**
+ * @route POST /api/alerts/:id/all-clear
+ * @desc Send the all-clear for an alert to its recipients and resolve it
+ * @access Private (admin, operator)
+ */
+router.post(
+  '/:id/all-clear',
+  authenticate,
+  authorize(['admin', 'operator']),
+  sendAllClear
+);
+
+/**
+ * @route GET /api/alerts/:id/updates
+ * @desc Get the follow-up updates posted to an alert
+ * @access Private
+ */
+router.get(
+  '/:id/updates',
+  authenticate,
+  getAlertUpdates
+);
+
+/**
+ * @route GET /api/alerts/:id/versions
+ * @desc Get an alert's version history, starting with the original alert
+ * @access Private
+ */
+router.get(
+  '/:id/versions',
+  authenticate,
+  getAlertVersions
+);
+
 /**
  * @route PUT /api/alerts/:id
  * @desc Update an alert
@@ -75,6 +229,18 @@ router.put(
   updateAlert
 );
 
+/**
+ * @route PUT /api/alerts/:id/schedule
+ * @desc Change when a scheduled alert is sent
+ * @access Private (admin, operator)
+ */
+router.put(
+  '/:id/schedule',
+  authenticate,
+  authorize(['admin', 'operator']),
+  rescheduleAlert
+);
+
 /**
  * @route DELETE /api/alerts/:id
  * @desc Delete an alert
@@ -89,7 +255,7 @@ router.delete(
 
 /**
  * @route POST /api/alerts/:id/cancel
- * @desc Cancel an alert
+ * @desc Cancel an alert (scheduled alerts can be cancelled any time before they are sent)
  * @access Private (admin, operator)
  */
 router.post(
@@ -0,0 +1,58 @@
+/**
+ * Saved audience routes for the emergency alert system
+ */
+const express = require('express');
+const router = express.Router();
+const audienceController = require('../controllers/audienceController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+/**
+ * @route POST /api/audiences
+ * @desc Save an audience defined by rules over user fields
+ * @access Private (admin, operator)
+ */
+router.post('/', authenticate, authorize(['admin', 'operator']), audienceController.createAudience);
+
+/**
+ * @route GET /api/audiences
+ * @desc Get all saved audiences
+ * @access Private (admin, operator)
+ */
+router.get('/', authenticate, authorize(['admin', 'operator']), audienceController.getAllAudiences);
+
+/**
+ * @route POST /api/audiences/preview
+ * @desc Get the users that audience rules would select, without saving them
+ * @access Private (admin, operator)
+ */
+router.post('/preview', authenticate, authorize(['admin', 'operator']), audienceController.previewAudience);
+
+/**
+ * @route GET /api/audiences/:id
+ * @desc Get a saved audience
+ * @access Private (admin, operator)
+ */
+router.get('/:id', authenticate, authorize(['admin', 'operator']), audienceController.getAudienceById);
+
+/**
+ * @route GET /api/audiences/:id/members
+ * @desc Get the users currently in a saved audience
+ * @access Private (admin, operator)
+ */
+router.get('/:id/members', authenticate, authorize(['admin', 'operator']), audienceController.getAudienceMembers);
+
+/**
+ * @route PUT /api/audiences/:id
+ * @desc Update a saved audience
+ * @access Private (admin, operator)
+ */
+router.put('/:id', authenticate, authorize(['admin', 'operator']), audienceController.updateAudience);
+
+/**
+ * @route DELETE /api/audiences/:id
+ * @desc Delete a saved audience
+ * @access Private (admin, operator)
+ */
+router.delete('/:id', authenticate, authorize(['admin', 'operator']), audienceController.deleteAudience);
+
+module.exports = router;
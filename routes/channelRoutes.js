@@ -0,0 +1,16 @@
+/**
+ * Channel routes for the emergency alert system
+ */
+const express = require('express');
+const router = express.Router();
+const channelController = require('../controllers/channelController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @route GET /api/channels
+ * @desc Get the available notification channels and their capabilities
+ * @access Private
+ */
+router.get('/', authenticate, channelController.getChannels);
+
+module.exports = router;
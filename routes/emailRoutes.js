@@ -0,0 +1,16 @@
+/**
+ * Email routes for the emergency alert system
+ */
+const express = require('express');
+const router = express.Router();
+const statusCallbackController = require('../controllers/statusCallbackController');
+const { validateSendGridSignature } = require('../middleware/sendgridSignature');
+
+/**
+ * @route POST /api/email/events
+ * @desc Receive delivery, bounce and open events for alert emails (SendGrid event webhook)
+ * @access Public (signed by SendGrid)
+ */
+router.post('/events', validateSendGridSignature, statusCallbackController.handleEmailEvents);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Group routes for the emergency alert system
+ */
+const express = require('express');
+const router = express.Router();
+const groupController = require('../controllers/groupController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+/**
+ * @route POST /api/groups
+ * @desc Create a group
+ * @access Private (admin)
+ */
+router.post('/', authenticate, authorize(['admin']), groupController.createGroup);
+
+/**
+ * @route GET /api/groups
+ * @desc Get all groups, or with userId the groups a user belongs to
+ * @access Private (admin, operator)
+ */
+router.get('/', authenticate, authorize(['admin', 'operator']), groupController.getAllGroups);
+
+/**
+ * @route GET /api/groups/:id
+ * @desc Get a group with its members and subgroups
+ * @access Private (admin, operator, group owner)
+ */
+router.get('/:id', authenticate, groupController.getGroupById);
+
+/**
+ * @route PUT /api/groups/:id
+ * @desc Update a group (moving it under another group is for admins only)
+ * @access Private (admin, group owner)
+ */
+router.put('/:id', authenticate, groupController.updateGroup);
+
+/**
+ * @route DELETE /api/groups/:id
+ * @desc Delete a group
+ * @access Private (admin)
+ */
+router.delete('/:id', authenticate, authorize(['admin']), groupController.deleteGroup);
+
+/**
+ * @route PUT /api/groups/:id/members/:userId
+ * @desc Add a user to a group or change their role in it
+ * @access Private (admin, group owner)
+ */
+router.put('/:id/members/:userId', authenticate, groupController.setGroupMember);
+
+/**
+ * @route DELETE /api/groups/:id/members/:userId
+ * @desc Remove a user from a group
+ * @access Private (admin, group owner)
+ */
+router.delete('/:id/members/:userId', authenticate, groupController.removeGroupMember);
+
+module.exports = router;
@@ -0,0 +1,128 @@
+/**
+ * Recurring alert routes for the emergency alert system
+ */
+const express = require('express');
+const {
+  createRecurrence,
+  getAllRecurrences,
+  getRecurrenceById,
+  updateRecurrence,
+  pauseRecurrence,
+  resumeRecurrence,
+  skipOccurrence,
+  restoreOccurrence,
+  deleteRecurrence
+} = require('../controllers/recurrenceController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/recurrences
+ * @desc Create a recurring alert from a notification template
+ * @access Private (admin, operator)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize(['admin', 'operator']),
+  createRecurrence
+);
+
+/**
+ * @route GET /api/recurrences
+ * @desc Get all recurring alerts
+ * @access Private (admin, operator)
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize(['admin', 'operator']),
+  getAllRecurrences
+);
+
+/**
+ * @route GET /api/recurrences/:id
+ * @desc Get a recurring alert and its upcoming occurrences (?count=, up to 50)
+ * @access Private (admin, operator)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorize(['admin', 'operator']),
+  getRecurrenceById
+);
+
+/**
+ * @route PUT /api/recurrences/:id
+ * @desc Update a recurring alert
+ * @access Private (admin, operator)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize(['admin', 'operator']),
+  updateRecurrence
+);
+
+/**
+ * @route POST /api/recurrences/:id/pause
+ * @desc Stop sending a recurring alert until it is resumed
+ * @access Private (admin, operator)
+ */
+router.post(
+  '/:id/pause',
+  authenticate,
+  authorize(['admin', 'operator']),
+  pauseRecurrence
+);
+
+/**
+ * @route POST /api/recurrences/:id/resume
+ * @desc Resume a paused recurring alert from its next occurrence
+ * @access Private (admin, operator)
+ */
+router.post(
+  '/:id/resume',
+  authenticate,
+  authorize(['admin', 'operator']),
+  resumeRecurrence
+);
+
+/**
+ * @route POST /api/recurrences/:id/skip
+ * @desc Skip one upcoming occurrence ({ occursAt })
+ * @access Private (admin, operator)
+ */
+router.post(
+  '/:id/skip',
+  authenticate,
+  authorize(['admin', 'operator']),
+  skipOccurrence
+);
+
+/**
+ * @route POST /api/recurrences/:id/unskip
+ * @desc Send a previously skipped occurrence after all ({ occursAt })
+ * @access Private (admin, operator)
+ */
+router.post(
+  '/:id/unskip',
+  authenticate,
+  authorize(['admin', 'operator']),
+  restoreOccurrence
+);
+
+/**
+ * @route DELETE /api/recurrences/:id
+ * @desc Delete a recurring alert
+ * @access Private (admin)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize(['admin']),
+  deleteRecurrence
+);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+/**
+ * SMS routes for the emergency alert system
+ */
+const express = require('express');
+const router = express.Router();
+const smsController = require('../controllers/smsController');
+const statusCallbackController = require('../controllers/statusCallbackController');
+const { validateTwilioSignature } = require('../middleware/twilioSignature');
+
+/**
+ * @route POST /api/sms/inbound
+ * @desc Receive an SMS reply to an alert (Twilio incoming message webhook)
+ * @access Public (signed by Twilio)
+ */
+router.post('/inbound', validateTwilioSignature, smsController.handleInbound);
+
+/**
+ * @route POST /api/sms/status
+ * @desc Receive delivery status for an alert SMS (Twilio status callback)
+ * @access Public (signed by Twilio)
+ */
+router.post('/status', validateTwilioSignature, statusCallbackController.handleSmsStatus);
+
+module.exports = router;
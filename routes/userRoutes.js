@@ -9,6 +9,11 @@ const {
   updateUser,
   deleteUser,
   updateNotificationPreferences,
+  getUserLocations,
+  updateUserLocations,
+  reportDeviceLocation,
+  getUserAttributes,
+  updateUserAttributes,
   getUserSubscription,
   updateUserSubscription,
   registerPushToken
@@ -99,7 +104,7 @@ router.delete(
 
 /**
  * @route PUT /api/users/:id/notifications
- * @desc Update user notification preferences
+ * @desc Update user notification channels, channel priority and quiet hours
  * @access Private (admin or self)
  */
 router.put(
@@ -108,7 +113,7 @@ router.put(
   (req, res, next) => {
     const userId = parseInt(req.params.id);
     // Allow access if user is admin or updating their own data
-    if (req.user.isAdmin() || req.user.id === userId) {
+    if (req.user.role === 'admin' || req.user.id === userId) {
       return next();
     }
     res.status(403).json({
@@ -119,6 +124,105 @@ router.put(
   updateNotificationPreferences
 );
 
+/**
+ * @route GET /api/users/:id/locations
+ * @desc Get a user's home, work and last reported device locations
+ * @access Private (admin or self)
+ */
+router.get(
+  '/:id/locations',
+  authenticate,
+  (req, res, next) => {
+    const userId = parseInt(req.params.id);
+    // Allow access if user is admin or requesting their own data
+    if (req.user.role === 'admin' || req.user.id === userId) {
+      return next();
+    }
+    res.status(403).json({
+      success: false,
+      message: 'You can only access your own locations unless you are an admin.'
+    });
+  },
+  getUserLocations
+);
+
+/**
+ * @route PUT /api/users/:id/locations
+ * @desc Register a user's home and work locations
+ * @access Private (admin or self)
+ */
+router.put(
+  '/:id/locations',
+  authenticate,
+  (req, res, next) => {
+    const userId = parseInt(req.params.id);
+    // Allow access if user is admin or updating their own data
+    if (req.user.role === 'admin' || req.user.id === userId) {
+      return next();
+    }
+    res.status(403).json({
+      success: false,
+      message: 'You can only update your own locations unless you are an admin.'
+    });
+  },
+  updateUserLocations
+);
+
+/**
+ * @route PUT /api/users/:id/locations/device
+ * @desc Record the last known location of the user's mobile device
+ * @access Private (self)
+ */
+router.put(
+  '/:id/locations/device',
+  authenticate,
+  (req, res, next) => {
+    // Only the device itself knows where it is
+    if (req.user.id === parseInt(req.params.id)) {
+      return next();
+    }
+    res.status(403).json({
+      success: false,
+      message: 'You can only report the location of your own device.'
+    });
+  },
+  reportDeviceLocation
+);
+
+/**
+ * @route GET /api/users/:id/attributes
+ * @desc Get a user's site and custom attributes
+ * @access Private (admin or self)
+ */
+router.get(
+  '/:id/attributes',
+  authenticate,
+  (req, res, next) => {
+    const userId = parseInt(req.params.id);
+    // Allow access if user is admin or requesting their own data
+    if (req.user.role === 'admin' || req.user.id === userId) {
+      return next();
+    }
+    res.status(403).json({
+      success: false,
+      message: 'You can only access your own attributes unless you are an admin.'
+    });
+  },
+  getUserAttributes
+);
+
+/**
+ * @route PUT /api/users/:id/attributes
+ * @desc Update a user's site and custom attributes, which saved audiences filter on
+ * @access Private (admin)
+ */
+router.put(
+  '/:id/attributes',
+  authenticate,
+  authorize(['admin']),
+  updateUserAttributes
+);
+
 /**
  * @route GET /api/users/:id/subscription
  * @desc Get user subscription
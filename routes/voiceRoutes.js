@@ -0,0 +1,24 @@
+/**
+ * Voice call routes for the emergency alert system
+ */
+const express = require('express');
+const router = express.Router();
+const voiceController = require('../controllers/voiceController');
+const statusCallbackController = require('../controllers/statusCallbackController');
+const { validateTwilioSignature } = require('../middleware/twilioSignature');
+
+/**
+ * @route POST /api/voice/gather
+ * @desc Receive the keypress from an alert call (Twilio Gather callback)
+ * @access Public (signed by Twilio)
+ */
+router.post('/gather', validateTwilioSignature, voiceController.handleGather);
+
+/**
+ * @route POST /api/voice/status
+ * @desc Receive the outcome of an alert call (Twilio status callback)
+ * @access Public (signed by Twilio)
+ */
+router.post('/status', validateTwilioSignature, statusCallbackController.handleVoiceStatus);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Webhook routes for the emergency alert system
+ */
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+/**
+ * @route POST /api/webhooks
+ * @desc Register a webhook endpoint
+ * @access Private (admin)
+ */
+router.post('/', authenticate, authorize(['admin']), webhookController.createEndpoint);
+
+/**
+ * @route GET /api/webhooks
+ * @desc Get all webhook endpoints
+ * @access Private (admin)
+ */
+router.get('/', authenticate, authorize(['admin']), webhookController.getAllEndpoints);
+
+/**
+ * @route GET /api/webhooks/:id
+ * @desc Get a webhook endpoint by ID
+ * @access Private (admin)
+ */
+router.get('/:id', authenticate, authorize(['admin']), webhookController.getEndpointById);
+
+/**
+ * @route PUT /api/webhooks/:id
+ * @desc Update a webhook endpoint or rotate its secret
+ * @access Private (admin)
+ */
+router.put('/:id', authenticate, authorize(['admin']), webhookController.updateEndpoint);
+
+/**
+ * @route DELETE /api/webhooks/:id
+ * @desc Delete a webhook endpoint
+ * @access Private (admin)
+ */
+router.delete('/:id', authenticate, authorize(['admin']), webhookController.deleteEndpoint);
+
+/**
+ * @route GET /api/webhooks/:id/deliveries
+ * @desc Get the delivery history of a webhook endpoint
+ * @access Private (admin)
+ */
+router.get('/:id/deliveries', authenticate, authorize(['admin']), webhookController.getEndpointDeliveries);
+
+/**
+ * @route POST /api/webhooks/:id/test
+ * @desc Send a signed test event to a webhook endpoint
+ * @access Private (admin)
+ */
+router.post('/:id/test', authenticate, authorize(['admin']), webhookController.testEndpoint);
+
+module.exports = router;
@@ -9,14 +9,29 @@ const cors = require('cors');
 const authRoutes = require('./routes/authRoutes');
 const alertRoutes = require('./routes/alertRoutes');
 const userRoutes = require('./routes/userRoutes');
+const groupRoutes = require('./routes/groupRoutes');
+const audienceRoutes = require('./routes/audienceRoutes');
 const incidentRoutes = require('./routes/incidentRoutes');
 const templateRoutes = require('./routes/templateRoutes');
+const recurrenceRoutes = require('./routes/recurrenceRoutes');
+const channelRoutes = require('./routes/channelRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const voiceRoutes = require('./routes/voiceRoutes');
+const smsRoutes = require('./routes/smsRoutes');
+const emailRoutes = require('./routes/emailRoutes');
+const ackLinkRoutes = require('./routes/ackLinkRoutes');
 const debugRoutes = require('./routes/debugRoutes');
 const mobileDebugRoutes = require('./routes/mobileDebugRoutes');
 
 // Initialize database
 const { db, pool } = require('./db');
 
+// Notification channels
+const { listChannels } = require('./services/channels');
+
+// Background workers
+const { startWorkers, startAlertTasks } = require('./workers');
+
 // Create Express app
 const app = express();
 const server = http.createServer(app);
@@ -78,21 +93,21 @@ app.options('*', (req, res) => {
   res.status(200).end();
 });
 
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  // Keep the raw body for provider webhooks whose signatures cover the exact bytes sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Check for required API keys and service credentials
-const hasTwilioCredentials = process.env.TWILIO_ACCOUNT_SID && 
-                           process.env.TWILIO_AUTH_TOKEN && 
-                           process.env.TWILIO_PHONE_NUMBER;
-const hasSendGridKey = !!process.env.SENDGRID_API_KEY;
-
-// Log available services
+// Log available notification channels
 console.log('------------------------');
 console.log('Available Services:');
-console.log(`- SMS Notifications (Twilio): ${hasTwilioCredentials ? 'Available' : 'Not configured'}`);
-console.log(`- Email Notifications (SendGrid): ${hasSendGridKey ? 'Available' : 'Not configured'}`);
+listChannels().forEach(channel => {
+  console.log(`- ${channel.label} Notifications: ${channel.configured ? 'Available' : 'Not configured'}`);
+});
 console.log('------------------------');
 
 // Using PostgreSQL database instead of in-memory database
@@ -204,11 +219,22 @@ app.use((req, res, next) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/alerts', alertRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/audiences', audienceRoutes);
 app.use('/api/incidents', incidentRoutes);
 app.use('/api/templates', templateRoutes);
+app.use('/api/recurrences', recurrenceRoutes);
+app.use('/api/channels', channelRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/voice', voiceRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/email', emailRoutes);
 app.use('/api/debug', debugRoutes);
 app.use('/mobile-debug', mobileDebugRoutes);
 
+// Acknowledgment links from email and SMS alerts (must come before the React catch-all)
+app.use('/ack', ackLinkRoutes);
+
 // Serve React app for any other routes
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -228,6 +254,19 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on http://0.0.0.0:${PORT}`);
+  
+  if (process.env.ALLOW_UNSIGNED_WEBHOOKS === 'true') {
+    console.warn('WARNING: ALLOW_UNSIGNED_WEBHOOKS=true; Twilio and SendGrid webhooks are accepted without a signature when their credentials are not set. Never use this in production.');
+  }
 });
 
+// Run the background workers in this process unless a separate worker (worker.js) handles delivery.
+// Tasks that announce alert changes to connected clients stay here, where the Socket.io server is.
+if (process.env.DELIVERY_WORKER !== 'external') {
+  startWorkers({ io });
+} else {
+  startAlertTasks({ io });
+  console.log('Delivery workers run in an external process (DELIVERY_WORKER=external)');
+}
+
 module.exports = { app, server, io };
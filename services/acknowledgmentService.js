@@ -0,0 +1,65 @@
+/**
+ * Acknowledgment service for the emergency alert system
+ * Records that a recipient has seen an alert, however they responded
+ * (web or mobile app, phone keypress, ...)
+ */
+const { alertDB } = require('./databaseService');
+const escalationService = require('./escalationService');
+
+/**
+ * Record a user's acknowledgment of an alert and notify connected clients
+ * @param {number} alertId - Alert ID
+ * @param {number} userId - Acknowledging user's ID
+ * @param {Object} options - { notes, io } where io is the Socket.io server to notify
+ * @returns {Promise<Object>} { success, acknowledgment, acknowledgedAt } or { success: false, reason, alert }
+ *   where reason is 'not_found', 'invalid_status' or 'already_acknowledged'
+ */
+const recordAcknowledgment = async (alertId, userId, { notes = '', io = null } = {}) => {
+  const alert = await alertDB.findById(alertId);
+  
+  if (!alert) {
+    return { success: false, reason: 'not_found' };
+  }
+  
+  // Only alerts that have gone out can be acknowledged
+  if (alert.status !== 'sent') {
+    return { success: false, reason: 'invalid_status', alert };
+  }
+  
+  if (await alertDB.hasUserAcknowledged(alertId, userId)) {
+    return { success: false, reason: 'already_acknowledged', alert };
+  }
+  
+  const acknowledgment = await alertDB.addAcknowledgment(alertId, userId, notes);
+  
+  // A concurrent request beat us to it
+  if (!acknowledgment) {
+    return { success: false, reason: 'already_acknowledged', alert };
+  }
+  
+  if (io) {
+    io.emit('alertAcknowledged', {
+      alertId,
+      userId,
+      timestamp: acknowledgment.acknowledgedAt
+    });
+  }
+  
+  // No need to keep escalating once the last recipient has responded
+  try {
+    await escalationService.handleAcknowledgment(alertId);
+  } catch (error) {
+    console.error(`[ESCALATION] Failed to check escalation for alert ${alertId}:`, error);
+  }
+  
+  return {
+    success: true,
+    alert,
+    acknowledgment,
+    acknowledgedAt: acknowledgment.acknowledgedAt
+  };
+};
+
+module.exports = {
+  recordAcknowledgment
+};
@@ -0,0 +1,118 @@
+/**
+ * Approval service for the emergency alert system
+ * Decides which alerts need a second admin or operator to approve them
+ * before they are sent, and sends them once approved
+ */
+const { db } = require('../db');
+const { alertDB } = require('./databaseService');
+const deliveryQueue = require('./deliveryQueue');
+const { identifyRecipients } = require('./recipientService');
+const { resolveExpiresAt } = require('./expirationService');
+
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Alerts at or above this severity need approval; 'none' turns the severity rule off
+const APPROVAL_MIN_SEVERITY = process.env.APPROVAL_MIN_SEVERITY || 'high';
+
+// Alerts reaching at least this many recipients need approval; 0 turns the audience rule off
+const APPROVAL_MIN_RECIPIENTS = process.env.APPROVAL_MIN_RECIPIENTS !== undefined
+  ? parseInt(process.env.APPROVAL_MIN_RECIPIENTS) || 0
+  : 500;
+
+/**
+ * Work out whether an alert needs approval before it is sent
+ * @param {Object} alert - Alert with its severity
+ * @param {number} recipientCount - Number of users the alert would be sent to
+ * @returns {string|null} Why the alert needs approval, or null if it does not
+ */
+const getApprovalReason = (alert, recipientCount) => {
+  const minLevel = SEVERITY_LEVELS.indexOf(APPROVAL_MIN_SEVERITY);
+
+  if (minLevel !== -1 && SEVERITY_LEVELS.indexOf(alert.severity) >= minLevel) {
+    return `${alert.severity} alerts need approval`;
+  }
+
+  if (APPROVAL_MIN_RECIPIENTS > 0 && recipientCount >= APPROVAL_MIN_RECIPIENTS) {
+    return `Alerts to ${APPROVAL_MIN_RECIPIENTS} or more recipients need approval (this one reaches ${recipientCount})`;
+  }
+
+  return null;
+};
+
+/**
+ * Approve an alert and send it, or schedule it if its send time is still ahead.
+ * The alert is locked while it is approved so it is sent exactly once even if
+ * two reviewers approve it at the same time.
+ * @param {number} alertId - Alert ID
+ * @param {number} reviewerId - ID of the approving user
+ * @param {string} note - Optional reason for the approval
+ * @returns {Promise<Object|null>} { alert, recipients }, with no recipients for a
+ *   scheduled alert, or null if the alert is no longer waiting for approval
+ */
+const approveAlert = async (alertId, reviewerId, note = null) => {
+  return db.transaction(async (tx) => {
+    const pendingAlert = await alertDB.claimPendingApproval(alertId, tx);
+
+    if (!pendingAlert) {
+      return null;
+    }
+
+    const review = {
+      reviewedBy: reviewerId,
+      reviewedAt: new Date(),
+      reviewNote: note
+    };
+
+    // The scheduled alert dispatcher sends it when it is due
+    if (pendingAlert.scheduledFor && new Date(pendingAlert.scheduledFor) > new Date()) {
+      const alert = await alertDB.update(alertId, { ...review, status: 'scheduled' }, tx);
+
+      return { alert, recipients: [] };
+    }
+
+    const recipients = await identifyRecipients(pendingAlert.targeting, pendingAlert.category);
+    const sentAt = new Date();
+    const alert = await alertDB.update(alertId, {
+      ...review,
+      status: 'sent',
+      sentAt,
+      expiresAt: resolveExpiresAt(pendingAlert, sentAt)
+    }, tx);
+
+    await deliveryQueue.createAlertDeliveryJobs(alert, recipients, {}, tx);
+
+    return { alert, recipients };
+  });
+};
+
+/**
+ * Reject an alert that is waiting for approval
+ * @param {number} alertId - Alert ID
+ * @param {number} reviewerId - ID of the rejecting user
+ * @param {string} reason - Why the alert was rejected
+ * @returns {Promise<Object|null>} Rejected alert, or null if it is no longer waiting for approval
+ */
+const rejectAlert = async (alertId, reviewerId, reason) => {
+  return db.transaction(async (tx) => {
+    const pendingAlert = await alertDB.claimPendingApproval(alertId, tx);
+
+    if (!pendingAlert) {
+      return null;
+    }
+
+    return alertDB.update(alertId, {
+      status: 'rejected',
+      reviewedBy: reviewerId,
+      reviewedAt: new Date(),
+      reviewNote: reason
+    }, tx);
+  });
+};
+
+module.exports = {
+  APPROVAL_MIN_SEVERITY,
+  APPROVAL_MIN_RECIPIENTS,
+  getApprovalReason,
+  approveAlert,
+  rejectAlert
+};
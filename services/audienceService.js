@@ -0,0 +1,41 @@
+/**
+ * Audience service for the emergency alert system
+ * Works out who is in a saved audience right now by evaluating its rules
+ * against the current users
+ */
+const { audienceDB, userDB } = require('./databaseService');
+const { matchesRules } = require('../utils/audienceRules');
+
+/**
+ * Get the users who match an audience's rules
+ * @param {Array} rules - Audience rules
+ * @returns {Promise<Array>} Users in the audience
+ */
+const getRuleMembers = async (rules) => {
+  const users = await userDB.getAll();
+
+  return users.filter(user => matchesRules(user, rules));
+};
+
+/**
+ * Get the users in any of the given saved audiences; audiences that no longer
+ * exist reach nobody
+ * @param {Array} audienceIds - Audience IDs
+ * @returns {Promise<Array>} Users
+ */
+const getMemberUsers = async (audienceIds) => {
+  const audiences = await audienceDB.getByIds(audienceIds.map(id => parseInt(id)));
+
+  if (audiences.length === 0) {
+    return [];
+  }
+
+  const users = await userDB.getAll();
+
+  return users.filter(user => audiences.some(audience => matchesRules(user, audience.rules)));
+};
+
+module.exports = {
+  getRuleMembers,
+  getMemberUsers
+};
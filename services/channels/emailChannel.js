@@ -0,0 +1,323 @@
+/**
+ * Email channel for the emergency alert system
+ * Sends alerts through SendGrid or an SMTP relay, or simulates delivery when
+ * neither is configured.
+ *
+ * EMAIL_TRANSPORT selects the transport ('sendgrid' or 'smtp'); when it is not
+ * set, SMTP is used if SMTP_HOST is configured and SendGrid otherwise.
+ */
+const sgMail = require('@sendgrid/mail');
+const nodemailer = require('nodemailer');
+const { getAckUrl, isAcknowledgeable } = require('../../utils/ackTokens');
+
+// Initialize SendGrid if API key is available
+let hasSendGridKey = !!process.env.SENDGRID_API_KEY;
+if (hasSendGridKey) {
+  try {
+    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+    console.log('SendGrid API key set successfully');
+  } catch (error) {
+    console.error('Failed to set SendGrid API key:', error);
+    hasSendGridKey = false;
+  }
+}
+
+const hasSmtpHost = !!process.env.SMTP_HOST;
+
+// SendGrid events that settle the outcome of a message
+const SENDGRID_EVENT_STATUSES = {
+  delivered: 'delivered',
+  open: 'opened',
+  bounce: 'bounced',
+  dropped: 'failed'
+};
+
+/**
+ * Transport that sends through the SendGrid API
+ */
+const sendgridTransport = {
+  name: 'sendgrid',
+  sendMail: async (message) => {
+    const [response] = await sgMail.send({
+      ...message,
+      trackingSettings: {
+        clickTracking: { enable: true },
+        openTracking: { enable: true }
+      }
+    });
+    
+    // SendGrid event webhooks refer to the message by this ID
+    return { messageId: response && response.headers ? response.headers['x-message-id'] : undefined };
+  },
+  describeError: (error) => {
+    if (error.response) {
+      console.error('[EMAIL] SendGrid API error details:',
+        '\nStatus code:', error.response.statusCode,
+        '\nBody:', error.response.body && JSON.stringify(error.response.body),
+        '\nHeaders:', error.response.headers && JSON.stringify(error.response.headers)
+      );
+    }
+    
+    return { statusCode: error.response?.statusCode, permanent: false };
+  }
+};
+
+/**
+ * Create a transport that sends through an SMTP relay
+ * @returns {Object} Email transport
+ */
+const createSmtpTransport = () => {
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const auth = process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+    : undefined;
+  
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    // Implicit TLS (usually port 465); otherwise STARTTLS is used when the relay offers it
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    requireTLS: process.env.SMTP_REQUIRE_TLS === 'true',
+    tls: {
+      rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false'
+    },
+    auth
+  });
+  
+  return {
+    name: 'smtp',
+    sendMail: async (message) => {
+      const info = await mailer.sendMail(message);
+      return { messageId: info.messageId };
+    },
+    describeError: (error) => ({
+      statusCode: error.responseCode,
+      // 5xx replies (unknown mailbox, relaying denied) will be refused again on retry
+      permanent: error.responseCode >= 500 && error.responseCode < 600
+    })
+  };
+};
+
+/**
+ * Transport used when no provider is configured
+ */
+const simulatedTransport = {
+  name: 'simulated',
+  sendMail: async () => {
+    await simulateEmailSending();
+    return {};
+  }
+};
+
+/**
+ * Pick the email transport from the environment
+ * @returns {Object} Email transport
+ */
+const selectTransport = () => {
+  const requested = (process.env.EMAIL_TRANSPORT || '').toLowerCase();
+  
+  if (requested === 'smtp' || (!requested && hasSmtpHost)) {
+    if (hasSmtpHost) {
+      return createSmtpTransport();
+    }
+    console.warn('[EMAIL] EMAIL_TRANSPORT is smtp but SMTP_HOST is not set');
+    return simulatedTransport;
+  }
+  
+  if (requested && requested !== 'sendgrid') {
+    console.warn(`[EMAIL] Unknown EMAIL_TRANSPORT "${process.env.EMAIL_TRANSPORT}"`);
+  }
+  
+  return hasSendGridKey ? sendgridTransport : simulatedTransport;
+};
+
+const transport = selectTransport();
+
+/**
+ * Check that a recipient can be emailed
+ * @param {Object} recipient - Recipient user
+ * @returns {Object} { valid, address } or { valid: false, error }
+ */
+const validateRecipient = (recipient) => {
+  if (!recipient.email) {
+    return { valid: false, error: 'Recipient has no email address' };
+  }
+  
+  // Verify email format (basic validation)
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(recipient.email)) {
+    return { valid: false, error: 'Invalid email format', address: recipient.email };
+  }
+  
+  return { valid: true, address: recipient.email };
+};
+
+/**
+ * Build the email for an alert with severity color coding and, when the server
+ * has a public URL, a link to acknowledge the alert without logging in (left
+ * out of all-clear emails, as the alert is already resolved)
+ * @param {Object} alert - Alert object
+ * @param {Object} recipient - Recipient user
+ * @param {string} fromEmail - Sender address
+ * @returns {Object} Message with to, from, subject, text and html
+ */
+const buildMessage = (alert, recipient, fromEmail) => {
+  const ackUrl = isAcknowledgeable(alert) ? getAckUrl(alert.id, recipient.id) : null;
+  const ackText = ackUrl ? `\n\nI acknowledge: ${ackUrl}` : '';
+  const ackButton = ackUrl
+    ? `
+        <p style="text-align: center; margin: 24px 0;">
+          <a href="${ackUrl}" style="display: inline-block; padding: 12px 24px; background-color: ${getSeverityColor(alert.severity)}; color: white; text-decoration: none; border-radius: 4px; font-weight: bold;">I acknowledge</a>
+        </p>`
+    : '';
+  
+  return {
+    to: recipient.email,
+    from: fromEmail,
+    subject: `ALERT [${alert.severity.toUpperCase()}]: ${alert.title}`,
+    text: `ALERT [${alert.severity.toUpperCase()}]: ${alert.title}\n\n${alert.message}${ackText}\n\nThis is an automated emergency alert. Please follow all instructions carefully.`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: ${getSeverityColor(alert.severity)}; padding: 15px; text-align: center;">
+          <h1 style="color: white; margin: 0;">${alert.title}</h1>
+          <p style="color: white; margin: 5px 0 0;">Severity: ${alert.severity.toUpperCase()}</p>
+        </div>
+        <div style="padding: 20px; border: 1px solid #ddd; border-top: none;">
+          <p style="font-size: 16px; line-height: 1.5;">${alert.message}</p>${ackButton}
+          <p style="font-size: 14px; color: #777;">
+            This is an automated emergency alert. Please follow all instructions carefully.
+          </p>
+          <div style="margin-top: 20px; padding: 10px; background-color: #f5f5f5; border-radius: 4px;">
+            <p style="margin: 0; font-size: 12px; color: #777;">
+              Alert ID: ${alert.id}<br>
+              Sent: ${new Date().toLocaleString()}<br>
+              System: Emergency Alert Platform
+            </p>
+          </div>
+        </div>
+      </div>
+    `
+  };
+};
+
+/**
+ * Send an email notification
+ * @param {Object} alert - Alert object
+ * @param {Object} recipient - Recipient user
+ * @returns {Promise<Object>} Notification result
+ */
+const send = async (alert, recipient) => {
+  const fromEmail = process.env.EMAIL_FROM || process.env.SENDGRID_FROM_EMAIL || 'harrison@sylvanitecapital.com';
+  
+  console.log(`[EMAIL] Preparing to send ${alert.severity} alert "${alert.title}" to ${recipient.email}`);
+  
+  if (transport === simulatedTransport) {
+    console.log(`[EMAIL] Simulating email delivery to ${recipient.email} (no email transport configured)`);
+    await transport.sendMail();
+    
+    return { 
+      success: true, 
+      provider: 'simulated', 
+      reason: 'Email transport not configured',
+      recipientId: recipient.id,
+      alertId: alert.id,
+      email: recipient.email
+    };
+  }
+  
+  try {
+    console.log(`[EMAIL] Sending via ${transport.name} from ${fromEmail} to ${recipient.email}`);
+    
+    const { messageId } = await transport.sendMail(buildMessage(alert, recipient, fromEmail));
+    
+    console.log(`[EMAIL] Successfully sent to ${recipient.email}`);
+    
+    return { 
+      success: true, 
+      provider: transport.name,
+      messageId,
+      recipientId: recipient.id,
+      alertId: alert.id,
+      email: recipient.email 
+    };
+  } catch (error) {
+    console.error(`[EMAIL] ${transport.name} error sending to ${recipient.email}:`, error.message);
+    
+    const { statusCode, permanent } = transport.describeError(error);
+    
+    return { 
+      success: false, 
+      provider: `${transport.name}-error`, 
+      reason: `${transport.name === 'smtp' ? 'SMTP' : 'SendGrid'} error: ${error.message}`,
+      statusCode,
+      permanent,
+      recipientId: recipient.id,
+      alertId: alert.id,
+      email: recipient.email
+    };
+  }
+};
+
+/**
+ * Simulate sending an email with a delay
+ */
+const simulateEmailSending = async () => {
+  await new Promise(resolve => setTimeout(resolve, 100));
+};
+
+/**
+ * Get color based on alert severity
+ * @param {string} severity - Alert severity
+ * @returns {string} Color hex code
+ */
+const getSeverityColor = (severity) => {
+  switch (severity.toLowerCase()) {
+    case 'critical':
+      return '#cc0000'; // Dark red
+    case 'high':
+      return '#ff4500'; // Orange-red
+    case 'medium':
+      return '#ffa500'; // Orange
+    case 'low':
+      return '#ffcc00'; // Amber
+    default:
+      return '#999999'; // Gray
+  }
+};
+
+/**
+ * Translate a SendGrid event webhook payload into delivery status updates
+ * See https://docs.sendgrid.com/for-developers/tracking-events/event
+ * @param {Array} events - SendGrid events
+ * @returns {Array} Updates of { providerMessageId, status, error }
+ */
+const handleStatusCallback = (events) => {
+  if (!Array.isArray(events)) {
+    return [];
+  }
+  
+  return events
+    .filter(event => event.sg_message_id && SENDGRID_EVENT_STATUSES[event.event])
+    .map(event => ({
+      // sg_message_id is the X-Message-Id we stored with a suffix added per recipient
+      providerMessageId: event.sg_message_id.split('.')[0],
+      status: SENDGRID_EVENT_STATUSES[event.event],
+      error: event.reason || null
+    }));
+};
+
+module.exports = {
+  name: 'email',
+  label: 'Email',
+  description: 'Email delivered through SendGrid or an SMTP relay',
+  recipientField: 'email',
+  defaultEnabled: true,
+  capabilities: {
+    batch: false,
+    statusCallback: true
+  },
+  isConfigured: () => transport !== simulatedTransport,
+  validateRecipient,
+  send,
+  handleStatusCallback
+};
@@ -0,0 +1,164 @@
+/**
+ * Notification channel registry for the emergency alert system
+ *
+ * Each channel is a provider object with:
+ *   name               - Identifier stored in alert.channels and user.channels
+ *   label, description - Shown to users choosing channels
+ *   audience           - 'users' (default) or 'endpoints' for channels that deliver to
+ *                        something other than users; these also provide
+ *                        getRecipients(alert), findRecipient(id) and recipientKey, the
+ *                        delivery column referencing the recipient
+ *   recipientField     - Recipient field holding the address ('email', 'phoneNumber', ...)
+ *   defaultEnabled     - Whether new users receive this channel unless they opt out
+ *   severities         - Alert severities the channel may be used for (null for all)
+ *   capabilities       - { batch, statusCallback }
+ *   isConfigured()     - False when the provider will only simulate delivery
+ *   validateRecipient(recipient) - { valid, address } or { valid: false, error }
+ *   send(alert, recipient, options)  - Send one notification, resolving to a result object
+ *   sendBatch(items)                 - Optional, when capabilities.batch is set
+ *   handleStatusCallback(payload)    - Optional, when capabilities.statusCallback is set;
+ *                                      returns updates of { providerMessageId, status, error }
+ *                                      where status is 'delivered', 'opened', 'undelivered',
+ *                                      'bounced' or 'failed'
+ */
+const channels = new Map();
+
+const REQUIRED_PROVIDER_FIELDS = ['name', 'label', 'validateRecipient', 'send'];
+
+/**
+ * Register a notification channel provider
+ * @param {Object} provider - Channel provider
+ * @returns {Object} The registered provider
+ */
+const registerChannel = (provider) => {
+  const missing = REQUIRED_PROVIDER_FIELDS.filter(field => !provider[field]);
+  
+  if (missing.length > 0) {
+    throw new Error(`Channel provider is missing: ${missing.join(', ')}`);
+  }
+  
+  if (provider.capabilities && provider.capabilities.batch && typeof provider.sendBatch !== 'function') {
+    throw new Error(`Channel provider ${provider.name} declares batch support but has no sendBatch`);
+  }
+  
+  if (provider.audience && provider.audience !== 'users' &&
+      (typeof provider.getRecipients !== 'function' || typeof provider.findRecipient !== 'function' || !provider.recipientKey)) {
+    throw new Error(`Channel provider ${provider.name} must provide getRecipients, findRecipient and recipientKey`);
+  }
+  
+  channels.set(provider.name, {
+    description: '',
+    audience: 'users',
+    defaultEnabled: false,
+    severities: null,
+    isConfigured: () => true,
+    ...provider,
+    capabilities: { batch: false, statusCallback: false, ...provider.capabilities }
+  });
+  
+  return channels.get(provider.name);
+};
+
+/**
+ * Get a channel provider by name
+ * @param {string} name - Channel name
+ * @returns {Object|null} Channel provider
+ */
+const getChannel = (name) => {
+  return channels.get(name) || null;
+};
+
+/**
+ * Check whether a channel is registered
+ * @param {string} name - Channel name
+ * @returns {boolean} True if the channel exists
+ */
+const isValidChannel = (name) => {
+  return channels.has(name);
+};
+
+/**
+ * Check whether a channel delivers to users, who can opt in or out of it
+ * @param {string} name - Channel name
+ * @returns {boolean} True for user-facing channels
+ */
+const isUserChannel = (name) => {
+  return channels.has(name) && channels.get(name).audience === 'users';
+};
+
+/**
+ * Get the names of all registered channels
+ * @returns {Array} Channel names in registration order
+ */
+const getChannelNames = () => {
+  return [...channels.keys()];
+};
+
+/**
+ * Describe the registered channels for clients choosing between them
+ * @returns {Array} Channel descriptions
+ */
+const listChannels = () => {
+  return [...channels.values()].map(channel => ({
+    name: channel.name,
+    label: channel.label,
+    description: channel.description,
+    audience: channel.audience,
+    recipientField: channel.recipientField || null,
+    defaultEnabled: channel.defaultEnabled,
+    severities: channel.severities,
+    configured: channel.isConfigured(),
+    capabilities: channel.capabilities
+  }));
+};
+
+/**
+ * Order user channels the way a user ranked them; channels the user has not
+ * ranked follow in registration order
+ * @param {Object} user - User with an optional channelPriority list
+ * @param {Array} names - Channel names to order (defaults to all registered channels)
+ * @returns {Array} The user channels among names, most preferred first
+ */
+const getUserChannelOrder = (user, names = getChannelNames()) => {
+  const priority = Array.isArray(user.channelPriority) ? user.channelPriority : [];
+  const registered = getChannelNames();
+  const rank = (name) => priority.includes(name)
+    ? priority.indexOf(name)
+    : priority.length + registered.indexOf(name);
+  
+  return names.filter(isUserChannel).sort((a, b) => rank(a) - rank(b));
+};
+
+/**
+ * Build the notification preferences given to new users
+ * @returns {Object} Map of channel name to enabled flag
+ */
+const getDefaultChannelPreferences = () => {
+  const preferences = {};
+  
+  channels.forEach(channel => {
+    if (channel.audience === 'users') {
+      preferences[channel.name] = channel.defaultEnabled;
+    }
+  });
+  
+  return preferences;
+};
+
+// Built-in channels
+registerChannel(require('./emailChannel'));
+registerChannel(require('./smsChannel'));
+registerChannel(require('./pushChannel'));
+registerChannel(require('./voiceChannel'));
+registerChannel(require('./webhookChannel'));
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  isValidChannel,
+  isUserChannel,
+  getChannelNames,
+  listChannels,
+  getUserChannelOrder,
+  getDefaultChannelPreferences
+};
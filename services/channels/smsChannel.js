@@ -0,0 +1,180 @@
+/**
+ * SMS channel for the emergency alert system
+ * Sends alerts through Twilio, or simulates delivery when it is not configured
+ */
+const { twilioClient, hasTwilioCredentials, formatPhoneNumber, getCallbackUrl } = require('./twilioClient');
+const { fitToSegments } = require('../../utils/smsSegments');
+const { getAckUrl, isAcknowledgeable } = require('../../utils/ackTokens');
+
+// Longest message we send, in concatenated parts (Twilio accepts up to 10)
+const MAX_SEGMENTS = Math.min(parseInt(process.env.SMS_MAX_SEGMENTS) || 5, 10);
+
+// Twilio message statuses that settle the outcome of a message
+const TWILIO_MESSAGE_STATUSES = {
+  delivered: 'delivered',
+  undelivered: 'undelivered',
+  failed: 'failed'
+};
+
+/**
+ * Check that a recipient can be sent an SMS
+ * @param {Object} recipient - Recipient user
+ * @returns {Object} { valid, address } or { valid: false, error }
+ */
+const validateRecipient = (recipient) => {
+  if (!recipient.phoneNumber) {
+    return { valid: false, error: 'Recipient has no phone number' };
+  }
+  
+  return { valid: true, address: formatPhoneNumber(recipient.phoneNumber) };
+};
+
+/**
+ * Send an SMS notification
+ * @param {Object} alert - Alert object
+ * @param {Object} recipient - Recipient user
+ * @returns {Promise<Object>} Notification result
+ */
+const send = async (alert, recipient) => {
+  // Format the phone number if needed (ensure it has the correct format with country code)
+  const phoneNumber = formatPhoneNumber(recipient.phoneNumber);
+  
+  console.log(`[SMS] Preparing to send ${alert.severity} alert "${alert.title}" to ${phoneNumber}`);
+  
+  // Send the whole alert as a concatenated message, only shortening alerts longer than MAX_SEGMENTS parts;
+  // the acknowledgment link is never cut off
+  const ackUrl = isAcknowledgeable(alert) ? getAckUrl(alert.id, recipient.id) : null;
+  const sms = fitToSegments(
+    `ALERT [${alert.severity.toUpperCase()}]: ${alert.title} - ${alert.message}`,
+    MAX_SEGMENTS,
+    ackUrl ? `\nAcknowledge: ${ackUrl}` : ''
+  );
+  const messageBody = sms.text;
+  
+  if (sms.truncated) {
+    console.warn(`[SMS] Alert ${alert.id} shortened to fit ${MAX_SEGMENTS} ${sms.encoding} segments`);
+  }
+  
+  // If Twilio is configured, use it to send the SMS
+  if (hasTwilioCredentials && twilioClient) {
+    try {
+      console.log(`[SMS] Sending via Twilio to ${phoneNumber}`);
+      
+      const message = await twilioClient.messages.create({
+        body: messageBody,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to: phoneNumber,
+        // Twilio reports delivered/undelivered here (see controllers/statusCallbackController.js)
+        statusCallback: getCallbackUrl('/api/sms/status')
+      });
+      
+      // Twilio reports the parts it will bill for; fall back to our own count
+      const segments = parseInt(message.numSegments) || sms.segments;
+      
+      console.log(`[SMS] Successfully sent to ${phoneNumber} (Twilio SID: ${message.sid}, ${segments} ${sms.encoding} segment(s))`);
+      
+      return { 
+        success: true, 
+        provider: 'twilio', 
+        messageId: message.sid,
+        segments,
+        recipientId: recipient.id,
+        alertId: alert.id,
+        phoneNumber: phoneNumber
+      };
+    } catch (error) {
+      console.error(`[SMS] Twilio error sending to ${phoneNumber}:`, error.message);
+      
+      if (error.code) {
+        console.error(`[SMS] Twilio error code: ${error.code}`);
+      }
+      
+      // Log specific error types for troubleshooting
+      if (error.code === 21211) {
+        console.error(`[SMS] Invalid phone number format: ${phoneNumber}`);
+      } else if (error.code === 21608) {
+        console.error(`[SMS] Unverified recipient phone number. In trial accounts, the recipient number must be verified.`);
+      } else if (error.code === 21610) {
+        console.error(`[SMS] Recipient has opted out of receiving messages from this number.`);
+      }
+      
+      // Fall back to simulated sending
+      await simulateSmsSending();
+      return { 
+        success: false, 
+        provider: 'twilio-error', 
+        reason: 'Twilio error: ' + error.message,
+        errorCode: error.code,
+        // Bad or opted-out numbers will fail the same way on every retry
+        permanent: [21211, 21610, 21614].includes(error.code),
+        recipientId: recipient.id,
+        alertId: alert.id,
+        phoneNumber: phoneNumber
+      };
+    }
+  } else {
+    // Log the configuration status
+    if (!hasTwilioCredentials) {
+      console.warn('[SMS] Twilio credentials are not properly configured');
+    } else if (!twilioClient) {
+      console.warn('[SMS] Twilio client initialization failed');
+    }
+    
+    // Simulate sending SMS
+    console.log(`[SMS] Simulating SMS delivery to ${phoneNumber} (Twilio not configured, ${sms.segments} ${sms.encoding} segment(s))`);
+    await simulateSmsSending();
+    
+    return { 
+      success: true, 
+      provider: 'simulated', 
+      reason: 'Twilio not fully configured',
+      segments: sms.segments,
+      recipientId: recipient.id,
+      alertId: alert.id,
+      phoneNumber: phoneNumber
+    };
+  }
+};
+
+/**
+ * Simulate sending an SMS with a delay
+ */
+const simulateSmsSending = async () => {
+  await new Promise(resolve => setTimeout(resolve, 100));
+};
+
+/**
+ * Translate a Twilio message status callback into a delivery status update
+ * See https://www.twilio.com/docs/messaging/guides/track-outbound-message-status
+ * @param {Object} body - Status callback request body
+ * @returns {Array} Updates of { providerMessageId, status, error }
+ */
+const handleStatusCallback = (body) => {
+  const status = body && TWILIO_MESSAGE_STATUSES[body.MessageStatus];
+  
+  if (!body || !body.MessageSid || !status) {
+    return [];
+  }
+  
+  return [{
+    providerMessageId: body.MessageSid,
+    status,
+    error: body.ErrorCode ? `Twilio error ${body.ErrorCode}` : null
+  }];
+};
+
+module.exports = {
+  name: 'sms',
+  label: 'SMS',
+  description: 'Text messages delivered through Twilio',
+  recipientField: 'phoneNumber',
+  defaultEnabled: false,
+  capabilities: {
+    batch: false,
+    statusCallback: true
+  },
+  isConfigured: () => !!(hasTwilioCredentials && twilioClient),
+  validateRecipient,
+  send,
+  handleStatusCallback
+};
@@ -0,0 +1,64 @@
+/**
+ * Twilio client shared by the SMS and voice channels
+ */
+const twilio = require('twilio');
+
+// Initialize Twilio client if credentials are available
+let twilioClient = null;
+const hasTwilioCredentials = process.env.TWILIO_ACCOUNT_SID && 
+                            process.env.TWILIO_AUTH_TOKEN && 
+                            process.env.TWILIO_PHONE_NUMBER;
+
+if (hasTwilioCredentials) {
+  try {
+    twilioClient = twilio(
+      process.env.TWILIO_ACCOUNT_SID,
+      process.env.TWILIO_AUTH_TOKEN
+    );
+    console.log('Twilio client initialized successfully');
+  } catch (error) {
+    console.error('Failed to initialize Twilio client:', error);
+  }
+}
+
+/**
+ * Format a phone number to ensure it has the correct international format
+ * @param {string} phoneNumber - The phone number to format
+ * @returns {string} Properly formatted phone number
+ */
+const formatPhoneNumber = (phoneNumber) => {
+  // Strip all non-digit characters
+  let digits = phoneNumber.replace(/\D/g, '');
+  
+  // If US number without country code, add +1
+  if (digits.length === 10) {
+    return `+1${digits}`;
+  }
+  
+  // If it already has a country code (11+ digits), ensure it starts with '+'
+  if (digits.length >= 11 && !phoneNumber.startsWith('+')) {
+    return `+${digits}`;
+  }
+  
+  // Return original if it already has the '+' or couldn't be formatted
+  return phoneNumber.startsWith('+') ? phoneNumber : `+${digits}`;
+};
+
+/**
+ * Build the URL Twilio should call back on
+ * @param {string} path - Path of the callback route, e.g. '/api/sms/status'
+ * @returns {string|undefined} Callback URL, or undefined without PUBLIC_BASE_URL
+ */
+const getCallbackUrl = (path) => {
+  const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+  
+  return baseUrl ? `${baseUrl}${path}` : undefined;
+};
+
+module.exports = {
+  twilio,
+  twilioClient,
+  hasTwilioCredentials: !!hasTwilioCredentials,
+  formatPhoneNumber,
+  getCallbackUrl
+};
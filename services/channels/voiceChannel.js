@@ -0,0 +1,259 @@
+/**
+ * Voice channel for the emergency alert system
+ * Phones recipients about critical alerts, reads the alert with text-to-speech
+ * and lets them press 1 to acknowledge it.
+ *
+ * Calls are placed through a transport: Twilio when it is configured, an HTTP
+ * stand-in when VOICE_TRANSPORT_URL is set (for tests), or a simulation.
+ */
+const { twilio, twilioClient, hasTwilioCredentials, formatPhoneNumber, getCallbackUrl } = require('./twilioClient');
+const { isAcknowledgeable } = require('../../utils/ackTokens');
+
+// Public URL Twilio uses to reach this server for keypress callbacks
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+const MAX_SPOKEN_MESSAGE_LENGTH = 1500; // Keeps the TwiML well under Twilio's 4000 character limit
+const ACKNOWLEDGE_DIGIT = '1';
+
+// Twilio call statuses that settle the outcome of a call
+const TWILIO_CALL_STATUSES = {
+  completed: 'delivered',
+  busy: 'undelivered',
+  'no-answer': 'undelivered',
+  failed: 'failed',
+  canceled: 'undelivered'
+};
+
+/**
+ * Transport that places calls through the Twilio REST API
+ */
+const twilioTransport = {
+  name: 'twilio',
+  createCall: async ({ to, from, twiml, statusCallback }) => {
+    const call = await twilioClient.calls.create({ to, from, twiml, statusCallback });
+    return { sid: call.sid };
+  }
+};
+
+/**
+ * Create a transport that POSTs call requests as JSON to a local stand-in for Twilio
+ * @param {string} url - URL of the stand-in; it must respond with { sid }
+ * @returns {Object} Voice transport
+ */
+const createHttpTransport = (url) => ({
+  name: 'http',
+  createCall: async (call) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(call)
+    });
+    const body = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+      const error = new Error(body.message || `Voice transport responded with ${response.status}`);
+      error.code = body.code;
+      throw error;
+    }
+    
+    return { sid: body.sid };
+  }
+});
+
+/**
+ * Transport used when no provider is configured
+ */
+const simulatedTransport = {
+  name: 'simulated',
+  createCall: async () => {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return { sid: `SIMULATED-${Date.now()}` };
+  }
+};
+
+let transport = process.env.VOICE_TRANSPORT_URL
+  ? createHttpTransport(process.env.VOICE_TRANSPORT_URL)
+  : (hasTwilioCredentials && twilioClient ? twilioTransport : simulatedTransport);
+
+/**
+ * Replace the transport used to place calls (for tests)
+ * @param {Object} newTransport - Object with a name and createCall({ to, from, twiml, statusCallback })
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Check that a recipient can be phoned
+ * @param {Object} recipient - Recipient user
+ * @returns {Object} { valid, address } or { valid: false, error }
+ */
+const validateRecipient = (recipient) => {
+  if (!recipient.phoneNumber) {
+    return { valid: false, error: 'Recipient has no phone number' };
+  }
+  
+  return { valid: true, address: formatPhoneNumber(recipient.phoneNumber) };
+};
+
+/**
+ * Build the URL Twilio posts the caller's keypress to
+ * @param {number} alertId - Alert ID
+ * @param {number} userId - Recipient's user ID
+ * @returns {string|null} Gather callback URL, or null without PUBLIC_BASE_URL
+ */
+const getGatherUrl = (alertId, userId) => {
+  if (!PUBLIC_BASE_URL) {
+    return null;
+  }
+  
+  return `${PUBLIC_BASE_URL}/api/voice/gather?alertId=${alertId}&userId=${userId}`;
+};
+
+/**
+ * Build the TwiML spoken to the recipient when they answer
+ * @param {Object} alert - Alert object
+ * @param {Object} recipient - Recipient user
+ * @returns {string} TwiML document
+ */
+const buildCallTwiml = (alert, recipient) => {
+  const response = new twilio.twiml.VoiceResponse();
+  const gatherUrl = isAcknowledgeable(alert) ? getGatherUrl(alert.id, recipient.id) : null;
+  
+  let message = alert.message;
+  if (message.length > MAX_SPOKEN_MESSAGE_LENGTH) {
+    message = message.substring(0, MAX_SPOKEN_MESSAGE_LENGTH) + '...';
+  }
+  
+  const script = `This is an emergency alert. Severity ${alert.severity}. ${alert.title}. ${message}`;
+  
+  if (!gatherUrl) {
+    // Without a public URL Twilio has nowhere to send the keypress, and an all-clear
+    // has nothing to acknowledge, so just read the alert
+    response.say(script);
+    response.pause({ length: 1 });
+    response.say(script);
+    return response.toString();
+  }
+  
+  // Read the alert twice before giving up on a keypress
+  for (let i = 0; i < 2; i++) {
+    const gather = response.gather({
+      numDigits: 1,
+      action: gatherUrl,
+      method: 'POST',
+      timeout: 8
+    });
+    
+    gather.say(script);
+    gather.say(`Press ${ACKNOWLEDGE_DIGIT} to acknowledge this alert.`);
+  }
+  
+  response.say('No acknowledgment was received. Goodbye.');
+  
+  return response.toString();
+};
+
+/**
+ * Build the TwiML played after the recipient presses a key
+ * @param {boolean} acknowledged - Whether the acknowledgment was recorded
+ * @returns {string} TwiML document
+ */
+const buildGatherResponseTwiml = (acknowledged) => {
+  const response = new twilio.twiml.VoiceResponse();
+  
+  response.say(acknowledged
+    ? 'Thank you. Your acknowledgment has been recorded. Goodbye.'
+    : 'No acknowledgment was recorded. Goodbye.');
+  response.hangup();
+  
+  return response.toString();
+};
+
+/**
+ * Place a voice call for an alert
+ * @param {Object} alert - Alert object
+ * @param {Object} recipient - Recipient user
+ * @returns {Promise<Object>} Notification result
+ */
+const send = async (alert, recipient) => {
+  const phoneNumber = formatPhoneNumber(recipient.phoneNumber);
+  
+  console.log(`[VOICE] Calling ${phoneNumber} about ${alert.severity} alert "${alert.title}" via ${transport.name}`);
+  
+  try {
+    const call = await transport.createCall({
+      to: phoneNumber,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      twiml: buildCallTwiml(alert, recipient),
+      // Twilio reports how the call ended here (see controllers/statusCallbackController.js)
+      statusCallback: getCallbackUrl('/api/voice/status')
+    });
+    
+    console.log(`[VOICE] Call placed to ${phoneNumber} (SID: ${call.sid})`);
+    
+    return {
+      success: true,
+      provider: transport.name,
+      messageId: call.sid,
+      recipientId: recipient.id,
+      alertId: alert.id,
+      phoneNumber
+    };
+  } catch (error) {
+    console.error(`[VOICE] Error calling ${phoneNumber}:`, error.message);
+    
+    return {
+      success: false,
+      provider: `${transport.name}-error`,
+      error: 'Voice call error: ' + error.message,
+      errorCode: error.code,
+      // Invalid or unreachable numbers will fail the same way on every retry
+      permanent: [21211, 21214, 21215, 21217].includes(error.code),
+      recipientId: recipient.id,
+      alertId: alert.id,
+      phoneNumber
+    };
+  }
+};
+
+/**
+ * Translate a Twilio call status callback into a delivery status update
+ * See https://www.twilio.com/docs/voice/api/call-resource#statuscallback
+ * @param {Object} body - Status callback request body
+ * @returns {Array} Updates of { providerMessageId, status, error }
+ */
+const handleStatusCallback = (body) => {
+  const status = body && TWILIO_CALL_STATUSES[body.CallStatus];
+  
+  if (!body || !body.CallSid || !status) {
+    return [];
+  }
+  
+  return [{
+    providerMessageId: body.CallSid,
+    status,
+    error: status === 'delivered' ? null : `Call ${body.CallStatus}`
+  }];
+};
+
+module.exports = {
+  name: 'voice',
+  label: 'Voice Call',
+  description: 'Phone call that reads critical alerts aloud and takes a keypress to acknowledge',
+  recipientField: 'phoneNumber',
+  defaultEnabled: false,
+  // Calls are reserved for alerts worth waking someone up for
+  severities: ['critical'],
+  capabilities: {
+    batch: false,
+    statusCallback: true
+  },
+  isConfigured: () => transport !== simulatedTransport,
+  validateRecipient,
+  send,
+  handleStatusCallback,
+  buildCallTwiml,
+  buildGatherResponseTwiml,
+  setTransport,
+  ACKNOWLEDGE_DIGIT
+};
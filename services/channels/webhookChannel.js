@@ -0,0 +1,234 @@
+/**
+ * Webhook channel for the emergency alert system
+ * POSTs alerts as signed JSON to endpoints registered by admins, for downstream
+ * systems (PA controllers, door-lock panels) that can only receive HTTP calls
+ */
+const crypto = require('crypto');
+const { webhookEndpointDB, webhookDeliveryDB } = require('../databaseService');
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 1000; // Characters of the response kept in the delivery history
+
+// Request headers sent with every webhook
+const SIGNATURE_HEADER = 'X-EmergencyConnect-Signature';
+const TIMESTAMP_HEADER = 'X-EmergencyConnect-Timestamp';
+const EVENT_HEADER = 'X-EmergencyConnect-Event';
+const DELIVERY_HEADER = 'X-EmergencyConnect-Delivery';
+
+// Events sent for each kind of alert update, so receivers don't take an update for a new alert
+const UPDATE_EVENTS = {
+  update: 'alert.updated',
+  all_clear: 'alert.resolved'
+};
+
+/**
+ * Check that an endpoint can receive webhooks
+ * @param {Object} endpoint - Webhook endpoint
+ * @returns {Object} { valid, address } or { valid: false, error }
+ */
+const validateRecipient = (endpoint) => {
+  if (!endpoint.url) {
+    return { valid: false, error: 'Webhook endpoint has no URL' };
+  }
+  
+  if (!endpoint.active) {
+    return { valid: false, error: 'Webhook endpoint is disabled', address: endpoint.url };
+  }
+  
+  return { valid: true, address: endpoint.url };
+};
+
+/**
+ * Generate a secret for signing a new endpoint's payloads
+ * @returns {string} Random hex secret
+ */
+const generateSecret = () => {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC over "<timestamp>.<body>"
+ * with their copy of the secret and reject old timestamps to stop replays.
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+const signPayload = (secret, timestamp, body) => {
+  const hmac = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  
+  return `sha256=${hmac}`;
+};
+
+/**
+ * Get the event name for a notification
+ * @param {Object} alert - Alert being sent, with the update's fields applied for update notifications
+ * @returns {string} 'alert.sent', or the event for the kind of update
+ */
+const getEvent = (alert) => {
+  if (!alert.updateKind) {
+    return 'alert.sent';
+  }
+  
+  return UPDATE_EVENTS[alert.updateKind] || UPDATE_EVENTS.update;
+};
+
+/**
+ * Build the JSON body sent for an alert or one of its updates
+ * @param {string} event - Event name
+ * @param {Object} alert - Alert object
+ * @returns {Object} Webhook payload, with the update's ID, version and kind for update events
+ */
+const buildPayload = (event, alert) => {
+  return {
+    event,
+    sentAt: new Date().toISOString(),
+    ...(alert.updateKind && {
+      update: {
+        id: alert.updateId,
+        version: alert.updateVersion,
+        kind: alert.updateKind
+      }
+    }),
+    alert: {
+      id: alert.id,
+      title: alert.title,
+      message: alert.message,
+      severity: alert.severity,
+      status: alert.status,
+      channels: alert.channels,
+      createdBy: alert.createdBy,
+      createdAt: alert.createdAt
+    }
+  };
+};
+
+/**
+ * POST a signed payload to an endpoint and record the attempt in its delivery history
+ * @param {Object} endpoint - Webhook endpoint
+ * @param {string} event - Event name
+ * @param {Object} payload - JSON payload
+ * @param {Object} context - { alertId, deliveryId, attempt } recorded with the attempt
+ * @returns {Promise<Object>} Notification result
+ */
+const postToEndpoint = async (endpoint, event, payload, context = {}) => {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'EmergencyConnect-Webhooks/1.0',
+    [EVENT_HEADER]: event,
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: signPayload(endpoint.secret, timestamp, body)
+  };
+  
+  // Stays the same across retries so receivers can ignore duplicates
+  if (context.deliveryId) {
+    headers[DELIVERY_HEADER] = String(context.deliveryId);
+  }
+  
+  let result;
+  let statusCode = null;
+  let responseBody = null;
+  
+  console.log(`[WEBHOOK] Posting ${event} to endpoint ${endpoint.id} (${endpoint.url})`);
+  
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    
+    statusCode = response.status;
+    responseBody = (await response.text().catch(() => '')).substring(0, MAX_RESPONSE_BODY_LENGTH);
+    
+    if (response.ok) {
+      console.log(`[WEBHOOK] Endpoint ${endpoint.id} accepted ${event} with ${statusCode}`);
+      result = { success: true, provider: 'webhook', statusCode };
+    } else {
+      console.warn(`[WEBHOOK] Endpoint ${endpoint.id} responded with ${statusCode}`);
+      result = { success: false, provider: 'webhook-error', error: `Endpoint responded with ${statusCode}`, statusCode };
+    }
+  } catch (error) {
+    // fetch hides network failures such as ECONNREFUSED behind error.cause
+    const message = error.name === 'TimeoutError'
+      ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms`
+      : (error.cause && error.cause.message) || error.message;
+    console.error(`[WEBHOOK] Error posting to endpoint ${endpoint.id}:`, message);
+    result = { success: false, provider: 'webhook-error', error: message };
+  }
+  
+  try {
+    await webhookDeliveryDB.create({
+      endpointId: endpoint.id,
+      alertId: context.alertId || null,
+      deliveryId: context.deliveryId || null,
+      event,
+      attempt: context.attempt || 1,
+      success: result.success,
+      statusCode,
+      responseBody,
+      error: result.success ? null : result.error,
+      durationMs: Date.now() - startedAt
+    });
+    
+    if (result.success) {
+      await webhookEndpointDB.update(endpoint.id, { lastDeliveryAt: new Date() });
+    }
+  } catch (error) {
+    // The outcome still reaches the delivery queue even if the history could not be written
+    console.error(`[WEBHOOK] Failed to record delivery history for endpoint ${endpoint.id}:`, error);
+  }
+  
+  return {
+    ...result,
+    webhookEndpointId: endpoint.id,
+    address: endpoint.url
+  };
+};
+
+/**
+ * Send an alert, or an update to one, to a webhook endpoint
+ * @param {Object} alert - Alert object
+ * @param {Object} endpoint - Webhook endpoint
+ * @param {Object} options - Delivery options; deliveryId and attempt are set by the queue
+ * @returns {Promise<Object>} Notification result
+ */
+const send = async (alert, endpoint, options = {}) => {
+  const event = getEvent(alert);
+  
+  return postToEndpoint(endpoint, event, buildPayload(event, alert), {
+    alertId: alert.id,
+    deliveryId: options.deliveryId,
+    attempt: options.attempt
+  });
+};
+
+module.exports = {
+  name: 'webhook',
+  label: 'Webhook',
+  description: 'Signed HTTP POST to registered integration endpoints',
+  // Alerts go to every active endpoint rather than to users
+  audience: 'endpoints',
+  recipientKey: 'webhookEndpointId',
+  recipientField: 'url',
+  defaultEnabled: false,
+  capabilities: {
+    batch: false,
+    statusCallback: false
+  },
+  isConfigured: () => true,
+  getRecipients: () => webhookEndpointDB.getAllActive(),
+  findRecipient: (id) => webhookEndpointDB.findById(id),
+  validateRecipient,
+  send,
+  generateSecret,
+  signPayload,
+  postToEndpoint
+};
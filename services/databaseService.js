@@ -4,7 +4,7 @@
  */
 const { db } = require('../db');
 const schema = require('../shared/schema');
-const { eq, or, and, desc, asc, sql } = require('drizzle-orm');
+const { eq, or, and, desc, asc, sql, lt, lte, gt, gte, inArray, ilike, isNotNull, isNull } = require('drizzle-orm');
 const bcrypt = require('bcryptjs');
 
 /**
@@ -49,6 +49,24 @@ const userDB = {
     return user || null;
   },
   
+  /**
+   * Find a user by phone number, ignoring formatting and a missing US country code
+   */
+  findByPhoneNumber: async (phoneNumber) => {
+    const digits = phoneNumber.replace(/\D/g, '');
+    const candidates = digits.length === 11 && digits.startsWith('1')
+      ? [digits, digits.slice(1)]
+      : [digits];
+    
+    const [user] = await db.select()
+      .from(schema.users)
+      .where(inArray(sql`regexp_replace(${schema.users.phoneNumber}, '[^0-9]', '', 'g')`, candidates))
+      .orderBy(asc(schema.users.id))
+      .limit(1);
+    
+    return user || null;
+  },
+  
   update: async (id, updates) => {
     // If password is being updated, hash it
     if (updates.password) {
@@ -67,6 +85,12 @@ const userDB = {
   },
   
   delete: async (id) => {
+    await db.delete(schema.userLocations)
+      .where(eq(schema.userLocations.userId, id));
+    
+    await db.delete(schema.groupMembers)
+      .where(eq(schema.groupMembers.userId, id));
+    
     const result = await db.delete(schema.users)
       .where(eq(schema.users.id, id));
     
@@ -81,6 +105,19 @@ const userDB = {
     return users;
   },
   
+  getByIds: async (ids) => {
+    if (ids.length === 0) {
+      return [];
+    }
+    
+    const users = await db.select()
+      .from(schema.users)
+      .where(inArray(schema.users.id, ids))
+      .orderBy(asc(schema.users.id));
+    
+    return users;
+  },
+  
   getAllByRole: async (role) => {
     const users = await db.select()
       .from(schema.users)
@@ -90,17 +127,321 @@ const userDB = {
     return users;
   },
   
+  /**
+   * Remove a push token, but only if the user has not registered a new one since
+   */
+  clearPushToken: async (id, pushToken) => {
+    const cleared = await db.update(schema.users)
+      .set({
+        pushToken: null,
+        updatedAt: new Date()
+      })
+      .where(
+        and(
+          eq(schema.users.id, id),
+          eq(schema.users.pushToken, pushToken)
+        )
+      )
+      .returning({ id: schema.users.id });
+    
+    return cleared.length > 0;
+  },
+  
   validatePassword: async (user, password) => {
     return await bcrypt.compare(password, user.password);
   }
 };
 
+/**
+ * User location database operations
+ */
+const userLocationDB = {
+  getByUserId: async (userId) => {
+    const locations = await db.select()
+      .from(schema.userLocations)
+      .where(eq(schema.userLocations.userId, userId))
+      .orderBy(asc(schema.userLocations.kind));
+    
+    return locations;
+  },
+  
+  /**
+   * Save a user's home, work or device location, replacing the one they had
+   */
+  upsert: async (userId, kind, location) => {
+    const values = {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      accuracy: location.accuracy || null,
+      label: location.label || null,
+      updatedAt: new Date()
+    };
+    
+    const [saved] = await db.insert(schema.userLocations)
+      .values({ userId, kind, ...values })
+      .onConflictDoUpdate({
+        target: [schema.userLocations.userId, schema.userLocations.kind],
+        set: values
+      })
+      .returning();
+    
+    return saved;
+  },
+  
+  delete: async (userId, kind) => {
+    const result = await db.delete(schema.userLocations)
+      .where(
+        and(
+          eq(schema.userLocations.userId, userId),
+          eq(schema.userLocations.kind, kind)
+        )
+      );
+    
+    return result.count > 0;
+  },
+  
+  /**
+   * Get the locations inside a latitude/longitude box, leaving out device
+   * locations reported before deviceSince
+   */
+  findInBounds: async (bounds, deviceSince) => {
+    const locations = await db.select()
+      .from(schema.userLocations)
+      .where(
+        and(
+          gte(schema.userLocations.latitude, bounds.minLatitude),
+          lte(schema.userLocations.latitude, bounds.maxLatitude),
+          gte(schema.userLocations.longitude, bounds.minLongitude),
+          lte(schema.userLocations.longitude, bounds.maxLongitude),
+          or(
+            inArray(schema.userLocations.kind, ['home', 'work']),
+            gte(schema.userLocations.updatedAt, deviceSince)
+          )
+        )
+      );
+    
+    return locations;
+  }
+};
+
+/**
+ * Group database operations
+ */
+const groupDB = {
+  create: async (groupData) => {
+    const [group] = await db.insert(schema.groups)
+      .values(groupData)
+      .returning();
+    
+    return group;
+  },
+  
+  findById: async (id) => {
+    const [group] = await db.select()
+      .from(schema.groups)
+      .where(eq(schema.groups.id, id));
+    
+    return group || null;
+  },
+  
+  /**
+   * Get all groups with the number of members each has directly
+   */
+  getAll: async () => {
+    const groups = await db.select({
+      group: schema.groups,
+      memberCount: sql`COUNT(${schema.groupMembers.id})`.mapWith(Number)
+    })
+    .from(schema.groups)
+    .leftJoin(schema.groupMembers, eq(schema.groupMembers.groupId, schema.groups.id))
+    .groupBy(schema.groups.id)
+    .orderBy(asc(schema.groups.name));
+    
+    return groups.map(row => ({ ...row.group, memberCount: row.memberCount }));
+  },
+  
+  update: async (id, updates) => {
+    const [updatedGroup] = await db.update(schema.groups)
+      .set({
+        ...updates,
+        updatedAt: new Date()
+      })
+      .where(eq(schema.groups.id, id))
+      .returning();
+    
+    return updatedGroup || null;
+  },
+  
+  /**
+   * Delete a group and its memberships; its subgroups move up to its parent
+   */
+  delete: async (id) => {
+    return db.transaction(async (tx) => {
+      const [group] = await tx.select()
+        .from(schema.groups)
+        .where(eq(schema.groups.id, id));
+      
+      if (!group) {
+        return false;
+      }
+      
+      await tx.update(schema.groups)
+        .set({ parentId: group.parentId, updatedAt: new Date() })
+        .where(eq(schema.groups.parentId, id));
+      
+      await tx.delete(schema.groupMembers)
+        .where(eq(schema.groupMembers.groupId, id));
+      
+      await tx.delete(schema.groups)
+        .where(eq(schema.groups.id, id));
+      
+      return true;
+    });
+  }
+};
+
+/**
+ * Group membership database operations
+ */
+const groupMemberDB = {
+  /**
+   * Get a group's members with their user details
+   */
+  getByGroupId: async (groupId) => {
+    const members = await db.select({
+      userId: schema.groupMembers.userId,
+      role: schema.groupMembers.role,
+      createdAt: schema.groupMembers.createdAt,
+      username: schema.users.username,
+      email: schema.users.email
+    })
+    .from(schema.groupMembers)
+    .innerJoin(schema.users, eq(schema.groupMembers.userId, schema.users.id))
+    .where(eq(schema.groupMembers.groupId, groupId))
+    .orderBy(asc(schema.users.username));
+    
+    return members;
+  },
+  
+  getByUserId: async (userId) => {
+    const memberships = await db.select()
+      .from(schema.groupMembers)
+      .where(eq(schema.groupMembers.userId, userId));
+    
+    return memberships;
+  },
+  
+  /**
+   * Add a user to a group, or change their role if they are already a member
+   */
+  upsert: async (groupId, userId, role, addedBy) => {
+    const [membership] = await db.insert(schema.groupMembers)
+      .values({ groupId, userId, role, addedBy })
+      .onConflictDoUpdate({
+        target: [schema.groupMembers.groupId, schema.groupMembers.userId],
+        set: { role }
+      })
+      .returning();
+    
+    return membership;
+  },
+  
+  delete: async (groupId, userId) => {
+    const deleted = await db.delete(schema.groupMembers)
+      .where(
+        and(
+          eq(schema.groupMembers.groupId, groupId),
+          eq(schema.groupMembers.userId, userId)
+        )
+      )
+      .returning({ id: schema.groupMembers.id });
+    
+    return deleted.length > 0;
+  },
+  
+  /**
+   * Get the IDs of the users in any of the given groups
+   */
+  getUserIds: async (groupIds) => {
+    if (groupIds.length === 0) {
+      return [];
+    }
+    
+    const rows = await db.selectDistinct({ userId: schema.groupMembers.userId })
+      .from(schema.groupMembers)
+      .where(inArray(schema.groupMembers.groupId, groupIds));
+    
+    return rows.map(row => row.userId);
+  }
+};
+
+/**
+ * Saved audience database operations
+ */
+const audienceDB = {
+  create: async (audienceData) => {
+    const [audience] = await db.insert(schema.audiences)
+      .values(audienceData)
+      .returning();
+    
+    return audience;
+  },
+  
+  findById: async (id) => {
+    const [audience] = await db.select()
+      .from(schema.audiences)
+      .where(eq(schema.audiences.id, id));
+    
+    return audience || null;
+  },
+  
+  getByIds: async (ids) => {
+    if (ids.length === 0) {
+      return [];
+    }
+    
+    const audiences = await db.select()
+      .from(schema.audiences)
+      .where(inArray(schema.audiences.id, ids));
+    
+    return audiences;
+  },
+  
+  getAll: async () => {
+    const audiences = await db.select()
+      .from(schema.audiences)
+      .orderBy(asc(schema.audiences.name));
+    
+    return audiences;
+  },
+  
+  update: async (id, updates) => {
+    const [updatedAudience] = await db.update(schema.audiences)
+      .set({
+        ...updates,
+        updatedAt: new Date()
+      })
+      .where(eq(schema.audiences.id, id))
+      .returning();
+    
+    return updatedAudience || null;
+  },
+  
+  delete: async (id) => {
+    const deleted = await db.delete(schema.audiences)
+      .where(eq(schema.audiences.id, id))
+      .returning({ id: schema.audiences.id });
+    
+    return deleted.length > 0;
+  }
+};
+
 /**
  * Alert-related database operations
  */
 const alertDB = {
-  create: async (alertData) => {
-    const [alert] = await db.insert(schema.alerts)
+  create: async (alertData, tx = db) => {
+    const [alert] = await tx.insert(schema.alerts)
       .values(alertData)
       .returning();
     
@@ -115,8 +456,8 @@ const alertDB = {
     return alert || null;
   },
   
-  update: async (id, updates) => {
-    const [updatedAlert] = await db.update(schema.alerts)
+  update: async (id, updates, tx = db) => {
+    const [updatedAlert] = await tx.update(schema.alerts)
       .set({
         ...updates,
         updatedAt: new Date()
@@ -127,11 +468,125 @@ const alertDB = {
     return updatedAlert || null;
   },
   
+  /**
+   * Update an alert only while it is still waiting to be sent
+   */
+  updateScheduled: async (id, updates) => {
+    const [updatedAlert] = await db.update(schema.alerts)
+      .set({
+        ...updates,
+        updatedAt: new Date()
+      })
+      .where(
+        and(
+          eq(schema.alerts.id, id),
+          eq(schema.alerts.status, 'scheduled')
+        )
+      )
+      .returning();
+    
+    return updatedAlert || null;
+  },
+  
+  /**
+   * Lock an alert that is waiting for approval. Call inside a transaction:
+   * the lock is held until it ends, so two reviewers cannot both decide it.
+   */
+  claimPendingApproval: async (id, tx) => {
+    const [alert] = await tx.select()
+      .from(schema.alerts)
+      .where(
+        and(
+          eq(schema.alerts.id, id),
+          eq(schema.alerts.status, 'pending_approval')
+        )
+      )
+      .for('update');
+    
+    return alert || null;
+  },
+  
+  getAllPendingApproval: async () => {
+    const alerts = await db.select()
+      .from(schema.alerts)
+      .where(eq(schema.alerts.status, 'pending_approval'))
+      .orderBy(asc(schema.alerts.createdAt));
+    
+    return alerts;
+  },
+  
+  /**
+   * Get alerts sent since the given time, plus any still waiting for approval,
+   * newest first. Used to spot an alert that repeats one already on its way.
+   */
+  /**
+   * Get the alerts going out around a time: those sent or scheduled between
+   * since and until, and every alert still waiting for approval
+   */
+  getSentOrScheduledBetween: async (since, until) => {
+    const alerts = await db.select()
+      .from(schema.alerts)
+      .where(
+        or(
+          and(
+            eq(schema.alerts.status, 'sent'),
+            gte(schema.alerts.sentAt, since),
+            lte(schema.alerts.sentAt, until)
+          ),
+          and(
+            eq(schema.alerts.status, 'scheduled'),
+            gte(schema.alerts.scheduledFor, since),
+            lte(schema.alerts.scheduledFor, until)
+          ),
+          eq(schema.alerts.status, 'pending_approval')
+        )
+      )
+      .orderBy(desc(schema.alerts.createdAt));
+    
+    return alerts;
+  },
+  
+  /**
+   * Lock the scheduled alert that is due soonest. Call inside a transaction:
+   * the lock is held until it ends, and SKIP LOCKED stops other dispatchers
+   * from sending the same alert meanwhile.
+   */
+  claimNextScheduled: async (tx) => {
+    const [alert] = await tx.select()
+      .from(schema.alerts)
+      .where(
+        and(
+          eq(schema.alerts.status, 'scheduled'),
+          lte(schema.alerts.scheduledFor, new Date())
+        )
+      )
+      .orderBy(asc(schema.alerts.scheduledFor))
+      .limit(1)
+      .for('update', { skipLocked: true });
+    
+    return alert || null;
+  },
+  
   delete: async (id) => {
-    // First delete all acknowledgments
+    // First delete all acknowledgments and queued deliveries
     await db.delete(schema.alertAcknowledgments)
       .where(eq(schema.alertAcknowledgments.alertId, id));
     
+    await db.delete(schema.deliveryJobs)
+      .where(eq(schema.deliveryJobs.alertId, id));
+    
+    await db.delete(schema.alertEscalations)
+      .where(eq(schema.alertEscalations.alertId, id));
+    
+    await db.delete(schema.webhookDeliveries)
+      .where(eq(schema.webhookDeliveries.alertId, id));
+    
+    await db.delete(schema.alertDeliveries)
+      .where(eq(schema.alertDeliveries.alertId, id));
+    
+    await db.delete(schema.alertUpdates)
+      .where(eq(schema.alertUpdates.alertId, id));
+    
     // Then delete the alert
     const result = await db.delete(schema.alerts)
       .where(eq(schema.alerts.id, id));
@@ -165,6 +620,55 @@ const alertDB = {
     return alerts;
   },
   
+  /**
+   * Return the alerts that are currently in effect: sent and not yet expired
+   */
+  getActive: async () => {
+    const now = new Date();
+    const alerts = await db.select()
+      .from(schema.alerts)
+      .where(
+        and(
+          eq(schema.alerts.status, 'sent'),
+          or(isNull(schema.alerts.expiresAt), gt(schema.alerts.expiresAt, now))
+        )
+      )
+      .orderBy(desc(schema.alerts.sentAt));
+    
+    return alerts;
+  },
+  
+  /**
+   * Move sent alerts whose expiry time has passed to the expired status
+   */
+  expireDue: async (limit = 100) => {
+    const due = db.select({ id: schema.alerts.id })
+      .from(schema.alerts)
+      .where(
+        and(
+          eq(schema.alerts.status, 'sent'),
+          lte(schema.alerts.expiresAt, new Date())
+        )
+      )
+      .orderBy(asc(schema.alerts.expiresAt))
+      .limit(limit);
+    
+    const expired = await db.update(schema.alerts)
+      .set({
+        status: 'expired',
+        updatedAt: new Date()
+      })
+      .where(
+        and(
+          inArray(schema.alerts.id, due),
+          eq(schema.alerts.status, 'sent')
+        )
+      )
+      .returning();
+    
+    return expired;
+  },
+  
   addAcknowledgment: async (alertId, userId, notes = '') => {
     try {
       const [ack] = await db.insert(schema.alertAcknowledgments)
@@ -220,6 +724,43 @@ const alertDB = {
     return !!acknowledgment;
   },
   
+  /**
+   * Return the users the alert was originally sent to who have not acknowledged it yet
+   */
+  getNonResponders: async (alertId) => {
+    const rows = await db.selectDistinct({ user: schema.users })
+      .from(schema.alertDeliveries)
+      .innerJoin(schema.users, eq(schema.alertDeliveries.userId, schema.users.id))
+      .leftJoin(schema.alertAcknowledgments, and(
+        eq(schema.alertAcknowledgments.alertId, schema.alertDeliveries.alertId),
+        eq(schema.alertAcknowledgments.userId, schema.alertDeliveries.userId)
+      ))
+      .where(and(
+        eq(schema.alertDeliveries.alertId, alertId),
+        isNull(schema.alertDeliveries.escalationStep),
+        isNull(schema.alertDeliveries.updateId),
+        isNull(schema.alertAcknowledgments.id)
+      ));
+    
+    return rows.map(row => row.user).sort((a, b) => a.id - b.id);
+  },
+  
+  /**
+   * Return the users the alert was originally sent to
+   */
+  getRecipients: async (alertId) => {
+    const rows = await db.selectDistinct({ user: schema.users })
+      .from(schema.alertDeliveries)
+      .innerJoin(schema.users, eq(schema.alertDeliveries.userId, schema.users.id))
+      .where(and(
+        eq(schema.alertDeliveries.alertId, alertId),
+        isNull(schema.alertDeliveries.escalationStep),
+        isNull(schema.alertDeliveries.updateId)
+      ));
+    
+    return rows.map(row => row.user).sort((a, b) => a.id - b.id);
+  },
+  
   getAcknowledgmentStats: async (alertId) => {
     const [result] = await db
       .select({
@@ -235,23 +776,886 @@ const alertDB = {
 };
 
 /**
- * Subscription-related database operations
+ * Build the WHERE clause for listing an alert's deliveries
+ * @param {number} alertId - Alert ID
+ * @param {Object} filters - Optional status, channel, userId and search filters
+ * @returns {Object} Drizzle SQL condition
  */
-const subscriptionDB = {
-  create: async (subscriptionData) => {
-    const [subscription] = await db.insert(schema.subscriptions)
-      .values(subscriptionData)
+const deliveryFilterConditions = (alertId, filters = {}) => {
+  const conditions = [eq(schema.alertDeliveries.alertId, alertId)];
+  
+  if (filters.status) {
+    conditions.push(eq(schema.alertDeliveries.status, filters.status));
+  }
+  
+  if (filters.channel) {
+    conditions.push(eq(schema.alertDeliveries.channel, filters.channel));
+  }
+  
+  if (filters.userId) {
+    conditions.push(eq(schema.alertDeliveries.userId, filters.userId));
+  }
+  
+  if (filters.search) {
+    conditions.push(
+      or(
+        ilike(schema.users.username, `%${filters.search}%`),
+        ilike(schema.users.email, `%${filters.search}%`),
+        ilike(schema.users.phoneNumber, `%${filters.search}%`),
+        ilike(schema.webhookEndpoints.name, `%${filters.search}%`)
+      )
+    );
+  }
+  
+  return and(...conditions);
+};
+
+/**
+ * Per-recipient alert delivery database operations
+ */
+const alertDeliveryDB = {
+  createMany: async (deliveries, tx = db) => {
+    if (deliveries.length === 0) {
+      return [];
+    }
+    
+    const created = await tx.insert(schema.alertDeliveries)
+      .values(deliveries)
       .returning();
     
-    return subscription;
+    return created;
   },
   
   findById: async (id) => {
-    const [subscription] = await db.select()
-      .from(schema.subscriptions)
-      .where(eq(schema.subscriptions.id, id));
+    const [delivery] = await db.select()
+      .from(schema.alertDeliveries)
+      .where(eq(schema.alertDeliveries.id, id));
     
-    return subscription || null;
+    return delivery || null;
+  },
+  
+  update: async (id, updates) => {
+    const [updatedDelivery] = await db.update(schema.alertDeliveries)
+      .set({
+        ...updates,
+        updatedAt: new Date()
+      })
+      .where(eq(schema.alertDeliveries.id, id))
+      .returning();
+    
+    return updatedDelivery || null;
+  },
+  
+  cancelPendingForAlert: async (alertId) => {
+    const cancelled = await db.update(schema.alertDeliveries)
+      .set({
+        status: 'cancelled',
+        updatedAt: new Date()
+      })
+      .where(
+        and(
+          eq(schema.alertDeliveries.alertId, alertId),
+          inArray(schema.alertDeliveries.status, ['pending', 'retrying'])
+        )
+      )
+      .returning({ id: schema.alertDeliveries.id });
+    
+    return cancelled.length;
+  },
+  
+  getAllByAlert: async (alertId, filters = {}, { limit = 100, offset = 0 } = {}) => {
+    const deliveries = await db.select({
+      id: schema.alertDeliveries.id,
+      alertId: schema.alertDeliveries.alertId,
+      userId: schema.alertDeliveries.userId,
+      webhookEndpointId: schema.alertDeliveries.webhookEndpointId,
+      channel: schema.alertDeliveries.channel,
+      status: schema.alertDeliveries.status,
+      provider: schema.alertDeliveries.provider,
+      providerMessageId: schema.alertDeliveries.providerMessageId,
+      address: schema.alertDeliveries.address,
+      segments: schema.alertDeliveries.segments,
+      error: schema.alertDeliveries.error,
+      attempts: schema.alertDeliveries.attempts,
+      createdAt: schema.alertDeliveries.createdAt,
+      updatedAt: schema.alertDeliveries.updatedAt,
+      lastAttemptAt: schema.alertDeliveries.lastAttemptAt,
+      sentAt: schema.alertDeliveries.sentAt,
+      deliveredAt: schema.alertDeliveries.deliveredAt,
+      openedAt: schema.alertDeliveries.openedAt,
+      failedAt: schema.alertDeliveries.failedAt,
+      username: schema.users.username,
+      email: schema.users.email,
+      phoneNumber: schema.users.phoneNumber,
+      endpointName: schema.webhookEndpoints.name
+    })
+    .from(schema.alertDeliveries)
+    .leftJoin(schema.users, eq(schema.alertDeliveries.userId, schema.users.id))
+    .leftJoin(schema.webhookEndpoints, eq(schema.alertDeliveries.webhookEndpointId, schema.webhookEndpoints.id))
+    .where(deliveryFilterConditions(alertId, filters))
+    .orderBy(asc(schema.alertDeliveries.id))
+    .limit(limit)
+    .offset(offset);
+    
+    return deliveries;
+  },
+  
+  /**
+   * Expo push deliveries that were accepted before the given time and still need their receipt checked
+   */
+  getAwaitingPushReceipts: async (sentBefore, limit = 1000) => {
+    const deliveries = await db.select()
+      .from(schema.alertDeliveries)
+      .where(
+        and(
+          eq(schema.alertDeliveries.provider, 'expo'),
+          eq(schema.alertDeliveries.status, 'sent'),
+          isNotNull(schema.alertDeliveries.providerMessageId),
+          isNull(schema.alertDeliveries.receiptCheckedAt),
+          lte(schema.alertDeliveries.sentAt, sentBefore)
+        )
+      )
+      .orderBy(asc(schema.alertDeliveries.sentAt))
+      .limit(limit);
+    
+    return deliveries;
+  },
+  
+  countByAlert: async (alertId, filters = {}) => {
+    const [result] = await db
+      .select({
+        total: sql`COUNT(*)`.mapWith(Number)
+      })
+      .from(schema.alertDeliveries)
+      .leftJoin(schema.users, eq(schema.alertDeliveries.userId, schema.users.id))
+      .leftJoin(schema.webhookEndpoints, eq(schema.alertDeliveries.webhookEndpointId, schema.webhookEndpoints.id))
+      .where(deliveryFilterConditions(alertId, filters));
+    
+    return result.total || 0;
+  },
+  
+  getStatusCounts: async (alertId) => {
+    const rows = await db
+      .select({
+        status: schema.alertDeliveries.status,
+        count: sql`COUNT(*)`.mapWith(Number)
+      })
+      .from(schema.alertDeliveries)
+      .where(eq(schema.alertDeliveries.alertId, alertId))
+      .groupBy(schema.alertDeliveries.status);
+    
+    return rows.reduce((counts, row) => {
+      counts[row.status] = row.count;
+      return counts;
+    }, {});
+  },
+  
+  findByProviderMessageId: async (channel, providerMessageId) => {
+    const [delivery] = await db.select()
+      .from(schema.alertDeliveries)
+      .where(
+        and(
+          eq(schema.alertDeliveries.channel, channel),
+          eq(schema.alertDeliveries.providerMessageId, providerMessageId)
+        )
+      );
+    
+    return delivery || null;
+  },
+  
+  /**
+   * Find the most recent sent alert a user was reached about on a channel and has not acknowledged yet
+   */
+  findLatestUnacknowledgedAlert: async (userId, channel) => {
+    const [row] = await db.select({ alert: schema.alerts })
+      .from(schema.alertDeliveries)
+      .innerJoin(schema.alerts, eq(schema.alertDeliveries.alertId, schema.alerts.id))
+      .leftJoin(schema.alertAcknowledgments, and(
+        eq(schema.alertAcknowledgments.alertId, schema.alertDeliveries.alertId),
+        eq(schema.alertAcknowledgments.userId, userId)
+      ))
+      .where(and(
+        eq(schema.alertDeliveries.userId, userId),
+        eq(schema.alertDeliveries.channel, channel),
+        isNotNull(schema.alertDeliveries.sentAt),
+        eq(schema.alerts.status, 'sent'),
+        isNull(schema.alertAcknowledgments.id)
+      ))
+      .orderBy(desc(schema.alertDeliveries.sentAt))
+      .limit(1);
+    
+    return row ? row.alert : null;
+  },
+  
+  getSegmentTotal: async (alertId) => {
+    const [row] = await db
+      .select({
+        total: sql`COALESCE(SUM(${schema.alertDeliveries.segments}), 0)`.mapWith(Number)
+      })
+      .from(schema.alertDeliveries)
+      .where(eq(schema.alertDeliveries.alertId, alertId));
+    
+    return row.total;
+  },
+  
+  /**
+   * Claim deliveries whose next fallback channel is due by clearing their
+   * fallbackAt, so each one falls back once however many workers poll
+   */
+  claimDueFallbacks: async (limit) => {
+    const dueDeliveries = db.select({ id: schema.alertDeliveries.id })
+      .from(schema.alertDeliveries)
+      .where(
+        and(
+          isNotNull(schema.alertDeliveries.fallbackChannels),
+          lte(schema.alertDeliveries.fallbackAt, new Date())
+        )
+      )
+      .orderBy(asc(schema.alertDeliveries.fallbackAt))
+      .limit(limit)
+      .for('update', { skipLocked: true });
+    
+    const deliveries = await db.update(schema.alertDeliveries)
+      .set({
+        fallbackAt: null,
+        updatedAt: new Date()
+      })
+      .where(inArray(schema.alertDeliveries.id, dueDeliveries))
+      .returning();
+    
+    return deliveries;
+  }
+};
+
+/**
+ * Delivery job (notification queue) database operations
+ */
+const deliveryJobDB = {
+  createMany: async (jobs, tx = db) => {
+    if (jobs.length === 0) {
+      return [];
+    }
+    
+    const created = await tx.insert(schema.deliveryJobs)
+      .values(jobs)
+      .returning();
+    
+    return created;
+  },
+  
+  findById: async (id) => {
+    const [job] = await db.select()
+      .from(schema.deliveryJobs)
+      .where(eq(schema.deliveryJobs.id, id));
+    
+    return job || null;
+  },
+  
+  findByDeliveryId: async (deliveryId) => {
+    const [job] = await db.select()
+      .from(schema.deliveryJobs)
+      .where(eq(schema.deliveryJobs.deliveryId, deliveryId))
+      .orderBy(desc(schema.deliveryJobs.id))
+      .limit(1);
+    
+    return job || null;
+  },
+  
+  /**
+   * Lock and return a batch of due jobs. SKIP LOCKED lets several
+   * workers poll the same table without handing out a job twice.
+   */
+  claimDue: async (limit, workerId) => {
+    const dueJobs = db.select({ id: schema.deliveryJobs.id })
+      .from(schema.deliveryJobs)
+      .where(
+        and(
+          eq(schema.deliveryJobs.status, 'pending'),
+          lte(schema.deliveryJobs.runAt, new Date())
+        )
+      )
+      .orderBy(asc(schema.deliveryJobs.runAt))
+      .limit(limit)
+      .for('update', { skipLocked: true });
+    
+    const jobs = await db.update(schema.deliveryJobs)
+      .set({
+        status: 'processing',
+        attempts: sql`${schema.deliveryJobs.attempts} + 1`,
+        lockedAt: new Date(),
+        lockedBy: workerId,
+        updatedAt: new Date()
+      })
+      .where(inArray(schema.deliveryJobs.id, dueJobs))
+      .returning();
+    
+    return jobs;
+  },
+  
+  markSent: async (id, result) => {
+    const [job] = await db.update(schema.deliveryJobs)
+      .set({
+        status: 'sent',
+        result,
+        lastError: null,
+        lockedAt: null,
+        lockedBy: null,
+        updatedAt: new Date(),
+        completedAt: new Date()
+      })
+      .where(eq(schema.deliveryJobs.id, id))
+      .returning();
+    
+    return job || null;
+  },
+  
+  scheduleRetry: async (id, error, runAt, result = null) => {
+    const [job] = await db.update(schema.deliveryJobs)
+      .set({
+        status: 'pending',
+        runAt,
+        result,
+        lastError: error,
+        lockedAt: null,
+        lockedBy: null,
+        updatedAt: new Date()
+      })
+      .where(eq(schema.deliveryJobs.id, id))
+      .returning();
+    
+    return job || null;
+  },
+  
+  markDead: async (id, error, result = null) => {
+    const [job] = await db.update(schema.deliveryJobs)
+      .set({
+        status: 'dead',
+        result,
+        lastError: error,
+        lockedAt: null,
+        lockedBy: null,
+        updatedAt: new Date(),
+        completedAt: new Date()
+      })
+      .where(eq(schema.deliveryJobs.id, id))
+      .returning();
+    
+    return job || null;
+  },
+  
+  markCancelled: async (id) => {
+    const [job] = await db.update(schema.deliveryJobs)
+      .set({
+        status: 'cancelled',
+        lockedAt: null,
+        lockedBy: null,
+        updatedAt: new Date(),
+        completedAt: new Date()
+      })
+      .where(eq(schema.deliveryJobs.id, id))
+      .returning();
+    
+    return job || null;
+  },
+  
+  cancelPendingForAlert: async (alertId) => {
+    const cancelled = await db.update(schema.deliveryJobs)
+      .set({
+        status: 'cancelled',
+        updatedAt: new Date(),
+        completedAt: new Date()
+      })
+      .where(
+        and(
+          eq(schema.deliveryJobs.alertId, alertId),
+          eq(schema.deliveryJobs.status, 'pending')
+        )
+      )
+      .returning({ id: schema.deliveryJobs.id });
+    
+    return cancelled.length;
+  },
+  
+  /**
+   * Dead-letter jobs left in 'processing' by a worker that died mid-batch once
+   * they have used all their attempts, so a job that crashes every worker that
+   * picks it up is not handed out forever
+   */
+  markStaleDead: async (lockedBefore, error) => {
+    const dead = await db.update(schema.deliveryJobs)
+      .set({
+        status: 'dead',
+        lastError: error,
+        lockedAt: null,
+        lockedBy: null,
+        updatedAt: new Date(),
+        completedAt: new Date()
+      })
+      .where(
+        and(
+          eq(schema.deliveryJobs.status, 'processing'),
+          lte(schema.deliveryJobs.lockedAt, lockedBefore),
+          gte(schema.deliveryJobs.attempts, schema.deliveryJobs.maxAttempts)
+        )
+      )
+      .returning();
+    
+    return dead;
+  },
+  
+  /**
+   * Return jobs left in 'processing' by a worker that died mid-batch, if they
+   * have attempts left
+   */
+  releaseStale: async (lockedBefore) => {
+    const released = await db.update(schema.deliveryJobs)
+      .set({
+        status: 'pending',
+        lockedAt: null,
+        lockedBy: null,
+        updatedAt: new Date()
+      })
+      .where(
+        and(
+          eq(schema.deliveryJobs.status, 'processing'),
+          lte(schema.deliveryJobs.lockedAt, lockedBefore),
+          lt(schema.deliveryJobs.attempts, schema.deliveryJobs.maxAttempts)
+        )
+      )
+      .returning({ id: schema.deliveryJobs.id });
+    
+    return released.length;
+  }
+};
+
+/**
+ * Alert escalation step database operations
+ */
+const alertEscalationDB = {
+  createMany: async (steps) => {
+    if (steps.length === 0) {
+      return [];
+    }
+    
+    const created = await db.insert(schema.alertEscalations)
+      .values(steps)
+      .returning();
+    
+    return created;
+  },
+  
+  getAllByAlert: async (alertId) => {
+    const steps = await db.select()
+      .from(schema.alertEscalations)
+      .where(eq(schema.alertEscalations.alertId, alertId))
+      .orderBy(asc(schema.alertEscalations.step));
+    
+    return steps;
+  },
+  
+  /**
+   * Lock and return due steps, including steps left 'running' by a worker
+   * that died before finishing them
+   */
+  claimDue: async (limit, staleBefore) => {
+    const dueSteps = db.select({ id: schema.alertEscalations.id })
+      .from(schema.alertEscalations)
+      .where(
+        or(
+          and(
+            eq(schema.alertEscalations.status, 'pending'),
+            lte(schema.alertEscalations.dueAt, new Date())
+          ),
+          and(
+            eq(schema.alertEscalations.status, 'running'),
+            lte(schema.alertEscalations.startedAt, staleBefore)
+          )
+        )
+      )
+      .orderBy(asc(schema.alertEscalations.dueAt))
+      .limit(limit)
+      .for('update', { skipLocked: true });
+    
+    const steps = await db.update(schema.alertEscalations)
+      .set({
+        status: 'running',
+        startedAt: new Date(),
+        updatedAt: new Date()
+      })
+      .where(inArray(schema.alertEscalations.id, dueSteps))
+      .returning();
+    
+    return steps;
+  },
+  
+  markCompleted: async (id, notifiedCount) => {
+    const [step] = await db.update(schema.alertEscalations)
+      .set({
+        status: 'completed',
+        notifiedCount,
+        updatedAt: new Date(),
+        completedAt: new Date()
+      })
+      .where(eq(schema.alertEscalations.id, id))
+      .returning();
+    
+    return step || null;
+  },
+  
+  /**
+   * Put a step back to pending so the next poll retries it
+   */
+  release: async (id) => {
+    const [step] = await db.update(schema.alertEscalations)
+      .set({
+        status: 'pending',
+        startedAt: null,
+        updatedAt: new Date()
+      })
+      .where(eq(schema.alertEscalations.id, id))
+      .returning();
+    
+    return step || null;
+  },
+  
+  /**
+   * Stop every step of an alert that has not run yet
+   */
+  stopPendingForAlert: async (alertId, reason) => {
+    const stopped = await db.update(schema.alertEscalations)
+      .set({
+        status: 'stopped',
+        reason,
+        updatedAt: new Date(),
+        completedAt: new Date()
+      })
+      .where(
+        and(
+          eq(schema.alertEscalations.alertId, alertId),
+          inArray(schema.alertEscalations.status, ['pending', 'running'])
+        )
+      )
+      .returning({ id: schema.alertEscalations.id });
+    
+    return stopped.length;
+  }
+};
+
+/**
+ * Alert update (follow-up message) database operations
+ */
+const alertUpdateDB = {
+  /**
+   * Add an update to an alert as its next version, changing the alert's
+   * severity if the update does; an all-clear also resolves the alert.
+   * The alert row is locked so two updates posted together get different
+   * versions. Returns null if the alert is no longer in one of the given statuses.
+   */
+  create: async (alertId, { message, severity, kind = 'update', createdBy }, statuses = ['sent']) => {
+    return db.transaction(async (tx) => {
+      const [alert] = await tx.select()
+        .from(schema.alerts)
+        .where(eq(schema.alerts.id, alertId))
+        .for('update');
+      
+      if (!alert || !statuses.includes(alert.status)) {
+        return null;
+      }
+      
+      const [latest] = await tx.select({
+        version: sql`COALESCE(MAX(${schema.alertUpdates.version}), 1)`.mapWith(Number)
+      })
+      .from(schema.alertUpdates)
+      .where(eq(schema.alertUpdates.alertId, alertId));
+      
+      const [update] = await tx.insert(schema.alertUpdates)
+        .values({
+          alertId,
+          version: latest.version + 1,
+          kind,
+          message,
+          severity: severity || alert.severity,
+          previousSeverity: alert.severity,
+          createdBy
+        })
+        .returning();
+      
+      const alertChanges = {};
+      
+      if (update.severity !== alert.severity) {
+        alertChanges.severity = update.severity;
+      }
+      
+      if (kind === 'all_clear') {
+        alertChanges.status = 'resolved';
+        alertChanges.resolvedAt = new Date();
+        alertChanges.resolvedBy = createdBy;
+      }
+      
+      const updatedAlert = Object.keys(alertChanges).length > 0
+        ? await alertDB.update(alertId, alertChanges, tx)
+        : alert;
+      
+      return { update, alert: updatedAlert };
+    });
+  },
+  
+  update: async (id, updates) => {
+    const [update] = await db.update(schema.alertUpdates)
+      .set(updates)
+      .where(eq(schema.alertUpdates.id, id))
+      .returning();
+    
+    return update || null;
+  },
+  
+  getAllByAlert: async (alertId) => {
+    const updates = await db.select({
+      id: schema.alertUpdates.id,
+      alertId: schema.alertUpdates.alertId,
+      version: schema.alertUpdates.version,
+      kind: schema.alertUpdates.kind,
+      message: schema.alertUpdates.message,
+      severity: schema.alertUpdates.severity,
+      previousSeverity: schema.alertUpdates.previousSeverity,
+      notifiedCount: schema.alertUpdates.notifiedCount,
+      createdBy: schema.alertUpdates.createdBy,
+      createdAt: schema.alertUpdates.createdAt,
+      creatorName: schema.users.username
+    })
+    .from(schema.alertUpdates)
+    .leftJoin(schema.users, eq(schema.alertUpdates.createdBy, schema.users.id))
+    .where(eq(schema.alertUpdates.alertId, alertId))
+    .orderBy(asc(schema.alertUpdates.version));
+    
+    return updates;
+  }
+};
+
+/**
+ * Alert recurrence database operations
+ */
+const alertRecurrenceDB = {
+  create: async (recurrenceData) => {
+    const [recurrence] = await db.insert(schema.alertRecurrences)
+      .values(recurrenceData)
+      .returning();
+    
+    return recurrence;
+  },
+  
+  findById: async (id) => {
+    const [recurrence] = await db.select()
+      .from(schema.alertRecurrences)
+      .where(eq(schema.alertRecurrences.id, id));
+    
+    return recurrence || null;
+  },
+  
+  getAll: async () => {
+    const recurrences = await db.select({
+      recurrence: schema.alertRecurrences,
+      templateName: schema.notificationTemplates.name
+    })
+    .from(schema.alertRecurrences)
+    .leftJoin(
+      schema.notificationTemplates,
+      eq(schema.alertRecurrences.templateId, schema.notificationTemplates.id)
+    )
+    .orderBy(asc(schema.alertRecurrences.nextRunAt), asc(schema.alertRecurrences.id));
+    
+    return recurrences.map(row => ({ ...row.recurrence, templateName: row.templateName }));
+  },
+  
+  update: async (id, updates, tx = db) => {
+    const [updatedRecurrence] = await tx.update(schema.alertRecurrences)
+      .set({
+        ...updates,
+        updatedAt: new Date()
+      })
+      .where(eq(schema.alertRecurrences.id, id))
+      .returning();
+    
+    return updatedRecurrence || null;
+  },
+  
+  /**
+   * Lock the active recurrence whose next occurrence is due soonest.
+   * Call inside a transaction, as with alertDB.claimNextScheduled.
+   */
+  claimNextDue: async (tx) => {
+    const [recurrence] = await tx.select()
+      .from(schema.alertRecurrences)
+      .where(
+        and(
+          eq(schema.alertRecurrences.status, 'active'),
+          lte(schema.alertRecurrences.nextRunAt, new Date())
+        )
+      )
+      .orderBy(asc(schema.alertRecurrences.nextRunAt))
+      .limit(1)
+      .for('update', { skipLocked: true });
+    
+    return recurrence || null;
+  },
+  
+  delete: async (id) => {
+    // Keep the alerts the recurrence sent, without the link back to it
+    await db.update(schema.alerts)
+      .set({ recurrenceId: null })
+      .where(eq(schema.alerts.recurrenceId, id));
+    
+    const deleted = await db.delete(schema.alertRecurrences)
+      .where(eq(schema.alertRecurrences.id, id))
+      .returning({ id: schema.alertRecurrences.id });
+    
+    return deleted.length > 0;
+  }
+};
+
+/**
+ * Webhook endpoint database operations
+ */
+const webhookEndpointDB = {
+  create: async (endpointData) => {
+    const [endpoint] = await db.insert(schema.webhookEndpoints)
+      .values(endpointData)
+      .returning();
+    
+    return endpoint;
+  },
+  
+  findById: async (id) => {
+    const [endpoint] = await db.select()
+      .from(schema.webhookEndpoints)
+      .where(eq(schema.webhookEndpoints.id, id));
+    
+    return endpoint || null;
+  },
+  
+  getAll: async () => {
+    const endpoints = await db.select()
+      .from(schema.webhookEndpoints)
+      .orderBy(asc(schema.webhookEndpoints.name));
+    
+    return endpoints;
+  },
+  
+  getAllActive: async () => {
+    const endpoints = await db.select()
+      .from(schema.webhookEndpoints)
+      .where(eq(schema.webhookEndpoints.active, true))
+      .orderBy(asc(schema.webhookEndpoints.id));
+    
+    return endpoints;
+  },
+  
+  update: async (id, updates) => {
+    const [updatedEndpoint] = await db.update(schema.webhookEndpoints)
+      .set({
+        ...updates,
+        updatedAt: new Date()
+      })
+      .where(eq(schema.webhookEndpoints.id, id))
+      .returning();
+    
+    return updatedEndpoint || null;
+  },
+  
+  delete: async (id) => {
+    return db.transaction(async (tx) => {
+      // Stop anything still queued for the endpoint
+      await tx.update(schema.deliveryJobs)
+        .set({ status: 'cancelled', updatedAt: new Date(), completedAt: new Date() })
+        .where(
+          and(
+            eq(schema.deliveryJobs.webhookEndpointId, id),
+            eq(schema.deliveryJobs.status, 'pending')
+          )
+        );
+      
+      await tx.update(schema.alertDeliveries)
+        .set({ status: 'cancelled', updatedAt: new Date() })
+        .where(
+          and(
+            eq(schema.alertDeliveries.webhookEndpointId, id),
+            inArray(schema.alertDeliveries.status, ['pending', 'retrying'])
+          )
+        );
+      
+      // Alert delivery records keep the URL in address after the endpoint is gone
+      await tx.update(schema.deliveryJobs)
+        .set({ webhookEndpointId: null })
+        .where(eq(schema.deliveryJobs.webhookEndpointId, id));
+      
+      await tx.update(schema.alertDeliveries)
+        .set({ webhookEndpointId: null })
+        .where(eq(schema.alertDeliveries.webhookEndpointId, id));
+      
+      await tx.delete(schema.webhookDeliveries)
+        .where(eq(schema.webhookDeliveries.endpointId, id));
+      
+      const result = await tx.delete(schema.webhookEndpoints)
+        .where(eq(schema.webhookEndpoints.id, id));
+      
+      return result.count > 0;
+    });
+  }
+};
+
+/**
+ * Webhook delivery history database operations
+ */
+const webhookDeliveryDB = {
+  create: async (deliveryData) => {
+    const [delivery] = await db.insert(schema.webhookDeliveries)
+      .values(deliveryData)
+      .returning();
+    
+    return delivery;
+  },
+  
+  getAllByEndpoint: async (endpointId, { limit = 50, offset = 0 } = {}) => {
+    const deliveries = await db.select()
+      .from(schema.webhookDeliveries)
+      .where(eq(schema.webhookDeliveries.endpointId, endpointId))
+      .orderBy(desc(schema.webhookDeliveries.createdAt))
+      .limit(limit)
+      .offset(offset);
+    
+    return deliveries;
+  },
+  
+  countByEndpoint: async (endpointId) => {
+    const [result] = await db
+      .select({
+        total: sql`COUNT(*)`.mapWith(Number)
+      })
+      .from(schema.webhookDeliveries)
+      .where(eq(schema.webhookDeliveries.endpointId, endpointId));
+    
+    return result.total || 0;
+  }
+};
+
+/**
+ * Subscription-related database operations
+ */
+const subscriptionDB = {
+  create: async (subscriptionData) => {
+    const [subscription] = await db.insert(schema.subscriptions)
+      .values(subscriptionData)
+      .returning();
+    
+    return subscription;
+  },
+  
+  findById: async (id) => {
+    const [subscription] = await db.select()
+      .from(schema.subscriptions)
+      .where(eq(schema.subscriptions.id, id));
+    
+    return subscription || null;
   },
   
   findByUserId: async (userId) => {
@@ -289,13 +1693,24 @@ const subscriptionDB = {
     return subscriptions;
   },
   
+  getByUserIds: async (userIds) => {
+    if (userIds.length === 0) {
+      return [];
+    }
+    
+    const subscriptions = await db.select()
+      .from(schema.subscriptions)
+      .where(inArray(schema.subscriptions.userId, userIds));
+    
+    return subscriptions;
+  },
+  
   getAllByCategory: async (category) => {
-    // This is more complex since categories are stored in a JSON array
-    // We need to use a SQL fragment for this
+    // Categories are stored in a JSON array, so check it contains the category
     const subscriptions = await db.select()
       .from(schema.subscriptions)
       .where(
-        sql`${schema.subscriptions.active} = true AND ${category} = ANY(${schema.subscriptions.categories})`
+        sql`${schema.subscriptions.active} = true AND ${schema.subscriptions.categories} @> ${JSON.stringify([category])}::jsonb`
       );
     
     return subscriptions;
@@ -433,7 +1848,18 @@ const incidentDB = {
 
 module.exports = {
   userDB,
+  userLocationDB,
+  groupDB,
+  groupMemberDB,
+  audienceDB,
   alertDB,
+  alertDeliveryDB,
+  deliveryJobDB,
+  alertEscalationDB,
+  alertUpdateDB,
+  alertRecurrenceDB,
+  webhookEndpointDB,
+  webhookDeliveryDB,
   subscriptionDB,
   incidentDB
 };
\ No newline at end of file
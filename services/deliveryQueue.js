@@ -0,0 +1,650 @@
+/**
+ * Delivery queue service for the emergency alert system
+ * Persists outbound notifications as jobs in PostgreSQL so they are sent
+ * (and retried) by the delivery worker instead of inside the HTTP request
+ */
+const { db } = require('../db');
+const { alertDB, userDB, alertDeliveryDB, deliveryJobDB } = require('./databaseService');
+const notificationService = require('./notificationService');
+const { getChannel, isUserChannel } = require('./channels');
+const { getQuietHoursEnd } = require('../utils/quietHours');
+
+// Retry configuration
+const MAX_ATTEMPTS = parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.DELIVERY_RETRY_BASE_MS) || 30 * 1000; // 30 seconds
+const RETRY_MAX_DELAY_MS = parseInt(process.env.DELIVERY_RETRY_MAX_MS) || 30 * 60 * 1000; // 30 minutes
+const CONCURRENCY = parseInt(process.env.DELIVERY_CONCURRENCY) || 10;
+
+// Recorded on jobs dead-lettered because a worker stopped while sending them on their last attempt
+const STALE_JOB_ERROR = 'Worker stopped while sending; no attempts left';
+
+// Title prefixes of the notifications sent for each kind of alert update
+const UPDATE_TITLE_PREFIXES = {
+  update: 'UPDATE',
+  all_clear: 'ALL CLEAR'
+};
+
+// Alerts of these severities reach users during their quiet hours
+const QUIET_HOURS_BYPASS_SEVERITIES = ['high', 'critical'];
+
+// How long to wait for an acknowledgment before trying a user's next channel
+const FALLBACK_WAIT_MS = (parseFloat(process.env.CHANNEL_FALLBACK_WAIT_MINUTES) || 5) * 60 * 1000;
+
+/**
+ * Create the delivery records and jobs for an alert: on every channel for urgent alerts, or on
+ * each recipient's preferred channel with the others kept as fallbacks. Statistics are not
+ * refreshed, so the caller can create the alert and its jobs in one transaction and call
+ * refreshDeliveryStats once it has committed.
+ * @param {Object} alert - Alert object
+ * @param {Array} recipients - Array of recipient users
+ * @param {Object} options - Delivery options stored with each job (priority, ttl, sound)
+ * @param {Object} tx - Transaction to create the records in (defaults to a new one)
+ * @returns {Promise<number>} Number of notifications queued
+ */
+const createAlertDeliveryJobs = async (alert, recipients, options = {}, tx = db) => {
+  const targets = await getAlertTargets(alert, recipients, options);
+
+  await createDeliveryJobs(alert, targets, options, tx);
+
+  console.log(`[QUEUE] Enqueued ${targets.length} notifications for alert ${alert.id} (${recipients.length} recipients)`);
+
+  return targets.length;
+};
+
+/**
+ * Get the title notifications for an alert update are sent with
+ * @param {Object} alert - Alert object
+ * @param {Object} update - Alert update
+ * @returns {string} The alert's title, prefixed by the kind of update
+ */
+const getUpdateTitle = (alert, update) => {
+  return `${UPDATE_TITLE_PREFIXES[update.kind] || UPDATE_TITLE_PREFIXES.update}: ${alert.title}`;
+};
+
+/**
+ * Queue the notifications for a follow-up update or all-clear to an alert, on the alert's
+ * channels and to the recipients it was originally sent to
+ * @param {Object} alert - Alert object
+ * @param {Object} update - Alert update, whose message and severity replace the alert's when sending
+ * @param {Array} recipients - Users the alert was originally sent to
+ * @param {Object} options - Delivery options stored with each job (priority, ttl, sound)
+ * @returns {Promise<number>} Number of notifications queued
+ */
+const enqueueUpdateNotifications = async (alert, update, recipients, options = {}) => {
+  const updatedAlert = { ...alert, severity: update.severity };
+  const targets = (await getAlertTargets(updatedAlert, recipients, options))
+    .map(target => ({ ...target, updateId: update.id }));
+
+  await createDeliveryJobs(alert, targets, {
+    ...options,
+    alertOverrides: {
+      title: getUpdateTitle(alert, update),
+      message: update.message,
+      severity: update.severity,
+      // Lets channels tell updates from the original alert, and leave out the
+      // acknowledgment link once an all-clear resolves it
+      updateId: update.id,
+      updateVersion: update.version,
+      updateKind: update.kind
+    }
+  });
+
+  console.log(`[QUEUE] Enqueued ${targets.length} notifications for update ${update.version} of alert ${alert.id} (${recipients.length} recipients)`);
+
+  await refreshDeliveryStats(alert.id);
+
+  return targets.length;
+};
+
+/**
+ * Work out when a notification to a user can be sent: straight away, or once
+ * the user's quiet hours end if the alert is not urgent enough to interrupt them
+ * @param {Object} recipient - Recipient user
+ * @param {string} severity - Severity the notification is sent with
+ * @param {Object} options - Delivery options; ignoreQuietHours sends regardless (panic alerts)
+ * @returns {Date|null} When to send the notification, or null to send it now
+ */
+const getDeferredUntil = (recipient, severity, options = {}) => {
+  if (options.ignoreQuietHours || QUIET_HOURS_BYPASS_SEVERITIES.includes(severity)) {
+    return null;
+  }
+
+  return getQuietHoursEnd(recipient.quietHours);
+};
+
+/**
+ * Work out the delivery records to create for an alert: one per recipient and
+ * channel for urgent alerts, or one per recipient on their preferred channel with
+ * the rest kept as fallbacks, plus one per recipient of channels with their own audience
+ * @param {Object} alert - Alert object
+ * @param {Array} recipients - Array of recipient users
+ * @param {Object} options - Delivery options, checked for ignoreQuietHours
+ * @returns {Promise<Array>} Delivery records to create, with runAt set on those deferred by quiet hours
+ */
+const getAlertTargets = async (alert, recipients, options = {}) => {
+  // Channels reserved for other severities are left out, as an update may lower the severity
+  const alertChannels = alert.channels.filter(channel => {
+    const provider = getChannel(channel);
+    return !provider || !provider.severities || provider.severities.includes(alert.severity);
+  });
+  const targets = [];
+
+  // Urgent alerts go out on all of a user's channels at once; others wait to fall back
+  const parallel = notificationService.PARALLEL_SEVERITIES.includes(alert.severity);
+
+  for (const recipient of recipients) {
+    const runAt = getDeferredUntil(recipient, alert.severity, options);
+    const channels = notificationService.getRecipientChannels(recipient, alertChannels);
+
+    // Nothing is sent on channels a user turned off, even if that leaves them unreached
+    if (channels.length === 0) {
+      console.warn(`[QUEUE] Skipping user ${recipient.id}: none of alert ${alert.id}'s channels (${alertChannels.join(', ')}) are enabled and reachable for them`);
+      continue;
+    }
+
+    const [firstChannel, ...fallbackChannels] = channels;
+    const recipientTargets = parallel
+      ? channels.map(channel => ({ channel }))
+      : [{ channel: firstChannel, fallbackChannels: fallbackChannels.length > 0 ? fallbackChannels : null }];
+
+    recipientTargets.forEach(target => {
+      targets.push({
+        alertId: alert.id,
+        userId: recipient.id,
+        ...target,
+        ...(runAt && { runAt })
+      });
+    });
+  }
+
+  // Channels such as webhooks deliver to their own recipients instead of users
+  for (const channel of alertChannels) {
+    const provider = getChannel(channel);
+
+    if (provider && provider.audience !== 'users') {
+      const channelRecipients = await provider.getRecipients(alert);
+
+      channelRecipients.forEach(recipient => {
+        targets.push({
+          alertId: alert.id,
+          [provider.recipientKey]: recipient.id,
+          channel,
+          address: provider.validateRecipient(recipient).address
+        });
+      });
+    }
+  }
+
+  return targets;
+};
+
+/**
+ * Queue the notifications for one step of an alert's escalation policy.
+ * Recipients are reached on the step's channels whatever their channel
+ * preferences, skipping channels they have no address for.
+ * @param {Object} alert - Alert object
+ * @param {Array} recipients - Array of recipient users
+ * @param {number} step - Escalation step number, recorded on each delivery
+ * @param {Array} channels - User channels to notify on
+ * @param {Object} options - Delivery options stored with each job; alertOverrides
+ *   replaces alert fields when sending and skipIfAcknowledged drops recipients who acknowledge first
+ * @returns {Promise<Object>} Delivery statistics for the alert
+ */
+const enqueueEscalationNotifications = async (alert, recipients, step, channels, options = {}) => {
+  const targets = [];
+  const severity = options.alertOverrides && options.alertOverrides.severity || alert.severity;
+
+  for (const recipient of recipients) {
+    const runAt = getDeferredUntil(recipient, severity, options);
+
+    for (const channel of channels) {
+      const provider = getChannel(channel);
+
+      if (isUserChannel(channel) && provider.validateRecipient(recipient).valid) {
+        targets.push({
+          alertId: alert.id,
+          userId: recipient.id,
+          channel,
+          escalationStep: step,
+          ...(runAt && { runAt })
+        });
+      }
+    }
+  }
+
+  await createDeliveryJobs(alert, targets, { priority: 'high', ...options });
+
+  console.log(`[QUEUE] Enqueued ${targets.length} escalation step ${step} notifications for alert ${alert.id} (${recipients.length} recipients)`);
+
+  return refreshDeliveryStats(alert.id);
+};
+
+/**
+ * Create delivery records and their jobs together so neither exists without the other
+ * @param {Object} alert - Alert object
+ * @param {Array} targets - Delivery records to create; a target's runAt delays its job
+ * @param {Object} options - Delivery options stored with each job
+ * @param {Object} outerTx - Transaction to nest in, if any
+ * @returns {Promise<void>}
+ */
+const createDeliveryJobs = async (alert, targets, options, outerTx = db) => {
+  // Quiet hours are per user, so a user's deferred deliveries all share one runAt
+  const runAtByUser = new Map(targets.filter(target => target.runAt).map(target => [target.userId, target.runAt]));
+
+  await outerTx.transaction(async (tx) => {
+    const deliveries = await alertDeliveryDB.createMany(targets.map(({ runAt, ...target }) => target), tx);
+
+    await deliveryJobDB.createMany(deliveries.map(delivery => ({
+      alertId: alert.id,
+      deliveryId: delivery.id,
+      userId: delivery.userId,
+      webhookEndpointId: delivery.webhookEndpointId,
+      channel: delivery.channel,
+      maxAttempts: MAX_ATTEMPTS,
+      runAt: runAtByUser.get(delivery.userId),
+      payload: options
+    })), tx);
+  });
+};
+
+/**
+ * Recalculate an alert's delivery statistics from its delivery records
+ * @param {number} alertId - Alert ID
+ * @returns {Promise<Object>} Updated delivery statistics
+ */
+const refreshDeliveryStats = async (alertId) => {
+  const counts = await alertDeliveryDB.getStatusCounts(alertId);
+  const smsSegments = await alertDeliveryDB.getSegmentTotal(alertId);
+
+  const stats = {
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    // Accepted by the provider and not reported as failed since
+    sent: (counts.sent || 0) + (counts.delivered || 0) + (counts.opened || 0),
+    delivered: (counts.delivered || 0) + (counts.opened || 0),
+    opened: counts.opened || 0,
+    failed: (counts.failed || 0) + (counts.undelivered || 0) + (counts.bounced || 0),
+    pending: (counts.pending || 0) + (counts.retrying || 0),
+    cancelled: counts.cancelled || 0,
+    // SMS parts sent for the alert, which is what the SMS provider bills for
+    smsSegments
+  };
+
+  await alertDB.update(alertId, { deliveryStats: stats });
+
+  return stats;
+};
+
+/**
+ * Copy the outcome of a job attempt onto its per-recipient delivery record
+ * @param {Object} job - Delivery job
+ * @param {Object} updates - Delivery fields to update
+ * @returns {Promise<Object|null>} Updated delivery record
+ */
+const recordDeliveryAttempt = async (job, updates) => {
+  if (!job.deliveryId) {
+    return null;
+  }
+
+  return alertDeliveryDB.update(job.deliveryId, {
+    attempts: job.attempts,
+    lastAttemptAt: new Date(),
+    ...updates
+  });
+};
+
+/**
+ * Set when to try a delivery's next fallback channel, if it has one
+ * @param {Object|null} delivery - Delivery record
+ * @param {Date} at - When to move on to the next channel
+ * @returns {Promise<void>}
+ */
+const scheduleFallback = async (delivery, at) => {
+  if (delivery && Array.isArray(delivery.fallbackChannels) && delivery.fallbackChannels.length > 0) {
+    await alertDeliveryDB.update(delivery.id, { fallbackAt: at });
+  }
+};
+
+/**
+ * Queue a user's next fallback channel for a delivery that failed or was not acknowledged.
+ * Channels the user has since turned off, or that can no longer reach them, are skipped.
+ * @param {Object} alert - Alert object
+ * @param {Object} delivery - Delivery whose fallback channels are due
+ * @param {Object} recipient - Recipient user
+ * @param {Object} options - Delivery options of the original job, so updates keep their text
+ * @returns {Promise<string|null>} Channel queued, or null if none of the remaining channels can reach the user
+ */
+const enqueueFallbackNotification = async (alert, delivery, recipient, options = {}) => {
+  const channels = delivery.fallbackChannels.filter(channel => {
+    const provider = getChannel(channel);
+    return isUserChannel(channel) && notificationService.isChannelEnabled(recipient, channel) && provider.validateRecipient(recipient).valid;
+  });
+
+  // The new delivery carries the fallbacks on from here
+  await alertDeliveryDB.update(delivery.id, { fallbackChannels: null, fallbackAt: null });
+
+  if (channels.length === 0) {
+    return null;
+  }
+
+  const [channel, ...fallbackChannels] = channels;
+
+  await createDeliveryJobs(alert, [{
+    alertId: alert.id,
+    userId: recipient.id,
+    channel,
+    escalationStep: delivery.escalationStep,
+    updateId: delivery.updateId,
+    fallbackChannels: fallbackChannels.length > 0 ? fallbackChannels : null
+  }], options);
+
+  await refreshDeliveryStats(alert.id);
+
+  console.log(`[QUEUE] Falling back from ${delivery.channel} to ${channel} for user ${recipient.id} on alert ${alert.id}`);
+
+  return channel;
+};
+
+/**
+ * Calculate the exponential backoff delay before the next attempt
+ * @param {number} attempts - Number of attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1));
+
+  // Add up to 20% jitter so retries from a large alert don't arrive in lockstep
+  return Math.round(delay + delay * 0.2 * Math.random());
+};
+
+/**
+ * Build the options passed to a channel for a job
+ * @param {Object} job - Claimed delivery job
+ * @returns {Object} Stored delivery options plus the delivery ID and attempt number
+ */
+const getJobOptions = (job) => {
+  return {
+    ...job.payload,
+    deliveryId: job.deliveryId,
+    attempt: job.attempts
+  };
+};
+
+/**
+ * Load the alert and recipient for a claimed job, closing out jobs that can no longer be sent
+ * @param {Object} job - Claimed delivery job
+ * @returns {Promise<Object|null>} { alert, recipient, options }, or null if the job was closed
+ */
+const loadJobContext = async (job) => {
+  const alert = await alertDB.findById(job.alertId);
+
+  if (!alert || alert.status === 'cancelled' || alert.status === 'expired') {
+    await recordDeliveryAttempt(job, { status: 'cancelled' });
+    await deliveryJobDB.markCancelled(job.id);
+    return null;
+  }
+
+  const provider = getChannel(job.channel);
+  const recipient = provider && provider.audience !== 'users'
+    ? await provider.findRecipient(job[provider.recipientKey])
+    : await userDB.findById(job.userId);
+
+  if (!recipient) {
+    await recordDeliveryAttempt(job, { status: 'failed', error: 'Recipient no longer exists', failedAt: new Date() });
+    await deliveryJobDB.markDead(job.id, 'Recipient no longer exists');
+    return null;
+  }
+
+  // Escalation re-notifications are pointless once the recipient has responded
+  if (job.payload.skipIfAcknowledged && await alertDB.hasUserAcknowledged(alert.id, job.userId)) {
+    await recordDeliveryAttempt(job, { status: 'cancelled' });
+    await deliveryJobDB.markCancelled(job.id);
+    return null;
+  }
+
+  const { alertOverrides, ...options } = getJobOptions(job);
+
+  return {
+    alert: alertOverrides ? { ...alert, ...alertOverrides } : alert,
+    recipient,
+    options
+  };
+};
+
+/**
+ * Record the result of a send attempt: mark it sent, schedule a retry or dead-letter it
+ * @param {Object} job - Claimed delivery job
+ * @param {Object} result - Notification result from the channel
+ * @returns {Promise<Object>} Updated job
+ */
+const recordJobResult = async (job, result) => {
+  const address = result.address || result.email || result.phoneNumber || result.pushToken;
+
+  // The push service told us the app was uninstalled or the token expired; stop sending to it
+  if (result.deviceNotRegistered && result.pushToken) {
+    await userDB.clearPushToken(job.userId, result.pushToken);
+    console.log(`[QUEUE] Cleared unregistered push token for user ${job.userId}`);
+  }
+
+  if (result.success) {
+    const delivery = await recordDeliveryAttempt(job, {
+      status: 'sent',
+      provider: result.provider,
+      providerMessageId: result.messageId || null,
+      address,
+      segments: result.segments || null,
+      error: null,
+      sentAt: new Date()
+    });
+    await scheduleFallback(delivery, new Date(Date.now() + FALLBACK_WAIT_MS));
+    return deliveryJobDB.markSent(job.id, result);
+  }
+
+  const errorMessage = result.error || result.reason || 'Unknown delivery error';
+
+  // Dead-letter permanent failures and jobs that have used all their attempts
+  if (result.permanent || job.attempts >= job.maxAttempts) {
+    console.warn(`[QUEUE] Job ${job.id} dead-lettered after ${job.attempts} attempt(s): ${errorMessage}`);
+    const delivery = await recordDeliveryAttempt(job, {
+      status: 'failed',
+      provider: result.provider,
+      address,
+      error: errorMessage,
+      failedAt: new Date()
+    });
+    await scheduleFallback(delivery, new Date());
+    return deliveryJobDB.markDead(job.id, errorMessage, result);
+  }
+
+  const delay = getRetryDelay(job.attempts);
+  console.warn(`[QUEUE] Job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${errorMessage}`);
+
+  await recordDeliveryAttempt(job, {
+    status: 'retrying',
+    provider: result.provider,
+    address,
+    error: errorMessage
+  });
+  return deliveryJobDB.scheduleRetry(job.id, errorMessage, new Date(Date.now() + delay), result);
+};
+
+/**
+ * Send a single claimed job and record the outcome
+ * @param {Object} job - Claimed delivery job
+ * @returns {Promise<Object|null>} Updated job
+ */
+const processDeliveryJob = async (job) => {
+  const context = await loadJobContext(job);
+
+  if (!context) {
+    return null;
+  }
+
+  let result;
+
+  try {
+    result = await notificationService.sendNotification(job.channel, context.alert, context.recipient, context.options);
+  } catch (error) {
+    console.error(`[QUEUE] Job ${job.id} threw while sending ${job.channel}:`, error);
+    result = { success: false, error: error.message };
+  }
+
+  return recordJobResult(job, result);
+};
+
+/**
+ * Send several claimed jobs for one channel through a single batched provider request
+ * @param {string} channel - Channel name
+ * @param {Array} jobs - Claimed delivery jobs for the channel
+ * @returns {Promise<void>}
+ */
+const processBatchJobs = async (channel, jobs) => {
+  const items = [];
+
+  for (const job of jobs) {
+    const context = await loadJobContext(job);
+
+    if (context) {
+      items.push({ job, ...context });
+    }
+  }
+
+  if (items.length === 0) {
+    return;
+  }
+
+  let results;
+
+  try {
+    results = await notificationService.sendNotificationBatch(channel, items);
+  } catch (error) {
+    console.error(`[QUEUE] ${channel} batch threw while sending:`, error);
+    results = items.map(() => ({ success: false, error: error.message }));
+  }
+
+  for (let i = 0; i < items.length; i++) {
+    await recordJobResult(items[i].job, results[i]);
+  }
+};
+
+/**
+ * Claim and process a batch of due jobs
+ * @param {number} batchSize - Maximum number of jobs to claim
+ * @param {string} workerId - Identifier of the worker claiming the jobs
+ * @returns {Promise<number>} Number of jobs processed
+ */
+const processDueJobs = async (batchSize, workerId) => {
+  const jobs = await deliveryJobDB.claimDue(batchSize, workerId);
+
+  if (jobs.length === 0) {
+    return 0;
+  }
+
+  // Channels with a batch API get one request per channel; everything else is sent one message at a time
+  const batches = new Map();
+  const otherJobs = [];
+
+  jobs.forEach(job => {
+    const provider = getChannel(job.channel);
+
+    if (provider && provider.capabilities.batch) {
+      batches.set(job.channel, [...(batches.get(job.channel) || []), job]);
+    } else {
+      otherJobs.push(job);
+    }
+  });
+
+  const batchRuns = [...batches.entries()].map(([channel, channelJobs]) =>
+    processBatchJobs(channel, channelJobs).catch(error => {
+      // Leave the jobs locked; recoverStaleJobs will hand them out again
+      console.error(`[QUEUE] Failed to process ${channel} batch:`, error);
+    })
+  );
+
+  // Work through the remaining jobs with a bounded number of sends in flight
+  const queue = [...otherJobs];
+  const runners = Array.from({ length: Math.min(CONCURRENCY, queue.length) }, async () => {
+    while (queue.length > 0) {
+      const job = queue.shift();
+
+      try {
+        await processDeliveryJob(job);
+      } catch (error) {
+        // Leave the job locked; recoverStaleJobs will hand it out again
+        console.error(`[QUEUE] Failed to record outcome of job ${job.id}:`, error);
+      }
+    }
+  });
+
+  await Promise.all([...batchRuns, ...runners]);
+
+  // Keep each affected alert's deliveryStats in step with the queue
+  const alertIds = [...new Set(jobs.map(job => job.alertId))];
+
+  for (const alertId of alertIds) {
+    await refreshDeliveryStats(alertId);
+  }
+
+  return jobs.length;
+};
+
+/**
+ * Recover jobs abandoned by a worker that died mid-batch: jobs with attempts left
+ * go back to the queue, and the rest are dead-lettered and their deliveries failed
+ * so recipients move on to their next channel
+ * @param {Date} lockedBefore - Jobs locked before this time are considered abandoned
+ * @returns {Promise<Object>} { released, dead } job counts
+ */
+const recoverStaleJobs = async (lockedBefore) => {
+  const deadJobs = await deliveryJobDB.markStaleDead(lockedBefore, STALE_JOB_ERROR);
+
+  for (const job of deadJobs) {
+    console.warn(`[QUEUE] Job ${job.id} dead-lettered after ${job.attempts} attempt(s): ${STALE_JOB_ERROR}`);
+    const delivery = await recordDeliveryAttempt(job, {
+      status: 'failed',
+      error: STALE_JOB_ERROR,
+      failedAt: new Date()
+    });
+    await scheduleFallback(delivery, new Date());
+  }
+
+  const alertIds = [...new Set(deadJobs.map(job => job.alertId))];
+
+  for (const alertId of alertIds) {
+    await refreshDeliveryStats(alertId);
+  }
+
+  const released = await deliveryJobDB.releaseStale(lockedBefore);
+
+  return { released, dead: deadJobs.length };
+};
+
+/**
+ * Stop delivery of an alert's notifications that have not been sent yet
+ * @param {number} alertId - Alert ID
+ * @returns {Promise<Object>} Updated delivery statistics
+ */
+const cancelPendingDeliveries = async (alertId) => {
+  const cancelled = await deliveryJobDB.cancelPendingForAlert(alertId);
+  await alertDeliveryDB.cancelPendingForAlert(alertId);
+
+  if (cancelled > 0) {
+    console.log(`[QUEUE] Cancelled ${cancelled} pending notifications for alert ${alertId}`);
+  }
+
+  return refreshDeliveryStats(alertId);
+};
+
+module.exports = {
+  enqueueEscalationNotifications,
+  enqueueUpdateNotifications,
+  enqueueFallbackNotification,
+  getUpdateTitle,
+  getAlertTargets,
+  createAlertDeliveryJobs,
+  refreshDeliveryStats,
+  processDeliveryJob,
+  processDueJobs,
+  recoverStaleJobs,
+  cancelPendingDeliveries,
+  getRetryDelay
+};
@@ -0,0 +1,110 @@
+/**
+ * Delivery status service for the emergency alert system
+ * Applies the delivery reports providers send after accepting a message
+ * (Twilio status callbacks, SendGrid event webhooks) to the delivery records
+ */
+const { alertDeliveryDB } = require('./databaseService');
+const { refreshDeliveryStats } = require('./deliveryQueue');
+const { getChannel } = require('./channels');
+
+// Providers report in any order, so a status only replaces one that is further from the end result
+const STATUS_PROGRESS = {
+  sent: 0,
+  delivered: 1,
+  undelivered: 2,
+  bounced: 2,
+  failed: 2,
+  opened: 3
+};
+
+// Statuses meaning the provider could not get the message to the recipient
+const FAILED_STATUSES = ['undelivered', 'bounced', 'failed'];
+
+// Timestamp set when a delivery reaches each status
+const STATUS_TIMESTAMPS = {
+  delivered: 'deliveredAt',
+  opened: 'openedAt',
+  undelivered: 'failedAt',
+  bounced: 'failedAt',
+  failed: 'failedAt'
+};
+
+/**
+ * Check whether a reported status should replace a delivery's current status
+ * @param {string} current - Current delivery status
+ * @param {string} next - Reported status
+ * @returns {boolean} True if the delivery should be updated
+ */
+const shouldApplyStatus = (current, next) => {
+  // Deliveries that were never accepted by the provider have nothing to report on
+  if (!(current in STATUS_PROGRESS) || !(next in STATUS_PROGRESS)) {
+    return false;
+  }
+  
+  return STATUS_PROGRESS[next] > STATUS_PROGRESS[current];
+};
+
+/**
+ * Apply a provider's status callback to the matching deliveries and refresh the affected alerts
+ * @param {string} channel - Channel name
+ * @param {*} payload - Callback request body
+ * @param {Object} io - Socket.io server used to push updated stats to the dashboard
+ * @returns {Promise<Object>} Counts of received, applied and unmatched updates
+ */
+const handleStatusCallback = async (channel, payload, io = null) => {
+  const provider = getChannel(channel);
+  const updates = provider && provider.handleStatusCallback ? provider.handleStatusCallback(payload) : [];
+  const summary = { received: updates.length, applied: 0, unmatched: 0 };
+  const affectedAlerts = new Set();
+  
+  for (const update of updates) {
+    const delivery = await alertDeliveryDB.findByProviderMessageId(channel, update.providerMessageId);
+    
+    if (!delivery) {
+      summary.unmatched++;
+      continue;
+    }
+    
+    if (!shouldApplyStatus(delivery.status, update.status)) {
+      continue;
+    }
+    
+    const changes = { status: update.status };
+    const timestampField = STATUS_TIMESTAMPS[update.status];
+    
+    if (timestampField) {
+      changes[timestampField] = new Date();
+    }
+    
+    if (update.error) {
+      changes.error = update.error;
+    }
+    
+    // A message the provider could not deliver moves the recipient on to their next channel straight away
+    if (FAILED_STATUSES.includes(update.status) && delivery.fallbackChannels && delivery.fallbackChannels.length > 0) {
+      changes.fallbackAt = new Date();
+    }
+    
+    await alertDeliveryDB.update(delivery.id, changes);
+    summary.applied++;
+    affectedAlerts.add(delivery.alertId);
+    
+    console.log(`[STATUS] ${channel} delivery ${delivery.id} is now ${update.status}${update.error ? `: ${update.error}` : ''}`);
+  }
+  
+  for (const alertId of affectedAlerts) {
+    const deliveryStats = await refreshDeliveryStats(alertId);
+    
+    if (io) {
+      io.to('admin').emit('deliveryStatsUpdated', { alertId, deliveryStats });
+      io.to('operator').emit('deliveryStatsUpdated', { alertId, deliveryStats });
+    }
+  }
+  
+  return summary;
+};
+
+module.exports = {
+  handleStatusCallback,
+  shouldApplyStatus
+};
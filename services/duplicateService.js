@@ -0,0 +1,140 @@
+/**
+ * Duplicate detection service for the emergency alert system
+ * Finds alerts that were just sent, or are scheduled to go out around the same
+ * time, to the same audience with the same or a very similar title, so operators
+ * reacting to the same incident do not all send their own copy of an alert
+ */
+const { alertDB } = require('./databaseService');
+const { normalizeCategory } = require('../utils/categories');
+
+// How far back to look for a matching alert; 0 turns duplicate detection off
+const DUPLICATE_WINDOW_SECONDS = process.env.DUPLICATE_ALERT_WINDOW_SECONDS !== undefined
+  ? parseInt(process.env.DUPLICATE_ALERT_WINDOW_SECONDS) || 0
+  : 300;
+
+// How alike two titles must be, from 0 to 1, to count as the same alert
+const TITLE_SIMILARITY_THRESHOLD = 0.85;
+
+/**
+ * Reduce a title to its words, ignoring case, punctuation and spacing
+ * @param {string} title - Alert title
+ * @returns {string} Normalized title
+ */
+const normalizeTitle = (title) => {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+/**
+ * Count the single-character edits needed to turn one string into another
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+const getEditDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Compare two titles once normalized
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity from 0 (nothing alike) to 1 (the same)
+ */
+const getTitleSimilarity = (a, b) => {
+  const first = normalizeTitle(a);
+  const second = normalizeTitle(b);
+
+  if (first === second) {
+    return 1;
+  }
+
+  return 1 - getEditDistance(first, second) / Math.max(first.length, second.length);
+};
+
+/**
+ * Describe who an alert is targeted at, so two audiences can be compared
+ * regardless of the order roles, users, groups, categories and saved audiences were picked in
+ * @param {Object} targeting - Alert targeting
+ * @returns {string} Audience key
+ */
+const getAudienceKey = (targeting = {}) => {
+  const roles = [...new Set(targeting.roles || [])].sort();
+  const userIds = [...new Set((targeting.userIds || targeting.specific || []).map(id => parseInt(id)))].sort((a, b) => a - b);
+  const groups = [...new Set((targeting.groups || []).map(id => parseInt(id)))].sort((a, b) => a - b);
+  const categories = [...new Set((targeting.categories || []).map(normalizeCategory))].sort();
+  const audiences = [...new Set((targeting.audiences || []).map(id => parseInt(id)))].sort((a, b) => a - b);
+
+  return JSON.stringify({ all: !!targeting.all, roles, userIds, groups, categories, audiences, area: targeting.area || null });
+};
+
+/**
+ * Work out whether a new alert repeats an existing one: it must go to the same
+ * audience in the same category and either come from the same template or
+ * have a similar title
+ * @param {Object} alert - New alert
+ * @param {Object} existing - Alert already sent
+ * @returns {boolean} True if the new alert is a duplicate
+ */
+const isDuplicate = (alert, existing) => {
+  if (getAudienceKey(alert.targeting) !== getAudienceKey(existing.targeting)) {
+    return false;
+  }
+
+  if (normalizeCategory(alert.category) !== normalizeCategory(existing.category)) {
+    return false;
+  }
+
+  if (alert.templateId && alert.templateId === existing.templateId) {
+    return true;
+  }
+
+  return getTitleSimilarity(alert.title, existing.title) >= TITLE_SIMILARITY_THRESHOLD;
+};
+
+/**
+ * Find alerts going out within the duplicate window of a new alert that it repeats:
+ * alerts sent or scheduled that close to when the new one goes out (now, or its
+ * scheduledFor time), and alerts still waiting for approval, since they are about to be sent
+ * @param {Object} alert - New alert with its title, targeting, status and any templateId and scheduledFor
+ * @returns {Promise<Array>} Matching alerts, newest first
+ */
+const findDuplicates = async (alert) => {
+  if (DUPLICATE_WINDOW_SECONDS <= 0) {
+    return [];
+  }
+
+  const goesOutAt = alert.status === 'scheduled' ? new Date(alert.scheduledFor).getTime() : Date.now();
+  const since = new Date(goesOutAt - DUPLICATE_WINDOW_SECONDS * 1000);
+  const until = new Date(goesOutAt + DUPLICATE_WINDOW_SECONDS * 1000);
+  const nearbyAlerts = await alertDB.getSentOrScheduledBetween(since, until);
+
+  return nearbyAlerts.filter(existing => isDuplicate(alert, existing));
+};
+
+module.exports = {
+  DUPLICATE_WINDOW_SECONDS,
+  normalizeTitle,
+  getTitleSimilarity,
+  getAudienceKey,
+  isDuplicate,
+  findDuplicates
+};
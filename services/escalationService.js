@@ -0,0 +1,154 @@
+/**
+ * Escalation service for the emergency alert system
+ * Follows up on alerts that have not been acknowledged: re-notifies the
+ * recipients who have not responded, then widens out to a role such as
+ * operators or admins, one policy step at a time
+ */
+const { alertDB, userDB, alertEscalationDB } = require('./databaseService');
+const deliveryQueue = require('./deliveryQueue');
+
+// Steps left 'running' this long are assumed to belong to a worker that died
+const STALE_STEP_MS = 5 * 60 * 1000;
+
+// How many non-responders are named in the message sent to a role
+const MAX_LISTED_NON_RESPONDERS = 10;
+
+/**
+ * Create the escalation steps for an alert that has just been sent
+ * @param {Object} alert - Sent alert with an escalationPolicy
+ * @returns {Promise<Array>} Created escalation steps
+ */
+const scheduleEscalations = async (alert) => {
+  if (!alert.escalationPolicy || !Array.isArray(alert.escalationPolicy.steps) || alert.status !== 'sent') {
+    return [];
+  }
+
+  const sentAt = new Date(alert.sentAt || Date.now()).getTime();
+
+  const steps = await alertEscalationDB.createMany(alert.escalationPolicy.steps.map((step, index) => ({
+    alertId: alert.id,
+    step: index + 1,
+    notify: step.notify,
+    role: step.notify === 'role' ? step.role : null,
+    channels: step.channels,
+    afterMinutes: step.afterMinutes,
+    dueAt: new Date(sentAt + step.afterMinutes * 60 * 1000)
+  })));
+
+  console.log(`[ESCALATION] Scheduled ${steps.length} escalation step(s) for alert ${alert.id}`);
+
+  return steps;
+};
+
+/**
+ * Stop an alert's escalation steps that have not run yet
+ * @param {number} alertId - Alert ID
+ * @param {string} reason - Why escalation stopped, stored on each step
+ * @returns {Promise<number>} Number of steps stopped
+ */
+const stopEscalations = async (alertId, reason) => {
+  const stopped = await alertEscalationDB.stopPendingForAlert(alertId, reason);
+
+  if (stopped > 0) {
+    console.log(`[ESCALATION] Stopped ${stopped} escalation step(s) for alert ${alertId}: ${reason}`);
+  }
+
+  return stopped;
+};
+
+/**
+ * Stop escalating an alert once everyone it was sent to has acknowledged it
+ * @param {number} alertId - Alert ID
+ * @returns {Promise<number>} Number of steps stopped
+ */
+const handleAcknowledgment = async (alertId) => {
+  const nonResponders = await alertDB.getNonResponders(alertId);
+
+  if (nonResponders.length > 0) {
+    return 0;
+  }
+
+  return stopEscalations(alertId, 'All recipients acknowledged');
+};
+
+/**
+ * Build the alert text a role receives about the recipients who have not responded
+ * @param {Object} alert - Alert being escalated
+ * @param {Array} nonResponders - Users who have not acknowledged the alert
+ * @returns {Object} Title and message that replace the alert's own when sending
+ */
+const buildRoleEscalation = (alert, nonResponders) => {
+  const names = nonResponders.slice(0, MAX_LISTED_NON_RESPONDERS).map(user => user.username);
+  const remaining = nonResponders.length - names.length;
+  const minutes = Math.round((Date.now() - new Date(alert.sentAt).getTime()) / 60000);
+
+  return {
+    title: `ESCALATION: ${alert.title}`,
+    message: `${nonResponders.length} recipient(s) have not acknowledged this alert after ${minutes} minute(s): `
+      + `${names.join(', ')}${remaining > 0 ? ` and ${remaining} more` : ''}.\n\n${alert.message}`
+  };
+};
+
+/**
+ * Run one claimed escalation step
+ * @param {Object} step - Claimed escalation step
+ * @returns {Promise<void>}
+ */
+const runEscalationStep = async (step) => {
+  const alert = await alertDB.findById(step.alertId);
+
+  if (!alert || alert.status !== 'sent') {
+    await stopEscalations(step.alertId, 'Alert is no longer active');
+    return;
+  }
+
+  const nonResponders = await alertDB.getNonResponders(alert.id);
+
+  if (nonResponders.length === 0) {
+    await stopEscalations(alert.id, 'All recipients acknowledged');
+    return;
+  }
+
+  let recipients;
+  let options;
+
+  if (step.notify === 'role') {
+    recipients = await userDB.getAllByRole(step.role);
+    options = { alertOverrides: buildRoleEscalation(alert, nonResponders) };
+  } else {
+    recipients = nonResponders;
+    options = { skipIfAcknowledged: true };
+  }
+
+  await deliveryQueue.enqueueEscalationNotifications(alert, recipients, step.step, step.channels, options);
+  await alertEscalationDB.markCompleted(step.id, recipients.length);
+
+  console.log(`[ESCALATION] Alert ${alert.id} step ${step.step}: notified ${recipients.length} ${step.notify === 'role' ? step.role : 'non-responder'}(s) on ${step.channels.join(', ')}`);
+};
+
+/**
+ * Claim and run the escalation steps that are due
+ * @param {number} limit - Maximum number of steps to run
+ * @returns {Promise<number>} Number of steps claimed
+ */
+const runDueEscalations = async (limit = 20) => {
+  const steps = await alertEscalationDB.claimDue(limit, new Date(Date.now() - STALE_STEP_MS));
+
+  for (const step of steps) {
+    try {
+      await runEscalationStep(step);
+    } catch (error) {
+      console.error(`[ESCALATION] Failed to run step ${step.step} for alert ${step.alertId}:`, error);
+      await alertEscalationDB.release(step.id);
+    }
+  }
+
+  return steps.length;
+};
+
+module.exports = {
+  scheduleEscalations,
+  stopEscalations,
+  handleAcknowledgment,
+  runDueEscalations
+};
@@ -0,0 +1,73 @@
+/**
+ * Expiration service for the emergency alert system
+ * Works out when sent alerts stop being active and moves them to the
+ * expired status once that time has passed
+ */
+const { alertDB } = require('./databaseService');
+const deliveryQueue = require('./deliveryQueue');
+const escalationService = require('./escalationService');
+
+// How long an alert stays active when it is sent without an expiresAt, by severity
+const DEFAULT_EXPIRY_HOURS = {
+  critical: parseFloat(process.env.ALERT_EXPIRY_HOURS_CRITICAL) || 24,
+  high: parseFloat(process.env.ALERT_EXPIRY_HOURS_HIGH) || 24,
+  medium: parseFloat(process.env.ALERT_EXPIRY_HOURS_MEDIUM) || 12,
+  low: parseFloat(process.env.ALERT_EXPIRY_HOURS_LOW) || 6
+};
+
+/**
+ * Get the default expiry time for an alert
+ * @param {string} severity - Alert severity
+ * @param {Date} sentAt - When the alert was sent
+ * @returns {Date} Expiry time
+ */
+const getDefaultExpiresAt = (severity, sentAt = new Date()) => {
+  const hours = DEFAULT_EXPIRY_HOURS[severity] || DEFAULT_EXPIRY_HOURS.medium;
+
+  return new Date(new Date(sentAt).getTime() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Get the expiry time for an alert that is being sent
+ * @param {Object} alert - Alert with its severity and any requested expiresAt
+ * @param {Date} sentAt - When the alert is sent
+ * @returns {Date} The requested expiry time, or the severity's default
+ */
+const resolveExpiresAt = (alert, sentAt = new Date()) => {
+  return alert.expiresAt ? new Date(alert.expiresAt) : getDefaultExpiresAt(alert.severity, sentAt);
+};
+
+/**
+ * Expire every sent alert whose expiry time has passed
+ * @param {Object} io - Socket.io server used to announce expired alerts, if running in the web server
+ * @returns {Promise<number>} Number of alerts expired
+ */
+const expireDueAlerts = async (io = null) => {
+  const expired = await alertDB.expireDue();
+
+  for (const alert of expired) {
+    // Notifications and follow-ups about an alert that is over are no longer useful
+    await deliveryQueue.cancelPendingDeliveries(alert.id);
+    await escalationService.stopEscalations(alert.id, 'Alert expired');
+
+    if (io) {
+      io.emit('alertExpired', {
+        alertId: alert.id,
+        expiresAt: alert.expiresAt
+      });
+    }
+  }
+
+  if (expired.length > 0) {
+    console.log(`[EXPIRY] Expired ${expired.length} alert(s): ${expired.map(alert => alert.id).join(', ')}`);
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  DEFAULT_EXPIRY_HOURS,
+  getDefaultExpiresAt,
+  resolveExpiresAt,
+  expireDueAlerts
+};
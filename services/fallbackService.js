@@ -0,0 +1,63 @@
+/**
+ * Channel fallback service for the emergency alert system
+ * Moves a recipient on to their next preferred channel when a notification
+ * fails, or is sent but not acknowledged within the fallback wait
+ */
+const { alertDB, userDB, alertDeliveryDB, deliveryJobDB } = require('./databaseService');
+const deliveryQueue = require('./deliveryQueue');
+
+/**
+ * Try the next fallback channel of one claimed delivery
+ * @param {Object} delivery - Claimed delivery with fallbackChannels left
+ * @returns {Promise<string|null>} Channel queued, or null if no fallback was needed
+ */
+const runFallback = async (delivery) => {
+  const alert = await alertDB.findById(delivery.alertId);
+  const stopFallback = () => alertDeliveryDB.update(delivery.id, { fallbackChannels: null });
+
+  if (!alert || alert.status !== 'sent') {
+    await stopFallback();
+    return null;
+  }
+
+  // Recipients who have acknowledged the alert, on any channel, need no more notifications
+  if (await alertDB.hasUserAcknowledged(alert.id, delivery.userId)) {
+    await stopFallback();
+    return null;
+  }
+
+  const recipient = await userDB.findById(delivery.userId);
+
+  if (!recipient) {
+    await stopFallback();
+    return null;
+  }
+
+  const job = await deliveryJobDB.findByDeliveryId(delivery.id);
+
+  return deliveryQueue.enqueueFallbackNotification(alert, delivery, recipient, job ? job.payload : {});
+};
+
+/**
+ * Claim and run the fallbacks that are due
+ * @param {number} limit - Maximum number of deliveries to fall back from
+ * @returns {Promise<number>} Number of deliveries claimed
+ */
+const runDueFallbacks = async (limit = 100) => {
+  const deliveries = await alertDeliveryDB.claimDueFallbacks(limit);
+
+  for (const delivery of deliveries) {
+    try {
+      await runFallback(delivery);
+    } catch (error) {
+      console.error(`[FALLBACK] Failed to fall back from delivery ${delivery.id}:`, error);
+      await alertDeliveryDB.update(delivery.id, { fallbackAt: new Date() });
+    }
+  }
+
+  return deliveries.length;
+};
+
+module.exports = {
+  runDueFallbacks
+};
@@ -0,0 +1,100 @@
+/**
+ * Group service for the emergency alert system
+ * Works with the group hierarchy: who belongs to a group once its subgroups
+ * are included, and who may manage a group
+ */
+const { groupDB, groupMemberDB } = require('./databaseService');
+
+/**
+ * Get groups together with all the groups nested in them, at any depth
+ * @param {Array} groups - All groups
+ * @param {Array} rootIds - IDs of the groups to start from
+ * @returns {Set} IDs of the groups and their subgroups
+ */
+const getDescendantIds = (groups, rootIds) => {
+  const ids = new Set(rootIds);
+  let added = true;
+
+  while (added) {
+    added = false;
+
+    for (const group of groups) {
+      if (group.parentId !== null && ids.has(group.parentId) && !ids.has(group.id)) {
+        ids.add(group.id);
+        added = true;
+      }
+    }
+  }
+
+  return ids;
+};
+
+/**
+ * Get the groups a group is nested in, nearest first
+ * @param {Array} groups - All groups
+ * @param {number} groupId - Group ID
+ * @returns {Array} IDs of the group's parent, its parent's parent and so on
+ */
+const getAncestorIds = (groups, groupId) => {
+  const byId = new Map(groups.map(group => [group.id, group]));
+  const ancestors = [];
+  let group = byId.get(groupId);
+
+  while (group && group.parentId !== null && !ancestors.includes(group.parentId)) {
+    ancestors.push(group.parentId);
+    group = byId.get(group.parentId);
+  }
+
+  return ancestors;
+};
+
+/**
+ * Check whether moving a group under a new parent would nest it inside itself
+ * @param {Array} groups - All groups
+ * @param {number} groupId - Group being moved
+ * @param {number|null} parentId - New parent
+ * @returns {boolean} True if the move would create a loop
+ */
+const wouldCreateCycle = (groups, groupId, parentId) => {
+  return parentId !== null && getDescendantIds(groups, [groupId]).has(parentId);
+};
+
+/**
+ * Get the users who belong to any of the given groups or their subgroups
+ * @param {Array} groupIds - Group IDs
+ * @returns {Promise<Array>} User IDs
+ */
+const getMemberUserIds = async (groupIds) => {
+  const groups = await groupDB.getAll();
+
+  return groupMemberDB.getUserIds([...getDescendantIds(groups, groupIds.map(id => parseInt(id)))]);
+};
+
+/**
+ * Check whether a user may manage a group: admins may manage any group, and
+ * owners may manage their group and the groups nested in it
+ * @param {Object} user - User
+ * @param {number} groupId - Group ID
+ * @returns {Promise<boolean>} True if the user may manage the group
+ */
+const canManageGroup = async (user, groupId) => {
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  const groups = await groupDB.getAll();
+  const memberships = await groupMemberDB.getByUserId(user.id);
+  const ownedGroupIds = memberships
+    .filter(membership => membership.role === 'owner')
+    .map(membership => membership.groupId);
+
+  return [groupId, ...getAncestorIds(groups, groupId)].some(id => ownedGroupIds.includes(id));
+};
+
+module.exports = {
+  getDescendantIds,
+  getAncestorIds,
+  wouldCreateCycle,
+  getMemberUserIds,
+  canManageGroup
+};
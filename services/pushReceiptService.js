@@ -0,0 +1,79 @@
+/**
+ * Push receipt service for the emergency alert system
+ * Expo only confirms that a push was accepted when it returns a ticket; whether
+ * Apple or Google actually took the message is reported later as a receipt.
+ */
+const { alertDeliveryDB, userDB } = require('./databaseService');
+const { refreshDeliveryStats } = require('./deliveryQueue');
+const pushChannel = require('./channels/pushChannel');
+
+// Expo recommends waiting about 15 minutes before fetching receipts, and keeps them for 24 hours
+const RECEIPT_DELAY_MS = parseInt(process.env.EXPO_RECEIPT_DELAY_MS) || 15 * 60 * 1000;
+const RECEIPT_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fetch receipts for push deliveries sent long enough ago and record the outcome
+ * @param {number} limit - Maximum number of deliveries to check in one pass
+ * @returns {Promise<Object>} Counts of checked, failed and expired receipts
+ */
+const checkPushReceipts = async (limit = 1000) => {
+  const deliveries = await alertDeliveryDB.getAwaitingPushReceipts(new Date(Date.now() - RECEIPT_DELAY_MS), limit);
+  const summary = { checked: 0, failed: 0, expired: 0 };
+
+  if (deliveries.length === 0) {
+    return summary;
+  }
+
+  const receipts = await pushChannel.getReceipts(deliveries.map(delivery => delivery.providerMessageId));
+  const affectedAlerts = new Set();
+
+  for (const delivery of deliveries) {
+    const receipt = receipts[delivery.providerMessageId];
+
+    if (!receipt) {
+      // Receipts can take a while to appear; give up once Expo would have discarded them
+      if (Date.now() - new Date(delivery.sentAt).getTime() > RECEIPT_EXPIRY_MS) {
+        await alertDeliveryDB.update(delivery.id, { receiptCheckedAt: new Date() });
+        summary.expired++;
+      }
+      continue;
+    }
+
+    summary.checked++;
+
+    if (receipt.status === 'ok') {
+      await alertDeliveryDB.update(delivery.id, { receiptCheckedAt: new Date() });
+      continue;
+    }
+
+    const errorCode = receipt.details && receipt.details.error;
+    console.warn(`[PUSH] Receipt for delivery ${delivery.id} reported an error: ${errorCode || receipt.message}`);
+
+    await alertDeliveryDB.update(delivery.id, {
+      status: 'failed',
+      error: errorCode ? `${errorCode}: ${receipt.message}` : receipt.message,
+      failedAt: new Date(),
+      receiptCheckedAt: new Date(),
+      // Move the recipient on to their next channel, if they have one left
+      ...(delivery.fallbackChannels && delivery.fallbackChannels.length > 0 && { fallbackAt: new Date() })
+    });
+    summary.failed++;
+    affectedAlerts.add(delivery.alertId);
+
+    // The app was uninstalled or the token expired; stop sending to it
+    if (errorCode === 'DeviceNotRegistered' && delivery.userId && delivery.address) {
+      await userDB.clearPushToken(delivery.userId, delivery.address);
+      console.log(`[PUSH] Cleared unregistered push token for user ${delivery.userId}`);
+    }
+  }
+
+  for (const alertId of affectedAlerts) {
+    await refreshDeliveryStats(alertId);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  checkPushReceipts
+};
@@ -0,0 +1,147 @@
+/**
+ * Recipient service for the emergency alert system
+ * Resolves an alert's targeting into the users it should be sent to
+ */
+const { userDB, userLocationDB, subscriptionDB } = require('./databaseService');
+const { getMemberUserIds } = require('./groupService');
+const { getMemberUsers } = require('./audienceService');
+const { isPointInArea, getAreaBounds } = require('../utils/geo');
+const { normalizeCategory, isMandatoryCategory, acceptsCategory } = require('../utils/categories');
+
+// Device locations older than this are too stale to place a user in an alert area
+const DEVICE_LOCATION_MAX_AGE_HOURS = parseInt(process.env.DEVICE_LOCATION_MAX_AGE_HOURS) || 24;
+
+/**
+ * Find the users with a home, work or recent device location inside an area
+ * @param {Object} area - Circle or GeoJSON Polygon
+ * @returns {Promise<Set>} IDs of the users in the area
+ */
+const getUserIdsInArea = async (area) => {
+  const deviceSince = new Date(Date.now() - DEVICE_LOCATION_MAX_AGE_HOURS * 60 * 60 * 1000);
+  const locations = await userLocationDB.findInBounds(getAreaBounds(area), deviceSince);
+  
+  return new Set(
+    locations
+      .filter(location => isPointInArea(location, area))
+      .map(location => location.userId)
+  );
+};
+
+/**
+ * Get the users whose subscriptions let any of the given categories through
+ * @param {Array} categories - Categories
+ * @returns {Promise<Array>} Users
+ */
+const getCategorySubscribers = async (categories) => {
+  const users = await userDB.getAll();
+  const subscriptions = await subscriptionDB.getByUserIds(users.map(user => user.id));
+  const subscriptionsByUser = new Map(subscriptions.map(subscription => [subscription.userId, subscription]));
+  
+  return users.filter(user =>
+    categories.some(category => acceptsCategory(subscriptionsByUser.get(user.id) || null, category))
+  );
+};
+
+/**
+ * Get the users in the targeted roles, groups (with their subgroups), categories and saved audiences
+ * @param {Array} roles - Roles
+ * @param {Array} groupIds - Group IDs
+ * @param {Array} categories - Categories
+ * @param {Array} audienceIds - Saved audience IDs
+ * @returns {Promise<Array>} Users, possibly with repeats
+ */
+const getTargetedUsers = async (roles, groupIds, categories, audienceIds) => {
+  const roleUsers = await Promise.all(roles.map(role => userDB.getAllByRole(role)));
+  const groupUsers = groupIds.length > 0
+    ? await userDB.getByIds(await getMemberUserIds(groupIds))
+    : [];
+  const categoryUsers = categories.length > 0
+    ? await getCategorySubscribers(categories)
+    : [];
+  const savedAudienceUsers = audienceIds.length > 0
+    ? await getMemberUsers(audienceIds)
+    : [];
+  
+  return [...roleUsers.flat(), ...groupUsers, ...categoryUsers, ...savedAudienceUsers];
+};
+
+/**
+ * Drop the users who have not subscribed to an alert's category
+ * @param {Array} users - Users
+ * @param {string|null} category - Alert category
+ * @returns {Promise<Array>} Users who should receive the alert
+ */
+const filterBySubscription = async (users, category) => {
+  if (!normalizeCategory(category) || isMandatoryCategory(category) || users.length === 0) {
+    return users;
+  }
+  
+  const subscriptions = await subscriptionDB.getByUserIds([...new Set(users.map(user => user.id))]);
+  const subscriptionsByUser = new Map(subscriptions.map(subscription => [subscription.userId, subscription]));
+  
+  return users.filter(user => acceptsCategory(subscriptionsByUser.get(user.id) || null, category));
+};
+
+/**
+ * Identify recipients based on targeting criteria.
+ * With a target area, only users located in it are reached by role, group,
+ * category or saved audience (or, with none of them, everyone located in it). Users reached this
+ * way only receive a categorized alert if they subscribe to its category;
+ * specific users are always included.
+ * @param {Object} targeting - Targeting criteria
+ * @param {string|null} category - Alert category, null for an uncategorized alert
+ * @returns {Array} Array of recipient users
+ */
+const identifyRecipients = async (targeting, category = null) => {
+  // Keyed by ID so a user picked both specifically and by role is notified once
+  const recipients = new Map();
+  
+  // If targeting specific users, add them to recipients
+  if ((targeting.specific && Array.isArray(targeting.specific)) ||
+      (targeting.userIds && Array.isArray(targeting.userIds))) {
+    
+    // Support both 'specific' and 'userIds' for backward compatibility
+    const userIdList = targeting.userIds || targeting.specific;
+    
+    // Process user IDs in parallel
+    const userPromises = userIdList.map(async (userId) => {
+      const user = await userDB.findById(parseInt(userId));
+      if (user) {
+        recipients.set(user.id, user);
+      }
+    });
+    
+    await Promise.all(userPromises);
+  }
+  
+  const roles = Array.isArray(targeting.roles) ? targeting.roles : [];
+  const groupIds = Array.isArray(targeting.groups) ? targeting.groups : [];
+  const categories = Array.isArray(targeting.categories) ? targeting.categories : [];
+  const audienceIds = Array.isArray(targeting.audiences) ? targeting.audiences : [];
+  const hasTargets = roles.length > 0 || groupIds.length > 0 || categories.length > 0 || audienceIds.length > 0;
+  
+  let targetedUsers;
+  
+  // If targeting an area, only the users located in it are reached
+  if (targeting.area) {
+    const userIdsInArea = await getUserIdsInArea(targeting.area);
+    const candidates = hasTargets
+      ? await getTargetedUsers(roles, groupIds, categories, audienceIds)
+      : await userDB.getAll();
+    
+    targetedUsers = candidates.filter(user => userIdsInArea.has(user.id));
+  } else {
+    targetedUsers = await getTargetedUsers(roles, groupIds, categories, audienceIds);
+  }
+  
+  // Add the targeted users who subscribe to the alert's category
+  const subscribers = await filterBySubscription(targetedUsers, category);
+  subscribers.forEach(user => recipients.set(user.id, user));
+  
+  return Array.from(recipients.values());
+};
+
+module.exports = {
+  DEVICE_LOCATION_MAX_AGE_HOURS,
+  identifyRecipients
+};
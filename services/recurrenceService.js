@@ -0,0 +1,184 @@
+/**
+ * Recurrence service for the emergency alert system
+ * Turns each occurrence of a recurring alert into a scheduled alert built
+ * from its template; the scheduled alert dispatcher then sends it, once
+ * approved if the alert needs approval
+ */
+const { db } = require('../db');
+const { alertDB, alertRecurrenceDB } = require('./databaseService');
+const { renderTemplateById } = require('./templateService');
+const { identifyRecipients } = require('./recipientService');
+const { getApprovalReason } = require('./approvalService');
+const { getOccurrences } = require('../utils/recurrence');
+const { normalizeCategory } = require('../utils/categories');
+
+// Occurrences missed by more than this (the worker was down) are skipped rather than sent late
+const MAX_LATENESS_MS = (parseInt(process.env.RECURRENCE_MAX_LATENESS_MINUTES) || 60) * 60 * 1000;
+
+const TEST_MARKER = 'THIS IS A TEST';
+
+/**
+ * Mark an alert's text as a test so nobody mistakes a drill for a real emergency
+ * @param {string} title - Alert title
+ * @param {string} message - Alert message
+ * @returns {Object} Marked title and message
+ */
+const markAsTest = (title, message) => {
+  return {
+    title: `${TEST_MARKER}: ${title}`,
+    message: `${TEST_MARKER}.\n\n${message}\n\n${TEST_MARKER}.`
+  };
+};
+
+/**
+ * Find the next occurrence of a recurrence that has not been skipped
+ * @param {Object} recurrence - Recurrence record
+ * @param {Date} after - Only look at occurrences after this time
+ * @returns {Date|null} Next occurrence, or null if the recurrence has ended
+ */
+const getNextRunAt = (recurrence, after = new Date()) => {
+  const skipped = new Set(recurrence.skippedOccurrences || []);
+  const occurrences = getOccurrences(recurrence, { after, count: skipped.size + 1 });
+
+  return occurrences.find(occurrence => !skipped.has(occurrence.toISOString())) || null;
+};
+
+/**
+ * List a recurrence's upcoming occurrences, including skipped ones
+ * @param {Object} recurrence - Recurrence record
+ * @param {number} count - Number of occurrences to list
+ * @returns {Array} [{ occursAt, skipped }]
+ */
+const getUpcomingOccurrences = (recurrence, count = 10) => {
+  const skipped = new Set(recurrence.skippedOccurrences || []);
+
+  return getOccurrences(recurrence, { after: new Date(), count }).map(occurrence => ({
+    occursAt: occurrence,
+    skipped: skipped.has(occurrence.toISOString())
+  }));
+};
+
+/**
+ * Drop skipped occurrences that are already in the past
+ * @param {Array} skippedOccurrences - ISO times of skipped occurrences
+ * @param {Date} now - Current time
+ * @returns {Array} Skipped occurrences still to come
+ */
+const pruneSkipped = (skippedOccurrences, now = new Date()) => {
+  return (skippedOccurrences || []).filter(occurrence => new Date(occurrence) > now);
+};
+
+/**
+ * Create the scheduled alert for a recurrence's occurrence that is due soonest.
+ * Creating the alert and moving the recurrence on to its next occurrence
+ * happen in one transaction, so each occurrence produces exactly one alert.
+ * Occurrences that need approval, judged by the same rules as any other alert,
+ * wait for a second admin or operator instead of being scheduled.
+ * @returns {Promise<Object|null>} { recurrence, alert, occursAt } (alert is null if the occurrence
+ *   was skipped), or null if nothing is due
+ */
+const createNextOccurrence = async () => {
+  return db.transaction(async (tx) => {
+    const recurrence = await alertRecurrenceDB.claimNextDue(tx);
+
+    if (!recurrence) {
+      return null;
+    }
+
+    const now = new Date();
+    const occursAt = new Date(recurrence.nextRunAt);
+    const template = await renderTemplateById(recurrence.templateId, recurrence.variables);
+
+    // Pause rather than keep sending from a template someone has retired
+    if (!template.isActive) {
+      await alertRecurrenceDB.update(recurrence.id, { status: 'paused' }, tx);
+      console.warn(`[RECURRENCE] Paused "${recurrence.name}" because template ${template.id} is inactive`);
+      return { recurrence, alert: null, occursAt };
+    }
+
+    let alert = null;
+
+    if (now - occursAt > MAX_LATENESS_MS) {
+      console.warn(`[RECURRENCE] Skipped the ${occursAt.toISOString()} occurrence of "${recurrence.name}"; it was missed by more than ${MAX_LATENESS_MS / 60000} minutes`);
+    } else {
+      const text = recurrence.isTest
+        ? markAsTest(template.title, template.content)
+        : { title: template.title, message: template.content };
+
+      const alertData = {
+        ...text,
+        severity: template.severity,
+        category: normalizeCategory(template.category),
+        channels: template.channels,
+        targeting: recurrence.targeting
+      };
+      const recipients = await identifyRecipients(alertData.targeting, alertData.category);
+      const approvalReason = getApprovalReason(alertData, recipients.length);
+
+      alert = await alertDB.create({
+        ...alertData,
+        status: approvalReason ? 'pending_approval' : 'scheduled',
+        approvalReason,
+        scheduledFor: occursAt,
+        escalationPolicy: template.escalationPolicy || null,
+        createdBy: recurrence.createdBy,
+        templateId: recurrence.templateId,
+        recurrenceId: recurrence.id,
+        isTest: recurrence.isTest
+      }, tx);
+    }
+
+    const nextRunAt = getNextRunAt(recurrence, new Date(Math.max(occursAt.getTime(), now.getTime())));
+
+    await alertRecurrenceDB.update(recurrence.id, {
+      nextRunAt,
+      status: nextRunAt ? recurrence.status : 'ended',
+      skippedOccurrences: pruneSkipped(recurrence.skippedOccurrences, now),
+      ...(alert ? { lastRunAt: occursAt, lastAlertId: alert.id } : {})
+    }, tx);
+
+    return { recurrence, alert, occursAt };
+  });
+};
+
+/**
+ * Create the alerts for every recurrence occurrence that is due
+ * @param {Object} io - Socket.io server used to ask for approvals, if running in the web server
+ * @param {number} limit - Maximum number of occurrences to handle in one run
+ * @returns {Promise<number>} Number of alerts created
+ */
+const runDueRecurrences = async (io = null, limit = 10) => {
+  let created = 0;
+
+  for (let i = 0; i < limit; i++) {
+    const result = await createNextOccurrence();
+
+    if (!result) {
+      break;
+    }
+
+    if (result.alert) {
+      created++;
+      console.log(`[RECURRENCE] Created alert ${result.alert.id} for the ${result.occursAt.toISOString()} occurrence of "${result.recurrence.name}"`);
+    }
+
+    if (result.alert && result.alert.status === 'pending_approval') {
+      console.log(`[RECURRENCE] Alert ${result.alert.id} is waiting for approval: ${result.alert.approvalReason}`);
+
+      if (io) {
+        io.to('admin').to('operator').emit('alertApprovalRequested', { alert: result.alert });
+      }
+    }
+  }
+
+  return created;
+};
+
+module.exports = {
+  TEST_MARKER,
+  markAsTest,
+  getNextRunAt,
+  getUpcomingOccurrences,
+  pruneSkipped,
+  runDueRecurrences
+};
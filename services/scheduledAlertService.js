@@ -0,0 +1,80 @@
+/**
+ * Scheduled alert service for the emergency alert system
+ * Sends alerts created with a scheduledFor time once that time arrives
+ */
+const { db } = require('../db');
+const { alertDB } = require('./databaseService');
+const deliveryQueue = require('./deliveryQueue');
+const escalationService = require('./escalationService');
+const { identifyRecipients } = require('./recipientService');
+const { resolveExpiresAt } = require('./expirationService');
+
+/**
+ * Send the scheduled alert that is due soonest.
+ * Marking the alert sent and queueing its notifications happen in one
+ * transaction, so an alert is queued exactly once even if the process
+ * stops partway through or several dispatchers are running.
+ * @returns {Promise<Object|null>} { alert, recipients }, or null if nothing is due
+ */
+const dispatchNextAlert = async () => {
+  return db.transaction(async (tx) => {
+    const scheduledAlert = await alertDB.claimNextScheduled(tx);
+
+    if (!scheduledAlert) {
+      return null;
+    }
+
+    const recipients = await identifyRecipients(scheduledAlert.targeting, scheduledAlert.category);
+    const sentAt = new Date();
+    const alert = await alertDB.update(scheduledAlert.id, {
+      status: 'sent',
+      sentAt,
+      expiresAt: resolveExpiresAt(scheduledAlert, sentAt)
+    }, tx);
+
+    await deliveryQueue.createAlertDeliveryJobs(alert, recipients, {}, tx);
+
+    return { alert, recipients };
+  });
+};
+
+/**
+ * Send every scheduled alert that is due
+ * @param {Object} io - Socket.io server used to announce sent alerts, if running in the web server
+ * @param {number} limit - Maximum number of alerts to send in one run
+ * @returns {Promise<number>} Number of alerts sent
+ */
+const dispatchDueAlerts = async (io = null, limit = 10) => {
+  let dispatched = 0;
+
+  while (dispatched < limit) {
+    const result = await dispatchNextAlert();
+
+    if (!result) {
+      break;
+    }
+
+    const { alert, recipients } = result;
+    dispatched++;
+
+    const lateBy = Math.round((new Date(alert.sentAt) - new Date(alert.scheduledFor)) / 1000);
+    console.log(`[SCHEDULER] Sent scheduled alert ${alert.id} to ${recipients.length} recipients${lateBy > 60 ? ` (${lateBy}s late)` : ''}`);
+
+    await deliveryQueue.refreshDeliveryStats(alert.id);
+    await escalationService.scheduleEscalations(alert);
+
+    if (io) {
+      io.emit('newAlert', { alert });
+
+      recipients.forEach(user => {
+        io.to(`user-${user.id}`).emit('personalAlert', { alert });
+      });
+    }
+  }
+
+  return dispatched;
+};
+
+module.exports = {
+  dispatchDueAlerts
+};
@@ -40,6 +40,19 @@ function renderTemplate(template, variables = {}, language = 'en') {
   };
 }
 
+/**
+ * Get a template by ID
+ * @param {number} templateId - The ID of the template
+ * @returns {Promise<Object|null>} Promise resolving to the template or null
+ */
+async function findTemplateById(templateId) {
+  const [template] = await db.select()
+    .from(notificationTemplates)
+    .where(eq(notificationTemplates.id, templateId));
+  
+  return template || null;
+}
+
 /**
  * Get a template by ID and render it with variables
  * @param {number} templateId - The ID of the template to render
@@ -138,6 +151,7 @@ async function findDefaultTemplate(type, category) {
 }
 
 module.exports = {
+  findTemplateById,
   renderTemplate,
   renderTemplateById,
   extractVariables,
@@ -1,7 +1,7 @@
 /**
  * Database schema for the Emergency Alert System using Drizzle ORM
  */
-const { pgTable, serial, text, timestamp, boolean, integer, jsonb, varchar } = require('drizzle-orm/pg-core');
+const { pgTable, serial, text, timestamp, boolean, integer, jsonb, varchar, doublePrecision, unique } = require('drizzle-orm/pg-core');
 const { relations } = require('drizzle-orm');
 
 // Define tables first
@@ -13,8 +13,60 @@ const users = pgTable('users', {
   password: text('password').notNull(),
   role: text('role').notNull().default('subscriber'),
   channels: jsonb('channels').notNull().default({ email: true, sms: false, push: false }),
+  channelPriority: jsonb('channel_priority'), // Channel names in the order to try them, e.g. ['push', 'sms', 'email']; null for the default order
+  quietHours: jsonb('quiet_hours'), // { start: '22:00', end: '07:00', timezone }, null for none
   phoneNumber: text('phone_number'),
   pushToken: text('push_token'),
+  site: text('site'), // Site or campus the user is based at, e.g. 'North'
+  attributes: jsonb('attributes').notNull().default({}), // Custom attributes saved audiences can filter on, e.g. { department: 'facilities' }
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull()
+});
+
+// User locations table (registered home and work locations, and the last location reported by the mobile app)
+const userLocations = pgTable('user_locations', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').notNull().references(() => users.id),
+  kind: text('kind').notNull(), // 'home', 'work', 'device'
+  latitude: doublePrecision('latitude').notNull(),
+  longitude: doublePrecision('longitude').notNull(),
+  accuracy: doublePrecision('accuracy'), // Meters, as reported by the device
+  label: text('label'), // e.g. the address of a home or work location
+  updatedAt: timestamp('updated_at').defaultNow().notNull()
+}, (table) => [
+  unique().on(table.userId, table.kind) // One location of each kind per user
+]);
+
+// Groups table (response teams, building wardens and other audiences alerts can target; groups can be nested)
+const groups = pgTable('groups', {
+  id: serial('id').primaryKey(),
+  name: text('name').notNull().unique(),
+  description: text('description'),
+  parentId: integer('parent_id').references(() => groups.id), // Group this one is nested in, null at the top level
+  createdBy: integer('created_by').notNull().references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull()
+});
+
+// Group members table
+const groupMembers = pgTable('group_members', {
+  id: serial('id').primaryKey(),
+  groupId: integer('group_id').notNull().references(() => groups.id),
+  userId: integer('user_id').notNull().references(() => users.id),
+  role: text('role').notNull().default('member'), // 'member', or 'owner' to also manage the group and its subgroups
+  addedBy: integer('added_by').references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow().notNull()
+}, (table) => [
+  unique().on(table.groupId, table.userId)
+]);
+
+// Audiences table (saved filter rules over user fields, evaluated whenever an alert targeting the audience is sent)
+const audiences = pgTable('audiences', {
+  id: serial('id').primaryKey(),
+  name: text('name').notNull().unique(),
+  description: text('description'),
+  rules: jsonb('rules').notNull(), // [{ field: 'role', operator: 'equals', value: 'operator' }], all of which a user must match
+  createdBy: integer('created_by').notNull().references(() => users.id),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull()
 });
@@ -25,15 +77,28 @@ const alerts = pgTable('alerts', {
   title: text('title').notNull(),
   message: text('message').notNull(),
   severity: text('severity').notNull().default('medium'),
+  category: varchar('category', { length: 50 }), // 'weather', 'security', 'life-safety', etc.; only subscribers to it receive the alert, null for everyone
   createdBy: integer('created_by').notNull().references(() => users.id),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
   channels: jsonb('channels').notNull().default(['email']),
-  status: text('status').notNull().default('draft'),
+  status: text('status').notNull().default('draft'), // 'draft', 'pending_approval', 'scheduled', 'sent', 'cancelled', 'expired', 'resolved', 'rejected'
+  scheduledFor: timestamp('scheduled_for'), // When a scheduled alert is due to be sent
   sentAt: timestamp('sent_at'),
+  expiresAt: timestamp('expires_at'), // When a sent alert stops being active; set from its severity if not given
+  resolvedAt: timestamp('resolved_at'), // When the all-clear was sent
+  resolvedBy: integer('resolved_by').references(() => users.id),
+  approvalReason: text('approval_reason'), // Why the alert needed approval, null if it did not
+  reviewedBy: integer('reviewed_by').references(() => users.id), // Who approved or rejected it
+  reviewedAt: timestamp('reviewed_at'),
+  reviewNote: text('review_note'), // Reason given for the approval or rejection
   targeting: jsonb('targeting').notNull().default({ roles: [], specific: [] }),
   attachments: jsonb('attachments').notNull().default([]),
-  deliveryStats: jsonb('delivery_stats').notNull().default({ total: 0, sent: 0, failed: 0, pending: 0 })
+  deliveryStats: jsonb('delivery_stats').notNull().default({ total: 0, sent: 0, failed: 0, pending: 0 }),
+  escalationPolicy: jsonb('escalation_policy'), // { steps: [{ afterMinutes, notify, role, channels }] }, null for none
+  templateId: integer('template_id').references(() => notificationTemplates.id), // Set on alerts created from a template
+  recurrenceId: integer('recurrence_id').references(() => alertRecurrences.id), // Set on alerts created by a recurrence
+  isTest: boolean('is_test').notNull().default(false) // Drills and other test alerts
 });
 
 // Alert Acknowledgments table (for two-way acknowledgments)
@@ -43,13 +108,129 @@ const alertAcknowledgments = pgTable('alert_acknowledgments', {
   userId: integer('user_id').notNull().references(() => users.id),
   acknowledgedAt: timestamp('acknowledged_at').defaultNow().notNull(),
   notes: text('notes')
+}, (table) => [
+  // Each recipient acknowledges an alert once, even when two requests race
+  unique().on(table.alertId, table.userId)
+]);
+
+// Webhook endpoints table (downstream systems that receive alerts over HTTP)
+const webhookEndpoints = pgTable('webhook_endpoints', {
+  id: serial('id').primaryKey(),
+  name: text('name').notNull(),
+  url: text('url').notNull(),
+  secret: text('secret').notNull(), // Shared secret used to sign payloads
+  description: text('description'),
+  active: boolean('active').notNull().default(true),
+  createdBy: integer('created_by').notNull().references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+  lastDeliveryAt: timestamp('last_delivery_at')
+});
+
+// Alert deliveries table (one record per recipient and channel for an alert)
+const alertDeliveries = pgTable('alert_deliveries', {
+  id: serial('id').primaryKey(),
+  alertId: integer('alert_id').notNull().references(() => alerts.id),
+  userId: integer('user_id').references(() => users.id),
+  webhookEndpointId: integer('webhook_endpoint_id').references(() => webhookEndpoints.id), // Set instead of userId for webhook deliveries
+  channel: text('channel').notNull(),
+  status: text('status').notNull().default('pending'), // 'pending', 'retrying', 'sent', 'failed', 'cancelled', then from provider callbacks 'delivered', 'opened', 'undelivered', 'bounced'
+  provider: text('provider'), // 'twilio', 'sendgrid', 'expo', 'simulated', etc.
+  providerMessageId: text('provider_message_id'),
+  address: text('address'), // Email address, phone number or push token the message went to
+  segments: integer('segments'), // Number of SMS parts the message was billed as
+  escalationStep: integer('escalation_step'), // Escalation step that sent this delivery, null for the original alert
+  updateId: integer('update_id').references(() => alertUpdates.id), // Follow-up update this delivery sent, null for the original alert
+  fallbackChannels: jsonb('fallback_channels'), // Channels still to try, in order, if this one fails or is not acknowledged
+  fallbackAt: timestamp('fallback_at'), // When to move on to the next fallback channel
+  error: text('error'),
+  attempts: integer('attempts').notNull().default(0),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+  lastAttemptAt: timestamp('last_attempt_at'),
+  sentAt: timestamp('sent_at'),
+  deliveredAt: timestamp('delivered_at'), // When the provider reported the message delivered
+  openedAt: timestamp('opened_at'), // When the recipient opened the email
+  failedAt: timestamp('failed_at'),
+  receiptCheckedAt: timestamp('receipt_checked_at') // When the push receipt for this delivery was processed
+});
+
+// Delivery jobs table (durable queue of outbound notifications processed by the worker)
+const deliveryJobs = pgTable('delivery_jobs', {
+  id: serial('id').primaryKey(),
+  alertId: integer('alert_id').notNull().references(() => alerts.id),
+  deliveryId: integer('delivery_id').references(() => alertDeliveries.id),
+  userId: integer('user_id').references(() => users.id),
+  webhookEndpointId: integer('webhook_endpoint_id').references(() => webhookEndpoints.id),
+  channel: text('channel').notNull(),
+  status: text('status').notNull().default('pending'), // 'pending', 'processing', 'sent', 'dead', 'cancelled'
+  attempts: integer('attempts').notNull().default(0),
+  maxAttempts: integer('max_attempts').notNull().default(5),
+  runAt: timestamp('run_at').defaultNow().notNull(),
+  lockedAt: timestamp('locked_at'),
+  lockedBy: text('locked_by'),
+  lastError: text('last_error'),
+  payload: jsonb('payload').notNull().default({}), // Channel options such as priority, ttl, sound
+  result: jsonb('result'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+  completedAt: timestamp('completed_at')
+});
+
+// Alert escalations table (one record per escalation policy step of an alert)
+const alertEscalations = pgTable('alert_escalations', {
+  id: serial('id').primaryKey(),
+  alertId: integer('alert_id').notNull().references(() => alerts.id),
+  step: integer('step').notNull(), // 1-based position in the policy
+  notify: text('notify').notNull(), // 'nonResponders' or 'role'
+  role: text('role'), // Role notified when notify is 'role'
+  channels: jsonb('channels').notNull().default([]),
+  afterMinutes: integer('after_minutes').notNull(),
+  dueAt: timestamp('due_at').notNull(),
+  status: text('status').notNull().default('pending'), // 'pending', 'running', 'completed', 'stopped'
+  notifiedCount: integer('notified_count'),
+  reason: text('reason'), // Why the step was stopped
+  startedAt: timestamp('started_at'),
+  completedAt: timestamp('completed_at'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull()
+});
+
+// Alert updates table (follow-up messages sent to an alert's recipients after it went out, e.g. "road reopened")
+const alertUpdates = pgTable('alert_updates', {
+  id: serial('id').primaryKey(),
+  alertId: integer('alert_id').notNull().references(() => alerts.id),
+  version: integer('version').notNull(), // The alert's version after this update; the original alert is version 1
+  kind: text('kind').notNull().default('update'), // 'update', or 'all_clear' for the message that resolves the alert
+  message: text('message').notNull(),
+  severity: text('severity').notNull(), // Severity of the alert from this update on
+  previousSeverity: text('previous_severity').notNull(),
+  notifiedCount: integer('notified_count').notNull().default(0), // Notifications queued for the update
+  createdBy: integer('created_by').notNull().references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow().notNull()
+});
+
+// Webhook deliveries table (history of every request made to a webhook endpoint)
+const webhookDeliveries = pgTable('webhook_deliveries', {
+  id: serial('id').primaryKey(),
+  endpointId: integer('endpoint_id').notNull().references(() => webhookEndpoints.id),
+  alertId: integer('alert_id').references(() => alerts.id),
+  deliveryId: integer('delivery_id').references(() => alertDeliveries.id),
+  event: text('event').notNull(), // 'alert.sent', 'alert.updated', 'alert.resolved' or 'webhook.test'
+  attempt: integer('attempt').notNull().default(1),
+  success: boolean('success').notNull(),
+  statusCode: integer('status_code'),
+  responseBody: text('response_body'), // Truncated
+  error: text('error'),
+  durationMs: integer('duration_ms'),
+  createdAt: timestamp('created_at').defaultNow().notNull()
 });
 
 // Subscriptions table
 const subscriptions = pgTable('subscriptions', {
   id: serial('id').primaryKey(),
   userId: integer('user_id').notNull().references(() => users.id),
-  categories: jsonb('categories').notNull().default([]),
+  categories: jsonb('categories').notNull().default([]), // Alert categories the user opted into
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
   active: boolean('active').notNull().default(true)
@@ -68,12 +249,35 @@ const notificationTemplates = pgTable('notification_templates', {
   translations: jsonb('translations').notNull().default({}), // { 'es': { title: '...', content: '...' } }
   channels: jsonb('channels').notNull().default(['email']), // ['email', 'sms', 'push']
   severity: varchar('severity', { length: 20 }).notNull().default('medium'),
+  escalationPolicy: jsonb('escalation_policy'), // Copied to alerts created from the template
   createdBy: integer('created_by').notNull().references(() => users.id),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
   isActive: boolean('is_active').notNull().default(true)
 });
 
+// Alert recurrences table (alerts created from a template on a repeating schedule, such as monthly siren tests)
+const alertRecurrences = pgTable('alert_recurrences', {
+  id: serial('id').primaryKey(),
+  name: text('name').notNull(),
+  templateId: integer('template_id').notNull().references(() => notificationTemplates.id),
+  rrule: text('rrule').notNull(), // e.g. 'FREQ=MONTHLY;BYDAY=1WE;BYHOUR=12;BYMINUTE=0'
+  timezone: text('timezone').notNull().default('UTC'), // IANA time zone the rule is evaluated in
+  startsAt: timestamp('starts_at').notNull(),
+  endsAt: timestamp('ends_at'),
+  variables: jsonb('variables').notNull().default({}), // Template variables
+  targeting: jsonb('targeting').notNull().default({ roles: [], specific: [] }),
+  isTest: boolean('is_test').notNull().default(false), // Mark every alert as THIS IS A TEST
+  status: text('status').notNull().default('active'), // 'active', 'paused', 'ended'
+  skippedOccurrences: jsonb('skipped_occurrences').notNull().default([]), // ISO times of occurrences not to send
+  nextRunAt: timestamp('next_run_at'), // Next occurrence that will be sent, null once the recurrence ends
+  lastRunAt: timestamp('last_run_at'),
+  lastAlertId: integer('last_alert_id'),
+  createdBy: integer('created_by').notNull().references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull()
+});
+
 // Incidents table
 const incidents = pgTable('incidents', {
   id: serial('id').primaryKey(),
@@ -97,7 +301,49 @@ const usersRelations = relations(users, ({ many }) => ({
   alerts: many(alerts, { relationName: 'user_alerts' }),
   subscriptions: many(subscriptions),
   incidents: many(incidents),
-  templates: many(notificationTemplates, { relationName: 'user_templates' })
+  templates: many(notificationTemplates, { relationName: 'user_templates' }),
+  locations: many(userLocations),
+  groupMemberships: many(groupMembers),
+  audiences: many(audiences)
+}));
+
+// UserLocation-to-other-tables relations
+const userLocationsRelations = relations(userLocations, ({ one }) => ({
+  user: one(users, {
+    fields: [userLocations.userId],
+    references: [users.id]
+  })
+}));
+
+// Group-to-other-tables relations
+const groupsRelations = relations(groups, ({ one, many }) => ({
+  parent: one(groups, {
+    fields: [groups.parentId],
+    references: [groups.id],
+    relationName: 'group_subgroups'
+  }),
+  subgroups: many(groups, { relationName: 'group_subgroups' }),
+  members: many(groupMembers)
+}));
+
+// GroupMember-to-other-tables relations
+const groupMembersRelations = relations(groupMembers, ({ one }) => ({
+  group: one(groups, {
+    fields: [groupMembers.groupId],
+    references: [groups.id]
+  }),
+  user: one(users, {
+    fields: [groupMembers.userId],
+    references: [users.id]
+  })
+}));
+
+// Audience-to-other-tables relations
+const audiencesRelations = relations(audiences, ({ one }) => ({
+  creator: one(users, {
+    fields: [audiences.createdBy],
+    references: [users.id]
+  })
 }));
 
 // Alert-to-other-tables relations
@@ -108,6 +354,18 @@ const alertsRelations = relations(alerts, ({ one, many }) => ({
     relationName: 'user_alerts'
   }),
   acknowledgments: many(alertAcknowledgments),
+  deliveries: many(alertDeliveries),
+  deliveryJobs: many(deliveryJobs),
+  escalations: many(alertEscalations),
+  updates: many(alertUpdates),
+  template: one(notificationTemplates, {
+    fields: [alerts.templateId],
+    references: [notificationTemplates.id]
+  }),
+  recurrence: one(alertRecurrences, {
+    fields: [alerts.recurrenceId],
+    references: [alertRecurrences.id]
+  }),
   relatedIncidents: many(incidents)
 }));
 
@@ -123,6 +381,88 @@ const alertAcknowledgmentsRelations = relations(alertAcknowledgments, ({ one })
   })
 }));
 
+// AlertDelivery-to-other-tables relations
+const alertDeliveriesRelations = relations(alertDeliveries, ({ one }) => ({
+  alert: one(alerts, {
+    fields: [alertDeliveries.alertId],
+    references: [alerts.id]
+  }),
+  user: one(users, {
+    fields: [alertDeliveries.userId],
+    references: [users.id]
+  }),
+  webhookEndpoint: one(webhookEndpoints, {
+    fields: [alertDeliveries.webhookEndpointId],
+    references: [webhookEndpoints.id]
+  }),
+  update: one(alertUpdates, {
+    fields: [alertDeliveries.updateId],
+    references: [alertUpdates.id]
+  })
+}));
+
+// DeliveryJob-to-other-tables relations
+const deliveryJobsRelations = relations(deliveryJobs, ({ one }) => ({
+  alert: one(alerts, {
+    fields: [deliveryJobs.alertId],
+    references: [alerts.id]
+  }),
+  delivery: one(alertDeliveries, {
+    fields: [deliveryJobs.deliveryId],
+    references: [alertDeliveries.id]
+  }),
+  user: one(users, {
+    fields: [deliveryJobs.userId],
+    references: [users.id]
+  }),
+  webhookEndpoint: one(webhookEndpoints, {
+    fields: [deliveryJobs.webhookEndpointId],
+    references: [webhookEndpoints.id]
+  })
+}));
+
+// AlertEscalation-to-other-tables relations
+const alertEscalationsRelations = relations(alertEscalations, ({ one }) => ({
+  alert: one(alerts, {
+    fields: [alertEscalations.alertId],
+    references: [alerts.id]
+  })
+}));
+
+// AlertUpdate-to-other-tables relations
+const alertUpdatesRelations = relations(alertUpdates, ({ one, many }) => ({
+  alert: one(alerts, {
+    fields: [alertUpdates.alertId],
+    references: [alerts.id]
+  }),
+  creator: one(users, {
+    fields: [alertUpdates.createdBy],
+    references: [users.id]
+  }),
+  deliveries: many(alertDeliveries)
+}));
+
+// WebhookEndpoint-to-other-tables relations
+const webhookEndpointsRelations = relations(webhookEndpoints, ({ one, many }) => ({
+  creator: one(users, {
+    fields: [webhookEndpoints.createdBy],
+    references: [users.id]
+  }),
+  deliveries: many(webhookDeliveries)
+}));
+
+// WebhookDelivery-to-other-tables relations
+const webhookDeliveriesRelations = relations(webhookDeliveries, ({ one }) => ({
+  endpoint: one(webhookEndpoints, {
+    fields: [webhookDeliveries.endpointId],
+    references: [webhookEndpoints.id]
+  }),
+  alert: one(alerts, {
+    fields: [webhookDeliveries.alertId],
+    references: [alerts.id]
+  })
+}));
+
 // Subscription-to-other-tables relations
 const subscriptionsRelations = relations(subscriptions, ({ one }) => ({
   user: one(users, {
@@ -143,27 +483,63 @@ const incidentsRelations = relations(incidents, ({ one }) => ({
   })
 }));
 
+// AlertRecurrence-to-other-tables relations
+const alertRecurrencesRelations = relations(alertRecurrences, ({ one, many }) => ({
+  template: one(notificationTemplates, {
+    fields: [alertRecurrences.templateId],
+    references: [notificationTemplates.id]
+  }),
+  creator: one(users, {
+    fields: [alertRecurrences.createdBy],
+    references: [users.id]
+  }),
+  alerts: many(alerts)
+}));
+
 // NotificationTemplate-to-other-tables relations
-const notificationTemplatesRelations = relations(notificationTemplates, ({ one }) => ({
+const notificationTemplatesRelations = relations(notificationTemplates, ({ one, many }) => ({
   creator: one(users, {
     fields: [notificationTemplates.createdBy],
     references: [users.id],
     relationName: 'user_templates'
-  })
+  }),
+  alerts: many(alerts)
 }));
 
 module.exports = {
   users,
+  userLocations,
+  groups,
+  groupMembers,
+  audiences,
   alerts,
   alertAcknowledgments,
+  alertDeliveries,
+  deliveryJobs,
+  alertEscalations,
+  alertUpdates,
+  webhookEndpoints,
+  webhookDeliveries,
   subscriptions,
   incidents,
   notificationTemplates,
+  alertRecurrences,
   // Export relations for use in queries
   usersRelations,
+  userLocationsRelations,
+  groupsRelations,
+  groupMembersRelations,
+  audiencesRelations,
   alertsRelations,
   alertAcknowledgmentsRelations,
+  alertDeliveriesRelations,
+  deliveryJobsRelations,
+  alertEscalationsRelations,
+  alertUpdatesRelations,
+  webhookEndpointsRelations,
+  webhookDeliveriesRelations,
   subscriptionsRelations,
   incidentsRelations,
-  notificationTemplatesRelations
+  notificationTemplatesRelations,
+  alertRecurrencesRelations
 };
\ No newline at end of file
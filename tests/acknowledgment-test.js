@@ -0,0 +1,73 @@
+/**
+ * Acknowledgment test for the emergency alert system
+ * Checks that a recipient's acknowledgment is recorded once, even when two requests race
+ */
+const { check, runTest } = require('./helpers');
+const { getTableConfig } = require('drizzle-orm/pg-core');
+const { db } = require('../db');
+const schema = require('../shared/schema');
+const { alertDB } = require('../services/databaseService');
+const escalationService = require('../services/escalationService');
+const { recordAcknowledgment } = require('../services/acknowledgmentService');
+
+const ALERT = { id: 42, title: 'Gas Leak', status: 'sent' };
+
+runTest('acknowledgment', async () => {
+  console.log('🗄️  Checking the schema...');
+  const { uniqueConstraints } = getTableConfig(schema.alertAcknowledgments);
+  check(uniqueConstraints.some(constraint =>
+    constraint.columns.map(column => column.name).sort().join() === 'alert_id,user_id'
+  ), 'Acknowledgments are unique per alert and user');
+
+  console.log('\n🏁 Acknowledging an alert twice at once...');
+  const acknowledged = new Set();
+  const emitted = [];
+  const io = { emit: (event, data) => emitted.push({ event, data }) };
+
+  // Stand-ins for the database: both requests see no acknowledgment yet, and the
+  // insert fails with a unique violation for whichever one comes second
+  alertDB.findById = async () => ALERT;
+  alertDB.hasUserAcknowledged = async () => false;
+  db.insert = () => ({
+    values: (values) => ({
+      returning: async () => {
+        const key = `${values.alertId}:${values.userId}`;
+
+        if (acknowledged.has(key)) {
+          throw Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' });
+        }
+
+        acknowledged.add(key);
+        return [{ id: 1, ...values }];
+      }
+    })
+  });
+  escalationService.handleAcknowledgment = async () => 0;
+
+  const [first, second] = await Promise.all([
+    recordAcknowledgment(ALERT.id, 7, { io }),
+    recordAcknowledgment(ALERT.id, 7, { io })
+  ]);
+
+  check(first.success && first.acknowledgment.userId === 7, 'The first request records the acknowledgment');
+  check(!second.success && second.reason === 'already_acknowledged', 'The second request is told the alert was already acknowledged');
+  check(emitted.length === 1 && emitted[0].event === 'alertAcknowledged', 'Clients are notified once');
+
+  const other = await recordAcknowledgment(ALERT.id, 8, { io });
+  check(other.success, 'Another recipient can still acknowledge the alert');
+
+  console.log('\n🧱 Checking other database errors...');
+  db.insert = () => ({
+    values: () => ({
+      returning: async () => { throw Object.assign(new Error('connection terminated'), { code: '57P01' }); }
+    })
+  });
+
+  let thrown = null;
+  try {
+    await recordAcknowledgment(ALERT.id, 9, { io });
+  } catch (error) {
+    thrown = error;
+  }
+  check(thrown && thrown.message === 'connection terminated', 'Other database errors are not mistaken for a duplicate');
+});
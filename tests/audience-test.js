@@ -0,0 +1,49 @@
+/**
+ * Saved audience test for the emergency alert system
+ * Checks how audience rules match users and which rules are accepted
+ */
+const { check, runTest } = require('./helpers');
+const { matchesRule, matchesRules } = require('../utils/audienceRules');
+const { validateAudienceData, validateUserAttributes } = require('../utils/validators');
+
+runTest('audience', () => {
+  const operator = {
+    role: 'operator',
+    site: 'North',
+    phoneNumber: '+15551234567',
+    channels: { email: true, sms: true, push: false },
+    attributes: { department: 'Facilities', firstAider: true }
+  };
+  const subscriber = {
+    role: 'subscriber',
+    site: null,
+    phoneNumber: null,
+    channels: { email: true, sms: false, push: true },
+    attributes: {}
+  };
+
+  console.log('🎯 Checking rules...');
+  const northSmsOperators = [
+    { field: 'role', operator: 'equals', value: 'operator' },
+    { field: 'channels.sms', operator: 'equals', value: true },
+    { field: 'site', operator: 'equals', value: 'north' }
+  ];
+  check(matchesRules(operator, northSmsOperators), 'A user matching every rule is in the audience');
+  check(!matchesRules(subscriber, northSmsOperators), 'A user missing one rule is not');
+  check(matchesRule(operator, { field: 'phoneNumber', operator: 'exists' }), 'exists matches a user with a phone number');
+  check(matchesRule(subscriber, { field: 'phoneNumber', operator: 'notExists' }), 'notExists matches a user without one');
+  check(matchesRule(operator, { field: 'attributes.department', operator: 'in', value: ['facilities', 'security'] }), 'Custom attributes can be matched against a list, ignoring case');
+  check(matchesRule(operator, { field: 'attributes.firstAider', operator: 'equals', value: true }), 'Custom attributes can be true/false');
+  check(matchesRule(subscriber, { field: 'site', operator: 'notEquals', value: 'North' }), 'notEquals matches users without the field');
+  check(!matchesRule(subscriber, { field: 'attributes.department', operator: 'equals', value: 'facilities' }), 'A missing attribute does not equal anything');
+
+  console.log('\n📝 Checking validation...');
+  check(validateAudienceData({ name: 'North operators on SMS', rules: northSmsOperators }).isValid, 'A valid audience is accepted');
+  check(!validateAudienceData({ name: 'Empty', rules: [] }).isValid, 'An audience needs at least one rule');
+  check(!validateAudienceData({ name: 'Bad field', rules: [{ field: 'password', operator: 'exists' }] }).isValid, 'Only known fields can be filtered on');
+  check(!validateAudienceData({ name: 'Bad list', rules: [{ field: 'role', operator: 'in', value: 'operator' }] }).isValid, 'in needs a list of values');
+  check(validateAudienceData({ rules: northSmsOperators }, true).isValid, 'Updates may leave out the name');
+  check(validateUserAttributes({ site: 'North', attributes: { department: 'facilities' } }) === null, 'Valid attributes are accepted');
+  check(validateUserAttributes({ attributes: { 'bad name': 'x' } }) !== null, 'Attribute names are letters, digits, - and _');
+  check(validateUserAttributes({ attributes: { team: { nested: true } } }) !== null, 'Attribute values are single values');
+});
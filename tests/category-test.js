@@ -0,0 +1,37 @@
+/**
+ * Alert category test for the emergency alert system
+ * Checks which subscriptions let an alert's category through, and that
+ * mandatory categories cannot be unsubscribed
+ */
+const { check, runTest } = require('./helpers');
+const { MANDATORY_CATEGORIES, normalizeCategory, isMandatoryCategory, acceptsCategory, withMandatoryCategories } = require('../utils/categories');
+const { validateAlertData } = require('../utils/validators');
+
+runTest('category', () => {
+  const weatherOnly = { categories: ['weather'], active: true };
+  const paused = { categories: ['weather'], active: false };
+
+  console.log('📨 Checking subscriptions...');
+  check(acceptsCategory(weatherOnly, 'weather'), 'Subscribers receive the categories they opted into');
+  check(acceptsCategory(weatherOnly, ' Weather '), 'Categories are compared ignoring case and spacing');
+  check(!acceptsCategory(weatherOnly, 'security'), 'Subscribers do not receive other categories');
+  check(acceptsCategory(weatherOnly, null), 'Uncategorized alerts reach everyone');
+  check(acceptsCategory(null, 'security'), 'Users without a subscription receive every category');
+  check(!acceptsCategory(paused, 'weather'), 'A paused subscription lets no optional category through');
+
+  console.log('\n🚨 Checking mandatory categories...');
+  check(MANDATORY_CATEGORIES.includes('life-safety'), 'Life safety is mandatory by default');
+  check(isMandatoryCategory('Life-Safety'), 'Mandatory categories are recognized ignoring case');
+  check(acceptsCategory(weatherOnly, 'life-safety'), 'Mandatory categories reach subscribers who did not pick them');
+  check(acceptsCategory(paused, 'life-safety'), 'Mandatory categories reach paused subscriptions');
+  check(JSON.stringify(withMandatoryCategories(['Weather', 'weather'])) === JSON.stringify(['life-safety', 'weather']), 'Saved categories always include the mandatory ones, once each');
+  check(normalizeCategory('   ') === null, 'A blank category means no category');
+
+  console.log('\n📝 Checking validation...');
+  const alert = { title: 'Storm warning', message: 'Take shelter', severity: 'high', channels: ['email'], targeting: { roles: ['subscriber'] } };
+  check(validateAlertData({ ...alert, category: 'weather' }).isValid, 'A named category is accepted');
+  check(validateAlertData({ ...alert, category: null }).isValid, 'Alerts may be uncategorized');
+  check(!validateAlertData({ ...alert, category: 'x'.repeat(51) }).isValid, 'Category names are at most 50 characters');
+  check(validateAlertData({ ...alert, targeting: { categories: ['weather'] } }).isValid, 'Alerts can target the subscribers of categories');
+  check(!validateAlertData({ ...alert, targeting: { categories: 'weather' } }).isValid, 'Targeted categories must be a list');
+});
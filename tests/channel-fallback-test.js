@@ -0,0 +1,48 @@
+/**
+ * Channel fallback test for the emergency alert system
+ * Checks which channels each recipient is reached on, in their order, which
+ * are kept as fallbacks, and that channels they turned off are never used
+ */
+const { check, runTest } = require('./helpers');
+const deliveryQueue = require('../services/deliveryQueue');
+const { getRecipientChannels } = require('../services/notificationService');
+
+const user = {
+  id: 1,
+  email: 'user@example.com',
+  phoneNumber: '555-123-4567',
+  channels: { email: true, sms: true, push: false },
+  channelPriority: ['sms', 'email']
+};
+
+// Replying STOP turns SMS off
+const stoppedUser = { ...user, id: 2, channels: { email: true, sms: false, push: false } };
+
+runTest('channel fallback', async () => {
+  console.log('📋 Checking channel order...');
+  check(getRecipientChannels(user, ['email', 'sms']).join() === 'sms,email', 'Channels follow the user\'s ranking');
+  check(getRecipientChannels({ ...user, channelPriority: null }, ['sms', 'email']).join() === 'email,sms', 'Unranked channels follow the default order');
+  check(getRecipientChannels({ ...user, phoneNumber: null }, ['email', 'sms']).join() === 'email', 'Channels that cannot reach the user are left out');
+  check(getRecipientChannels(stoppedUser, ['email', 'sms']).join() === 'email', 'Turned off channels are left out');
+  check(getRecipientChannels(stoppedUser, ['sms', 'push']).length === 0, 'A user with none of the alert\'s channels enabled gets none');
+
+  console.log('\n📬 Checking queued deliveries...');
+  const lowAlert = { id: 10, severity: 'low', channels: ['email', 'sms'] };
+  const lowTargets = await deliveryQueue.getAlertTargets(lowAlert, [user]);
+  check(lowTargets.length === 1 && lowTargets[0].channel === 'sms', 'Low alerts go to the first channel only');
+  check(lowTargets[0].fallbackChannels.join() === 'email', 'The rest are kept as fallbacks');
+
+  const criticalAlert = { id: 11, severity: 'critical', channels: ['email', 'sms'] };
+  const criticalTargets = await deliveryQueue.getAlertTargets(criticalAlert, [user]);
+  check(criticalTargets.map(target => target.channel).join() === 'sms,email', 'Critical alerts go to every channel at once');
+  check(criticalTargets.every(target => !target.fallbackChannels), 'Critical alerts keep no fallbacks');
+
+  console.log('\n🛑 Checking users who replied STOP...');
+  const smsAlert = { id: 12, severity: 'medium', channels: ['sms'] };
+  const smsTargets = await deliveryQueue.getAlertTargets(smsAlert, [user, stoppedUser]);
+  check(smsTargets.length === 1 && smsTargets[0].userId === user.id, 'Only the subscribed user gets an SMS job');
+  check(!smsTargets.some(target => target.userId === stoppedUser.id), 'A user who replied STOP gets no SMS job');
+
+  const stoppedCriticalTargets = await deliveryQueue.getAlertTargets(criticalAlert, [stoppedUser]);
+  check(stoppedCriticalTargets.map(target => target.channel).join() === 'email', 'Critical alerts skip SMS for a user who replied STOP');
+});
@@ -0,0 +1,45 @@
+/**
+ * Duplicate alert test for the emergency alert system
+ * Checks which alerts count as repeats of one just sent to the same audience
+ */
+const { check, runTest } = require('./helpers');
+const { alertDB } = require('../services/databaseService');
+const { DUPLICATE_WINDOW_SECONDS, normalizeTitle, getTitleSimilarity, isDuplicate, findDuplicates } = require('../services/duplicateService');
+
+runTest('duplicate alert', async () => {
+  const sent = {
+    title: 'Gas leak - Building A',
+    targeting: { roles: ['subscriber', 'operator'], specific: [3, 7] },
+    templateId: 4
+  };
+
+  console.log('🔤 Checking title similarity...');
+  check(normalizeTitle('  GAS   leak -- Building A! ') === 'gas leak building a', 'Case, spacing and punctuation are ignored');
+  check(getTitleSimilarity('Gas leak - Building A', 'gas leak building a') === 1, 'Titles differing only in case and punctuation match exactly');
+  check(getTitleSimilarity('Gas leak in Building A', 'Gas leak at Building A') >= 0.85, 'Titles differing by a word are similar');
+  check(getTitleSimilarity('Gas leak - Building A', 'Power outage - Building C') < 0.85, 'Different titles are not similar');
+
+  console.log('\n👥 Checking duplicates...');
+  check(isDuplicate({ title: 'GAS LEAK  building A', targeting: { roles: ['operator', 'subscriber'], specific: ['7', '3'] } }, sent), 'Same title to the same audience in another order is a duplicate');
+  check(!isDuplicate({ title: 'Gas leak - Building A', targeting: { roles: ['subscriber'], specific: [3, 7] } }, sent), 'Same title to a different audience is not a duplicate');
+  check(isDuplicate({ title: 'Gas leak - Building B', targeting: sent.targeting, templateId: 4 }, sent), 'Alerts from the same template to the same audience are duplicates');
+  check(!isDuplicate({ title: 'Power outage - Building C', targeting: sent.targeting, templateId: 5 }, sent), 'Different alerts from different templates are not duplicates');
+
+  console.log('\n🗓️  Checking scheduled alerts...');
+  const windows = [];
+
+  // Stand-in for the database: record the window searched and return the alert already scheduled
+  alertDB.getSentOrScheduledBetween = async (since, until) => {
+    windows.push({ since, until });
+    return [{ ...sent, id: 9, status: 'scheduled', scheduledFor: new Date('2030-01-01T09:00:00Z') }];
+  };
+
+  const scheduledFor = '2030-01-01T09:02:00Z';
+  const duplicates = await findDuplicates({ title: 'Gas leak: Building A', targeting: sent.targeting, status: 'scheduled', scheduledFor });
+  check(duplicates.length === 1 && duplicates[0].id === 9, 'A scheduled alert repeating one scheduled around the same time is a duplicate');
+  check(windows[0].since.getTime() === new Date(scheduledFor).getTime() - DUPLICATE_WINDOW_SECONDS * 1000 &&
+    windows[0].until.getTime() === new Date(scheduledFor).getTime() + DUPLICATE_WINDOW_SECONDS * 1000, 'Scheduled alerts are compared with alerts going out around their send time');
+
+  await findDuplicates({ title: 'Gas leak: Building A', targeting: sent.targeting, status: 'sent', scheduledFor });
+  check(Math.abs(windows[1].since.getTime() - (Date.now() - DUPLICATE_WINDOW_SECONDS * 1000)) < 1000, 'Alerts sent now are compared with alerts going out around now');
+});
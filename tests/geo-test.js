@@ -0,0 +1,44 @@
+/**
+ * Geographic targeting test for the emergency alert system
+ * Checks which points fall inside circle and polygon alert areas
+ */
+const { check, runTest } = require('./helpers');
+const { getDistanceMeters, isPointInArea, getAreaBounds } = require('../utils/geo');
+const { validateTargetArea } = require('../utils/validators');
+
+runTest('geographic targeting', () => {
+  const cityHall = { latitude: 41.8837, longitude: -87.6319 };
+  const circle = { type: 'circle', ...cityHall, radius: 2000 };
+
+  // Loop with a hole cut out around the river
+  const polygon = {
+    type: 'Polygon',
+    coordinates: [
+      [[-87.64, 41.87], [-87.62, 41.87], [-87.62, 41.89], [-87.64, 41.89], [-87.64, 41.87]],
+      [[-87.635, 41.885], [-87.63, 41.885], [-87.63, 41.888], [-87.635, 41.888], [-87.635, 41.885]]
+    ]
+  };
+
+  console.log('📏 Checking distances...');
+  const distance = getDistanceMeters(cityHall, { latitude: 41.8789, longitude: -87.6359 });
+  check(distance > 550 && distance < 700, `Distance across the Loop is about 630 m (${Math.round(distance)} m)`);
+
+  console.log('\n⭕ Checking circle areas...');
+  check(isPointInArea({ latitude: 41.8789, longitude: -87.6359 }, circle), 'A point 630 m away is inside a 2 km circle');
+  check(!isPointInArea({ latitude: 41.9484, longitude: -87.6553 }, circle), 'A point 7 km away is outside a 2 km circle');
+
+  const bounds = getAreaBounds(circle);
+  check(bounds.minLatitude < cityHall.latitude && bounds.maxLongitude > cityHall.longitude, 'Circle bounds surround the center');
+
+  console.log('\n🔷 Checking polygon areas...');
+  check(isPointInArea({ latitude: 41.875, longitude: -87.625 }, polygon), 'A point inside the outline is in the polygon');
+  check(!isPointInArea({ latitude: 41.895, longitude: -87.625 }, polygon), 'A point outside the outline is not in the polygon');
+  check(!isPointInArea({ latitude: 41.8865, longitude: -87.6325 }, polygon), 'A point inside a hole is not in the polygon');
+
+  console.log('\n🧾 Checking area validation...');
+  check(validateTargetArea(circle) === null, 'A circle with a center and radius is valid');
+  check(validateTargetArea(polygon) === null, 'A closed polygon is valid');
+  check(validateTargetArea({ ...circle, radius: 0 }) !== null, 'A circle without a radius is invalid');
+  check(validateTargetArea({ type: 'Polygon', coordinates: [[[-87.64, 41.87], [-87.62, 41.87], [-87.62, 41.89], [-87.64, 41.89]]] }) !== null, 'A polygon that is not closed is invalid');
+  check(validateTargetArea({ type: 'circle', latitude: 95, longitude: 0, radius: 100 }) !== null, 'A latitude out of range is invalid');
+});
@@ -0,0 +1,31 @@
+/**
+ * Group hierarchy test for the emergency alert system
+ * Checks which groups an alert to a group reaches and which moves would nest a group inside itself
+ */
+const { check, runTest } = require('./helpers');
+const { getDescendantIds, getAncestorIds, wouldCreateCycle } = require('../services/groupService');
+
+runTest('group hierarchy', () => {
+  const groups = [
+    { id: 1, name: 'Wardens', parentId: null },
+    { id: 2, name: 'Building A Wardens', parentId: 1 },
+    { id: 3, name: 'Building A Floor 1', parentId: 2 },
+    { id: 4, name: 'Building B Wardens', parentId: 1 },
+    { id: 5, name: 'Medical Team', parentId: null }
+  ];
+
+  console.log('🌳 Checking subgroups...');
+  check([...getDescendantIds(groups, [1])].sort().join() === '1,2,3,4', 'A top-level group includes all the groups nested in it');
+  check([...getDescendantIds(groups, [2, 5])].sort().join() === '2,3,5', 'Several groups include their own subgroups only');
+  check(getDescendantIds(groups, [3]).size === 1, 'A group without subgroups includes only itself');
+
+  console.log('\n⬆️ Checking parents...');
+  check(getAncestorIds(groups, 3).join() === '2,1', 'A nested group lists its parents nearest first');
+  check(getAncestorIds(groups, 5).length === 0, 'A top-level group has no parents');
+
+  console.log('\n🔁 Checking moves...');
+  check(wouldCreateCycle(groups, 1, 3), 'A group cannot move under its own subgroup');
+  check(wouldCreateCycle(groups, 2, 2), 'A group cannot move under itself');
+  check(!wouldCreateCycle(groups, 3, 4), 'A group can move under a group in another branch');
+  check(!wouldCreateCycle(groups, 3, null), 'A group can move to the top level');
+});
@@ -0,0 +1,58 @@
+/**
+ * Shared helpers for the standalone test scripts in this directory
+ */
+const http = require('http');
+
+/**
+ * Check one expectation, stopping the test with its description if it does not hold
+ * @param {boolean} condition - Whether the expectation holds
+ * @param {string} description - What is expected, printed when it holds
+ */
+function check(condition, description) {
+  if (!condition) {
+    throw new Error(`Check failed: ${description}`);
+  }
+  console.log(`✅ ${description}`);
+}
+
+/**
+ * Run a test script's checks, reporting the first failure and setting a failing exit code
+ * @param {string} name - What is being tested, such as 'voice channel'
+ * @param {Function} fn - Checks to run; may be async
+ * @returns {Promise<void>}
+ */
+async function runTest(name, fn) {
+  try {
+    await fn();
+    console.log(`\n✅ All ${name} tests passed successfully!`);
+  } catch (error) {
+    console.error(`❌ Error during ${name} test:`, error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Start a local stand-in for a provider's JSON API
+ * @param {number} port - Port to listen on
+ * @param {Function} respond - Called with (req, parsed JSON body); returns { status, body }
+ * @returns {Promise<Object>} Listening HTTP server, to close once the test is done
+ */
+function startStandIn(port, respond) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { status = 200, body: responseBody } = respond(req, body ? JSON.parse(body) : null);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(responseBody));
+    });
+  });
+
+  return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server)));
+}
+
+module.exports = {
+  check,
+  runTest,
+  startStandIn
+};
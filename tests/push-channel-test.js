@@ -0,0 +1,114 @@
+/**
+ * Push channel test for the emergency alert system
+ * Sends push notifications through a local stand-in for the Expo push service
+ * and checks batching, ticket handling and push receipts
+ */
+const { check, runTest, startStandIn } = require('./helpers');
+
+// Configuration
+const PORT = process.env.PUSH_TEST_PORT || 5056;
+process.env.EXPO_PUSH_BASE_URL = `http://127.0.0.1:${PORT}`;
+
+const pushChannel = require('../services/channels/pushChannel');
+const { alertDeliveryDB, userDB } = require('../services/databaseService');
+
+// Record which alerts have their statistics refreshed instead of writing them
+const refreshedAlerts = [];
+require('../services/deliveryQueue').refreshDeliveryStats = async (alertId) => { refreshedAlerts.push(alertId); };
+const { checkPushReceipts } = require('../services/pushReceiptService');
+
+const ALERT = {
+  id: 42,
+  title: 'Gas Leak',
+  message: 'Evacuate Building A immediately.',
+  severity: 'high',
+  channels: ['push']
+};
+
+// The stand-in rejects this token as if the app had been uninstalled
+const UNREGISTERED_TOKEN = 'ExponentPushToken[uninstalled]';
+
+// Requests the stand-in received
+const pushRequests = [];
+const receiptRequests = [];
+
+/**
+ * Answer like the Expo push API: a ticket per message, and receipts for two known tickets
+ */
+const respond = (req, payload) => {
+  if (req.url === '/push/send') {
+    pushRequests.push(payload);
+
+    return {
+      body: {
+        data: payload.map(message => message.to === UNREGISTERED_TOKEN
+          ? { status: 'error', message: `"${message.to}" is not a registered push notification recipient`, details: { error: 'DeviceNotRegistered' } }
+          : { status: 'ok', id: `ticket-${message.to}` })
+      }
+    };
+  }
+
+  receiptRequests.push(payload);
+
+  return {
+    body: {
+      data: {
+        'ticket-ok': { status: 'ok' },
+        'ticket-gone': { status: 'error', message: 'The device cannot receive push notifications', details: { error: 'DeviceNotRegistered' } }
+      }
+    }
+  };
+};
+
+const pushItem = (id, pushToken) => ({
+  alert: ALERT,
+  recipient: { id, pushToken },
+  options: {}
+});
+
+startStandIn(PORT, respond).then(server => runTest('push channel', async () => {
+  console.log('📱 Sending push notifications to 150 devices...');
+  const items = Array.from({ length: 150 }, (_, i) => pushItem(i + 1, `ExponentPushToken[device-${i + 1}]`));
+  items[120] = pushItem(121, UNREGISTERED_TOKEN);
+  items[10] = pushItem(11, 'fcm-token-not-from-expo');
+
+  const results = await pushChannel.sendBatch(items);
+
+  check(pushRequests.length === 2, 'Messages were sent in two requests');
+  check(pushRequests[0].length === 100 && pushRequests[1].length === 49, 'Requests hold at most 100 messages');
+  check(!pushRequests.flat().some(message => message.to === 'fcm-token-not-from-expo'), 'Non-Expo tokens are not sent to Expo');
+  check(results.length === 150, 'Every recipient has a result');
+  check(results[149].success && results[149].messageId === 'ticket-ExponentPushToken[device-150]', 'Tickets are matched to their recipients across requests');
+  check(results[149].recipientId === 150 && results[149].pushToken === 'ExponentPushToken[device-150]', 'Results carry the recipient and token');
+
+  const unregistered = results[120];
+  check(!unregistered.success && unregistered.recipientId === 121, 'A rejected ticket fails its recipient only');
+  check(unregistered.permanent && unregistered.deviceNotRegistered, 'DeviceNotRegistered is permanent and flags the token');
+  check(results[121].success, 'Recipients after a rejected ticket still succeed');
+
+  console.log('\n🧾 Checking push receipts...');
+  const deliveries = [
+    { id: 1, alertId: ALERT.id, userId: 1, address: 'ExponentPushToken[ok]', providerMessageId: 'ticket-ok', sentAt: new Date() },
+    { id: 2, alertId: ALERT.id, userId: 2, address: 'ExponentPushToken[gone]', providerMessageId: 'ticket-gone', sentAt: new Date(), fallbackChannels: ['sms'] },
+    { id: 3, alertId: ALERT.id, userId: 3, address: 'ExponentPushToken[late]', providerMessageId: 'ticket-late', sentAt: new Date() },
+    { id: 4, alertId: ALERT.id, userId: 4, address: 'ExponentPushToken[old]', providerMessageId: 'ticket-old', sentAt: new Date(Date.now() - 25 * 60 * 60 * 1000) }
+  ];
+  const deliveryUpdates = {};
+  const clearedTokens = [];
+
+  // Stand-ins for the database
+  alertDeliveryDB.getAwaitingPushReceipts = async () => deliveries;
+  alertDeliveryDB.update = async (id, updates) => { deliveryUpdates[id] = updates; };
+  userDB.clearPushToken = async (userId, token) => { clearedTokens.push({ userId, token }); };
+
+  const summary = await checkPushReceipts();
+
+  check(receiptRequests.length === 1 && receiptRequests[0].ids.length === 4, 'Receipts were requested for every ticket at once');
+  check(summary.checked === 2 && summary.failed === 1 && summary.expired === 1, 'Summary counts checked, failed and expired receipts');
+  check(deliveryUpdates[1] && deliveryUpdates[1].receiptCheckedAt && !deliveryUpdates[1].status, 'An ok receipt leaves the delivery sent');
+  check(deliveryUpdates[2].status === 'failed' && deliveryUpdates[2].fallbackAt, 'A failed receipt fails the delivery and moves on to the next channel');
+  check(clearedTokens.length === 1 && clearedTokens[0].userId === 2 && clearedTokens[0].token === 'ExponentPushToken[gone]', 'DeviceNotRegistered clears the token');
+  check(refreshedAlerts.length === 1 && refreshedAlerts[0] === ALERT.id, 'Statistics are refreshed for the alert with a failed receipt');
+  check(!deliveryUpdates[3], 'Tickets without a receipt yet are checked again later');
+  check(deliveryUpdates[4] && deliveryUpdates[4].receiptCheckedAt, 'Receipts are given up on after 24 hours');
+}).finally(() => server.close()));
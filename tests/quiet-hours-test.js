@@ -0,0 +1,37 @@
+/**
+ * Quiet hours test for the emergency alert system
+ * Checks when a user's quiet hours are in effect and when they end,
+ * including overnight windows and daylight saving changes
+ */
+const { check, runTest } = require('./helpers');
+const { getQuietHoursEnd } = require('../utils/quietHours');
+const { validateQuietHours } = require('../utils/validators');
+
+const endOf = (quietHours, at) => {
+  const end = getQuietHoursEnd(quietHours, new Date(at));
+  return end && end.toISOString();
+};
+
+runTest('quiet hours', () => {
+  const overnight = { start: '22:00', end: '07:00', timezone: 'America/New_York' };
+
+  console.log('🌙 Checking overnight quiet hours...');
+  check(endOf(overnight, '2026-01-15T04:00:00Z') === '2026-01-15T12:00:00.000Z', 'Before midnight, quiet hours end at 7am the next day');
+  check(endOf(overnight, '2026-01-15T10:00:00Z') === '2026-01-15T12:00:00.000Z', 'After midnight, quiet hours end at 7am the same day');
+  check(endOf(overnight, '2026-01-15T12:00:00Z') === null, 'Quiet hours are over at 7am');
+  check(endOf(overnight, '2026-01-15T20:00:00Z') === null, 'Quiet hours are not in effect during the day');
+  check(endOf(overnight, '2026-03-08T05:00:00Z') === '2026-03-08T11:00:00.000Z', 'Quiet hours end at 7am EDT on the night DST starts');
+
+  console.log('\n☀️ Checking daytime quiet hours...');
+  const afternoon = { start: '13:00', end: '14:30', timezone: 'Europe/London' };
+  check(endOf(afternoon, '2026-07-01T12:15:00Z') === '2026-07-01T13:30:00.000Z', 'Quiet hours in the same day end that day');
+  check(endOf(afternoon, '2026-07-01T11:59:00Z') === null, 'Quiet hours have not started yet');
+  check(endOf(null, '2026-07-01T12:15:00Z') === null, 'Users without quiet hours are never held back');
+
+  console.log('\n📝 Checking validation...');
+  check(validateQuietHours(overnight) === null, 'Valid quiet hours are accepted');
+  check(validateQuietHours(null) === null, 'Null turns quiet hours off');
+  check(validateQuietHours({ start: '7pm', end: '07:00', timezone: 'UTC' }) !== null, 'Times must be HH:MM');
+  check(validateQuietHours({ start: '22:00', end: '22:00', timezone: 'UTC' }) !== null, 'Quiet hours cannot start and end at the same time');
+  check(validateQuietHours({ start: '22:00', end: '07:00', timezone: 'Nowhere/Else' }) !== null, 'Time zone must be known');
+});
@@ -0,0 +1,49 @@
+/**
+ * Recurrence rule test for the emergency alert system
+ * Checks the occurrences of the rules used for recurring alerts and drills,
+ * including across daylight saving changes
+ */
+const { check, runTest } = require('./helpers');
+const { parseRRule, getOccurrences, isOccurrence } = require('../utils/recurrence');
+const { markAsTest } = require('../services/recurrenceService');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+runTest('recurrence', () => {
+  console.log('📅 Checking the monthly siren test...');
+  const sirenTest = {
+    rrule: 'FREQ=MONTHLY;BYDAY=1WE;BYHOUR=12;BYMINUTE=0',
+    timezone: 'America/New_York',
+    startsAt: '2026-01-01T00:00:00Z'
+  };
+  const occurrences = iso(getOccurrences(sirenTest, { after: new Date('2026-02-15T00:00:00Z'), count: 3 }));
+
+  check(occurrences[0] === '2026-03-04T17:00:00.000Z', 'First Wednesday before DST starts is noon EST');
+  check(occurrences[1] === '2026-04-01T16:00:00.000Z', 'First Wednesday after DST starts is noon EDT');
+  check(occurrences[2] === '2026-05-06T16:00:00.000Z', 'Occurrences continue monthly');
+  check(isOccurrence(sirenTest, '2026-04-01T16:00:00Z'), 'Occurrence time is recognised');
+  check(!isOccurrence(sirenTest, '2026-04-08T16:00:00Z'), 'Second Wednesday is not an occurrence');
+
+  console.log('\n📅 Checking other rules...');
+  const lastFriday = iso(getOccurrences({ rrule: 'FREQ=MONTHLY;BYDAY=-1FR;BYHOUR=9;BYMINUTE=30', startsAt: '2026-01-01T00:00:00Z' }, { after: new Date('2026-01-01T00:00:00Z'), count: 2 }));
+  check(lastFriday[0] === '2026-01-30T09:30:00.000Z' && lastFriday[1] === '2026-02-27T09:30:00.000Z', 'Last Friday of the month');
+
+  const biweekly = iso(getOccurrences({ rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', startsAt: '2026-01-05T08:00:00Z' }, { after: new Date('2026-01-01T00:00:00Z'), count: 2 }));
+  check(biweekly[0] === '2026-01-05T08:00:00.000Z' && biweekly[1] === '2026-01-19T08:00:00.000Z', 'Every other Monday at the start time');
+
+  const ending = getOccurrences({ rrule: 'FREQ=DAILY', startsAt: '2026-01-01T06:00:00Z', endsAt: '2026-01-03T06:00:00Z' }, { after: new Date('2025-12-31T00:00:00Z'), count: 10 });
+  check(ending.length === 3, 'Occurrences stop at the end date');
+
+  let rejected = false;
+  try {
+    parseRRule('FREQ=WEEKLY;BYDAY=1WE');
+  } catch (error) {
+    rejected = true;
+  }
+  check(rejected, 'Week numbers are only accepted with FREQ=MONTHLY');
+
+  console.log('\n🧪 Checking test marking...');
+  const marked = markAsTest('Siren Test', 'Sirens will sound at noon.');
+  check(marked.title === 'THIS IS A TEST: Siren Test', 'Title is marked as a test');
+  check(marked.message.startsWith('THIS IS A TEST.') && marked.message.endsWith('THIS IS A TEST.'), 'Message is marked as a test at both ends');
+});
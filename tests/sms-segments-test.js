@@ -0,0 +1,71 @@
+/**
+ * SMS segment test for the emergency alert system
+ * Checks how messages are encoded, split into concatenated parts and
+ * shortened to fit a number of parts
+ */
+const { check, runTest } = require('./helpers');
+const { detectEncoding, splitSms, fitToSegments } = require('../utils/smsSegments');
+
+// A part ending in the first half of a surrogate pair would show as garbage
+const endsMidCharacter = (part) => /[\uD800-\uDBFF]$/.test(part);
+
+runTest('SMS segment', () => {
+  console.log('🔤 Checking encodings...');
+  check(detectEncoding('Evacuate Building A @ 10:00 £5 ÄÖ') === 'GSM-7', 'GSM alphabet text is sent as GSM-7');
+  check(detectEncoding('Price: {€5}') === 'GSM-7', 'Extension characters are still GSM-7');
+  check(detectEncoding('Evacuate now 🚨') === 'UCS-2', 'One emoji forces UCS-2');
+  check(detectEncoding('Эвакуация') === 'UCS-2', 'Non-GSM letters force UCS-2');
+
+  console.log('\n✂️ Checking GSM-7 parts...');
+  const single = splitSms('a'.repeat(160));
+  check(single.segments === 1 && single.length === 160, '160 GSM-7 characters fit in one part');
+  const double = splitSms('a'.repeat(161));
+  check(double.segments === 2, '161 GSM-7 characters take two parts');
+  check(double.parts[0].length === 153 && double.parts[1].length === 8, 'Multipart GSM-7 messages hold 153 characters per part');
+  check(splitSms('a'.repeat(159) + '€').segments === 2, '€ counts as two septets');
+  check(splitSms('').segments === 0, 'An empty message has no parts');
+
+  const euroAtBoundary = splitSms('a'.repeat(152) + '€' + 'b'.repeat(10));
+  check(euroAtBoundary.length === 164, 'Length counts the escape septet');
+  check(euroAtBoundary.parts[0] === 'a'.repeat(152), 'A € that would straddle two parts is not split');
+  check(euroAtBoundary.parts[1] === '€' + 'b'.repeat(10), 'The € starts the next part instead');
+
+  console.log('\n🈶 Checking UCS-2 parts...');
+  check(splitSms('ж'.repeat(70)).segments === 1, '70 UCS-2 characters fit in one part');
+  const ucs2 = splitSms('ж'.repeat(71));
+  check(ucs2.segments === 2 && ucs2.parts[0].length === 67, 'Multipart UCS-2 messages hold 67 characters per part');
+  check(splitSms('Evacuate now 🚨').length === 15, 'An emoji takes two UTF-16 units');
+
+  const emojiAtBoundary = splitSms('ж'.repeat(66) + '🚨' + 'ж'.repeat(10));
+  check(emojiAtBoundary.parts[0] === 'ж'.repeat(66), 'An emoji that would straddle two parts is not split');
+  check(!emojiAtBoundary.parts.some(endsMidCharacter) && emojiAtBoundary.parts.join('') === 'ж'.repeat(66) + '🚨' + 'ж'.repeat(10), 'Parts join back into the original text');
+
+  console.log('\n📏 Checking fitting to a number of parts...');
+  const short = fitToSegments('Evacuate Building A.', 3);
+  check(!short.truncated && short.text === 'Evacuate Building A.', 'Messages that fit are left alone');
+
+  const long = fitToSegments('Evacuate Building A immediately. '.repeat(30), 3);
+  check(long.truncated && long.segments === 3, 'Long messages are shortened to the maximum number of parts');
+  check(long.text.endsWith('...'), 'Shortened messages end with an ellipsis');
+
+  const euros = fitToSegments('€'.repeat(250), 2);
+  check(euros.segments <= 2 && euros.text.endsWith('...'), 'Two-septet characters are backed off until the message fits');
+
+  const emoji = fitToSegments('🚨'.repeat(200), 2);
+  check(emoji.encoding === 'UCS-2' && emoji.segments <= 2, 'UCS-2 messages are shortened to fit');
+  check(!/[\uD800-\uDBFF]\.\.\./.test(emoji.text), 'Shortening never cuts an emoji in half');
+
+  const suffix = '\nAcknowledge: https://alerts.example.com/ack/1.2.abc.signature';
+  const shortWithLink = fitToSegments('Evacuate Building A.', 3, suffix);
+  check(!shortWithLink.truncated && shortWithLink.text === 'Evacuate Building A.' + suffix, 'A suffix is appended to messages that fit');
+
+  const longWithLink = fitToSegments('Evacuate Building A immediately. '.repeat(30), 3, suffix);
+  check(longWithLink.truncated && longWithLink.segments === 3, 'Messages with a suffix are shortened to the maximum number of parts');
+  check(longWithLink.text.endsWith('...' + suffix), 'The suffix is kept whole after the ellipsis');
+
+  const eurosWithLink = fitToSegments('€'.repeat(250), 2, suffix);
+  check(eurosWithLink.segments <= 2 && eurosWithLink.text.endsWith('...' + suffix), 'Backing off leaves room for the suffix');
+
+  const oneSegment = fitToSegments('a'.repeat(300), 1);
+  check(oneSegment.segments === 1 && oneSegment.text.length === 160, 'A single part may use all 160 characters');
+});
@@ -0,0 +1,65 @@
+/**
+ * Voice channel test for the emergency alert system
+ * Places a call for a critical alert through a local stand-in for Twilio and
+ * checks the TwiML the recipient would hear
+ */
+const { check, runTest, startStandIn } = require('./helpers');
+
+// Configuration
+const PORT = process.env.VOICE_TEST_PORT || 5055;
+process.env.VOICE_TRANSPORT_URL = `http://127.0.0.1:${PORT}/calls`;
+process.env.PUBLIC_BASE_URL = 'https://alerts.example.com';
+
+const voiceChannel = require('../services/channels/voiceChannel');
+
+const ALERT = {
+  id: 42,
+  title: 'Gas Leak',
+  message: 'Evacuate Building A immediately.',
+  severity: 'critical'
+};
+
+const RECIPIENT = {
+  id: 7,
+  phoneNumber: '555-123-4567'
+};
+
+// Calls the stand-in for the Twilio calls API received
+const receivedCalls = [];
+
+/**
+ * Answer like the Twilio calls API, with a made-up call SID
+ */
+const respond = (req, call) => {
+  receivedCalls.push(call);
+
+  return { status: 201, body: { sid: `CA-TEST-${receivedCalls.length}` } };
+};
+
+startStandIn(PORT, respond).then(server => runTest('voice channel', async () => {
+  console.log('📞 Placing a voice call for a critical alert...');
+  const result = await voiceChannel.send(ALERT, RECIPIENT);
+
+  check(result.success, 'Call was placed');
+  check(result.provider === 'http', 'Call went through the HTTP transport');
+  check(result.messageId === 'CA-TEST-1', 'Call SID was returned as the message ID');
+  check(receivedCalls.length === 1, 'Stand-in received one call');
+
+  const call = receivedCalls[0];
+  check(call.to === '+15551234567', 'Phone number was formatted for Twilio');
+  check(call.twiml.includes('<Say>This is an emergency alert. Severity critical. Gas Leak.'), 'Alert is read aloud');
+  check(call.twiml.includes('action="https://alerts.example.com/api/voice/gather?alertId=42&amp;userId=7"'), 'Keypress is posted to the gather callback');
+  check(call.twiml.includes(`Press ${voiceChannel.ACKNOWLEDGE_DIGIT} to acknowledge this alert.`), 'Caller is asked to press a key');
+
+  console.log('\n🟢 Placing a voice call for an all-clear...');
+  await voiceChannel.send({ ...ALERT, title: `ALL CLEAR: ${ALERT.title}`, updateKind: 'all_clear' }, RECIPIENT);
+  check(receivedCalls.length === 2, 'Stand-in received the all-clear call');
+  check(!receivedCalls[1].twiml.includes('<Gather'), 'All-clear call does not ask for a keypress');
+
+  console.log('\n🔁 Checking call status callbacks...');
+  const [update] = voiceChannel.handleStatusCallback({ CallSid: 'CA-TEST-1', CallStatus: 'no-answer' });
+  check(update.status === 'undelivered', 'Unanswered call is reported as undelivered');
+  check(update.error === 'Call no-answer', 'Unanswered call keeps Twilio\'s status as the error');
+  check(voiceChannel.handleStatusCallback({ CallSid: 'CA-TEST-1', CallStatus: 'completed' })[0].status === 'delivered', 'Answered call is reported as delivered');
+  check(voiceChannel.handleStatusCallback({ CallSid: 'CA-TEST-1', CallStatus: 'ringing' }).length === 0, 'In-progress statuses are ignored');
+}).finally(() => server.close()));
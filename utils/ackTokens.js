@@ -0,0 +1,98 @@
+/**
+ * Acknowledgment link tokens for the emergency alert system
+ * Signed, short-lived tokens that let one recipient acknowledge one alert
+ * without logging in. They are kept compact because they are sent by SMS.
+ */
+const crypto = require('crypto');
+
+const ACK_TOKEN_SECRET = process.env.ACK_TOKEN_SECRET || process.env.JWT_SECRET || 'emergency-alert-system-secret-key';
+const ACK_LINK_TTL_HOURS = parseInt(process.env.ACK_LINK_TTL_HOURS) || 48;
+
+/**
+ * Sign the contents of a token
+ * @param {string} payload - Encoded alert ID, user ID and expiry
+ * @returns {string} Truncated base64url HMAC-SHA256 signature
+ */
+const sign = (payload) => {
+  return crypto.createHmac('sha256', ACK_TOKEN_SECRET)
+    .update(`ack.${payload}`)
+    .digest('base64url')
+    .substring(0, 22); // 128 bits
+};
+
+/**
+ * Create a token that acknowledges an alert on behalf of a user
+ * @param {number} alertId - Alert ID
+ * @param {number} userId - Recipient's user ID
+ * @param {number} ttlHours - Hours until the token expires
+ * @returns {string} Token of the form <alertId>.<userId>.<expiry>.<signature>
+ */
+const createAckToken = (alertId, userId, ttlHours = ACK_LINK_TTL_HOURS) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlHours * 3600;
+  const payload = [alertId, userId, expiresAt].map(value => value.toString(36)).join('.');
+  
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} token - Token from an acknowledgment link
+ * @returns {Object} { valid, alertId, userId } or { valid: false, reason } where
+ *   reason is 'invalid' or 'expired'
+ */
+const verifyAckToken = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  
+  if (parts.length !== 4) {
+    return { valid: false, reason: 'invalid' };
+  }
+  
+  const payload = parts.slice(0, 3).join('.');
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(parts[3]);
+  
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: 'invalid' };
+  }
+  
+  const [alertId, userId, expiresAt] = parts.slice(0, 3).map(value => parseInt(value, 36));
+  
+  if (expiresAt < Date.now() / 1000) {
+    return { valid: false, reason: 'expired' };
+  }
+  
+  return { valid: true, alertId, userId };
+};
+
+/**
+ * Build the link a recipient follows to acknowledge an alert
+ * @param {number} alertId - Alert ID
+ * @param {number} userId - Recipient's user ID
+ * @returns {string|null} Acknowledgment URL, or null without PUBLIC_BASE_URL
+ */
+const getAckUrl = (alertId, userId) => {
+  const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+  
+  if (!baseUrl || !alertId || !userId) {
+    return null;
+  }
+  
+  return `${baseUrl}/ack/${createAckToken(alertId, userId)}`;
+};
+
+/**
+ * Check whether a notification should ask its recipient to acknowledge the alert.
+ * An all-clear resolves the alert, so there is nothing left to acknowledge.
+ * @param {Object} alert - Alert being sent, with the update's fields applied for update notifications
+ * @returns {boolean} True if the notification should carry an acknowledgment link or prompt
+ */
+const isAcknowledgeable = (alert) => {
+  return alert.updateKind !== 'all_clear';
+};
+
+module.exports = {
+  isAcknowledgeable,
+  createAckToken,
+  verifyAckToken,
+  getAckUrl
+};
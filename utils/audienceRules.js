@@ -0,0 +1,102 @@
+/**
+ * Audience rules for the emergency alert system
+ * A saved audience is a list of rules over user fields, all of which a user
+ * must match, such as { field: 'channels.sms', operator: 'equals', value: true }.
+ * Rules are evaluated whenever an alert is sent, so the audience follows
+ * changes to users.
+ */
+
+// Fields rules can filter on; channels.<name> and attributes.<key> pick out one channel or custom attribute
+const AUDIENCE_FIELDS = ['role', 'site', 'phoneNumber'];
+const FIELD_PATTERN = /^(channels|attributes)\.([A-Za-z0-9_-]{1,50})$/;
+
+// Operators taking a single value, a list of values, or none
+const VALUE_OPERATORS = ['equals', 'notEquals'];
+const LIST_OPERATORS = ['in', 'notIn'];
+const PRESENCE_OPERATORS = ['exists', 'notExists'];
+const AUDIENCE_OPERATORS = [...VALUE_OPERATORS, ...LIST_OPERATORS, ...PRESENCE_OPERATORS];
+
+/**
+ * Check whether a rule field can be filtered on
+ * @param {string} field - Field such as 'role' or 'attributes.department'
+ * @returns {boolean} True if the field is known
+ */
+const isValidField = (field) => {
+  return typeof field === 'string' && (AUDIENCE_FIELDS.includes(field) || FIELD_PATTERN.test(field));
+};
+
+/**
+ * Read a rule field from a user
+ * @param {Object} user - User
+ * @param {string} field - Field such as 'role' or 'channels.sms'
+ * @returns {*} The field's value, or undefined if the user does not have it
+ */
+const getFieldValue = (user, field) => {
+  const match = FIELD_PATTERN.exec(field);
+
+  if (match) {
+    const values = user[match[1]];
+    return values ? values[match[2]] : undefined;
+  }
+
+  return user[field];
+};
+
+/**
+ * Make values comparable: strings ignore case and surrounding spaces
+ * @param {*} value - Value
+ * @returns {*} Comparable value
+ */
+const normalizeValue = (value) => {
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
+};
+
+/**
+ * Check whether a user matches one rule
+ * @param {Object} user - User
+ * @param {Object} rule - { field, operator, value }
+ * @returns {boolean} True if the user matches
+ */
+const matchesRule = (user, rule) => {
+  const value = normalizeValue(getFieldValue(user, rule.field));
+  const present = value !== undefined && value !== null && value !== '';
+
+  switch (rule.operator) {
+    case 'equals':
+      return present && value === normalizeValue(rule.value);
+    case 'notEquals':
+      return !present || value !== normalizeValue(rule.value);
+    case 'in':
+      return present && rule.value.map(normalizeValue).includes(value);
+    case 'notIn':
+      return !present || !rule.value.map(normalizeValue).includes(value);
+    case 'exists':
+      return present;
+    case 'notExists':
+      return !present;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check whether a user belongs to an audience
+ * @param {Object} user - User
+ * @param {Array} rules - Audience rules
+ * @returns {boolean} True if the user matches every rule
+ */
+const matchesRules = (user, rules) => {
+  return rules.every(rule => matchesRule(user, rule));
+};
+
+module.exports = {
+  AUDIENCE_FIELDS,
+  AUDIENCE_OPERATORS,
+  VALUE_OPERATORS,
+  LIST_OPERATORS,
+  PRESENCE_OPERATORS,
+  isValidField,
+  getFieldValue,
+  matchesRule,
+  matchesRules
+};
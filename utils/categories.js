@@ -0,0 +1,73 @@
+/**
+ * Alert categories for the emergency alert system
+ * Works out whether a user's subscription lets an alert of a given category
+ * through. Mandatory categories reach everyone and cannot be unsubscribed.
+ */
+
+// Categories every user receives, such as 'life-safety'
+const MANDATORY_CATEGORIES = (process.env.MANDATORY_ALERT_CATEGORIES || 'life-safety')
+  .split(',')
+  .map(category => category.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Normalize a category name so 'Weather ' and 'weather' are the same category
+ * @param {string|null} category - Category name
+ * @returns {string|null} Trimmed, lower-case category, or null for none
+ */
+const normalizeCategory = (category) => {
+  return typeof category === 'string' && category.trim() ? category.trim().toLowerCase() : null;
+};
+
+/**
+ * Check whether a category is one users cannot unsubscribe from
+ * @param {string|null} category - Category name
+ * @returns {boolean} True if the category is mandatory
+ */
+const isMandatoryCategory = (category) => {
+  return MANDATORY_CATEGORIES.includes(normalizeCategory(category));
+};
+
+/**
+ * Check whether a user's subscription lets an alert of a category through.
+ * Uncategorized and mandatory alerts reach everyone, users who never set up
+ * a subscription receive every category, and a paused subscription only
+ * lets mandatory categories through.
+ * @param {Object|null} subscription - { categories, active }, or null for none
+ * @param {string|null} category - Alert category
+ * @returns {boolean} True if the user should receive the alert
+ */
+const acceptsCategory = (subscription, category) => {
+  const normalized = normalizeCategory(category);
+
+  if (!normalized || MANDATORY_CATEGORIES.includes(normalized)) {
+    return true;
+  }
+
+  if (!subscription) {
+    return true;
+  }
+
+  if (!subscription.active) {
+    return false;
+  }
+
+  return (subscription.categories || []).map(normalizeCategory).includes(normalized);
+};
+
+/**
+ * Add the mandatory categories to the categories a user picked
+ * @param {Array} categories - Categories the user opted into
+ * @returns {Array} Distinct, normalized categories including the mandatory ones
+ */
+const withMandatoryCategories = (categories) => {
+  return [...new Set([...MANDATORY_CATEGORIES, ...categories.map(normalizeCategory).filter(Boolean)])];
+};
+
+module.exports = {
+  MANDATORY_CATEGORIES,
+  normalizeCategory,
+  isMandatoryCategory,
+  acceptsCategory,
+  withMandatoryCategories
+};
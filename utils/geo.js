@@ -0,0 +1,120 @@
+/**
+ * Geographic helpers for the emergency alert system
+ * Works out whether a point lies inside an alert's target area, which is
+ * either a circle ({ type: 'circle', latitude, longitude, radius } with the
+ * radius in meters) or a GeoJSON Polygon
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Meters covered by one degree of latitude
+const METERS_PER_DEGREE = 111320;
+
+// Largest circle an alert can target
+const MAX_AREA_RADIUS_METERS = 500000;
+
+/**
+ * Check a latitude and longitude pair
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east
+ * @returns {boolean} True if both are finite numbers in range
+ */
+const isValidCoordinate = (latitude, longitude) => {
+  return typeof latitude === 'number' && typeof longitude === 'number' &&
+    Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 &&
+    longitude >= -180 && longitude <= 180;
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in meters
+ */
+const getDistanceMeters = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Check whether a point lies inside a linear ring, by counting how many of
+ * the ring's edges a ray from the point crosses
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array} ring - GeoJSON positions, [longitude, latitude]
+ * @returns {boolean} True if the point is inside the ring
+ */
+const isPointInRing = (point, ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > point.latitude) !== (yj > point.latitude) &&
+        point.longitude < (xj - xi) * (point.latitude - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * Check whether a point lies inside an alert area
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} area - Circle or GeoJSON Polygon
+ * @returns {boolean} True if the point is inside the area
+ */
+const isPointInArea = (point, area) => {
+  if (area.type === 'circle') {
+    return getDistanceMeters(point, area) <= area.radius;
+  }
+
+  // The first ring is the outline, any others are holes cut out of it
+  const [outline, ...holes] = area.coordinates;
+
+  return isPointInRing(point, outline) && !holes.some(hole => isPointInRing(point, hole));
+};
+
+/**
+ * Get the box around an alert area, for narrowing down the locations to check
+ * @param {Object} area - Circle or GeoJSON Polygon
+ * @returns {Object} { minLatitude, maxLatitude, minLongitude, maxLongitude }
+ */
+const getAreaBounds = (area) => {
+  if (area.type === 'circle') {
+    const latitudeDelta = area.radius / METERS_PER_DEGREE;
+    const longitudeDelta = area.radius / (METERS_PER_DEGREE * Math.max(Math.cos(area.latitude * Math.PI / 180), 0.01));
+
+    return {
+      minLatitude: Math.max(area.latitude - latitudeDelta, -90),
+      maxLatitude: Math.min(area.latitude + latitudeDelta, 90),
+      minLongitude: Math.max(area.longitude - longitudeDelta, -180),
+      maxLongitude: Math.min(area.longitude + longitudeDelta, 180)
+    };
+  }
+
+  const longitudes = area.coordinates[0].map(([longitude]) => longitude);
+  const latitudes = area.coordinates[0].map(([, latitude]) => latitude);
+
+  return {
+    minLatitude: Math.min(...latitudes),
+    maxLatitude: Math.max(...latitudes),
+    minLongitude: Math.min(...longitudes),
+    maxLongitude: Math.max(...longitudes)
+  };
+};
+
+module.exports = {
+  MAX_AREA_RADIUS_METERS,
+  isValidCoordinate,
+  getDistanceMeters,
+  isPointInArea,
+  getAreaBounds
+};
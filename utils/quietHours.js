@@ -0,0 +1,60 @@
+/**
+ * Quiet hours for the emergency alert system
+ * Works out whether a user's do-not-disturb window is in effect, in the
+ * user's own time zone, and when it ends
+ */
+const { isValidTimeZone, getZonedParts, zonedTimeToDate } = require('./recurrence');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Convert a 24-hour HH:MM time to minutes after midnight
+ * @param {string} time - Time such as 22:30
+ * @returns {number|null} Minutes after midnight, or null if the time is invalid
+ */
+const parseTime = (time) => {
+  const match = TIME_PATTERN.exec(time);
+
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+/**
+ * Get when the quiet hours a user is in right now end
+ * @param {Object|null} quietHours - { start, end, timezone }, or null for none
+ * @param {Date} at - Time to check
+ * @returns {Date|null} End of the current quiet hours, or null if they are not in effect
+ */
+const getQuietHoursEnd = (quietHours, at = new Date()) => {
+  if (!quietHours) {
+    return null;
+  }
+
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+
+  if (start === null || end === null || start === end || !isValidTimeZone(quietHours.timezone)) {
+    return null;
+  }
+
+  const now = getZonedParts(at, quietHours.timezone);
+  const minutes = now.hour * 60 + now.minute;
+
+  // Quiet hours such as 22:00-07:00 run past midnight and end the next day
+  const endsTomorrow = start > end && minutes >= start;
+  const inQuietHours = start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+
+  if (!inQuietHours) {
+    return null;
+  }
+
+  const endDay = new Date(Date.UTC(now.year, now.month, now.day + (endsTomorrow ? 1 : 0)));
+
+  return zonedTimeToDate(endDay.getUTCFullYear(), endDay.getUTCMonth(), endDay.getUTCDate(), Math.floor(end / 60), end % 60, quietHours.timezone);
+};
+
+module.exports = {
+  parseTime,
+  getQuietHoursEnd
+};
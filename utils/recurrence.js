@@ -0,0 +1,313 @@
+/**
+ * Recurrence rules for the emergency alert system
+ * Supports the subset of iCalendar RRULE needed for recurring alerts and
+ * drills (daily, weekly, and monthly by day or by weekday), evaluated in
+ * the recurrence's own time zone so "noon" stays noon across DST changes
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYHOUR', 'BYMINUTE'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stop looking for occurrences this far ahead of the starting point
+const MAX_SEARCH_DAYS = 5 * 366;
+
+/**
+ * Parse a whole number in a range
+ * @param {string} value - Text to parse
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {string} name - Rule part, used in error messages
+ * @returns {number} Parsed number
+ */
+const parseBoundedInt = (value, min, max, name) => {
+  const number = /^-?\d+$/.test(value) ? parseInt(value) : NaN;
+
+  if (isNaN(number) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number from ${min} to ${max}`);
+  }
+
+  return number;
+};
+
+/**
+ * Parse an RRULE such as FREQ=MONTHLY;BYDAY=1WE;BYHOUR=12;BYMINUTE=0
+ * @param {string} text - Rule text, with or without the RRULE: prefix
+ * @returns {Object} { freq, interval, byDay: [{ weekday, ordinal }], byMonthDay, byHour, byMinute }
+ * @throws {Error} If the rule is malformed or uses parts that are not supported
+ */
+const parseRRule = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const parts = {};
+
+  text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    const name = (key || '').trim().toUpperCase();
+
+    if (!SUPPORTED_PARTS.includes(name) || value === undefined || value.trim() === '') {
+      throw new Error(`Unsupported recurrence rule part: ${part}. Supported parts are ${SUPPORTED_PARTS.join(', ')}`);
+    }
+
+    parts[name] = value.trim().toUpperCase();
+  });
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? parseBoundedInt(parts.INTERVAL, 1, 365, 'INTERVAL') : 1,
+    byDay: [],
+    byMonthDay: [],
+    byHour: parts.BYHOUR !== undefined ? parseBoundedInt(parts.BYHOUR, 0, 23, 'BYHOUR') : null,
+    byMinute: parts.BYMINUTE !== undefined ? parseBoundedInt(parts.BYMINUTE, 0, 59, 'BYMINUTE') : null
+  };
+
+  if (parts.BYDAY) {
+    rule.byDay = parts.BYDAY.split(',').map(day => {
+      const match = day.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+
+      if (!match) {
+        throw new Error(`Invalid BYDAY value: ${day}`);
+      }
+
+      const ordinal = match[1] ? parseInt(match[1]) : null;
+
+      if (ordinal !== null && (rule.freq !== 'MONTHLY' || ordinal === 0 || Math.abs(ordinal) > 5)) {
+        throw new Error(`BYDAY ${day}: a week number (1 to 5, or -1 for the last) is only allowed with FREQ=MONTHLY`);
+      }
+
+      return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+    });
+  }
+
+  if (parts.BYMONTHDAY) {
+    if (rule.freq !== 'MONTHLY') {
+      throw new Error('BYMONTHDAY is only allowed with FREQ=MONTHLY');
+    }
+
+    rule.byMonthDay = parts.BYMONTHDAY.split(',').map(day => {
+      const number = parseBoundedInt(day, -31, 31, 'BYMONTHDAY');
+
+      if (number === 0) {
+        throw new Error('BYMONTHDAY cannot be 0');
+      }
+
+      return number;
+    });
+  }
+
+  return rule;
+};
+
+/**
+ * Check whether a time zone name is known to the runtime
+ * @param {string} timeZone - IANA time zone such as America/Chicago
+ * @returns {boolean} True if the time zone is valid
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string' && timeZone.length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month (0-11), day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).reduce((values, part) => {
+    values[part.type] = parseInt(part.value);
+    return values;
+  }, {});
+
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+/**
+ * Convert a wall-clock time in a time zone to an instant
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of the month
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant; times skipped by a DST change move forward by the change
+ */
+const zonedTimeToDate = (year, month, day, hour, minute, timeZone) => {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(instant / 1000) * 1000;
+  };
+
+  const guess = wallClock - offsetAt(wallClock);
+  const guessOffset = offsetAt(guess);
+
+  // The offset changes between the guess and the answer when a DST change falls in between
+  if (guessOffset !== wallClock - guess) {
+    const adjusted = new Date(wallClock - guessOffset);
+    const parts = getZonedParts(adjusted, timeZone);
+
+    if (parts.hour === hour && parts.minute === minute) {
+      return adjusted;
+    }
+  }
+
+  return new Date(guess);
+};
+
+/**
+ * Check whether a calendar day matches a rule's day selectors
+ * @param {Object} rule - Parsed rule
+ * @param {number} day - Calendar day as UTC midnight in milliseconds
+ * @param {number} anchor - Calendar day of the first occurrence as UTC midnight in milliseconds
+ * @returns {boolean} True if the rule fires on the day
+ */
+const matchesDay = (rule, day, anchor) => {
+  const date = new Date(day);
+  const anchorDate = new Date(anchor);
+  const weekday = date.getUTCDay();
+  const dayOfMonth = date.getUTCDate();
+
+  if (rule.freq === 'DAILY') {
+    return Math.round((day - anchor) / DAY_MS) % rule.interval === 0
+      && (rule.byDay.length === 0 || rule.byDay.some(entry => entry.weekday === weekday));
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday, as they do by default in RRULE
+    const weekStart = (time) => time - ((new Date(time).getUTCDay() + 6) % 7) * DAY_MS;
+    const weeks = Math.round((weekStart(day) - weekStart(anchor)) / (7 * DAY_MS));
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(entry => entry.weekday) : [anchorDate.getUTCDay()];
+
+    return weeks % rule.interval === 0 && weekdays.includes(weekday);
+  }
+
+  const months = (date.getUTCFullYear() - anchorDate.getUTCFullYear()) * 12 + date.getUTCMonth() - anchorDate.getUTCMonth();
+
+  if (months % rule.interval !== 0) {
+    return false;
+  }
+
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+  if (rule.byDay.length > 0) {
+    return rule.byDay.some(entry => {
+      if (entry.weekday !== weekday) {
+        return false;
+      }
+
+      if (entry.ordinal === null) {
+        return true;
+      }
+
+      return entry.ordinal > 0
+        ? Math.ceil(dayOfMonth / 7) === entry.ordinal
+        : Math.ceil((daysInMonth - dayOfMonth + 1) / 7) === -entry.ordinal;
+    });
+  }
+
+  const monthDays = rule.byMonthDay.length > 0 ? rule.byMonthDay : [anchorDate.getUTCDate()];
+
+  return monthDays.some(monthDay => (monthDay > 0 ? monthDay : daysInMonth + monthDay + 1) === dayOfMonth);
+};
+
+/**
+ * List the occurrences of a recurrence after a point in time
+ * @param {Object} recurrence - { rrule, timezone, startsAt, endsAt }
+ * @param {Object} options - { after, count, until }
+ * @returns {Array<Date>} Occurrences in order, at most count of them
+ */
+const getOccurrences = (recurrence, { after = new Date(), count = 10, until = null } = {}) => {
+  const rule = parseRRule(recurrence.rrule);
+  const timeZone = recurrence.timezone || 'UTC';
+  const startsAt = new Date(recurrence.startsAt);
+  const endsAt = recurrence.endsAt ? new Date(recurrence.endsAt) : null;
+  const stopAt = until && (!endsAt || new Date(until) < endsAt) ? new Date(until) : endsAt;
+
+  const start = getZonedParts(startsAt, timeZone);
+  const anchor = Date.UTC(start.year, start.month, start.day);
+  const hour = rule.byHour !== null ? rule.byHour : start.hour;
+  const minute = rule.byMinute !== null ? rule.byMinute : start.minute;
+
+  // Begin on whichever is later: the first occurrence's day or the day before the starting point
+  const from = getZonedParts(new Date(Math.max(new Date(after).getTime(), startsAt.getTime())), timeZone);
+  let day = Math.max(anchor, Date.UTC(from.year, from.month, from.day) - DAY_MS);
+  const lastDay = day + MAX_SEARCH_DAYS * DAY_MS;
+
+  const occurrences = [];
+
+  while (occurrences.length < count && day <= lastDay) {
+    if (matchesDay(rule, day, anchor)) {
+      const date = new Date(day);
+      const occurrence = zonedTimeToDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hour, minute, timeZone);
+
+      if (stopAt && occurrence > stopAt) {
+        break;
+      }
+
+      if (occurrence > new Date(after) && occurrence >= startsAt) {
+        occurrences.push(occurrence);
+      }
+    }
+
+    day += DAY_MS;
+  }
+
+  return occurrences;
+};
+
+/**
+ * Check whether an instant is one of a recurrence's occurrences
+ * @param {Object} recurrence - { rrule, timezone, startsAt, endsAt }
+ * @param {Date|string} date - Instant to check
+ * @returns {boolean} True if the recurrence fires at exactly that time
+ */
+const isOccurrence = (recurrence, date) => {
+  const time = new Date(date).getTime();
+
+  if (isNaN(time)) {
+    return false;
+  }
+
+  const [next] = getOccurrences(recurrence, { after: new Date(time - 1), count: 1 });
+
+  return !!next && next.getTime() === time;
+};
+
+module.exports = {
+  parseRRule,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+  getOccurrences,
+  isOccurrence
+};
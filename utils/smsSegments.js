@@ -0,0 +1,135 @@
+/**
+ * SMS segment utilities for the emergency alert system
+ * Works out how a message will be encoded and how many concatenated parts it
+ * takes, so long alerts can be sent whole instead of cut at 160 characters.
+ */
+
+// GSM 03.38 basic character set (one septet each)
+const GSM7_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// GSM 03.38 extension table (an escape plus one septet each)
+const GSM7_EXTENDED = new Set('^{}\\[~]|€\f');
+
+// Characters per part; multipart messages lose room to the concatenation header
+const SEGMENT_LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+/**
+ * Detect whether a message fits the GSM-7 alphabet or needs UCS-2
+ * @param {string} text - Message text
+ * @returns {string} 'GSM-7' or 'UCS-2'
+ */
+const detectEncoding = (text) => {
+  for (const char of text) {
+    if (!GSM7_BASIC.has(char) && !GSM7_EXTENDED.has(char)) {
+      return 'UCS-2';
+    }
+  }
+  
+  return 'GSM-7';
+};
+
+/**
+ * Split a message into the units it is encoded with: septets for GSM-7
+ * (extension characters take two) or UTF-16 code units for UCS-2
+ * @param {string} text - Message text
+ * @param {string} encoding - 'GSM-7' or 'UCS-2'
+ * @returns {Array} { char, length } for each character
+ */
+const toEncodedChars = (text, encoding) => {
+  return Array.from(text).map(char => ({
+    char,
+    length: encoding === 'GSM-7'
+      ? (GSM7_EXTENDED.has(char) ? 2 : 1)
+      : char.length
+  }));
+};
+
+/**
+ * Split a message into concatenated SMS parts without breaking a character
+ * (an extension escape or a surrogate pair) across two parts
+ * @param {string} text - Message text
+ * @returns {Object} { encoding, length, segments, parts }
+ */
+const splitSms = (text) => {
+  const encoding = detectEncoding(text);
+  const chars = toEncodedChars(text, encoding);
+  const length = chars.reduce((total, { length: charLength }) => total + charLength, 0);
+  const limits = SEGMENT_LIMITS[encoding];
+  
+  if (length <= limits.single) {
+    return { encoding, length, segments: text ? 1 : 0, parts: text ? [text] : [] };
+  }
+  
+  const parts = [];
+  let part = '';
+  let partLength = 0;
+  
+  chars.forEach(({ char, length: charLength }) => {
+    if (partLength + charLength > limits.multipart) {
+      parts.push(part);
+      part = '';
+      partLength = 0;
+    }
+    
+    part += char;
+    partLength += charLength;
+  });
+  
+  parts.push(part);
+  
+  return { encoding, length, segments: parts.length, parts };
+};
+
+/**
+ * Shorten a message so it fits in at most maxSegments parts, ending the text
+ * with an ellipsis when something had to be cut. The suffix (such as a link)
+ * is always kept whole after the text.
+ * @param {string} text - Message text
+ * @param {number} maxSegments - Maximum number of parts
+ * @param {string} suffix - Text appended after the message that must not be cut
+ * @returns {Object} { text, truncated, encoding, length, segments, parts }
+ */
+const fitToSegments = (text, maxSegments, suffix = '') => {
+  const split = splitSms(text + suffix);
+  
+  if (split.segments <= maxSegments) {
+    return { text: text + suffix, truncated: false, ...split };
+  }
+  
+  const limits = SEGMENT_LIMITS[split.encoding];
+  const capacity = maxSegments === 1 ? limits.single : limits.multipart * maxSegments;
+  const suffixLength = toEncodedChars(suffix, split.encoding).reduce((total, { length }) => total + length, 0);
+  const chars = toEncodedChars(text, split.encoding);
+  
+  // Keep as many characters as fit alongside the '...' and suffix, then back off further
+  // in the rare case a two-septet character pushed the split into an extra part
+  let keep = 0;
+  let length = 0;
+  while (keep < chars.length && length + chars[keep].length <= capacity - 3 - suffixLength) {
+    length += chars[keep].length;
+    keep++;
+  }
+  
+  let shortened;
+  let result;
+  do {
+    shortened = chars.slice(0, keep).map(({ char }) => char).join('').trimEnd() + '...' + suffix;
+    result = splitSms(shortened);
+    keep--;
+  } while (result.segments > maxSegments && keep > 0);
+  
+  return { text: shortened, truncated: true, ...result };
+};
+
+module.exports = {
+  detectEncoding,
+  splitSms,
+  fitToSegments,
+  SEGMENT_LIMITS
+};
@@ -1,6 +1,24 @@
 /**
  * Validation utility functions for the emergency alert system
  */
+const { getChannel, getChannelNames, isValidChannel, isUserChannel } = require('../services/channels');
+const { parseRRule, isValidTimeZone } = require('./recurrence');
+const { parseTime } = require('./quietHours');
+const { MAX_AREA_RADIUS_METERS, isValidCoordinate } = require('./geo');
+const { AUDIENCE_OPERATORS, LIST_OPERATORS, PRESENCE_OPERATORS, isValidField } = require('./audienceRules');
+
+const VALID_ROLES = ['admin', 'operator', 'subscriber'];
+
+// Limits on escalation policies so a mistake cannot page people indefinitely
+const MAX_ESCALATION_STEPS = 5;
+const MAX_ESCALATION_MINUTES = 24 * 60;
+
+const MAX_SCHEDULE_AHEAD_DAYS = 365;
+
+// Limits on saved audiences and the custom attributes they can filter on
+const MAX_AUDIENCE_RULES = 20;
+const MAX_USER_ATTRIBUTES = 50;
+const ATTRIBUTE_KEY_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
 
 /**
  * Validate an email address
@@ -71,11 +89,283 @@ const validateAlertData = (alertData) => {
   if (!alertData.channels || !Array.isArray(alertData.channels) || alertData.channels.length === 0) {
     errors.channels = 'At least one notification channel is required';
   } else {
-    const validChannels = ['email', 'sms', 'push'];
-    const invalidChannels = alertData.channels.filter(channel => !validChannels.includes(channel));
+    const invalidChannels = alertData.channels.filter(channel => !isValidChannel(channel));
+    
+    // Some channels (such as voice calls) are reserved for certain severities
+    const restrictedChannel = alertData.channels
+      .map(getChannel)
+      .find(channel => channel && channel.severities && !channel.severities.includes(alertData.severity));
+    
+    if (invalidChannels.length > 0) {
+      errors.channels = `Invalid channels: ${invalidChannels.join(', ')}. Must be one of: ${getChannelNames().join(', ')}`;
+    } else if (restrictedChannel) {
+      errors.channels = `The ${restrictedChannel.name} channel can only be used for ${restrictedChannel.severities.join(', ')} alerts`;
+    }
+  }
+  
+  if (alertData.status === 'scheduled') {
+    const scheduledForError = validateScheduledFor(alertData.scheduledFor);
+    
+    if (scheduledForError) {
+      errors.scheduledFor = scheduledForError;
+    }
+  }
+  
+  if (alertData.expiresAt !== undefined && !errors.scheduledFor) {
+    const expiresAtError = validateExpiresAt(alertData.expiresAt, alertData.status === 'scheduled' ? alertData.scheduledFor : new Date());
+    
+    if (expiresAtError) {
+      errors.expiresAt = expiresAtError;
+    }
+  }
+  
+  if (alertData.escalationPolicy) {
+    const policyValidation = validateEscalationPolicy(alertData.escalationPolicy, alertData.severity);
+    
+    if (!policyValidation.isValid) {
+      errors.escalationPolicy = Object.values(policyValidation.errors)[0];
+    }
+  }
+  
+  if (alertData.category !== undefined && alertData.category !== null &&
+      (typeof alertData.category !== 'string' || alertData.category.trim() === '' || alertData.category.length > 50)) {
+    errors.category = 'Category must be a name of at most 50 characters';
+  }
+  
+  if (alertData.targeting && alertData.targeting.categories !== undefined &&
+      (!Array.isArray(alertData.targeting.categories) || !alertData.targeting.categories.every(category => typeof category === 'string' && category.trim() !== ''))) {
+    errors.targeting = 'Targeted categories must be a list of category names';
+  }
+  
+  if (alertData.targeting && alertData.targeting.audiences !== undefined &&
+      (!Array.isArray(alertData.targeting.audiences) || !alertData.targeting.audiences.every(id => Number.isInteger(parseInt(id))))) {
+    errors.targeting = 'Targeted audiences must be a list of audience IDs';
+  }
+  
+  if (alertData.targeting && alertData.targeting.groups !== undefined &&
+      (!Array.isArray(alertData.targeting.groups) || !alertData.targeting.groups.every(id => Number.isInteger(parseInt(id))))) {
+    errors.targeting = 'Targeted groups must be a list of group IDs';
+  }
+  
+  if (alertData.targeting && alertData.targeting.area) {
+    const areaError = validateTargetArea(alertData.targeting.area);
+    
+    if (areaError) {
+      errors.targeting = areaError;
+    }
+  }
+  
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Validate a follow-up update to a sent alert
+ * @param {Object} updateData - { message, severity } where severity is optional
+ * @returns {Object} Validation result with success flag and error messages
+ */
+const validateAlertUpdateData = (updateData) => {
+  const errors = {};
+  
+  if (!updateData.message || typeof updateData.message !== 'string' || updateData.message.trim() === '') {
+    errors.message = 'Message is required';
+  }
+  
+  const validSeverities = ['low', 'medium', 'high', 'critical'];
+  if (updateData.severity !== undefined && !validSeverities.includes(updateData.severity)) {
+    errors.severity = `Severity must be one of: ${validSeverities.join(', ')}`;
+  }
+  
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Validate the time a scheduled alert should be sent at
+ * @param {string|Date} scheduledFor - Requested send time
+ * @returns {string|null} Error message, or null if the time is valid
+ */
+const validateScheduledFor = (scheduledFor) => {
+  const sendAt = new Date(scheduledFor);
+  
+  if (!scheduledFor || isNaN(sendAt.getTime())) {
+    return 'A valid scheduledFor date and time is required';
+  }
+  
+  if (sendAt <= new Date()) {
+    return 'scheduledFor must be in the future';
+  }
+  
+  if (sendAt - Date.now() > MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+    return `Alerts can be scheduled at most ${MAX_SCHEDULE_AHEAD_DAYS} days ahead`;
+  }
+  
+  return null;
+};
+
+/**
+ * Validate the time an alert stops being active
+ * @param {string|Date} expiresAt - Requested expiry time
+ * @param {string|Date} sendAt - When the alert is, or was, sent
+ * @returns {string|null} Error message, or null if the time is valid
+ */
+const validateExpiresAt = (expiresAt, sendAt) => {
+  const expiry = new Date(expiresAt);
+  
+  if (!expiresAt || isNaN(expiry.getTime())) {
+    return 'expiresAt must be a valid date and time';
+  }
+  
+  if (expiry <= new Date()) {
+    return 'expiresAt must be in the future';
+  }
+  
+  if (sendAt && expiry <= new Date(sendAt)) {
+    return 'expiresAt must be after the alert is sent';
+  }
+  
+  return null;
+};
+
+/**
+ * Validate an escalation policy
+ * @param {Object} policy - { steps: [{ afterMinutes, notify, role, channels }] }
+ * @param {string} severity - Severity of the alert the policy applies to, used to check channel restrictions
+ * @returns {Object} Validation result with success flag and error messages
+ */
+const validateEscalationPolicy = (policy, severity) => {
+  const errors = {};
+  
+  if (!policy || typeof policy !== 'object' || !Array.isArray(policy.steps) || policy.steps.length === 0) {
+    errors.steps = 'Escalation policy must have at least one step';
+  } else if (policy.steps.length > MAX_ESCALATION_STEPS) {
+    errors.steps = `Escalation policy can have at most ${MAX_ESCALATION_STEPS} steps`;
+  } else {
+    let previousMinutes = 0;
+    
+    policy.steps.forEach((step, index) => {
+      const key = `step${index + 1}`;
+      const label = `Escalation step ${index + 1}`;
+      
+      if (!step || typeof step !== 'object') {
+        errors[key] = `${label} must be an object`;
+        return;
+      }
+      
+      const channels = Array.isArray(step.channels) ? step.channels : [];
+      const restrictedChannel = channels
+        .map(getChannel)
+        .find(channel => channel && channel.severities && severity && !channel.severities.includes(severity));
+      
+      if (!Number.isInteger(step.afterMinutes) || step.afterMinutes <= previousMinutes || step.afterMinutes > MAX_ESCALATION_MINUTES) {
+        errors[key] = `${label} afterMinutes must be a whole number of minutes after the previous step, up to ${MAX_ESCALATION_MINUTES}`;
+      } else if (!['nonResponders', 'role'].includes(step.notify)) {
+        errors[key] = `${label} must notify nonResponders or a role`;
+      } else if (step.notify === 'role' && !VALID_ROLES.includes(step.role)) {
+        errors[key] = `${label} role must be one of: ${VALID_ROLES.join(', ')}`;
+      } else if (channels.length === 0 || !channels.every(isUserChannel)) {
+        errors[key] = `${label} channels must be one or more of: ${getChannelNames().filter(isUserChannel).join(', ')}`;
+      } else if (restrictedChannel) {
+        errors[key] = `${label} cannot use the ${restrictedChannel.name} channel, which is limited to ${restrictedChannel.severities.join(', ')} alerts`;
+      }
+      
+      previousMinutes = Number.isInteger(step.afterMinutes) ? step.afterMinutes : previousMinutes;
+    });
+  }
+  
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Validate recurring alert data
+ * @param {Object} recurrenceData - Recurrence data to validate
+ * @param {boolean} partial - True when validating an update, where omitted fields are left alone
+ * @returns {Object} Validation result with success flag and error messages
+ */
+const validateRecurrenceData = (recurrenceData, partial = false) => {
+  const errors = {};
+  
+  if (!partial || recurrenceData.name !== undefined) {
+    if (!recurrenceData.name || recurrenceData.name.trim() === '') {
+      errors.name = 'Name is required';
+    } else if (recurrenceData.name.length > 100) {
+      errors.name = 'Name must be less than 100 characters';
+    }
+  }
+  
+  if (!partial && !Number.isInteger(parseInt(recurrenceData.templateId))) {
+    errors.templateId = 'A notification template is required';
+  }
+  
+  if (!partial || recurrenceData.rrule !== undefined) {
+    try {
+      parseRRule(recurrenceData.rrule);
+    } catch (error) {
+      errors.rrule = error.message;
+    }
+  }
+  
+  if (recurrenceData.timezone !== undefined && !isValidTimeZone(recurrenceData.timezone)) {
+    errors.timezone = 'Time zone must be an IANA name such as America/Chicago';
+  }
+  
+  if (!partial || recurrenceData.startsAt !== undefined) {
+    if (!recurrenceData.startsAt || isNaN(new Date(recurrenceData.startsAt).getTime())) {
+      errors.startsAt = 'A valid start date is required';
+    }
+  }
+  
+  if (recurrenceData.endsAt) {
+    if (isNaN(new Date(recurrenceData.endsAt).getTime())) {
+      errors.endsAt = 'End date must be a valid date';
+    } else if (recurrenceData.startsAt && new Date(recurrenceData.endsAt) <= new Date(recurrenceData.startsAt)) {
+      errors.endsAt = 'End date must be after the start date';
+    }
+  }
+  
+  if (recurrenceData.variables !== undefined && (typeof recurrenceData.variables !== 'object' || Array.isArray(recurrenceData.variables) || recurrenceData.variables === null)) {
+    errors.variables = 'Variables must be an object of template variable values';
+  }
+  
+  if (recurrenceData.targeting !== undefined && (typeof recurrenceData.targeting !== 'object' || recurrenceData.targeting === null)) {
+    errors.targeting = 'Targeting must be an object';
+  }
+  
+  if (recurrenceData.isTest !== undefined && typeof recurrenceData.isTest !== 'boolean') {
+    errors.isTest = 'isTest must be true or false';
+  }
+  
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Validate a user's notification channel preferences
+ * @param {Object} channels - Map of channel name to enabled flag
+ * @returns {Object} Validation result with success flag and error messages
+ */
+const validateChannelPreferences = (channels) => {
+  const errors = {};
+  
+  if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+    errors.channels = 'Invalid channels data. Expected an object.';
+  } else {
+    const invalidChannels = Object.keys(channels).filter(channel => !isUserChannel(channel));
     
     if (invalidChannels.length > 0) {
-      errors.channels = `Invalid channels: ${invalidChannels.join(', ')}. Must be one of: ${validChannels.join(', ')}`;
+      const userChannels = getChannelNames().filter(isUserChannel);
+      errors.channels = `Invalid channels: ${invalidChannels.join(', ')}. Must be one of: ${userChannels.join(', ')}`;
+    } else if (Object.values(channels).some(enabled => typeof enabled !== 'boolean')) {
+      errors.channels = 'Channel preferences must be true or false';
     }
   }
   
@@ -85,6 +375,322 @@ const validateAlertData = (alertData) => {
   };
 };
 
+/**
+ * Validate the order a user wants their channels tried in
+ * @param {Array|null} channelPriority - User channel names, most preferred first, or null for the default order
+ * @returns {string|null} Error message, or null if the order is valid
+ */
+const validateChannelPriority = (channelPriority) => {
+  if (channelPriority === null) {
+    return null;
+  }
+  
+  if (!Array.isArray(channelPriority)) {
+    return 'Channel priority must be a list of channel names, or null';
+  }
+  
+  const invalidChannels = channelPriority.filter(channel => !isUserChannel(channel));
+  
+  if (invalidChannels.length > 0) {
+    const userChannels = getChannelNames().filter(isUserChannel);
+    return `Invalid channels: ${invalidChannels.join(', ')}. Must be one of: ${userChannels.join(', ')}`;
+  }
+  
+  if (new Set(channelPriority).size !== channelPriority.length) {
+    return 'Each channel can appear only once in the channel priority';
+  }
+  
+  return null;
+};
+
+/**
+ * Validate a user's quiet hours
+ * @param {Object|null} quietHours - { start, end, timezone }, or null to turn quiet hours off
+ * @returns {string|null} Error message, or null if the quiet hours are valid
+ */
+const validateQuietHours = (quietHours) => {
+  if (quietHours === null) {
+    return null;
+  }
+  
+  if (typeof quietHours !== 'object' || Array.isArray(quietHours)) {
+    return 'Quiet hours must be an object with start, end and timezone, or null';
+  }
+  
+  if (parseTime(quietHours.start) === null || parseTime(quietHours.end) === null) {
+    return 'Quiet hours start and end must be 24-hour times such as 22:00';
+  }
+  
+  if (quietHours.start === quietHours.end) {
+    return 'Quiet hours must end at a different time than they start';
+  }
+  
+  if (!isValidTimeZone(quietHours.timezone)) {
+    return 'Quiet hours time zone must be an IANA name such as America/Chicago';
+  }
+  
+  return null;
+};
+
+/**
+ * Validate the area an alert is targeted at
+ * @param {Object} area - { type: 'circle', latitude, longitude, radius } with the radius in meters, or a GeoJSON Polygon
+ * @returns {string|null} Error message, or null if the area is valid
+ */
+const validateTargetArea = (area) => {
+  if (typeof area !== 'object' || Array.isArray(area)) {
+    return 'Target area must be a circle or a GeoJSON Polygon';
+  }
+  
+  if (area.type === 'circle') {
+    if (!isValidCoordinate(area.latitude, area.longitude)) {
+      return 'Target area center must have a valid latitude and longitude';
+    }
+    
+    if (typeof area.radius !== 'number' || !(area.radius > 0) || area.radius > MAX_AREA_RADIUS_METERS) {
+      return `Target area radius must be a number of meters between 0 and ${MAX_AREA_RADIUS_METERS}`;
+    }
+    
+    return null;
+  }
+  
+  if (area.type === 'Polygon') {
+    const rings = Array.isArray(area.coordinates) ? area.coordinates : [];
+    const validRing = (ring) => Array.isArray(ring) && ring.length >= 4 &&
+      ring.every(position => Array.isArray(position) && isValidCoordinate(position[1], position[0]));
+    
+    if (rings.length === 0 || !rings.every(validRing)) {
+      return 'Target area polygon rings must have at least 4 [longitude, latitude] positions';
+    }
+    
+    const unclosedRing = rings.find(ring => ring[0][0] !== ring[ring.length - 1][0] || ring[0][1] !== ring[ring.length - 1][1]);
+    
+    if (unclosedRing) {
+      return 'Target area polygon rings must end at the position they start';
+    }
+    
+    return null;
+  }
+  
+  return "Target area type must be 'circle' or 'Polygon'";
+};
+
+/**
+ * Validate a location registered for a user or reported by their device
+ * @param {Object} location - { latitude, longitude, accuracy, label }
+ * @returns {string|null} Error message, or null if the location is valid
+ */
+const validateLocation = (location) => {
+  if (!location || typeof location !== 'object' || !isValidCoordinate(location.latitude, location.longitude)) {
+    return 'Location must have a valid latitude and longitude';
+  }
+  
+  if (location.accuracy !== undefined && location.accuracy !== null &&
+      (typeof location.accuracy !== 'number' || !(location.accuracy >= 0))) {
+    return 'Location accuracy must be a number of meters';
+  }
+  
+  if (location.label !== undefined && location.label !== null && typeof location.label !== 'string') {
+    return 'Location label must be text';
+  }
+  
+  return null;
+};
+
+/**
+ * Validate group data
+ * @param {Object} groupData - Group data to validate
+ * @param {boolean} partial - True when validating an update, where omitted fields are left alone
+ * @returns {Object} Validation result with success flag and error messages
+ */
+const validateGroupData = (groupData, partial = false) => {
+  const errors = {};
+  
+  if (!partial || groupData.name !== undefined) {
+    if (!groupData.name || typeof groupData.name !== 'string' || groupData.name.trim() === '') {
+      errors.name = 'Name is required';
+    } else if (groupData.name.length > 100) {
+      errors.name = 'Name must be less than 100 characters';
+    }
+  }
+  
+  if (groupData.description !== undefined && groupData.description !== null && typeof groupData.description !== 'string') {
+    errors.description = 'Description must be text';
+  }
+  
+  if (groupData.parentId !== undefined && groupData.parentId !== null && !Number.isInteger(groupData.parentId)) {
+    errors.parentId = 'Parent must be a group ID, or null for a top-level group';
+  }
+  
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Check that a rule value is a single string, number or boolean
+ * @param {*} value - Rule value
+ * @returns {boolean} True if the value can be compared with a user field
+ */
+const isScalarRuleValue = (value) => {
+  return (typeof value === 'string' && value.length <= 200) || typeof value === 'number' || typeof value === 'boolean';
+};
+
+/**
+ * Validate one rule of a saved audience
+ * @param {Object} rule - { field, operator, value }
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+const getAudienceRuleError = (rule) => {
+  if (!rule || typeof rule !== 'object' || !isValidField(rule.field)) {
+    return 'field must be role, site, phoneNumber, channels.<channel> or attributes.<name>';
+  }
+  
+  if (!AUDIENCE_OPERATORS.includes(rule.operator)) {
+    return `operator must be one of: ${AUDIENCE_OPERATORS.join(', ')}`;
+  }
+  
+  if (LIST_OPERATORS.includes(rule.operator)) {
+    return Array.isArray(rule.value) && rule.value.length > 0 && rule.value.every(isScalarRuleValue)
+      ? null
+      : `${rule.operator} needs a list of values`;
+  }
+  
+  if (!PRESENCE_OPERATORS.includes(rule.operator) && !isScalarRuleValue(rule.value)) {
+    return `${rule.operator} needs a text, number or true/false value`;
+  }
+  
+  return null;
+};
+
+/**
+ * Validate a saved audience
+ * @param {Object} audienceData - { name, description, rules }
+ * @param {boolean} partial - True when only the fields being changed are given
+ * @returns {Object} Validation result with success flag and error messages
+ */
+const validateAudienceData = (audienceData, partial = false) => {
+  const errors = {};
+  
+  if (!partial || audienceData.name !== undefined) {
+    if (!audienceData.name || typeof audienceData.name !== 'string' || audienceData.name.trim() === '') {
+      errors.name = 'Name is required';
+    } else if (audienceData.name.length > 100) {
+      errors.name = 'Name must be less than 100 characters';
+    }
+  }
+  
+  if (audienceData.description !== undefined && audienceData.description !== null && typeof audienceData.description !== 'string') {
+    errors.description = 'Description must be text';
+  }
+  
+  if (!partial || audienceData.rules !== undefined) {
+    const rules = audienceData.rules;
+    
+    if (!Array.isArray(rules) || rules.length === 0) {
+      errors.rules = 'At least one rule is required';
+    } else if (rules.length > MAX_AUDIENCE_RULES) {
+      errors.rules = `An audience can have at most ${MAX_AUDIENCE_RULES} rules`;
+    } else {
+      const index = rules.findIndex(rule => getAudienceRuleError(rule) !== null);
+      
+      if (index !== -1) {
+        errors.rules = `Rule ${index + 1}: ${getAudienceRuleError(rules[index])}`;
+      }
+    }
+  }
+  
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Validate the site and custom attributes saved audiences filter users on
+ * @param {Object} attributeData - { site, attributes }, either of which may be left out
+ * @returns {string|null} Error message, or null if the data is valid
+ */
+const validateUserAttributes = (attributeData) => {
+  const { site, attributes } = attributeData;
+  
+  if (site !== undefined && site !== null && (typeof site !== 'string' || site.length > 100)) {
+    return 'Site must be text of at most 100 characters, or null';
+  }
+  
+  if (attributes !== undefined) {
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+      return 'Attributes must be an object of names and values';
+    }
+    
+    const entries = Object.entries(attributes);
+    
+    if (entries.length > MAX_USER_ATTRIBUTES) {
+      return `A user can have at most ${MAX_USER_ATTRIBUTES} attributes`;
+    }
+    
+    const invalid = entries.find(([key, value]) => !ATTRIBUTE_KEY_PATTERN.test(key) || !isScalarRuleValue(value));
+    
+    if (invalid) {
+      return `Attribute "${invalid[0]}" needs a name of letters, digits, - and _, and a text, number or true/false value`;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Validate a URL
+ * @param {string} url - URL to validate
+ * @returns {boolean} True if the URL is an absolute http(s) URL
+ */
+const isValidUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate webhook endpoint data
+ * @param {Object} endpointData - Webhook endpoint data to validate
+ * @param {boolean} partial - True when validating an update, where fields may be omitted
+ * @returns {Object} Validation result with success flag and error messages
+ */
+const validateWebhookEndpointData = (endpointData, partial = false) => {
+  const errors = {};
+  
+  if (!partial || endpointData.name !== undefined) {
+    if (!endpointData.name || endpointData.name.trim() === '') {
+      errors.name = 'Name is required';
+    } else if (endpointData.name.length > 100) {
+      errors.name = 'Name must be less than 100 characters';
+    }
+  }
+  
+  if (!partial || endpointData.url !== undefined) {
+    if (!endpointData.url || !isValidUrl(endpointData.url)) {
+      errors.url = 'A valid http or https URL is required';
+    }
+  }
+  
+  if (endpointData.secret !== undefined && (typeof endpointData.secret !== 'string' || endpointData.secret.length < 16)) {
+    errors.secret = 'Secret must be at least 16 characters';
+  }
+  
+  if (endpointData.active !== undefined && typeof endpointData.active !== 'boolean') {
+    errors.active = 'Active must be true or false';
+  }
+  
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
 /**
  * Validate user data
  * @param {Object} userData - User data to validate
@@ -109,9 +715,16 @@ const validateUserData = (userData) => {
     errors.phoneNumber = 'Please enter a valid phone number';
   }
   
-  const validRoles = ['admin', 'operator', 'subscriber'];
-  if (userData.role && !validRoles.includes(userData.role)) {
-    errors.role = `Role must be one of: ${validRoles.join(', ')}`;
+  if (userData.channels !== undefined) {
+    const channelValidation = validateChannelPreferences(userData.channels);
+    
+    if (!channelValidation.isValid) {
+      errors.channels = channelValidation.errors.channels;
+    }
+  }
+  
+  if (userData.role && !VALID_ROLES.includes(userData.role)) {
+    errors.role = `Role must be one of: ${VALID_ROLES.join(', ')}`;
   }
   
   return {
@@ -125,6 +738,21 @@ module.exports = {
   isValidPhoneNumber,
   isValidPassword,
   isValidUsername,
+  isValidUrl,
   validateAlertData,
+  validateAlertUpdateData,
+  validateScheduledFor,
+  validateExpiresAt,
+  validateEscalationPolicy,
+  validateChannelPreferences,
+  validateChannelPriority,
+  validateQuietHours,
+  validateTargetArea,
+  validateLocation,
+  validateGroupData,
+  validateAudienceData,
+  validateUserAttributes,
+  validateWebhookEndpointData,
+  validateRecurrenceData,
   validateUserData
 };
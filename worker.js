@@ -0,0 +1,27 @@
+/**
+ * Background worker process for the Emergency Alert System
+ * Runs the notification delivery queue, push receipt poller, escalations and channel fallbacks separately from the web server.
+ * Start the server with DELIVERY_WORKER=external when running this process; the server keeps sending scheduled
+ * alerts and expiring old ones itself, since those tell connected clients through Socket.io.
+ */
+const { pool } = require('./db');
+const { startDeliveryWorkers } = require('./workers');
+
+const workers = startDeliveryWorkers();
+
+// Shut down cleanly so in-flight deliveries are recorded before exit
+const shutdown = async (signal) => {
+  console.log(`Received ${signal}, shutting down worker...`);
+  
+  try {
+    await workers.stop();
+    await pool.end();
+  } catch (error) {
+    console.error('Error during worker shutdown:', error);
+  } finally {
+    process.exit(0);
+  }
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
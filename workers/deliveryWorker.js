@@ -0,0 +1,99 @@
+/**
+ * Delivery worker for the emergency alert system
+ * Polls the delivery_jobs queue and sends notifications, retrying failures
+ */
+const os = require('os');
+const deliveryQueue = require('../services/deliveryQueue');
+
+/**
+ * Create a delivery worker
+ * @param {Object} options - Worker options
+ * @param {number} options.pollInterval - Milliseconds to wait when the queue is empty
+ * @param {number} options.batchSize - Jobs claimed per poll
+ * @param {number} options.lockTimeout - Milliseconds before a locked job is considered abandoned
+ * @param {string} options.workerId - Identifier recorded on claimed jobs
+ * @returns {Object} Worker with start, stop and runOnce methods
+ */
+const createDeliveryWorker = (options = {}) => {
+  const pollInterval = options.pollInterval || parseInt(process.env.DELIVERY_POLL_INTERVAL_MS) || 2000;
+  const batchSize = options.batchSize || parseInt(process.env.DELIVERY_BATCH_SIZE) || 50;
+  const lockTimeout = options.lockTimeout || parseInt(process.env.DELIVERY_LOCK_TIMEOUT_MS) || 5 * 60 * 1000;
+  const workerId = options.workerId || `${os.hostname()}-${process.pid}`;
+  
+  let timer = null;
+  let running = false;
+  let currentRun = null;
+  let lastStaleCheck = 0;
+  
+  /**
+   * Process one batch of due jobs
+   * @returns {Promise<number>} Number of jobs processed
+   */
+  const runOnce = async () => {
+    // Periodically recover jobs abandoned by a crashed worker
+    if (Date.now() - lastStaleCheck > lockTimeout) {
+      lastStaleCheck = Date.now();
+      const { released, dead } = await deliveryQueue.recoverStaleJobs(new Date(Date.now() - lockTimeout));
+      
+      if (released > 0 || dead > 0) {
+        console.warn(`[WORKER] Released ${released} stale delivery jobs and dead-lettered ${dead} with no attempts left`);
+      }
+    }
+    
+    return deliveryQueue.processDueJobs(batchSize, workerId);
+  };
+  
+  const poll = async () => {
+    if (!running) {
+      return;
+    }
+    
+    let processed = 0;
+    
+    try {
+      currentRun = runOnce();
+      processed = await currentRun;
+    } catch (error) {
+      console.error('[WORKER] Error processing delivery queue:', error);
+    } finally {
+      currentRun = null;
+    }
+    
+    if (running) {
+      // A full batch means more work is probably waiting, so poll again straight away
+      timer = setTimeout(poll, processed >= batchSize ? 0 : pollInterval);
+    }
+  };
+  
+  const start = () => {
+    if (running) {
+      return;
+    }
+    
+    running = true;
+    console.log(`[WORKER] Delivery worker ${workerId} started (batch size ${batchSize}, poll every ${pollInterval}ms)`);
+    poll();
+  };
+  
+  const stop = async () => {
+    running = false;
+    clearTimeout(timer);
+    
+    // Let an in-flight batch finish recording its results
+    if (currentRun) {
+      await currentRun.catch(() => {});
+    }
+    
+    console.log(`[WORKER] Delivery worker ${workerId} stopped`);
+  };
+  
+  return {
+    start,
+    stop,
+    runOnce
+  };
+};
+
+module.exports = {
+  createDeliveryWorker
+};
@@ -0,0 +1,102 @@
+/**
+ * Background workers for the emergency alert system
+ * Started inside the web server, or with the delivery workers on their own in worker.js
+ */
+const { createDeliveryWorker } = require('./deliveryWorker');
+const { createPeriodicTask } = require('./periodicTask');
+const { checkPushReceipts } = require('../services/pushReceiptService');
+const { runDueEscalations } = require('../services/escalationService');
+const { runDueFallbacks } = require('../services/fallbackService');
+const { dispatchDueAlerts } = require('../services/scheduledAlertService');
+const { runDueRecurrences } = require('../services/recurrenceService');
+const { expireDueAlerts } = require('../services/expirationService');
+
+/**
+ * Start a set of workers and return a handle for stopping them
+ * @param {Array} workers - Workers with start and stop methods
+ * @returns {Object} Handle with a stop method that waits for in-flight work
+ */
+const startAll = (workers) => {
+  workers.forEach(worker => worker.start());
+  
+  return {
+    stop: () => Promise.all(workers.map(worker => worker.stop()))
+  };
+};
+
+/**
+ * Start the workers that send notifications and follow up on them. These
+ * emit no Socket.io events, so they can run in a separate worker process.
+ * @returns {Object} Handle with a stop method that waits for in-flight work
+ */
+const startDeliveryWorkers = () => {
+  return startAll([
+    createDeliveryWorker(),
+    createPeriodicTask({
+      name: 'Push receipt poller',
+      interval: parseInt(process.env.EXPO_RECEIPT_POLL_INTERVAL_MS) || 60 * 1000,
+      run: async () => {
+        const summary = await checkPushReceipts();
+        
+        if (summary.failed > 0 || summary.expired > 0) {
+          console.log(`[PUSH] Checked ${summary.checked} receipts: ${summary.failed} failed, ${summary.expired} expired`);
+        }
+      }
+    }),
+    createPeriodicTask({
+      name: 'Escalation scheduler',
+      interval: parseInt(process.env.ESCALATION_POLL_INTERVAL_MS) || 30 * 1000,
+      run: runDueEscalations
+    }),
+    createPeriodicTask({
+      name: 'Channel fallback',
+      interval: parseInt(process.env.CHANNEL_FALLBACK_POLL_INTERVAL_MS) || 30 * 1000,
+      run: runDueFallbacks
+    })
+  ]);
+};
+
+/**
+ * Start the tasks that change an alert's status (sending scheduled and recurring
+ * alerts, expiring old ones). They tell connected clients through Socket.io, so
+ * they always run in the web server; each is safe to run in several servers at once.
+ * @param {Object} options - { io } where io is the Socket.io server
+ * @returns {Object} Handle with a stop method that waits for in-flight work
+ */
+const startAlertTasks = ({ io = null } = {}) => {
+  return startAll([
+    createPeriodicTask({
+      name: 'Scheduled alert dispatcher',
+      interval: parseInt(process.env.SCHEDULED_ALERT_POLL_INTERVAL_MS) || 15 * 1000,
+      run: async () => {
+        // Recurring alerts become scheduled alerts first, so a due occurrence goes out in the same run
+        await runDueRecurrences(io);
+        await dispatchDueAlerts(io);
+      }
+    }),
+    createPeriodicTask({
+      name: 'Alert expiry sweeper',
+      interval: parseInt(process.env.ALERT_EXPIRY_POLL_INTERVAL_MS) || 60 * 1000,
+      run: () => expireDueAlerts(io)
+    })
+  ]);
+};
+
+/**
+ * Start all background workers
+ * @param {Object} options - { io } where io is the Socket.io server
+ * @returns {Object} Handle with a stop method that waits for in-flight work
+ */
+const startWorkers = ({ io = null } = {}) => {
+  const handles = [startDeliveryWorkers(), startAlertTasks({ io })];
+  
+  return {
+    stop: () => Promise.all(handles.map(handle => handle.stop()))
+  };
+};
+
+module.exports = {
+  startDeliveryWorkers,
+  startAlertTasks,
+  startWorkers
+};
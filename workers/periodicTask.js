@@ -0,0 +1,68 @@
+/**
+ * Periodic task runner for the emergency alert system
+ * Runs a background job on a fixed interval without overlapping runs
+ */
+
+/**
+ * Create a periodic task
+ * @param {Object} options - Task options
+ * @param {string} options.name - Name used in log messages
+ * @param {number} options.interval - Milliseconds between the end of one run and the start of the next
+ * @param {Function} options.run - Async function to run
+ * @returns {Object} Task with start, stop and runOnce methods
+ */
+const createPeriodicTask = ({ name, interval, run }) => {
+  let timer = null;
+  let running = false;
+  let currentRun = null;
+  
+  const tick = async () => {
+    if (!running) {
+      return;
+    }
+    
+    try {
+      currentRun = run();
+      await currentRun;
+    } catch (error) {
+      console.error(`[WORKER] Error running ${name}:`, error);
+    } finally {
+      currentRun = null;
+    }
+    
+    if (running) {
+      timer = setTimeout(tick, interval);
+    }
+  };
+  
+  const start = () => {
+    if (running) {
+      return;
+    }
+    
+    running = true;
+    console.log(`[WORKER] ${name} started (every ${Math.round(interval / 1000)}s)`);
+    tick();
+  };
+  
+  const stop = async () => {
+    running = false;
+    clearTimeout(timer);
+    
+    if (currentRun) {
+      await currentRun.catch(() => {});
+    }
+    
+    console.log(`[WORKER] ${name} stopped`);
+  };
+  
+  return {
+    start,
+    stop,
+    runOnce: run
+  };
+};
+
+module.exports = {
+  createPeriodicTask
+};